@@ -0,0 +1,20 @@
+// Copies the ffmpeg.wasm core from the installed @ffmpeg/core package into
+// public/, so offline export loads it from the app's own origin. Runs before
+// start and build.
+const fs = require('fs');
+const path = require('path');
+
+const FILES = ['ffmpeg-core.js', 'ffmpeg-core.wasm'];
+
+// The package only exports its entry points: dist/umd/ffmpeg-core.js here
+const source = path.join(
+  path.dirname(require.resolve('@ffmpeg/core')),
+  '..',
+  'esm'
+);
+const target = path.join(__dirname, '..', 'public', 'ffmpeg-core');
+
+fs.mkdirSync(target, { recursive: true });
+FILES.forEach(file => {
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+});
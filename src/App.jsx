@@ -5,6 +5,7 @@ import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import { ErrorProvider } from 'contexts/ErrorContext';
 import { AvatarProvider } from 'contexts/AvatarContext';
+import { SocketProvider } from 'contexts/SocketContext';
 import { StoreProvider } from 'mobx/index';
 import { VideoCreationPage } from 'pages/VideoCreationPage/VideoCreationPage';
 import Layout from 'components/Layout/Layout';
@@ -21,32 +22,34 @@ export const App = () => {
         <ThemeProvider>
           <ErrorProvider>
             <AvatarProvider>
-              <DndProvider backend={HTML5Backend}>
-                <PageProvider>
-                  <Suspense fallback={null}>
-                    <>
-                      <Routes>
-                        <Route
-                          path="*"
-                          element={
-                            <Navigate
-                              to="/createVideo/68cc5221256a17b46c56d56c"
-                              replace
-                            />
-                          }
-                        />
-                        <Route element={<Layout />}>
+              <SocketProvider>
+                <DndProvider backend={HTML5Backend}>
+                  <PageProvider>
+                    <Suspense fallback={null}>
+                      <>
+                        <Routes>
                           <Route
-                            path="createVideo/68cc5221256a17b46c56d56c"
-                            element={<VideoCreationPage />}
+                            path="*"
+                            element={
+                              <Navigate
+                                to="/createVideo/68cc5221256a17b46c56d56c"
+                                replace
+                              />
+                            }
                           />
-                        </Route>
-                      </Routes>
-                    </>
-                  </Suspense>
-                  {/* <SocketStatus showDetails={true} /> */}
-                </PageProvider>
-              </DndProvider>
+                          <Route element={<Layout />}>
+                            <Route
+                              path="createVideo/68cc5221256a17b46c56d56c"
+                              element={<VideoCreationPage />}
+                            />
+                          </Route>
+                        </Routes>
+                      </>
+                    </Suspense>
+                    {/* <SocketStatus showDetails={true} /> */}
+                  </PageProvider>
+                </DndProvider>
+              </SocketProvider>
             </AvatarProvider>
           </ErrorProvider>
         </ThemeProvider>
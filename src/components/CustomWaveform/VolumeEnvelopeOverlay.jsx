@@ -0,0 +1,266 @@
+import React, { useRef, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getEnvelopeGain, getFadeGain } from '../../utils/volumeEnvelope';
+
+const LINE_COLOR = '#d3f85a';
+const HANDLE_SIZE = 8;
+// Extra samples drawn inside each fade, where the curve is not linear
+const FADE_SAMPLES = 8;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Sampled times of the displayed curve, in ms
+const getCurveTimes = (points, fadeIn, fadeOut, duration) => {
+  const times = [0, duration, ...points.map(point => point.time)];
+  for (let i = 1; i <= FADE_SAMPLES; i++) {
+    if (fadeIn > 0) times.push((fadeIn * i) / FADE_SAMPLES);
+    if (fadeOut > 0) times.push(duration - (fadeOut * i) / FADE_SAMPLES);
+  }
+  return [...new Set(times)]
+    .filter(time => time >= 0 && time <= duration)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Volume automation drawn over a waveform. Points can be dragged, added by
+ * double-clicking the line and removed by double-clicking them; the square
+ * handles on the top edge set the fade-in and fade-out lengths. Changes are
+ * reported once the drag ends.
+ */
+const VolumeEnvelopeOverlay = ({
+  points = [],
+  fadeIn = 0,
+  fadeOut = 0,
+  duration,
+  interactive = false,
+  onPointsChange,
+  onFadesChange,
+}) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (dragRef.current) {
+        window.removeEventListener('mousemove', dragRef.current.onMove);
+        window.removeEventListener('mouseup', dragRef.current.onUp);
+      }
+    };
+  }, []);
+
+  if (!duration || duration <= 0) return null;
+
+  const shownPoints = preview?.points || points;
+  const shownFadeIn = preview?.fadeIn ?? fadeIn;
+  const shownFadeOut = preview?.fadeOut ?? fadeOut;
+
+  const getPointerValue = event => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      time: clamp(
+        ((event.clientX - rect.left) / rect.width) * duration,
+        0,
+        duration
+      ),
+      gain: clamp(1 - (event.clientY - rect.top) / rect.height, 0, 1),
+    };
+  };
+
+  const startDrag = (event, onDrag, onDrop) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const onMove = moveEvent => {
+      dragRef.current.moved = true;
+      setPreview(onDrag(getPointerValue(moveEvent)));
+    };
+
+    const onUp = upEvent => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      const { moved } = dragRef.current;
+      dragRef.current = null;
+      setPreview(null);
+      if (moved) onDrop(onDrag(getPointerValue(upEvent)));
+    };
+
+    dragRef.current = { onMove, onUp, moved: false };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const handlePointMouseDown = (event, index) =>
+    startDrag(
+      event,
+      ({ time, gain }) => {
+        // Keep the point between its neighbours so the order never changes
+        const min = index > 0 ? points[index - 1].time : 0;
+        const max =
+          index < points.length - 1 ? points[index + 1].time : duration;
+        return {
+          points: points.map((point, i) =>
+            i === index ? { time: clamp(time, min, max), gain } : point
+          ),
+        };
+      },
+      next => onPointsChange?.(next.points)
+    );
+
+  const handleFadeMouseDown = (event, edge) =>
+    startDrag(
+      event,
+      ({ time }) =>
+        edge === 'in'
+          ? { fadeIn: clamp(time, 0, duration - fadeOut) }
+          : { fadeOut: clamp(duration - time, 0, duration - fadeIn) },
+      next => onFadesChange?.(next)
+    );
+
+  const handlePointDoubleClick = (event, index) => {
+    event.stopPropagation();
+    onPointsChange?.(points.filter((_, i) => i !== index));
+  };
+
+  const handleLineDoubleClick = event => {
+    event.stopPropagation();
+    const { time, gain } = getPointerValue(event);
+    onPointsChange?.(
+      [...points, { time, gain }].sort((a, b) => a.time - b.time)
+    );
+  };
+
+  const toX = time => (time / duration) * 100;
+  const toY = gain => (1 - gain) * 100;
+  const polyline = getCurveTimes(
+    shownPoints,
+    shownFadeIn,
+    shownFadeOut,
+    duration
+  )
+    .map(time => {
+      const gain =
+        getEnvelopeGain(shownPoints, time) *
+        getFadeGain(
+          { fadeIn: shownFadeIn, fadeOut: shownFadeOut },
+          duration,
+          time
+        );
+      return `${toX(time)},${toY(gain)}`;
+    })
+    .join(' ');
+
+  const handleStyle = {
+    position: 'absolute',
+    width: `${HANDLE_SIZE}px`,
+    height: `${HANDLE_SIZE}px`,
+    marginLeft: `${-HANDLE_SIZE / 2}px`,
+    marginTop: `${-HANDLE_SIZE / 2}px`,
+    background: LINE_COLOR,
+    border: '1px solid rgba(0, 0, 0, 0.6)',
+    boxSizing: 'border-box',
+    pointerEvents: 'auto',
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        zIndex: 2,
+        pointerEvents: 'none',
+      }}
+      onMouseUp={event => interactive && event.stopPropagation()}
+    >
+      <svg
+        width="100%"
+        height="100%"
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        style={{ position: 'absolute', inset: 0, overflow: 'visible' }}
+      >
+        <polyline
+          points={polyline}
+          fill="none"
+          stroke={LINE_COLOR}
+          strokeWidth="1.5"
+          strokeOpacity={interactive ? 1 : 0.6}
+          vectorEffect="non-scaling-stroke"
+        />
+        {interactive && (
+          <polyline
+            points={polyline}
+            fill="none"
+            stroke="transparent"
+            strokeWidth="10"
+            vectorEffect="non-scaling-stroke"
+            style={{ pointerEvents: 'stroke', cursor: 'copy' }}
+            onMouseDown={event => event.stopPropagation()}
+            onDoubleClick={handleLineDoubleClick}
+          >
+            <title>Double-click to add a volume point</title>
+          </polyline>
+        )}
+      </svg>
+
+      {interactive &&
+        shownPoints.map((point, index) => (
+          <div
+            key={index}
+            title="Drag to change, double-click to delete"
+            style={{
+              ...handleStyle,
+              left: `${toX(point.time)}%`,
+              top: `${toY(point.gain)}%`,
+              borderRadius: '50%',
+              cursor: 'move',
+            }}
+            onMouseDown={event => handlePointMouseDown(event, index)}
+            onDoubleClick={event => handlePointDoubleClick(event, index)}
+          />
+        ))}
+
+      {interactive &&
+        [
+          { edge: 'in', left: toX(shownFadeIn), title: 'Fade in' },
+          {
+            edge: 'out',
+            left: toX(duration - shownFadeOut),
+            title: 'Fade out',
+          },
+        ].map(({ edge, left, title }) => (
+          <div
+            key={edge}
+            title={title}
+            style={{
+              ...handleStyle,
+              left: `${left}%`,
+              top: `${HANDLE_SIZE / 2}px`,
+              cursor: 'ew-resize',
+            }}
+            onMouseDown={event => handleFadeMouseDown(event, edge)}
+            onDoubleClick={event => event.stopPropagation()}
+          />
+        ))}
+    </div>
+  );
+};
+
+VolumeEnvelopeOverlay.propTypes = {
+  points: PropTypes.arrayOf(
+    PropTypes.shape({
+      time: PropTypes.number.isRequired,
+      gain: PropTypes.number.isRequired,
+    })
+  ),
+  fadeIn: PropTypes.number,
+  fadeOut: PropTypes.number,
+  duration: PropTypes.number.isRequired,
+  interactive: PropTypes.bool,
+  onPointsChange: PropTypes.func,
+  onFadesChange: PropTypes.func,
+};
+
+export default VolumeEnvelopeOverlay;
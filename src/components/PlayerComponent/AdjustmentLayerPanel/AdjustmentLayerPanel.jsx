@@ -0,0 +1,168 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { getUid } from '../../../utils';
+import {
+  ADJUSTMENT_FILTERS,
+  createAdjustmentFilter,
+  getAdjustmentOption,
+} from '../../../utils/adjustmentLayer';
+import styles from './AdjustmentLayerPanel.module.scss';
+
+/**
+ * Filter stack of an adjustment layer. Filters apply top to bottom to
+ * everything on the rows beneath the layer while it is on screen.
+ */
+const AdjustmentLayerPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const filters = element.properties?.filters || [];
+
+    const updateFilters = nextFilters =>
+      store.applyAdjustmentFilters(element.id, nextFilters);
+
+    const changeFilter = (id, changes) =>
+      filters.map(filter =>
+        filter.id === id ? { ...filter, ...changes } : filter
+      );
+
+    const moveFilter = (index, offset) => {
+      const nextFilters = [...filters];
+      const [filter] = nextFilters.splice(index, 1);
+      nextFilters.splice(index + offset, 0, filter);
+      updateFilters(nextFilters);
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>{element.name || 'Adjustment layer'}</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close adjustment layer"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          {!filters.length && (
+            <p className={styles.hint}>
+              Add filters to change every row beneath this layer.
+            </p>
+          )}
+
+          {filters.map((filter, index) => {
+            const config = ADJUSTMENT_FILTERS[filter.type];
+            if (!config) return null;
+
+            return (
+              <div key={filter.id} className={styles.filter}>
+                <div className={styles.filterHeader}>
+                  <span className={styles.filterName}>{config.name}</span>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => moveFilter(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${config.name} up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => moveFilter(index, 1)}
+                    disabled={index === filters.length - 1}
+                    aria-label={`Move ${config.name} down`}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() =>
+                      updateFilters(filters.filter(item => item !== filter))
+                    }
+                    aria-label={`Remove ${config.name}`}
+                  >
+                    ×
+                  </button>
+                </div>
+                {Object.entries(config.controls).map(([key, control]) => {
+                  const value = getAdjustmentOption(filter, key);
+                  const step = control.max - control.min > 10 ? 1 : 0.01;
+
+                  return (
+                    <div key={key} className={styles.sliderRow}>
+                      <span className={styles.optionName}>{key}</span>
+                      <input
+                        type="range"
+                        min={control.min}
+                        max={control.max}
+                        step={step}
+                        value={value}
+                        onChange={e =>
+                          store.applyAdjustmentFilters(
+                            element.id,
+                            changeFilter(filter.id, {
+                              options: {
+                                ...filter.options,
+                                [key]: Number(e.target.value),
+                              },
+                            }),
+                            { preview: true }
+                          )
+                        }
+                        onPointerUp={() =>
+                          store.saveToHistory('Adjustment layer')
+                        }
+                        onKeyUp={() => store.saveToHistory('Adjustment layer')}
+                      />
+                      <span className={styles.sliderValue}>
+                        {Number(value.toFixed(2))}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+
+          <select
+            className={styles.addSelect}
+            value=""
+            onChange={e => {
+              if (!e.target.value) return;
+              updateFilters([
+                ...filters,
+                createAdjustmentFilter(e.target.value, getUid()),
+              ]);
+            }}
+          >
+            <option value="">+ Add filter</option>
+            {Object.entries(ADJUSTMENT_FILTERS).map(([type, config]) => (
+              <option key={type} value={type}>
+                {config.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+    );
+  })
+);
+
+AdjustmentLayerPanel.displayName = 'AdjustmentLayerPanel';
+
+export default AdjustmentLayerPanel;
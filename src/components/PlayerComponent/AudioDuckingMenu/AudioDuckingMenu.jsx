@@ -0,0 +1,151 @@
+import React, { useState, forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { DEFAULT_DUCKING_SETTINGS } from '../../../utils/audioDucking';
+import { handleCatchError, showGlobalDone } from '../../../utils/errorHandler';
+import styles from './AudioDuckingMenu.module.scss';
+
+const SETTING_FIELDS = [
+  {
+    key: 'attenuationDb',
+    label: 'Attenuation (dB)',
+    min: -40,
+    max: 0,
+    step: 1,
+  },
+  { key: 'attackMs', label: 'Attack (ms)', min: 0, max: 2000, step: 50 },
+  { key: 'releaseMs', label: 'Release (ms)', min: 0, max: 5000, step: 50 },
+  {
+    key: 'thresholdDb',
+    label: 'Voice threshold (dB)',
+    min: -80,
+    max: -10,
+    step: 1,
+  },
+];
+
+const AudioDuckingMenu = observer(
+  forwardRef(({ onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const [settings, setSettings] = useState(store.audioDuckingSettings);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const isApplied = store.isAudioDuckingApplied();
+
+    const handleApply = async () => {
+      setIsProcessing(true);
+      try {
+        const count = await store.applyAudioDucking(settings);
+        showGlobalDone(
+          count
+            ? `Ducked ${count} music ${count === 1 ? 'clip' : 'clips'}`
+            : 'No music overlaps the voiceover'
+        );
+        onClose?.();
+      } catch (error) {
+        handleCatchError(error, 'Failed to apply audio ducking');
+      } finally {
+        setIsProcessing(false);
+      }
+    };
+
+    const handleRemove = () => {
+      store.removeAudioDucking();
+      onClose?.();
+    };
+
+    const stopEvent = e => {
+      e.stopPropagation();
+      // Don't prevent default for input elements
+      if (e.target.tagName !== 'INPUT') {
+        e.preventDefault();
+      }
+    };
+
+    return (
+      <div
+        className={styles.menuContainer}
+        onMouseDown={stopEvent}
+        onClick={stopEvent}
+        ref={ref}
+      >
+        <div className={styles.menuHeader}>
+          <p className={styles.title}>Audio Ducking</p>
+        </div>
+
+        <div className={styles.menuBody}>
+          {SETTING_FIELDS.map(({ key, label, min, max, step }) => (
+            <div key={key} className={styles.settingGroup}>
+              <label className={styles.settingLabel}>{label}</label>
+              <input
+                type="number"
+                value={settings[key]}
+                onChange={e =>
+                  setSettings(prev => ({
+                    ...prev,
+                    [key]: Math.max(
+                      min,
+                      Math.min(max, parseFloat(e.target.value) || 0)
+                    ),
+                  }))
+                }
+                className={styles.settingInput}
+                disabled={isProcessing}
+                min={min}
+                max={max}
+                step={step}
+                onMouseDown={e => e.stopPropagation()}
+                onClick={e => e.stopPropagation()}
+              />
+            </div>
+          ))}
+          <div className={styles.settingGroup}>
+            <p className={styles.settingHint}>
+              Music lowers while voiceover is speaking. Sound effects and clips
+              with ducking turned off are left untouched.
+            </p>
+          </div>
+        </div>
+
+        <div className={styles.divider}></div>
+
+        <div className={styles.menuFooter}>
+          <div
+            className={styles.resetButton}
+            onClick={e => {
+              stopEvent(e);
+              if (isProcessing) return;
+              if (isApplied) {
+                handleRemove();
+              } else {
+                setSettings({ ...DEFAULT_DUCKING_SETTINGS });
+              }
+            }}
+            style={{
+              opacity: isProcessing ? 0.5 : 1,
+              cursor: isProcessing ? 'not-allowed' : 'pointer',
+            }}
+          >
+            {isApplied ? 'Remove' : 'Reset'}
+          </div>
+          <div
+            className={styles.applyButton}
+            onMouseDown={e => {
+              stopEvent(e);
+              if (!isProcessing) handleApply();
+            }}
+            style={{
+              opacity: isProcessing ? 0.5 : 1,
+              cursor: isProcessing ? 'not-allowed' : 'pointer',
+            }}
+          >
+            {isProcessing ? 'Analyzing...' : isApplied ? 'Update' : 'Apply'}
+          </div>
+        </div>
+      </div>
+    );
+  })
+);
+
+AudioDuckingMenu.displayName = 'AudioDuckingMenu';
+
+export default AudioDuckingMenu;
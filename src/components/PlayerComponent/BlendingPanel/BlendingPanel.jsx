@@ -0,0 +1,101 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { BLEND_MODES, DEFAULT_BLENDING } from '../../../utils/blending';
+import styles from './BlendingPanel.module.scss';
+
+/**
+ * Blend mode and opacity of one element: how it composites onto the rows
+ * beneath it, e.g. screen for light leaks or multiply for textures.
+ */
+const BlendingPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const blending = { ...DEFAULT_BLENDING, ...element.properties?.blending };
+
+    const commitPreview = () => store.saveToHistory('Blend mode');
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Blend & opacity</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close blend and opacity"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <div className={styles.modes}>
+            {BLEND_MODES.map(mode => (
+              <button
+                key={mode.id}
+                type="button"
+                className={`${styles.mode} ${
+                  blending.mode === mode.id ? styles.modeActive : ''
+                }`}
+                onClick={() =>
+                  store.applyBlending(element.id, { mode: mode.id })
+                }
+              >
+                {mode.name}
+              </button>
+            ))}
+          </div>
+
+          <label className={styles.field}>
+            <span>Opacity</span>
+            <div className={styles.sliderRow}>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={blending.opacity}
+                onChange={e =>
+                  store.applyBlending(
+                    element.id,
+                    { opacity: Number(e.target.value) },
+                    { preview: true }
+                  )
+                }
+                onPointerUp={commitPreview}
+                onKeyUp={commitPreview}
+              />
+              <span className={styles.sliderValue}>
+                {Math.round(blending.opacity * 100)}%
+              </span>
+            </div>
+          </label>
+        </div>
+
+        <div className={styles.footer}>
+          <button
+            type="button"
+            className={styles.footerButton}
+            disabled={!element.properties?.blending}
+            onClick={() => store.applyBlending(element.id, DEFAULT_BLENDING)}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    );
+  })
+);
+
+BlendingPanel.displayName = 'BlendingPanel';
+
+export default BlendingPanel;
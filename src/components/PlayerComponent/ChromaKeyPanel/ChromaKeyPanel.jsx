@@ -0,0 +1,193 @@
+import React, { forwardRef, useEffect } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { DEFAULT_CHROMA_KEY } from '../../../utils/chromaKey';
+import styles from './ChromaKeyPanel.module.scss';
+
+const SLIDERS = [
+  { key: 'similarity', label: 'Similarity' },
+  { key: 'smoothness', label: 'Smoothness' },
+  { key: 'spill', label: 'Spill' },
+];
+
+const hasEyeDropper = typeof window !== 'undefined' && 'EyeDropper' in window;
+
+/**
+ * Chroma key (green screen) settings for one video or image element. The
+ * key colour can be picked straight from the canvas, and the matte toggle
+ * shows what is kept (white) and keyed out (black) while tuning.
+ */
+const ChromaKeyPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const chromaKey = element.properties?.chromaKey;
+    const settings = { ...DEFAULT_CHROMA_KEY, ...chromaKey };
+    const isEnabled = Boolean(chromaKey?.enabled);
+    const isMatteVisible = store.chromaKeyMatteElementId === element.id;
+
+    // The matte is only shown while the panel is open
+    useEffect(() => () => store.setChromaKeyMatte(null), [store]);
+
+    const commitPreview = () => store.saveToHistory('Chroma key');
+
+    const handlePickColor = async () => {
+      const fabricObject = element.fabricObject;
+      // Pick from the unkeyed element, the key colour is transparent otherwise
+      fabricObject?.set('chromaKey', null);
+      store.canvas?.renderAll();
+
+      try {
+        const result = await new window.EyeDropper().open();
+        if (result?.sRGBHex) {
+          store.applyChromaKey(element.id, {
+            enabled: true,
+            color: result.sRGBHex,
+          });
+        }
+      } catch (error) {
+        // Picking was cancelled
+      } finally {
+        fabricObject?.set('chromaKey', element.properties?.chromaKey || null);
+        store.canvas?.requestRenderAll();
+      }
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Chroma key</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close chroma key"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <label className={styles.toggle}>
+            <input
+              type="checkbox"
+              checked={isEnabled}
+              onChange={e =>
+                store.applyChromaKey(element.id, {
+                  enabled: e.target.checked,
+                })
+              }
+            />
+            <span>Key out colour</span>
+          </label>
+
+          <div className={styles.field}>
+            <span>Key colour</span>
+            <div className={styles.colorRow}>
+              <input
+                type="color"
+                className={styles.colorInput}
+                value={settings.color}
+                onChange={e =>
+                  store.applyChromaKey(
+                    element.id,
+                    { color: e.target.value },
+                    { preview: true }
+                  )
+                }
+                onBlur={commitPreview}
+                aria-label="Key colour"
+              />
+              <span className={styles.colorValue}>{settings.color}</span>
+              {hasEyeDropper && (
+                <button
+                  type="button"
+                  className={styles.pickButton}
+                  onClick={handlePickColor}
+                >
+                  Pick from canvas
+                </button>
+              )}
+            </div>
+          </div>
+
+          {SLIDERS.map(({ key, label }) => (
+            <label key={key} className={styles.field}>
+              <span>{label}</span>
+              <div className={styles.sliderRow}>
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  value={settings[key]}
+                  disabled={!isEnabled}
+                  onChange={e =>
+                    store.applyChromaKey(
+                      element.id,
+                      { [key]: Number(e.target.value) },
+                      { preview: true }
+                    )
+                  }
+                  onPointerUp={commitPreview}
+                  onKeyUp={commitPreview}
+                />
+                <span className={styles.sliderValue}>
+                  {Math.round(settings[key] * 100)}
+                </span>
+              </div>
+            </label>
+          ))}
+
+          <label className={styles.toggle}>
+            <input
+              type="checkbox"
+              checked={isMatteVisible}
+              disabled={!isEnabled}
+              onChange={e =>
+                store.setChromaKeyMatte(e.target.checked ? element.id : null)
+              }
+            />
+            <span>Show matte</span>
+          </label>
+        </div>
+
+        <div className={styles.footer}>
+          <button
+            type="button"
+            className={styles.footerButton}
+            disabled={!chromaKey}
+            onClick={() => store.removeChromaKey(element.id)}
+          >
+            Remove
+          </button>
+          <button
+            type="button"
+            className={styles.footerButton}
+            disabled={!isEnabled}
+            onClick={() =>
+              store.applyChromaKey(element.id, {
+                similarity: DEFAULT_CHROMA_KEY.similarity,
+                smoothness: DEFAULT_CHROMA_KEY.smoothness,
+                spill: DEFAULT_CHROMA_KEY.spill,
+              })
+            }
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    );
+  })
+);
+
+ChromaKeyPanel.displayName = 'ChromaKeyPanel';
+
+export default ChromaKeyPanel;
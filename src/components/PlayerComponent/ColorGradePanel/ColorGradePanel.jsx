@@ -0,0 +1,232 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { getUid } from '../../../utils';
+import {
+  BUNDLED_LOOKS,
+  DEFAULT_COLOR_GRADE_INTENSITY,
+  parseCubeLUT,
+} from '../../../utils/colorGrading';
+import { deleteLut, getLuts, saveLut } from '../../../services/luts';
+import {
+  handleCatchError,
+  showGlobalDone,
+  showGlobalError,
+} from '../../../utils/errorHandler';
+import styles from './ColorGradePanel.module.scss';
+
+/**
+ * Colour grade of one video or image element, or of the whole composition
+ * when no element is given: a bundled look or an imported .cube LUT, mixed
+ * in at the chosen intensity.
+ */
+const ColorGradePanel = observer(
+  forwardRef(({ element = null, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const fileInputRef = useRef(null);
+    const [lutsLoadFailed, setLutsLoadFailed] = useState(false);
+    const elementId = element?.id || null;
+    const colorGrade = element
+      ? element.properties?.colorGrade
+      : store.colorGrade;
+    const intensity = colorGrade?.intensity ?? DEFAULT_COLOR_GRADE_INTENSITY;
+
+    // Load the user's imported LUTs; grades keep their own copy of a LUT,
+    // so the panel still works without them
+    useEffect(() => {
+      getLuts()
+        .then(luts => store.setLuts(luts || []))
+        .catch(error => {
+          console.error('Failed to load LUTs:', error);
+          setLutsLoadFailed(true);
+        });
+    }, [store]);
+
+    const applyLook = lookId =>
+      store.applyColorGrade(elementId, { lookId, lut: null });
+
+    const applyLut = lut =>
+      store.applyColorGrade(elementId, { lookId: null, lut });
+
+    const handleImport = async e => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (!file) return;
+
+      let lut;
+      try {
+        lut = parseCubeLUT(
+          await file.text(),
+          file.name.replace(/\.cube$/i, '')
+        );
+      } catch (error) {
+        showGlobalError(`Could not import ${file.name}`, error.message, 6000);
+        return;
+      }
+
+      let saved = null;
+      try {
+        saved = await saveLut(lut);
+        showGlobalDone(`"${lut.name}" added to your LUTs`);
+      } catch (error) {
+        // Reported by the library; the grade keeps its own copy of the LUT,
+        // so it still works in this project
+      }
+
+      const imported = { ...lut, id: saved?.id || getUid() };
+      store.upsertLut(imported);
+      applyLut(imported);
+    };
+
+    const handleDeleteLut = async lut => {
+      try {
+        await deleteLut(lut.id);
+        store.removeLut(lut.id);
+      } catch (error) {
+        handleCatchError(error, 'Failed to delete LUT', false);
+      }
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>
+            {element ? 'Colour grade' : 'Colour grade · whole video'}
+          </p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close colour grade"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <p className={styles.sectionTitle}>Looks</p>
+          <div className={styles.looks}>
+            <button
+              type="button"
+              className={`${styles.look} ${
+                !colorGrade ? styles.lookActive : ''
+              }`}
+              onClick={() => store.removeColorGrade(elementId)}
+            >
+              None
+            </button>
+            {BUNDLED_LOOKS.map(look => (
+              <button
+                key={look.id}
+                type="button"
+                className={`${styles.look} ${
+                  colorGrade?.lookId === look.id ? styles.lookActive : ''
+                }`}
+                onClick={() => applyLook(look.id)}
+              >
+                {look.name}
+              </button>
+            ))}
+          </div>
+
+          <div className={styles.sectionHeader}>
+            <p className={styles.sectionTitle}>Your LUTs</p>
+            <button
+              type="button"
+              className={styles.importButton}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Import .cube
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".cube"
+              className={styles.fileInput}
+              onChange={handleImport}
+            />
+          </div>
+          <div className={styles.looks}>
+            {store.luts.map(lut => (
+              <div
+                key={lut.id}
+                className={`${styles.look} ${styles.lutItem} ${
+                  colorGrade?.lut?.id === lut.id ? styles.lookActive : ''
+                }`}
+              >
+                <button
+                  type="button"
+                  className={styles.lutName}
+                  onClick={() => applyLut(lut)}
+                  title={`${lut.name} (${lut.size}³)`}
+                >
+                  {lut.name}
+                </button>
+                <button
+                  type="button"
+                  className={styles.deleteLutButton}
+                  onClick={() => handleDeleteLut(lut)}
+                  aria-label={`Delete ${lut.name}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            {colorGrade?.lut &&
+              !store.luts.some(lut => lut.id === colorGrade.lut.id) && (
+                <div className={`${styles.look} ${styles.lookActive}`}>
+                  {colorGrade.lut.name}
+                </div>
+              )}
+          </div>
+          {lutsLoadFailed && (
+            <p className={styles.hint}>Your saved LUTs could not be loaded.</p>
+          )}
+          {!store.luts.length && !colorGrade?.lut && !lutsLoadFailed && (
+            <p className={styles.hint}>
+              Import a 3D LUT exported as .cube from your grading tool.
+            </p>
+          )}
+
+          <label className={styles.field}>
+            <span>Intensity</span>
+            <div className={styles.sliderRow}>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={intensity}
+                disabled={!colorGrade}
+                onChange={e =>
+                  store.applyColorGrade(
+                    elementId,
+                    { intensity: Number(e.target.value) },
+                    { preview: true }
+                  )
+                }
+                onPointerUp={() => store.saveToHistory('Colour grade')}
+                onKeyUp={() => store.saveToHistory('Colour grade')}
+              />
+              <span className={styles.sliderValue}>
+                {Math.round(intensity * 100)}%
+              </span>
+            </div>
+          </label>
+        </div>
+      </div>
+    );
+  })
+);
+
+ColorGradePanel.displayName = 'ColorGradePanel';
+
+export default ColorGradePanel;
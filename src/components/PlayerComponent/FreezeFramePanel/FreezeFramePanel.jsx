@@ -0,0 +1,108 @@
+import React, { forwardRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { formatTimeToMinSecMili } from '../../../utils';
+import {
+  DEFAULT_FREEZE_FRAME_MS,
+  FREEZE_FRAME_PRESETS,
+  MAX_FREEZE_FRAME_MS,
+  MIN_FREEZE_FRAME_MS,
+  clampFreezeFrameDuration,
+} from '../../../utils/videoClipOps';
+import styles from './FreezeFramePanel.module.scss';
+
+/**
+ * Length of a freeze frame of a video clip. The frame under the playhead
+ * becomes a still of that length, splitting the clip around it.
+ */
+const FreezeFramePanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const [duration, setDuration] = useState(DEFAULT_FREEZE_FRAME_MS);
+    const locked = store.isRowLocked(element.row);
+    const { start, end } = element.timeFrame;
+    const localTime = Math.max(
+      0,
+      Math.min(end - start, store.currentTimeInMs - start)
+    );
+
+    const create = () => {
+      store.freezeFrame(element.id, clampFreezeFrameDuration(duration));
+      onClose?.();
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Freeze frame</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close freeze frame"
+          >
+            ×
+          </button>
+        </div>
+
+        <fieldset className={styles.body} disabled={locked}>
+          <div className={styles.presets}>
+            {FREEZE_FRAME_PRESETS.map(preset => (
+              <button
+                key={preset}
+                type="button"
+                className={`${styles.preset} ${
+                  duration === preset ? styles.presetActive : ''
+                }`}
+                onClick={() => setDuration(preset)}
+              >
+                {preset / 1000}s
+              </button>
+            ))}
+          </div>
+
+          <label className={styles.field}>
+            <span>Length (s)</span>
+            <input
+              type="number"
+              min={MIN_FREEZE_FRAME_MS / 1000}
+              max={MAX_FREEZE_FRAME_MS / 1000}
+              step={0.1}
+              value={duration / 1000}
+              onChange={e =>
+                setDuration(Math.round(Number(e.target.value) * 1000))
+              }
+            />
+          </label>
+
+          <p className={styles.summary}>
+            Holds the frame at {formatTimeToMinSecMili(localTime)} into the clip
+          </p>
+        </fieldset>
+
+        <div className={styles.footer}>
+          <button
+            type="button"
+            className={styles.footerButton}
+            disabled={locked || !!store.clipProcessing}
+            onClick={create}
+          >
+            Freeze
+          </button>
+        </div>
+      </div>
+    );
+  })
+);
+
+FreezeFramePanel.displayName = 'FreezeFramePanel';
+
+export default FreezeFramePanel;
@@ -0,0 +1,57 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import styles from './HistoryPanel.module.scss';
+
+const formatTime = timestamp =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+const HistoryPanel = observer(
+  forwardRef((_props, ref) => {
+    const store = React.useContext(StoreContext);
+    const history = store.historyManager;
+    const { entries, position } = history;
+
+    const renderItem = (label, index, timestamp) => {
+      // Entries past the current position have been undone
+      const isCurrent = index === position - 1;
+      const isUndone = index >= position;
+
+      return (
+        <li
+          key={index}
+          className={`${styles.historyItem} ${
+            isCurrent ? styles.current : ''
+          } ${isUndone ? styles.undone : ''}`}
+          onClick={() => history.jumpTo(index)}
+        >
+          <span className={styles.label}>{label}</span>
+          {timestamp && (
+            <span className={styles.time}>{formatTime(timestamp)}</span>
+          )}
+        </li>
+      );
+    };
+
+    return (
+      <div className={styles.menuContainer} ref={ref}>
+        <div className={styles.menuHeader}>
+          <h3 className={styles.title}>History</h3>
+        </div>
+        <ul className={styles.historyList}>
+          {renderItem('Initial state', -1)}
+          {entries.map((entry, index) =>
+            renderItem(entry.label, index, entry.timestamp)
+          )}
+        </ul>
+        {!entries.length && <p className={styles.emptyText}>No edits yet</p>}
+      </div>
+    );
+  })
+);
+
+export default HistoryPanel;
@@ -0,0 +1,271 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import {
+  canBeMatteSource,
+  DEFAULT_MASK,
+  MASK_TYPES,
+  MATTE_MODES,
+} from '../../../utils/masks';
+import styles from './MaskPanel.module.scss';
+
+const Slider = ({ label, value, min, max, step = 1, format, onChange }) => {
+  const store = React.useContext(StoreContext);
+  const commitPreview = () => store.saveToHistory('Mask');
+
+  return (
+    <label className={styles.field}>
+      <span>{label}</span>
+      <div className={styles.sliderRow}>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          onChange={e => onChange(Number(e.target.value))}
+          onPointerUp={commitPreview}
+          onKeyUp={commitPreview}
+        />
+        <span className={styles.sliderValue}>
+          {format ? format(value) : value}
+        </span>
+      </div>
+    </label>
+  );
+};
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Mask of one image or video element: a shape, text or another element's
+ * alpha or luma, with feather, invert and a transform keyframes can animate.
+ */
+const MaskPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const storedMask = element.properties.mask;
+    const mask = { ...DEFAULT_MASK, ...storedMask };
+    const fabricObject = element.fabricObject;
+    // The transform shown is the animated one when it is keyframed
+    const transform = {
+      x: fabricObject?.maskX ?? mask.x,
+      y: fabricObject?.maskY ?? mask.y,
+      scale: fabricObject?.maskScale ?? mask.scale,
+      rotation: fabricObject?.maskRotation ?? mask.rotation,
+    };
+    const hasTransform = storedMask && mask.type !== 'element';
+    const matteSources = store.editorElements.filter(item =>
+      canBeMatteSource(item, element)
+    );
+
+    const update = changes => store.applyMask(element.id, changes);
+    const preview = changes =>
+      store.applyMask(element.id, changes, { preview: true });
+    const setType = type =>
+      type ? update({ type }) : store.removeMask(element.id);
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Mask</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close mask settings"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <div className={styles.options}>
+            {[{ id: null, name: 'None' }, ...MASK_TYPES].map(type => (
+              <button
+                key={type.id || 'none'}
+                type="button"
+                className={`${styles.option} ${
+                  (storedMask ? mask.type : null) === type.id
+                    ? styles.optionActive
+                    : ''
+                }`}
+                onClick={() => setType(type.id)}
+              >
+                {type.name}
+              </button>
+            ))}
+          </div>
+
+          {storedMask && (
+            <>
+              {mask.type === 'roundedRect' && (
+                <Slider
+                  label="Corners"
+                  value={mask.cornerRadius}
+                  min={0}
+                  max={Math.floor(
+                    Math.min(
+                      element.placement.width,
+                      element.placement.height
+                    ) / 2
+                  )}
+                  format={value => `${value}px`}
+                  onChange={cornerRadius => preview({ cornerRadius })}
+                />
+              )}
+              {mask.type === 'polygon' && (
+                <Slider
+                  label="Sides"
+                  value={mask.sides}
+                  min={3}
+                  max={12}
+                  onChange={sides => preview({ sides })}
+                />
+              )}
+              {mask.type === 'text' && (
+                <>
+                  <label className={styles.field}>
+                    <span>Text</span>
+                    <input
+                      type="text"
+                      className={styles.textInput}
+                      value={mask.text}
+                      onChange={e => preview({ text: e.target.value })}
+                      onBlur={() => store.saveToHistory('Mask')}
+                    />
+                  </label>
+                  <Slider
+                    label="Weight"
+                    value={mask.fontWeight}
+                    min={100}
+                    max={900}
+                    step={100}
+                    onChange={fontWeight => preview({ fontWeight })}
+                  />
+                </>
+              )}
+              {mask.type === 'element' && (
+                <>
+                  <label className={styles.field}>
+                    <span>Element</span>
+                    <select
+                      className={styles.select}
+                      value={mask.sourceId || ''}
+                      onChange={e =>
+                        update({ sourceId: e.target.value || null })
+                      }
+                    >
+                      <option value="">Choose an element</option>
+                      {matteSources.map(item => (
+                        <option key={item.id} value={item.id}>
+                          {item.name || item.type}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className={styles.options}>
+                    {MATTE_MODES.map(mode => (
+                      <button
+                        key={mode.id}
+                        type="button"
+                        className={`${styles.option} ${
+                          mask.matteMode === mode.id ? styles.optionActive : ''
+                        }`}
+                        onClick={() => update({ matteMode: mode.id })}
+                      >
+                        {mode.name}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              <Slider
+                label="Feather"
+                value={mask.feather}
+                min={0}
+                max={100}
+                format={value => `${value}px`}
+                onChange={feather => preview({ feather })}
+              />
+              <label className={styles.toggle}>
+                <input
+                  type="checkbox"
+                  checked={mask.invert}
+                  onChange={e => update({ invert: e.target.checked })}
+                />
+                <span>Invert</span>
+              </label>
+            </>
+          )}
+
+          {hasTransform && (
+            <>
+              <p className={styles.sectionTitle}>Transform</p>
+              <Slider
+                label="X"
+                value={transform.x}
+                min={-1}
+                max={1}
+                step={0.01}
+                format={percent}
+                onChange={x => preview({ x })}
+              />
+              <Slider
+                label="Y"
+                value={transform.y}
+                min={-1}
+                max={1}
+                step={0.01}
+                format={percent}
+                onChange={y => preview({ y })}
+              />
+              <Slider
+                label="Scale"
+                value={transform.scale}
+                min={0.05}
+                max={3}
+                step={0.01}
+                format={percent}
+                onChange={scale => preview({ scale })}
+              />
+              <Slider
+                label="Rotation"
+                value={transform.rotation}
+                min={-180}
+                max={180}
+                format={value => `${Math.round(value)}°`}
+                onChange={rotation => preview({ rotation })}
+              />
+            </>
+          )}
+        </div>
+
+        {hasTransform && (
+          <div className={styles.footer}>
+            <button
+              type="button"
+              className={styles.footerButton}
+              onClick={() => store.addMaskKeyframes(element.id)}
+            >
+              Keyframe mask
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  })
+);
+
+MaskPanel.displayName = 'MaskPanel';
+
+export default MaskPanel;
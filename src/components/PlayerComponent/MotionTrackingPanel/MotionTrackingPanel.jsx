@@ -0,0 +1,530 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import {
+  DEFAULT_TRACK_LINK,
+  DEFAULT_TRACK_REGION,
+  LOW_CONFIDENCE,
+  TRACK_FPS,
+  getLowConfidenceFrames,
+  getNearestTrackFrame,
+  getTrackFrameAt,
+  getTrackRegion,
+} from '../../../utils/motionTracking';
+import styles from './MotionTrackingPanel.module.scss';
+
+const PREVIEW_WIDTH = 288;
+const MAX_PREVIEW_HEIGHT = 216;
+const STRIP_HEIGHT = 10;
+const FRAME_MS = 1000 / TRACK_FPS;
+const MIN_REGION_SIZE = 0.02;
+
+const MODES = [
+  { id: 'point', name: 'Point' },
+  { id: 'planar', name: 'Planar' },
+];
+
+const LINK_OPTIONS = [
+  { id: 'position', name: 'Position' },
+  { id: 'scale', name: 'Scale' },
+  { id: 'rotation', name: 'Rotation' },
+];
+
+const UNPINNABLE_TYPES = [
+  'audio',
+  'adjustment',
+  'animation',
+  'transition',
+  'glTransition',
+];
+
+const getFrameColor = frame => {
+  if (frame.edited) return 'var(--accent-color)';
+  if (frame.confidence < LOW_CONFIDENCE) return '#ef4444';
+  if (frame.confidence < 0.8) return '#f59e0b';
+  return '#22c55e';
+};
+
+/**
+ * Motion tracking of one video element: pick a region on the frame at the
+ * playhead, track it forwards or backwards, step through the result frame
+ * by frame, drag the region where a frame lost it, and pin other elements
+ * to it.
+ */
+const MotionTrackingPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const previewRef = useRef(null);
+    const stripRef = useRef(null);
+    const dragRef = useRef(null);
+    const track = element.properties.motionTrack;
+    const [draft, setDraft] = useState(() => ({
+      ...DEFAULT_TRACK_REGION,
+      ...(track && track.region),
+    }));
+    const [mode, setMode] = useState(track?.mode || 'planar');
+    const [pinTargetId, setPinTargetId] = useState('');
+    const [link, setLink] = useState(DEFAULT_TRACK_LINK);
+
+    const running =
+      store.motionTracking?.elementId === element.id
+        ? store.motionTracking
+        : null;
+    const isBusy = Boolean(store.motionTracking);
+    const localTime = store.getKeyframeLocalTime(element);
+    const nearest = getNearestTrackFrame(track, localTime);
+    const frame =
+      nearest && Math.abs(nearest.time - localTime) <= FRAME_MS / 2
+        ? nearest
+        : null;
+    const region = frame ? getTrackRegion(track, frame) : draft;
+    const isTracked = Boolean(getTrackFrameAt(track, localTime));
+    const lowConfidenceFrames = getLowConfidenceFrames(track);
+
+    const video = document.getElementById(element.properties.elementId);
+    const aspect =
+      video?.videoWidth && video?.videoHeight
+        ? video.videoHeight / video.videoWidth
+        : 9 / 16;
+    const previewHeight = Math.min(
+      MAX_PREVIEW_HEIGHT,
+      Math.round(PREVIEW_WIDTH * aspect)
+    );
+    const previewWidth = Math.round(previewHeight / aspect);
+
+    const pinned = store.editorElements.filter(
+      item => item.properties?.motionTrackLink?.sourceId === element.id
+    );
+    const pinTargets = store.editorElements.filter(
+      item =>
+        item.id !== element.id &&
+        item.fabricObject &&
+        !UNPINNABLE_TYPES.includes(item.type) &&
+        store.currentTimeInMs >= item.timeFrame.start &&
+        store.currentTimeInMs <= item.timeFrame.end
+    );
+
+    // The frame at the playhead, redrawn once the video has seeked to it
+    useEffect(() => {
+      const canvas = previewRef.current;
+      if (!canvas || !video) return undefined;
+      const draw = () => {
+        if (video.readyState < 2) return;
+        canvas
+          .getContext('2d')
+          .drawImage(video, 0, 0, canvas.width, canvas.height);
+      };
+      draw();
+      video.addEventListener('seeked', draw);
+      return () => video.removeEventListener('seeked', draw);
+    }, [video, store.currentTimeInMs, previewWidth, previewHeight]);
+
+    // Confidence of every tracked frame, with the playhead
+    useEffect(() => {
+      const canvas = stripRef.current;
+      if (!canvas) return;
+      const ctx = canvas.getContext('2d');
+      const duration = element.timeFrame.end - element.timeFrame.start || 1;
+      const toX = time => (time / duration) * canvas.width;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      (track?.frames || []).forEach(item => {
+        ctx.fillStyle = getFrameColor(item);
+        ctx.fillRect(
+          toX(item.time),
+          0,
+          Math.max(1, toX(FRAME_MS)),
+          canvas.height
+        );
+      });
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(Math.round(toX(localTime)) - 1, 0, 2, canvas.height);
+    }, [track, localTime, element.timeFrame.start, element.timeFrame.end]);
+
+    const seekToLocal = time =>
+      store.handleSeek(
+        element.timeFrame.start +
+          Math.max(
+            0,
+            Math.min(element.timeFrame.end - element.timeFrame.start, time)
+          )
+      );
+
+    const stepFrame = direction =>
+      seekToLocal((frame ? frame.time : localTime) + direction * FRAME_MS);
+
+    const nextLowConfidence = lowConfidenceFrames.find(
+      item => item.time > localTime + FRAME_MS / 2
+    );
+
+    const startTracking = direction =>
+      store.trackMotion(
+        element.id,
+        frame ? { direction } : { region: draft, mode, direction }
+      );
+
+    const setRegion = changes => {
+      if (frame) {
+        store.applyMotionTrackFrame(element.id, frame.time, changes, {
+          preview: true,
+        });
+      } else {
+        setDraft(current => ({ ...current, ...changes }));
+      }
+    };
+
+    const toPreview = e => {
+      const bounds = e.currentTarget.ownerSVGElement
+        ? e.currentTarget.ownerSVGElement.getBoundingClientRect()
+        : e.currentTarget.getBoundingClientRect();
+      return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+    };
+
+    const startDrag = (e, type) => {
+      if (isBusy) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      dragRef.current = { type, start: toPreview(e), region };
+    };
+
+    const handleDrag = e => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      const point = toPreview(e);
+      const start = drag.region;
+      const center = {
+        x: start.x * previewWidth,
+        y: start.y * previewHeight,
+      };
+
+      if (drag.type === 'move') {
+        setRegion({
+          x: start.x + (point.x - drag.start.x) / previewWidth,
+          y: start.y + (point.y - drag.start.y) / previewHeight,
+        });
+      } else if (frame) {
+        // A tracked frame keeps the region's size and changes its scale
+        const from = Math.hypot(
+          drag.start.x - center.x,
+          drag.start.y - center.y
+        );
+        const to = Math.hypot(point.x - center.x, point.y - center.y);
+        setRegion({ scale: Math.max(0.05, (start.scale * to) / (from || 1)) });
+      } else {
+        setRegion({
+          width: Math.max(
+            MIN_REGION_SIZE,
+            (Math.abs(point.x - center.x) * 2) / previewWidth
+          ),
+          height: Math.max(
+            MIN_REGION_SIZE,
+            (Math.abs(point.y - center.y) * 2) / previewHeight
+          ),
+        });
+      }
+    };
+
+    const endDrag = () => {
+      if (dragRef.current && frame) store.saveToHistory('Correct track');
+      dragRef.current = null;
+    };
+
+    const boxWidth = region.width * region.scale * previewWidth;
+    const boxHeight = region.height * region.scale * previewHeight;
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Motion tracking</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close motion tracking"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <div
+            className={styles.preview}
+            style={{ width: previewWidth, height: previewHeight }}
+          >
+            <canvas
+              ref={previewRef}
+              width={previewWidth}
+              height={previewHeight}
+            />
+            <svg
+              width={previewWidth}
+              height={previewHeight}
+              onPointerMove={handleDrag}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+            >
+              <g
+                transform={`translate(${region.x * previewWidth} ${
+                  region.y * previewHeight
+                }) rotate(${region.rotation})`}
+              >
+                <rect
+                  className={`${styles.region} ${
+                    frame && frame.confidence < LOW_CONFIDENCE && !frame.edited
+                      ? styles.regionLost
+                      : ''
+                  }`}
+                  x={-boxWidth / 2}
+                  y={-boxHeight / 2}
+                  width={boxWidth}
+                  height={boxHeight}
+                  onPointerDown={e => startDrag(e, 'move')}
+                />
+                <path className={styles.crosshair} d="M -6 0 H 6 M 0 -6 V 6" />
+                <circle
+                  className={styles.handle}
+                  cx={boxWidth / 2}
+                  cy={boxHeight / 2}
+                  r={5}
+                  onPointerDown={e => startDrag(e, 'resize')}
+                />
+              </g>
+            </svg>
+          </div>
+
+          <p className={styles.hint}>
+            {frame
+              ? `Frame ${track.frames.indexOf(frame) + 1} of ${
+                  track.frames.length
+                } · ${Math.round(frame.confidence * 100)}% match${
+                  frame.edited ? ' · corrected' : ''
+                }`
+              : 'Drag the box over what to track, then track it.'}
+          </p>
+
+          {track && (
+            <canvas
+              ref={stripRef}
+              className={styles.strip}
+              width={PREVIEW_WIDTH}
+              height={STRIP_HEIGHT}
+              onClick={e => {
+                const bounds = e.currentTarget.getBoundingClientRect();
+                seekToLocal(
+                  ((e.clientX - bounds.left) / bounds.width) *
+                    (element.timeFrame.end - element.timeFrame.start)
+                );
+              }}
+            />
+          )}
+
+          {track && (
+            <div className={styles.options}>
+              <button
+                type="button"
+                className={styles.option}
+                onClick={() => stepFrame(-1)}
+                disabled={isBusy}
+              >
+                ‹ Frame
+              </button>
+              <button
+                type="button"
+                className={styles.option}
+                onClick={() => stepFrame(1)}
+                disabled={isBusy}
+              >
+                Frame ›
+              </button>
+              <button
+                type="button"
+                className={styles.option}
+                onClick={() => seekToLocal(nextLowConfidence.time)}
+                disabled={isBusy || !nextLowConfidence}
+                title={`${lowConfidenceFrames.length} frames to review`}
+              >
+                Next to review
+              </button>
+            </div>
+          )}
+
+          {frame && track.mode === 'planar' && (
+            <label className={styles.field}>
+              <span>Rotation</span>
+              <div className={styles.sliderRow}>
+                <input
+                  type="range"
+                  min={-180}
+                  max={180}
+                  step={0.5}
+                  value={frame.rotation}
+                  disabled={isBusy}
+                  onChange={e =>
+                    setRegion({ rotation: Number(e.target.value) })
+                  }
+                  onPointerUp={() => store.saveToHistory('Correct track')}
+                  onKeyUp={() => store.saveToHistory('Correct track')}
+                />
+                <span className={styles.sliderValue}>
+                  {Math.round(frame.rotation)}°
+                </span>
+              </div>
+            </label>
+          )}
+
+          {!frame && (
+            <div className={styles.options}>
+              {MODES.map(item => (
+                <button
+                  key={item.id}
+                  type="button"
+                  className={`${styles.option} ${
+                    mode === item.id ? styles.optionActive : ''
+                  }`}
+                  onClick={() => setMode(item.id)}
+                  title={
+                    item.id === 'point'
+                      ? 'Follows position only'
+                      : 'Follows position, scale and rotation'
+                  }
+                >
+                  {item.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {running ? (
+            <div className={styles.progress}>
+              <div className={styles.progressBar}>
+                <div style={{ width: `${running.progress}%` }} />
+              </div>
+              <span>{running.message}</span>
+              <button
+                type="button"
+                className={styles.textButton}
+                onClick={() => store.cancelMotionTracking()}
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <div className={styles.options}>
+              <button
+                type="button"
+                className={styles.option}
+                onClick={() => startTracking('backward')}
+                disabled={isBusy}
+              >
+                ◀ Track back
+              </button>
+              <button
+                type="button"
+                className={styles.option}
+                onClick={() => startTracking('forward')}
+                disabled={isBusy}
+              >
+                Track forward ▶
+              </button>
+            </div>
+          )}
+
+          {track && (
+            <>
+              <p className={styles.sectionTitle}>Pin an element</p>
+              <label className={styles.field}>
+                <span>Element</span>
+                <select
+                  className={styles.select}
+                  value={pinTargetId}
+                  onChange={e => setPinTargetId(e.target.value)}
+                >
+                  <option value="">Choose an element</option>
+                  {pinTargets.map(item => (
+                    <option key={item.id} value={item.id}>
+                      {item.name || item.type}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className={styles.options}>
+                {LINK_OPTIONS.map(option => (
+                  <label key={option.id} className={styles.toggle}>
+                    <input
+                      type="checkbox"
+                      checked={link[option.id]}
+                      onChange={e =>
+                        setLink(current => ({
+                          ...current,
+                          [option.id]: e.target.checked,
+                        }))
+                      }
+                    />
+                    <span>{option.name}</span>
+                  </label>
+                ))}
+              </div>
+              <button
+                type="button"
+                className={styles.footerButton}
+                disabled={
+                  isBusy ||
+                  !pinTargetId ||
+                  !Object.values(link).some(Boolean) ||
+                  !isTracked
+                }
+                title={
+                  isTracked ? undefined : 'Move the playhead into the track'
+                }
+                onClick={() => {
+                  store.pinToMotionTrack(pinTargetId, element.id, link);
+                  setPinTargetId('');
+                }}
+              >
+                Pin at playhead
+              </button>
+
+              {pinned.map(item => (
+                <div key={item.id} className={styles.pinnedRow}>
+                  <span>{item.name || item.type}</span>
+                  <button
+                    type="button"
+                    className={styles.textButton}
+                    onClick={() => store.unpinFromMotionTrack(item.id)}
+                  >
+                    Unpin
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        {track && (
+          <div className={styles.footer}>
+            <button
+              type="button"
+              className={styles.footerButton}
+              onClick={() => store.removeMotionTrack(element.id)}
+              disabled={isBusy}
+            >
+              Clear track
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  })
+);
+
+MotionTrackingPanel.displayName = 'MotionTrackingPanel';
+
+export default MotionTrackingPanel;
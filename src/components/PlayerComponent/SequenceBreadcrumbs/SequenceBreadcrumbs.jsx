@@ -0,0 +1,39 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import styles from './SequenceBreadcrumbs.module.scss';
+
+// Path from the main sequence to the compound clip open on the timeline;
+// a crumb closes the compound clips opened after it
+const SequenceBreadcrumbs = observer(() => {
+  const store = React.useContext(StoreContext);
+  const stack = store.sequenceStack;
+  if (!stack.length) return null;
+
+  const crumbs = [{ name: 'Main sequence' }, ...stack];
+
+  return (
+    <nav className={styles.breadcrumbs} aria-label="Open compound clips">
+      {crumbs.map((crumb, depth) => (
+        <React.Fragment key={crumb.compoundId || 'main'}>
+          {depth > 0 && <span className={styles.separator}>›</span>}
+          {depth === stack.length ? (
+            <span className={styles.current} aria-current="page">
+              {crumb.name}
+            </span>
+          ) : (
+            <button
+              type="button"
+              className={styles.crumb}
+              onClick={() => store.closeCompoundClip(depth)}
+            >
+              {crumb.name}
+            </button>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+});
+
+export default SequenceBreadcrumbs;
@@ -0,0 +1,325 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import {
+  DEFAULT_SHAPE_FILL,
+  DEFAULT_SHAPE_SHADOW,
+  DEFAULT_SHAPE_STROKE,
+  FILL_TYPES,
+  getShapeTypeName,
+  isSvgShape,
+  ROUNDED_SHAPE_TYPES,
+} from '../../../utils/shapes';
+import styles from './ShapePanel.module.scss';
+
+const Slider = ({ label, value, min, max, step = 1, format, onChange }) => {
+  const store = React.useContext(StoreContext);
+  const commitPreview = () => store.saveToHistory('Edit shape');
+
+  return (
+    <label className={styles.field}>
+      <span>{label}</span>
+      <div className={styles.sliderRow}>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          onChange={e => onChange(Number(e.target.value))}
+          onPointerUp={commitPreview}
+          onKeyUp={commitPreview}
+        />
+        <span className={styles.sliderValue}>
+          {format ? format(value) : value}
+        </span>
+      </div>
+    </label>
+  );
+};
+
+const ColorInput = ({ label, value, onChange }) => {
+  const store = React.useContext(StoreContext);
+
+  return (
+    <input
+      type="color"
+      className={styles.colorInput}
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      onBlur={() => store.saveToHistory('Edit shape')}
+      aria-label={label}
+    />
+  );
+};
+
+/**
+ * Fill, stroke, corner radius, shadow and geometry of one shape element.
+ * Imported SVGs keep their own colours until a fill or stroke is picked.
+ */
+const ShapePanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const properties = element.properties;
+    const { shapeType } = properties;
+    const isSvg = isSvgShape(element);
+    const fill = properties.fill;
+    const stroke = { ...DEFAULT_SHAPE_STROKE, ...properties.stroke };
+    const shadow = properties.shadow;
+    const hasGeometry =
+      ROUNDED_SHAPE_TYPES.includes(shapeType) ||
+      shapeType === 'polygon' ||
+      shapeType === 'star';
+    const maxCornerRadius = Math.floor(
+      Math.min(element.placement.width, element.placement.height) / 2
+    );
+
+    const update = changes => store.applyShape(element.id, changes);
+    const preview = changes =>
+      store.applyShape(element.id, changes, { preview: true });
+
+    const fillTypes = isSvg
+      ? [{ id: 'original', name: 'Original' }, ...FILL_TYPES]
+      : FILL_TYPES;
+    const fillType = fill?.type || 'original';
+    const setFillType = type =>
+      update({
+        fill:
+          type === 'original' ? null : { ...DEFAULT_SHAPE_FILL, ...fill, type },
+      });
+    const previewFill = changes => preview({ fill: { ...fill, ...changes } });
+    const previewStroke = changes =>
+      preview({ stroke: { ...stroke, ...changes } });
+    const previewShadow = changes =>
+      preview({ shadow: { ...shadow, ...changes } });
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>{getShapeTypeName(shapeType)}</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close shape settings"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.body}>
+          <p className={styles.sectionTitle}>Fill</p>
+          <div className={styles.options}>
+            {fillTypes.map(type => (
+              <button
+                key={type.id}
+                type="button"
+                className={`${styles.option} ${
+                  fillType === type.id ? styles.optionActive : ''
+                }`}
+                onClick={() => setFillType(type.id)}
+              >
+                {type.name}
+              </button>
+            ))}
+          </div>
+
+          {fillType === 'solid' && (
+            <div className={styles.field}>
+              <span>Colour</span>
+              <div className={styles.colorRow}>
+                <ColorInput
+                  label="Fill colour"
+                  value={fill.color}
+                  onChange={color => previewFill({ color })}
+                />
+                <span className={styles.colorValue}>{fill.color}</span>
+              </div>
+            </div>
+          )}
+
+          {(fillType === 'linear' || fillType === 'radial') && (
+            <>
+              <div className={styles.field}>
+                <span>Colours</span>
+                <div className={styles.colorRow}>
+                  {fill.colors.map((color, index) => (
+                    <ColorInput
+                      key={index}
+                      label={index ? 'Gradient end' : 'Gradient start'}
+                      value={color}
+                      onChange={value =>
+                        previewFill({
+                          colors: fill.colors.map((item, i) =>
+                            i === index ? value : item
+                          ),
+                        })
+                      }
+                    />
+                  ))}
+                </div>
+              </div>
+              {fillType === 'linear' && (
+                <Slider
+                  label="Angle"
+                  value={fill.angle}
+                  min={0}
+                  max={359}
+                  format={value => `${value}°`}
+                  onChange={angle => previewFill({ angle })}
+                />
+              )}
+            </>
+          )}
+
+          <p className={styles.sectionTitle}>Stroke</p>
+          <div className={styles.field}>
+            <span>Colour</span>
+            <div className={styles.colorRow}>
+              <ColorInput
+                label="Stroke colour"
+                value={stroke.color}
+                onChange={color => previewStroke({ color })}
+              />
+              <span className={styles.colorValue}>{stroke.color}</span>
+              {isSvg && properties.stroke && (
+                <button
+                  type="button"
+                  className={styles.textButton}
+                  onClick={() => update({ stroke: null })}
+                >
+                  Original
+                </button>
+              )}
+            </div>
+          </div>
+          <Slider
+            label="Width"
+            value={stroke.width}
+            min={0}
+            max={40}
+            format={value => `${value}px`}
+            onChange={width => previewStroke({ width })}
+          />
+
+          {hasGeometry && (
+            <>
+              <p className={styles.sectionTitle}>Shape</p>
+              {ROUNDED_SHAPE_TYPES.includes(shapeType) && (
+                <Slider
+                  label="Corners"
+                  value={Math.min(properties.cornerRadius, maxCornerRadius)}
+                  min={0}
+                  max={maxCornerRadius}
+                  format={value => `${value}px`}
+                  onChange={cornerRadius => preview({ cornerRadius })}
+                />
+              )}
+              {shapeType === 'polygon' && (
+                <Slider
+                  label="Sides"
+                  value={properties.sides}
+                  min={3}
+                  max={12}
+                  onChange={sides => preview({ sides })}
+                />
+              )}
+              {shapeType === 'star' && (
+                <>
+                  <Slider
+                    label="Points"
+                    value={properties.points}
+                    min={3}
+                    max={12}
+                    onChange={points => preview({ points })}
+                  />
+                  <Slider
+                    label="Inner size"
+                    value={properties.innerRadius}
+                    min={0.1}
+                    max={0.9}
+                    step={0.01}
+                    format={value => `${Math.round(value * 100)}%`}
+                    onChange={innerRadius => preview({ innerRadius })}
+                  />
+                </>
+              )}
+            </>
+          )}
+
+          <label className={styles.toggle}>
+            <input
+              type="checkbox"
+              checked={Boolean(shadow)}
+              onChange={e =>
+                update({
+                  shadow: e.target.checked ? DEFAULT_SHAPE_SHADOW : null,
+                })
+              }
+            />
+            <span>Shadow</span>
+          </label>
+
+          {shadow && (
+            <>
+              <div className={styles.field}>
+                <span>Colour</span>
+                <div className={styles.colorRow}>
+                  <ColorInput
+                    label="Shadow colour"
+                    value={shadow.color}
+                    onChange={color => previewShadow({ color })}
+                  />
+                  <span className={styles.colorValue}>{shadow.color}</span>
+                </div>
+              </div>
+              <Slider
+                label="Opacity"
+                value={shadow.opacity}
+                min={0}
+                max={1}
+                step={0.01}
+                format={value => `${Math.round(value * 100)}%`}
+                onChange={opacity => previewShadow({ opacity })}
+              />
+              <Slider
+                label="Blur"
+                value={shadow.blur}
+                min={0}
+                max={60}
+                format={value => `${value}px`}
+                onChange={blur => previewShadow({ blur })}
+              />
+              <Slider
+                label="Offset X"
+                value={shadow.offsetX}
+                min={-50}
+                max={50}
+                onChange={offsetX => previewShadow({ offsetX })}
+              />
+              <Slider
+                label="Offset Y"
+                value={shadow.offsetY}
+                min={-50}
+                max={50}
+                onChange={offsetY => previewShadow({ offsetY })}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  })
+);
+
+ShapePanel.displayName = 'ShapePanel';
+
+export default ShapePanel;
@@ -0,0 +1,125 @@
+import React, { forwardRef, useRef } from 'react';
+import { StoreContext } from '../../../mobx';
+import {
+  createShapeProperties,
+  getShapePath,
+  SHAPE_TYPES,
+} from '../../../utils/shapes';
+import { handleCatchError } from '../../../utils/errorHandler';
+import styles from './ShapePanel.module.scss';
+
+const PREVIEW_SIZE = 28;
+
+// Thumbnail of a shape type, drawn from the same path the canvas draws
+const ShapePreview = ({ type }) => {
+  const scale = PREVIEW_SIZE / Math.max(type.width, type.height);
+  const width = Math.max(3, type.width * scale);
+  const height = Math.max(3, type.height * scale);
+  const properties = {
+    ...createShapeProperties(type.id),
+    cornerRadius: (type.cornerRadius || 0) * scale,
+  };
+
+  return (
+    <svg
+      width={PREVIEW_SIZE}
+      height={PREVIEW_SIZE}
+      viewBox={`${(width - PREVIEW_SIZE) / 2} ${
+        (height - PREVIEW_SIZE) / 2
+      } ${PREVIEW_SIZE} ${PREVIEW_SIZE}`}
+    >
+      <path d={getShapePath(properties, width, height)} fill="currentColor" />
+    </svg>
+  );
+};
+
+/**
+ * Adds a shape at the playhead: one of the built-in shapes, or any SVG file.
+ */
+const ShapePicker = forwardRef(({ onClose }, ref) => {
+  const store = React.useContext(StoreContext);
+  const fileInputRef = useRef(null);
+
+  const handleAddShape = shapeType => {
+    store.addShape(shapeType);
+    onClose?.();
+  };
+
+  const handleImportSvg = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const svg = await file.text();
+      await store.importSvgShape(svg, {
+        name: file.name.replace(/\.svg$/i, ''),
+      });
+      onClose?.();
+    } catch (error) {
+      handleCatchError(error, 'Failed to import SVG');
+    }
+  };
+
+  return (
+    <div
+      className={styles.panel}
+      ref={ref}
+      onMouseDown={e => e.stopPropagation()}
+      onKeyDown={e => {
+        e.stopPropagation();
+        if (e.key === 'Escape') onClose?.();
+      }}
+    >
+      <div className={styles.header}>
+        <p className={styles.title}>Add shape</p>
+        <button
+          type="button"
+          className={styles.closeButton}
+          onClick={onClose}
+          aria-label="Close add shape"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className={styles.body}>
+        <div className={styles.shapeGrid}>
+          {SHAPE_TYPES.map(type => (
+            <button
+              key={type.id}
+              type="button"
+              className={styles.shapeButton}
+              onClick={() => handleAddShape(type.id)}
+              title={type.name}
+            >
+              <ShapePreview type={type} />
+              <span>{type.name}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={styles.footer}>
+        <button
+          type="button"
+          className={styles.footerButton}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import SVG…
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".svg,image/svg+xml"
+          hidden
+          onChange={handleImportSvg}
+        />
+      </div>
+    </div>
+  );
+});
+
+ShapePicker.displayName = 'ShapePicker';
+
+export default ShapePicker;
@@ -0,0 +1,215 @@
+import React, { forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { voices } from '../../../data/voices';
+import { showGlobalError } from '../../../utils/errorHandler';
+import {
+  NARRATOR_SPEAKER_ID,
+  SPEAKER_COLORS,
+  SPEAKER_POSITIONS,
+  getCharacterId,
+} from '../../../utils/speakers';
+import styles from './SpeakersPanel.module.scss';
+
+// The voice library lists some voices more than once
+const voiceOptions = voices.filter(
+  (voice, index) =>
+    voices.findIndex(item => item.voice_id === voice.voice_id) === index
+);
+
+const describeVoice = voice =>
+  [voice.labels?.gender, voice.labels?.age?.replace('_', ' ')]
+    .filter(Boolean)
+    .join(', ');
+
+const SpeakerRow = observer(({ speaker, characters }) => {
+  const store = React.useContext(StoreContext);
+  const isNarrator = speaker.id === NARRATOR_SPEAKER_ID;
+  const color = speaker.style?.color || null;
+
+  const handleCharacterChange = characterId => {
+    const character = characters.find(
+      item => getCharacterId(item) === characterId
+    );
+    store.updateSpeaker(speaker.id, {
+      characterId: character ? characterId : null,
+      label: character?.name || speaker.label,
+    });
+  };
+
+  const handleVoiceChange = voiceId => {
+    const voice = voiceOptions.find(item => item.voice_id === voiceId);
+    store.updateSpeaker(speaker.id, {
+      voiceId: voice?.voice_id || null,
+      voiceName: voice?.name || '',
+    });
+  };
+
+  return (
+    <div className={styles.speakerRow}>
+      <div className={styles.speakerHeader}>
+        <span
+          className={styles.speakerSwatch}
+          style={{ background: color || '#ffffff' }}
+        />
+        <span className={styles.speakerLabel}>{speaker.label}</span>
+      </div>
+
+      {!isNarrator && (
+        <label className={styles.field}>
+          <span>Character</span>
+          <select
+            value={speaker.characterId || ''}
+            onChange={e => handleCharacterChange(e.target.value)}
+          >
+            <option value="">None</option>
+            {characters.map(character => (
+              <option
+                key={getCharacterId(character)}
+                value={getCharacterId(character)}
+              >
+                {character.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label className={styles.field}>
+        <span>Voice</span>
+        <select
+          value={speaker.voiceId || ''}
+          onChange={e => handleVoiceChange(e.target.value)}
+        >
+          <option value="">Default</option>
+          {voiceOptions.map(voice => (
+            <option key={voice.voice_id} value={voice.voice_id}>
+              {voice.name}
+              {describeVoice(voice) ? ` (${describeVoice(voice)})` : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className={styles.field}>
+        <span>Position</span>
+        <select
+          value={speaker.position || ''}
+          onChange={e =>
+            store.updateSpeaker(speaker.id, {
+              position: e.target.value || null,
+            })
+          }
+        >
+          <option value="">As placed</option>
+          {Object.entries(SPEAKER_POSITIONS).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className={styles.colors}>
+        {!isNarrator &&
+          SPEAKER_COLORS.map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`${styles.colorButton} ${
+                color === option ? styles.colorButtonActive : ''
+              }`}
+              style={{ background: option }}
+              onClick={() =>
+                store.updateSpeaker(speaker.id, {
+                  style: { ...speaker.style, color: option },
+                })
+              }
+              aria-label={`Subtitle colour ${option}`}
+            />
+          ))}
+      </div>
+    </div>
+  );
+});
+
+/**
+ * Speakers of the story with the character, voice, subtitle colour and
+ * position used for each. The narrator keeps the project's subtitle style.
+ * `voiceover` is the timeline's useVoiceoverGeneration, which voices the
+ * story line by line in these voices.
+ */
+const SpeakersPanel = observer(
+  forwardRef(({ voiceover, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const { characters } = store.speakerContext;
+
+    const handleGenerateVoices = () => {
+      if (!voiceover.triggerVoiceoverGeneration()) {
+        showGlobalError(
+          'Voices could not be generated',
+          'Check your connection and try again'
+        );
+      }
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Speakers</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close speakers"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.speakerList}>
+          {store.speakers.map(speaker => (
+            <SpeakerRow
+              key={speaker.id}
+              speaker={speaker}
+              characters={characters}
+            />
+          ))}
+          {store.speakers.length <= 1 && (
+            <p className={styles.hint}>
+              Dialogue such as “Man says: …” in the story gives each character a
+              speaker of their own.
+            </p>
+          )}
+        </div>
+
+        {voiceover && (
+          <div className={styles.footer}>
+            <button
+              type="button"
+              className={styles.generateButton}
+              onClick={handleGenerateVoices}
+              disabled={voiceover.isVoiceoverGenerating}
+            >
+              {voiceover.isVoiceoverGenerating
+                ? `Generating voices… ${voiceover.voiceoverProgressPercentage}%`
+                : 'Generate voices'}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  })
+);
+
+SpeakersPanel.displayName = 'SpeakersPanel';
+
+export default SpeakersPanel;
@@ -0,0 +1,157 @@
+import React, { forwardRef, useEffect, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { formatTimeToMinSecMili } from '../../../utils';
+import {
+  CLIP_SPEED_PRESETS,
+  MAX_CLIP_SPEED,
+  MIN_CLIP_SPEED,
+  SPEED_RAMP_PRESETS,
+  getClipSpeed,
+  getSourceElapsed,
+  getSpeedRamp,
+  hasSpeedChange,
+} from '../../../utils/clipSpeed';
+import SpeedRampEditor from './SpeedRampEditor';
+import styles from './SpeedPanel.module.scss';
+
+/**
+ * Speed of one video or audio clip: a constant speed, or a ramp drawn as a
+ * curve across the clip. The clip keeps the part of its source it plays,
+ * so it grows or shrinks on the timeline.
+ */
+const SpeedPanel = observer(
+  forwardRef(({ element, onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const speed = getClipSpeed(element);
+    const ramp = getSpeedRamp(element);
+    const duration = element.timeFrame.end - element.timeFrame.start;
+    const locked = store.isRowLocked(element.row);
+
+    // The slider retimes the clip once it is released, not on every step
+    const [sliderSpeed, setSliderSpeed] = useState(speed);
+    useEffect(() => setSliderSpeed(speed), [speed]);
+
+    const commitSlider = () => {
+      if (sliderSpeed !== speed || ramp) {
+        store.setClipSpeed(element.id, sliderSpeed);
+      }
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>Speed</p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close speed"
+          >
+            ×
+          </button>
+        </div>
+
+        <fieldset className={styles.body} disabled={locked}>
+          <div className={styles.presets}>
+            {CLIP_SPEED_PRESETS.map(preset => (
+              <button
+                key={preset}
+                type="button"
+                className={`${styles.preset} ${
+                  !ramp && speed === preset ? styles.presetActive : ''
+                }`}
+                onClick={() => store.setClipSpeed(element.id, preset)}
+              >
+                {preset}x
+              </button>
+            ))}
+          </div>
+
+          <label className={styles.field}>
+            <span>Speed</span>
+            <div className={styles.sliderRow}>
+              <input
+                type="range"
+                min={MIN_CLIP_SPEED}
+                max={MAX_CLIP_SPEED}
+                step={0.05}
+                value={sliderSpeed}
+                onChange={e => setSliderSpeed(Number(e.target.value))}
+                onPointerUp={commitSlider}
+                onKeyUp={commitSlider}
+              />
+              <span className={styles.sliderValue}>
+                {Number(sliderSpeed.toFixed(2))}x
+              </span>
+            </div>
+          </label>
+
+          <div className={styles.section}>
+            <span className={styles.sectionTitle}>Ramp</span>
+            <div className={styles.rampPresets}>
+              {SPEED_RAMP_PRESETS.map(preset => (
+                <button
+                  key={preset.id}
+                  type="button"
+                  className={styles.preset}
+                  onClick={() => store.setSpeedRamp(element.id, preset.points)}
+                >
+                  {preset.name}
+                </button>
+              ))}
+            </div>
+            {ramp ? (
+              <SpeedRampEditor
+                points={ramp}
+                onChange={points => store.setSpeedRamp(element.id, points)}
+              />
+            ) : (
+              <p className={styles.hint}>
+                Pick a ramp to draw the speed across the clip.
+              </p>
+            )}
+          </div>
+
+          <p className={styles.summary}>
+            Plays {formatTimeToMinSecMili(getSourceElapsed(element, duration))}{' '}
+            of source in {formatTimeToMinSecMili(duration)}
+          </p>
+        </fieldset>
+
+        <div className={styles.footer}>
+          {ramp && (
+            <button
+              type="button"
+              className={styles.footerButton}
+              disabled={locked}
+              onClick={() => store.setSpeedRamp(element.id, null)}
+            >
+              Remove ramp
+            </button>
+          )}
+          <button
+            type="button"
+            className={styles.footerButton}
+            disabled={locked || !hasSpeedChange(element)}
+            onClick={() => store.setClipSpeed(element.id, 1)}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    );
+  })
+);
+
+SpeedPanel.displayName = 'SpeedPanel';
+
+export default SpeedPanel;
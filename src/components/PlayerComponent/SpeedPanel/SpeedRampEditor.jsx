@@ -0,0 +1,192 @@
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  MAX_CLIP_SPEED,
+  MIN_CLIP_SPEED,
+  getRampSpeed,
+} from '../../../utils/clipSpeed';
+import styles from './SpeedPanel.module.scss';
+
+// Samples of the drawn curve, which bends on the log speed scale
+const CURVE_SAMPLES = 64;
+// Speeds marked across the editor
+const GRID_SPEEDS = [0.5, 1, 2];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Speeds are drawn on a log scale so 0.5x and 2x sit evenly around 1x
+const MIN_LOG = Math.log2(MIN_CLIP_SPEED);
+const MAX_LOG = Math.log2(MAX_CLIP_SPEED);
+const toY = speed =>
+  (1 - (Math.log2(speed) - MIN_LOG) / (MAX_LOG - MIN_LOG)) * 100;
+const fromY = y => 2 ** (MAX_LOG - y * (MAX_LOG - MIN_LOG));
+
+/**
+ * Speed ramp drawn as a curve across a clip. Points can be dragged, added
+ * by double-clicking the line and removed by double-clicking them; the
+ * first and last stay on the clip's edges. Changes are reported once the
+ * drag ends.
+ */
+const SpeedRampEditor = ({ points, onChange }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (dragRef.current) {
+        window.removeEventListener('mousemove', dragRef.current.onMove);
+        window.removeEventListener('mouseup', dragRef.current.onUp);
+      }
+    };
+  }, []);
+
+  const shownPoints = preview || points;
+
+  const getPointerValue = event => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      position: clamp((event.clientX - rect.left) / rect.width, 0, 1),
+      speed: clamp(
+        fromY((event.clientY - rect.top) / rect.height),
+        MIN_CLIP_SPEED,
+        MAX_CLIP_SPEED
+      ),
+    };
+  };
+
+  const handlePointMouseDown = (event, index) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const getPoints = ({ position, speed }) => {
+      // Points keep their order, and the end points their edges
+      const min = index > 0 ? points[index - 1].position : 0;
+      const max = index < points.length - 1 ? points[index + 1].position : 1;
+      const isEdge = index === 0 || index === points.length - 1;
+      return points.map((point, i) =>
+        i === index
+          ? {
+              position: isEdge ? point.position : clamp(position, min, max),
+              speed,
+            }
+          : point
+      );
+    };
+
+    const onMove = moveEvent => {
+      dragRef.current.moved = true;
+      setPreview(getPoints(getPointerValue(moveEvent)));
+    };
+
+    const onUp = upEvent => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      const { moved } = dragRef.current;
+      dragRef.current = null;
+      setPreview(null);
+      if (moved) onChange(getPoints(getPointerValue(upEvent)));
+    };
+
+    dragRef.current = { onMove, onUp, moved: false };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const handlePointDoubleClick = (event, index) => {
+    event.stopPropagation();
+    if (index === 0 || index === points.length - 1) return;
+    onChange(points.filter((_, i) => i !== index));
+  };
+
+  const handleLineDoubleClick = event => {
+    event.stopPropagation();
+    const { position, speed } = getPointerValue(event);
+    onChange(
+      [...points, { position, speed }].sort((a, b) => a.position - b.position)
+    );
+  };
+
+  const polyline = [
+    ...Array.from({ length: CURVE_SAMPLES + 1 }, (_, i) => i / CURVE_SAMPLES),
+    ...shownPoints.map(point => point.position),
+  ]
+    .sort((a, b) => a - b)
+    .map(
+      position =>
+        `${position * 100},${toY(getRampSpeed(shownPoints, position))}`
+    )
+    .join(' ');
+
+  return (
+    <div className={styles.rampEditor} ref={containerRef}>
+      <svg
+        className={styles.rampCurve}
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+      >
+        {GRID_SPEEDS.map(speed => (
+          <line
+            key={speed}
+            x1="0"
+            x2="100"
+            y1={toY(speed)}
+            y2={toY(speed)}
+            className={speed === 1 ? styles.rampBaseline : styles.rampGrid}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        <polyline
+          points={polyline}
+          className={styles.rampLine}
+          vectorEffect="non-scaling-stroke"
+        />
+        <polyline
+          points={polyline}
+          className={styles.rampHitArea}
+          vectorEffect="non-scaling-stroke"
+          onDoubleClick={handleLineDoubleClick}
+        >
+          <title>Double-click to add a speed point</title>
+        </polyline>
+      </svg>
+
+      {GRID_SPEEDS.map(speed => (
+        <span
+          key={speed}
+          className={styles.rampLabel}
+          style={{ top: `${toY(speed)}%` }}
+        >
+          {speed}x
+        </span>
+      ))}
+
+      {shownPoints.map((point, index) => (
+        <div
+          key={index}
+          className={styles.rampPoint}
+          title={`${Number(point.speed.toFixed(2))}x`}
+          style={{
+            left: `${point.position * 100}%`,
+            top: `${toY(point.speed)}%`,
+          }}
+          onMouseDown={event => handlePointMouseDown(event, index)}
+          onDoubleClick={event => handlePointDoubleClick(event, index)}
+        />
+      ))}
+    </div>
+  );
+};
+
+SpeedRampEditor.propTypes = {
+  points: PropTypes.arrayOf(
+    PropTypes.shape({
+      position: PropTypes.number.isRequired,
+      speed: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default SpeedRampEditor;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useRef, forwardRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { formatTimestamp } from '../../../utils/subtitles';
+import { handleCatchError } from '../../../utils/errorHandler';
+import styles from './SubtitleReviewPanel.module.scss';
+
+const toSeconds = ms => (ms / 1000).toFixed(2);
+
+const ReviewWordRow = observer(({ item, isActive }) => {
+  const store = React.useContext(StoreContext);
+  const rowRef = useRef(null);
+  const [word, setWord] = useState(item.word);
+  const [start, setStart] = useState(toSeconds(item.start));
+  const [end, setEnd] = useState(toSeconds(item.end));
+
+  useEffect(() => {
+    if (isActive) {
+      rowRef.current?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isActive]);
+
+  const commit = changes => {
+    try {
+      store.updateSubtitleWord(item.elementId, item.index, changes);
+    } catch (error) {
+      handleCatchError(error, 'Failed to correct the subtitle word');
+      setWord(item.word);
+    }
+  };
+
+  const commitWord = () => {
+    if (word.trim() !== item.word) {
+      commit({ word });
+    }
+  };
+
+  const commitTiming = () => {
+    const nextStart = Math.round(parseFloat(start) * 1000);
+    const nextEnd = Math.round(parseFloat(end) * 1000);
+    if (Number.isNaN(nextStart) || Number.isNaN(nextEnd)) {
+      setStart(toSeconds(item.start));
+      setEnd(toSeconds(item.end));
+      return;
+    }
+    if (
+      nextStart !== Math.round(item.start) ||
+      nextEnd !== Math.round(item.end)
+    ) {
+      commit({ start: nextStart, end: nextEnd });
+    }
+  };
+
+  const handleKeyDown = (e, onCommit) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      onCommit();
+    }
+  };
+
+  return (
+    <div
+      ref={rowRef}
+      className={`${styles.wordRow} ${isActive ? styles.activeRow : ''} ${
+        item.reviewed ? styles.reviewedRow : ''
+      }`}
+      onClick={() => store.focusSubtitleWord(item)}
+    >
+      <span className={styles.wordTime}>
+        {formatTimestamp(item.start, {
+          separator: '.',
+          hourDigits: 1,
+          fractionDigits: 2,
+        })}
+      </span>
+      <input
+        className={styles.wordInput}
+        value={word}
+        onChange={e => setWord(e.target.value)}
+        onBlur={commitWord}
+        onKeyDown={e => handleKeyDown(e, commitWord)}
+        onFocus={() => store.focusSubtitleWord(item)}
+      />
+      <span
+        className={styles.wordScore}
+        title="Recognition confidence"
+      >{`${Math.round(item.score * 100)}%`}</span>
+      <input
+        className={styles.timeInput}
+        type="number"
+        step="0.01"
+        min="0"
+        value={start}
+        title="Word start (s)"
+        onChange={e => setStart(e.target.value)}
+        onBlur={commitTiming}
+        onKeyDown={e => handleKeyDown(e, commitTiming)}
+      />
+      <input
+        className={styles.timeInput}
+        type="number"
+        step="0.01"
+        min="0"
+        value={end}
+        title="Word end (s)"
+        onChange={e => setEnd(e.target.value)}
+        onBlur={commitTiming}
+        onKeyDown={e => handleKeyDown(e, commitTiming)}
+      />
+      <button
+        type="button"
+        className={styles.acceptButton}
+        title={item.reviewed ? 'Reviewed' : 'Mark as correct'}
+        disabled={item.reviewed}
+        onClick={e => {
+          e.stopPropagation();
+          store.acceptSubtitleWord(item.elementId, item.index);
+        }}
+      >
+        ✓
+      </button>
+    </div>
+  );
+});
+
+/**
+ * Proofreading list of the subtitle words transcribed with low confidence.
+ * Click a word to move the playhead to it; correct its spelling or timing in
+ * place, or accept it as it is. Respelled and accepted words leave the list
+ * unless reviewed words are shown.
+ */
+const SubtitleReviewPanel = observer(
+  forwardRef(({ onClose }, ref) => {
+    const store = React.useContext(StoreContext);
+    const { threshold, activeKey, showReviewed } = store.subtitleReview;
+    const items = store.lowConfidenceWords;
+    const unreviewedCount = items.filter(item => !item.reviewed).length;
+    const hasScores = store.editorElements.some(
+      element =>
+        element.subType === 'subtitles' &&
+        element.properties?.words?.some(word => typeof word.score === 'number')
+    );
+
+    // Highlights on the subtitle row are shown while the panel is open
+    useEffect(() => {
+      store.setSubtitleReview({ isActive: true });
+      return () =>
+        store.setSubtitleReview({ isActive: false, activeKey: null });
+    }, [store]);
+
+    const stepTo = direction => {
+      if (!items.length) return;
+      const currentIndex = items.findIndex(item => item.key === activeKey);
+      const nextIndex =
+        currentIndex === -1
+          ? 0
+          : (currentIndex + direction + items.length) % items.length;
+      store.focusSubtitleWord(items[nextIndex]);
+    };
+
+    return (
+      <div
+        className={styles.panel}
+        ref={ref}
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={e => {
+          if (e.key === 'Escape') onClose?.();
+        }}
+      >
+        <div className={styles.header}>
+          <p className={styles.title}>
+            Review subtitles
+            {unreviewedCount > 0 && (
+              <span className={styles.count}>{unreviewedCount}</span>
+            )}
+          </p>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close review"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.controls}>
+          <label className={styles.thresholdLabel}>
+            Confidence below
+            <input
+              className={styles.thresholdInput}
+              type="number"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(threshold * 100)}
+              onChange={e =>
+                store.setSubtitleReview({
+                  threshold:
+                    Math.max(
+                      0,
+                      Math.min(100, parseFloat(e.target.value) || 0)
+                    ) / 100,
+                })
+              }
+              onKeyDown={e => e.stopPropagation()}
+            />
+            %
+          </label>
+          <label className={styles.thresholdLabel}>
+            <input
+              type="checkbox"
+              checked={showReviewed}
+              onChange={e =>
+                store.setSubtitleReview({ showReviewed: e.target.checked })
+              }
+            />
+            Show reviewed
+          </label>
+          <div className={styles.stepButtons}>
+            <button
+              type="button"
+              onClick={() => stepTo(-1)}
+              disabled={!items.length}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => stepTo(1)}
+              disabled={!items.length}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+
+        <div className={styles.wordList}>
+          {items.length > 0 && (
+            <div className={styles.listHeader}>
+              <span>Time</span>
+              <span>Word</span>
+              <span>Score</span>
+              <span>Start</span>
+              <span>End</span>
+              <span />
+            </div>
+          )}
+          {items.map(item => (
+            <ReviewWordRow
+              key={`${item.key}:${item.start}:${item.end}`}
+              item={item}
+              isActive={item.key === activeKey}
+            />
+          ))}
+          {!items.length && (
+            <p className={styles.emptyState}>
+              {hasScores
+                ? 'No words left below the confidence threshold'
+                : 'These subtitles have no confidence scores to review'}
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  })
+);
+
+SubtitleReviewPanel.displayName = 'SubtitleReviewPanel';
+
+export default SubtitleReviewPanel;
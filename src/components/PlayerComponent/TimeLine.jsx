@@ -14,11 +14,35 @@ import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
 import { useDispatch } from 'react-redux';
 import { resetActiveScene } from '../../redux/scene/sceneSlice';
 import TimeLineControlPanel from './TimeLineControlPanel/TimeLineControlPanel';
+import AudioDuckingMenu from './AudioDuckingMenu/AudioDuckingMenu';
+import SubtitleReviewPanel from './SubtitleReviewPanel/SubtitleReviewPanel';
+import SpeakersPanel from './SpeakersPanel/SpeakersPanel';
+import ColorGradePanel from './ColorGradePanel/ColorGradePanel';
+import ShapePicker from './ShapePanel/ShapePicker';
+import SequenceBreadcrumbs from './SequenceBreadcrumbs/SequenceBreadcrumbs';
+import PopupPortal from './PopupPortal/PopupPortal';
 import { useCheckboxStates } from 'hooks/timeline/useCheckboxStates';
 import { useKeyboardShortcuts } from 'hooks/useKeyboardShortcuts';
+import { useVoiceoverGeneration } from 'hooks/useVoiceoverGeneration';
 import Lottie from 'lottie-react';
 import { createPortal } from 'react-dom';
 import videfyAnime from '../../data/videfyAnime.json';
+import { SUBTITLE_FILE_ACCEPT } from '../../utils/subtitles';
+import {
+  PROJECT_PACKAGE_ACCEPT,
+  PROJECT_PACKAGE_EXTENSION,
+  createProjectPackage,
+  readProjectPackage,
+  restoreProjectPackage,
+} from '../../utils/projectPackage';
+import { buildEditorParams } from '../../redux/timeline/editorParams';
+import { store as reduxStore } from '../../redux/store';
+import { uploadFile, getFileType } from '../../services/fileUploadService';
+import {
+  handleCatchError,
+  showGlobalDone,
+  showGlobalInfo,
+} from '../../utils/errorHandler';
 
 const formatTime = ms => {
   const time = Math.max(0, Math.floor(ms));
@@ -628,6 +652,12 @@ export const TimeLine = observer(
     const [animationsPanelRow, setAnimationsPanelRow] = useState(0);
     const [isMoreMenuVisible, setIsMoreMenuVisible] = useState(false);
     const [isSpeedControlVisible, setIsSpeedControlVisible] = useState(false);
+    const [duckingMenuCoords, setDuckingMenuCoords] = useState(null);
+    const duckingMenuRef = useRef(null);
+    const [reviewPanelCoords, setReviewPanelCoords] = useState(null);
+    const [speakersPanelCoords, setSpeakersPanelCoords] = useState(null);
+    const [colorGradePanelCoords, setColorGradePanelCoords] = useState(null);
+    const [shapePickerCoords, setShapePickerCoords] = useState(null);
 
     // State to preserve animation selection during preview
     const [preservedAnimationSelection, setPreservedAnimationSelection] =
@@ -653,6 +683,7 @@ export const TimeLine = observer(
       { id: 7, name: 'Remove silence' },
       { id: 8, name: 'Compact audio' },
       { id: 9, name: 'Zoom' },
+      { id: 10, name: 'Trim modes' },
     ];
 
     // More menu options
@@ -661,6 +692,20 @@ export const TimeLine = observer(
       { id: 2, name: 'Regenerate audio', icon: 'RegenerateIcon' },
       { id: 3, name: 'Regenerate subtitles', icon: 'RegenerateIcon' },
       { id: 4, name: 'Visual effects', icon: 'ThreeCirclesIcon' },
+      { id: 5, name: 'Import subtitles', icon: 'UploadFileIcon' },
+      { id: 6, name: 'Export SRT', icon: 'DownloadIcon', format: 'srt' },
+      { id: 7, name: 'Export WebVTT', icon: 'DownloadIcon', format: 'vtt' },
+      { id: 8, name: 'Export ASS', icon: 'DownloadIcon', format: 'ass' },
+      { id: 9, name: 'Audio ducking', icon: 'AudioSettingsIcon' },
+      { id: 10, name: 'Export project', icon: 'DownloadIcon' },
+      { id: 11, name: 'Import project', icon: 'UploadFileIcon' },
+      { id: 12, name: 'Add marker (M)', icon: 'PlusIcon' },
+      { id: 13, name: 'Export YouTube chapters', icon: 'DownloadIcon' },
+      { id: 14, name: 'Review subtitles', icon: 'EditSubtitlesIcon' },
+      { id: 15, name: 'Speakers & voices', icon: 'AudioSettingsIcon' },
+      { id: 16, name: 'Colour grade', icon: 'PaletteIcon' },
+      { id: 17, name: 'Add adjustment layer', icon: 'FilterIcon' },
+      { id: 18, name: 'Add shape', icon: 'PlusIcon' },
     ];
 
     // Speed control options
@@ -694,6 +739,13 @@ export const TimeLine = observer(
 
     const store = React.useContext(StoreContext);
 
+    // Clips voiced per speaker arrive while the story is voiced, whether or
+    // not the speakers panel is open
+    const speakerVoiceover = useVoiceoverGeneration({
+      storyId: store.storyId,
+      store,
+    });
+
     // Effect to sync preserved selection with store selection, but prevent clearing during preview
     useEffect(() => {
       // Only update preserved selection if we're not currently playing animation preview
@@ -1214,12 +1266,227 @@ export const TimeLine = observer(
         case 3: // Compact Audio
           store.compactAudioElements();
 
+          break;
+        case 5: // Import subtitles
+          handleImportSubtitles();
+          break;
+        case 6: // Export SRT
+        case 7: // Export WebVTT
+        case 8: // Export ASS
+          try {
+            store.exportSubtitles(option.format);
+          } catch (error) {
+            handleCatchError(error, 'Failed to export subtitles');
+          }
+          break;
+        case 9: // Audio ducking
+          openDuckingMenu();
+          break;
+        case 10: // Export project
+          handleExportProject();
+          break;
+        case 11: // Import project
+          handleImportProject();
+          break;
+        case 12: // Add marker
+          store.addMarkerAtPlayhead();
+          break;
+        case 13: // Export YouTube chapters
+          handleExportChapters();
+          break;
+        case 14: // Review subtitles
+          openReviewPanel();
+          break;
+        case 15: // Speakers & voices
+          openSpeakersPanel();
+          break;
+        case 16: // Colour grade of the whole composition
+          openColorGradePanel();
+          break;
+        case 17: // Adjustment layer over the rows at the playhead
+          store.addAdjustmentLayer();
+          break;
+        case 18: // Shape or SVG at the playhead
+          openShapePicker();
           break;
         default:
           break;
       }
     };
 
+    const handleExportChapters = () => {
+      try {
+        const { count, warnings } = store.exportYouTubeChapters();
+        if (warnings.length) {
+          showGlobalInfo(`Exported ${count} chapters`, warnings.join('. '));
+        } else {
+          showGlobalDone(`Exported ${count} chapters`);
+        }
+      } catch (error) {
+        handleCatchError(error, 'Failed to export chapters');
+      }
+    };
+
+    const handleImportSubtitles = () => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = SUBTITLE_FILE_ACCEPT;
+      fileInput.style.display = 'none';
+
+      fileInput.onchange = async e => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+          const count = await store.importSubtitles(file);
+          showGlobalDone(`Imported ${count} subtitles`);
+        } catch (error) {
+          handleCatchError(error, 'Failed to import subtitles');
+        }
+      };
+
+      document.body.appendChild(fileInput);
+      fileInput.click();
+      document.body.removeChild(fileInput);
+    };
+
+    const handleExportProject = async () => {
+      try {
+        const { timeline, stories } = reduxStore.getState();
+        const editorParams = buildEditorParams(timeline, {
+          orientation: stories.currentStory?.orientation,
+        });
+        const { blob, skipped } = await createProjectPackage(editorParams);
+        store.downloadBlob(
+          blob,
+          `${stories.currentStory?.name || 'project'}.${PROJECT_PACKAGE_EXTENSION}`
+        );
+        showGlobalDone(
+          skipped.length
+            ? `Project exported; ${skipped.length} media files could not be bundled and stay linked`
+            : 'Project exported'
+        );
+      } catch (error) {
+        handleCatchError(error, 'Failed to export project');
+      }
+    };
+
+    // Bundled media is uploaded again so the project works in this account
+    // Media of a type the upload service doesn't take is left out of the
+    // import instead of failing it
+    const uploadPackageMedia = async (file, skipped) => {
+      const type = getFileType(file.type);
+      if (type === 'unknown') {
+        console.warn(`Project import: skipping ${file.name} of unknown type`);
+        skipped.push(file.name);
+        return null;
+      }
+      const result = await uploadFile(file, { type });
+      return result.url;
+    };
+
+    const handleImportProject = () => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = PROJECT_PACKAGE_ACCEPT;
+      fileInput.style.display = 'none';
+
+      fileInput.onchange = async e => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        const skipped = [];
+        try {
+          const editorParams = await readProjectPackage(file, {
+            uploadMedia: media => uploadPackageMedia(media, skipped),
+          });
+          await restoreProjectPackage(editorParams, store, dispatch);
+          if (skipped.length) {
+            showGlobalInfo(
+              'Project imported',
+              `${skipped.length} media file(s) of unknown type were left out`
+            );
+          } else {
+            showGlobalDone('Project imported');
+          }
+        } catch (error) {
+          handleCatchError(error, 'Failed to import project');
+        }
+      };
+
+      document.body.appendChild(fileInput);
+      fileInput.click();
+      document.body.removeChild(fileInput);
+    };
+
+    const openDuckingMenu = () => {
+      const rect = timelineControlsRef.current?.getBoundingClientRect();
+      const estimatedMenuWidth = 280;
+      const estimatedMenuHeight = 380;
+
+      setDuckingMenuCoords({
+        x: Math.max(
+          8,
+          Math.min(
+            (rect?.right ?? window.innerWidth) - estimatedMenuWidth,
+            window.innerWidth - estimatedMenuWidth - 8
+          )
+        ),
+        y: Math.max(8, (rect?.top ?? window.innerHeight) - estimatedMenuHeight),
+      });
+    };
+
+    // Above the timeline controls, kept inside the window
+    const getPanelCoords = (panelWidth, panelHeight) => {
+      const rect = timelineControlsRef.current?.getBoundingClientRect();
+
+      return {
+        x: Math.max(
+          8,
+          Math.min(
+            (rect?.right ?? window.innerWidth) - panelWidth,
+            window.innerWidth - panelWidth - 8
+          )
+        ),
+        y: Math.max(8, (rect?.top ?? window.innerHeight) - panelHeight),
+      };
+    };
+
+    // The review, speakers and colour grade panels stay open while the
+    // timeline is used, until closed
+    const openReviewPanel = () => {
+      setReviewPanelCoords(getPanelCoords(420, 460));
+    };
+
+    const openSpeakersPanel = () => {
+      setSpeakersPanelCoords(getPanelCoords(340, 480));
+    };
+
+    const openColorGradePanel = () => {
+      setColorGradePanelCoords(getPanelCoords(320, 480));
+    };
+
+    const openShapePicker = () => {
+      setShapePickerCoords(getPanelCoords(320, 320));
+    };
+
+    // Close the ducking menu on outside clicks
+    useEffect(() => {
+      if (!duckingMenuCoords) return;
+
+      const handleClickOutside = event => {
+        if (
+          duckingMenuRef.current &&
+          !duckingMenuRef.current.contains(event.target)
+        ) {
+          setDuckingMenuCoords(null);
+        }
+      };
+
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => {
+        document.removeEventListener('mousedown', handleClickOutside);
+      };
+    }, [duckingMenuCoords]);
+
     const handleSpeedChange = option => {
       setIsSpeedControlVisible(false);
       store.setPlaybackRate(option.value);
@@ -1260,6 +1527,9 @@ export const TimeLine = observer(
             // Cut controls
             isCutMode={isCutMode}
             onCutToggle={handleCutClick}
+            // Trim mode controls
+            trimMode={store.trimMode}
+            onTrimModeChange={mode => store.setTrimMode(mode)}
             onCompactAudio={() => {
               store.compactAudioElements();
             }}
@@ -1423,6 +1693,7 @@ export const TimeLine = observer(
           )}
 
         {renderTimelineControls()}
+        <SequenceBreadcrumbs />
         <div className={styles.timelineContent} ref={timelineContentRef}>
           <div className={styles.scaleRangeWrap}>
             <ButtonWithIcon
@@ -1494,6 +1765,45 @@ export const TimeLine = observer(
           setCurrentScale={applyAnchoredZoom}
           timelineContentRef={timelineContentRef}
         />
+
+        {duckingMenuCoords && (
+          <PopupPortal x={duckingMenuCoords.x} y={duckingMenuCoords.y}>
+            <AudioDuckingMenu
+              ref={duckingMenuRef}
+              onClose={() => setDuckingMenuCoords(null)}
+            />
+          </PopupPortal>
+        )}
+
+        {reviewPanelCoords && (
+          <PopupPortal x={reviewPanelCoords.x} y={reviewPanelCoords.y}>
+            <SubtitleReviewPanel onClose={() => setReviewPanelCoords(null)} />
+          </PopupPortal>
+        )}
+
+        {speakersPanelCoords && (
+          <PopupPortal x={speakersPanelCoords.x} y={speakersPanelCoords.y}>
+            <SpeakersPanel
+              voiceover={speakerVoiceover}
+              onClose={() => setSpeakersPanelCoords(null)}
+            />
+          </PopupPortal>
+        )}
+
+        {colorGradePanelCoords && (
+          <PopupPortal
+            x={colorGradePanelCoords.x}
+            y={colorGradePanelCoords.y}
+          >
+            <ColorGradePanel onClose={() => setColorGradePanelCoords(null)} />
+          </PopupPortal>
+        )}
+
+        {shapePickerCoords && (
+          <PopupPortal x={shapePickerCoords.x} y={shapePickerCoords.y}>
+            <ShapePicker onClose={() => setShapePickerCoords(null)} />
+          </PopupPortal>
+        )}
       </div>
     );
   }
@@ -4,6 +4,7 @@ import { useDispatch } from 'react-redux';
 import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
 import ReusablePopup from '../ReusablePopup';
 import RemoveSilenceMenu from '../RemoveSilenceMenu/RemoveSilenceMenu';
+import HistoryPanel from '../HistoryPanel/HistoryPanel';
 import PopupPortal from '../PopupPortal/PopupPortal';
 import { removeSilence } from '../../../services/audioApi';
 import { StoreContext } from '../../../mobx';
@@ -12,6 +13,7 @@ import useUploadProgress from '../../../hooks/useUploadProgress';
 import { getVideoMetadataFromUrl } from '../../../utils/videoMetadata';
 import { validateFile } from '../../../utils/fileValidation';
 import { getAcceptAttribute, formatFileSize } from '../../../utils/fileFormatters';
+import { TRIM_MODES } from '../../../utils/timeline/trimModes';
 import toast from 'react-hot-toast';
 import styles from './TimeLineControlPanel.module.scss';
 
@@ -48,6 +50,10 @@ const TimeLineControlPanel = ({
   isCutMode = false,
   onCutToggle,
 
+  // Trim mode controls
+  trimMode = 'normal',
+  onTrimModeChange,
+
   // Compact audio
   onCompactAudio,
 
@@ -77,6 +83,7 @@ const TimeLineControlPanel = ({
     { id: 7, name: 'Remove silence' },
     { id: 8, name: 'Compact audio' },
     { id: 9, name: 'Zoom' },
+    { id: 10, name: 'Trim modes' },
   ],
 
   // Position and drag controls
@@ -104,6 +111,8 @@ const TimeLineControlPanel = ({
     y: 0,
   });
   const [selectedAudioForSilence, setSelectedAudioForSilence] = useState(null);
+  const [isHistoryVisible, setIsHistoryVisible] = useState(false);
+  const [historyPanelCoords, setHistoryPanelCoords] = useState({ x: 0, y: 0 });
   const [uploadProgress, setUploadProgress] = useState({});
   const [isUploadingFiles, setIsUploadingFiles] = useState(false);
 
@@ -123,6 +132,8 @@ const TimeLineControlPanel = ({
   const removeSilenceButtonRef = useRef(null);
   const isMouseOverRemoveSilenceMenuRef = useRef(false);
   const isMouseOverRemoveSilenceButtonRef = useRef(false);
+  const historyPanelRef = useRef(null);
+  const historyButtonRef = useRef(null);
   const selectedAudioIdRef = useRef(null);
 
   const store = React.useContext(StoreContext);
@@ -140,13 +151,24 @@ const TimeLineControlPanel = ({
       ) {
         setIsRemoveSilenceVisible(false);
       }
+
+      // Handle history panel close
+      if (
+        isHistoryVisible &&
+        historyPanelRef.current &&
+        !historyPanelRef.current.contains(event.target) &&
+        historyButtonRef.current &&
+        !historyButtonRef.current.contains(event.target)
+      ) {
+        setIsHistoryVisible(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
     return () => {
       document.removeEventListener('mousedown', handleClickOutside);
     };
-  }, [isRemoveSilenceVisible]);
+  }, [isRemoveSilenceVisible, isHistoryVisible]);
 
   // Function to get checked state by option name instead of index
   const getCheckedStateByName = optionName => {
@@ -874,6 +896,29 @@ const TimeLineControlPanel = ({
     setIsRemoveSilenceVisible(true);
   };
 
+  const handleHistoryClick = () => {
+    if (isHistoryVisible) {
+      setIsHistoryVisible(false);
+      return;
+    }
+
+    if (historyButtonRef.current) {
+      const { left, top } = historyButtonRef.current.getBoundingClientRect();
+      const estimatedPanelWidth = 240;
+      const estimatedPanelHeight = 400;
+
+      setHistoryPanelCoords({
+        x: Math.max(
+          8,
+          Math.min(left, window.innerWidth - estimatedPanelWidth - 8)
+        ),
+        y: Math.max(8, top - estimatedPanelHeight - 8),
+      });
+    }
+
+    setIsHistoryVisible(true);
+  };
+
   const handleRemoveSilenceApply = async (settings, audioId) => {
     // Find audio element by provided ID
     let audioElement = null;
@@ -1602,6 +1647,19 @@ const TimeLineControlPanel = ({
               onClick={onRedo}
               tooltipText="Redo"
             />
+
+            <div ref={historyButtonRef}>
+              <ButtonWithIcon
+                icon="HistoryIcon"
+                size="17"
+                accentColor="#FFFFFFB2"
+                color="#FFFFFF66"
+                activeColor="white"
+                classNameButton={styles.undoRedoBtn}
+                onClick={handleHistoryClick}
+                tooltipText="History"
+              />
+            </div>
           </div>
         )}
         {getCheckedStateByName('Transitions') && (
@@ -1632,6 +1690,29 @@ const TimeLineControlPanel = ({
             onClick={onCutToggle}
           />
         )}
+        {getCheckedStateByName('Trim modes') && (
+          <div
+            className={styles.trimModes}
+            role="radiogroup"
+            aria-label="Trim mode"
+          >
+            {TRIM_MODES.map(mode => (
+              <button
+                key={mode.value}
+                type="button"
+                role="radio"
+                aria-checked={trimMode === mode.value}
+                className={`${styles.trimModeButton} ${
+                  trimMode === mode.value ? styles.active : ''
+                }`}
+                title={mode.description}
+                onClick={() => onTrimModeChange?.(mode.value)}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        )}
         {getCheckedStateByName('Remove silence') && (
           <span ref={removeSilenceButtonRef}>
             <ButtonWithIcon
@@ -1856,6 +1937,12 @@ const TimeLineControlPanel = ({
           />
         </PopupPortal>
       )}
+
+      {isHistoryVisible && (
+        <PopupPortal x={historyPanelCoords.x} y={historyPanelCoords.y}>
+          <HistoryPanel ref={historyPanelRef} />
+        </PopupPortal>
+      )}
     </div>
   );
 };
@@ -0,0 +1,463 @@
+import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
+import transitionImage1 from 'images/transitionMock1.png';
+import transitionImage2 from 'images/transitionMock2.png';
+import { observer } from 'mobx-react';
+import { useContext, useEffect, useRef, useState } from 'react';
+import { StoreContext } from '../../../../mobx';
+import {
+  deleteCustomTransition,
+  saveCustomTransition,
+} from '../../../../services/customTransitions';
+import { showGlobalDone } from '../../../../utils/errorHandler';
+import {
+  DEFAULT_CUSTOM_GLSL,
+  DEFAULT_CUSTOM_UNIFORMS,
+  GLTransitionRenderer,
+  UNIFORM_TYPES,
+  compileCustomTransition,
+  convertTransition,
+  formatUniformValue,
+  getDefaultUniformValue,
+  getShaderErrors,
+  parseGLSLUniforms,
+  parseUniformValue,
+  toGLTransition,
+  validateCustomTransition,
+} from '../../../../utils/gl-transitions';
+import styles from './CustomTransitionEditor.module.scss';
+
+const PREVIEW_WIDTH = 320;
+const PREVIEW_HEIGHT = 180;
+const PREVIEW_DURATION = 1200;
+const COMPILE_DELAY = 400;
+
+const isTransitionClip = element =>
+  element?.type === 'imageUrl' || element?.type === 'video';
+
+// The two adjacent clips the transition would join: the gap being edited,
+// or the selected clip and the next (or previous) one on its row
+const getPreviewClips = store => {
+  const pending = store.pendingTransitionData;
+  if (pending?.fromElement && pending?.toElement) {
+    return [pending.fromElement, pending.toElement];
+  }
+
+  const selected = store.selectedElement;
+  if (!isTransitionClip(selected)) return null;
+
+  const rowClips = store.editorElements
+    .filter(el => el.row === selected.row && isTransitionClip(el))
+    .sort((a, b) => a.timeFrame.start - b.timeFrame.start);
+  const index = rowClips.findIndex(el => el.id === selected.id);
+
+  if (rowClips[index + 1]) return [selected, rowClips[index + 1]];
+  if (rowClips[index - 1]) return [rowClips[index - 1], selected];
+  return null;
+};
+
+const getLineStart = (text, line) =>
+  text
+    .split('\n')
+    .slice(0, line - 1)
+    .reduce((offset, current) => offset + current.length + 1, 0);
+
+/**
+ * Editor for a user-written gl-transitions shader with typed uniforms,
+ * compile errors by line and a live preview between the clips it would join.
+ * Saved transitions go to the user's library.
+ */
+export const CustomTransitionEditor = observer(({ transition, onBack }) => {
+  const store = useContext(StoreContext);
+  const [name, setName] = useState(transition?.name || '');
+  const [glsl, setGlsl] = useState(transition?.glsl ?? DEFAULT_CUSTOM_GLSL);
+  const [uniforms, setUniforms] = useState(
+    transition?.uniforms ?? DEFAULT_CUSTOM_UNIFORMS
+  );
+  const [errors, setErrors] = useState([]);
+  const [isCompiled, setIsCompiled] = useState(false);
+  const [hasTextures, setHasTextures] = useState(false);
+  const [progress, setProgress] = useState(0.5);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const rendererRef = useRef(null);
+  const previewCanvasRef = useRef(null);
+  const codeRef = useRef(null);
+  const gutterRef = useRef(null);
+
+  const clips = getPreviewClips(store);
+  const fromClipId = clips?.[0]?.id;
+  const toClipId = clips?.[1]?.id;
+
+  useEffect(() => {
+    rendererRef.current = new GLTransitionRenderer(
+      PREVIEW_WIDTH,
+      PREVIEW_HEIGHT
+    );
+    return () => {
+      rendererRef.current?.dispose();
+      rendererRef.current = null;
+    };
+  }, []);
+
+  // Load the clips on either side of the gap, or sample images without them
+  useEffect(() => {
+    const renderer = rendererRef.current;
+    if (!renderer) return;
+
+    const [fromClip, toClip] = getPreviewClips(store) || [];
+    const fromSource = fromClip
+      ? store.getGLTransitionMediaSource(fromClip)
+      : transitionImage1;
+    const toSource = toClip
+      ? store.getGLTransitionMediaSource(toClip)
+      : transitionImage2;
+
+    let isCurrent = true;
+    renderer.updateTextures(fromSource, toSource).then(success => {
+      if (isCurrent) setHasTextures(success);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [store, fromClipId, toClipId]);
+
+  // Recompile shortly after the shader or its uniforms change
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      const renderer = rendererRef.current;
+      if (!renderer) return;
+
+      const draft = { id: transition?.id || 'preview', glsl, uniforms };
+      const draftErrors = validateCustomTransition({
+        ...draft,
+        name: name || 'preview',
+      });
+      if (draftErrors.length) {
+        setErrors(draftErrors);
+        setIsCompiled(false);
+        return;
+      }
+
+      const converted = convertTransition(toGLTransition(draft));
+      try {
+        renderer.setTransition(converted);
+        setErrors([]);
+        setIsCompiled(true);
+      } catch (error) {
+        setErrors(getShaderErrors(error, draft, converted));
+        setIsCompiled(false);
+      }
+    }, COMPILE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [glsl, uniforms, name, transition?.id]);
+
+  useEffect(() => {
+    const renderer = rendererRef.current;
+    const canvas = previewCanvasRef.current;
+    if (!renderer || !canvas || !isCompiled || !hasTextures) return;
+
+    renderer.render(
+      progress,
+      Object.fromEntries(uniforms.map(uniform => [uniform.name, uniform.value]))
+    );
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(renderer.getCanvas(), 0, 0, canvas.width, canvas.height);
+  }, [progress, uniforms, isCompiled, hasTextures]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frame;
+    const startedAt = performance.now();
+    const step = now => {
+      const value = Math.min(1, (now - startedAt) / PREVIEW_DURATION);
+      setProgress(value);
+      if (value < 1) {
+        frame = requestAnimationFrame(step);
+      } else {
+        setIsPlaying(false);
+      }
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying]);
+
+  const updateUniform = (index, changes) => {
+    setUniforms(prev =>
+      prev.map((uniform, i) =>
+        i === index ? { ...uniform, ...changes } : uniform
+      )
+    );
+  };
+
+  const handleTypeChange = (index, type) => {
+    updateUniform(index, { type, value: getDefaultUniformValue(type) });
+  };
+
+  const handleAddUniform = () => {
+    setUniforms(prev => [
+      ...prev,
+      { name: `param${prev.length + 1}`, type: 'float', value: 0 },
+    ]);
+  };
+
+  const handleRemoveUniform = index => {
+    setUniforms(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Pick up `uniform float amount; // = 1.0` lines of a pasted shader
+  const handleDetectUniforms = () => {
+    const detected = parseGLSLUniforms(glsl).filter(
+      uniform => !uniforms.some(existing => existing.name === uniform.name)
+    );
+    if (detected.length) {
+      setUniforms(prev => [...prev, ...detected]);
+    }
+  };
+
+  const handleCodeKeyDown = e => {
+    e.stopPropagation();
+    if (e.key !== 'Tab') return;
+
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = `${glsl.slice(0, selectionStart)}  ${glsl.slice(selectionEnd)}`;
+    setGlsl(next);
+    requestAnimationFrame(() => {
+      codeRef.current?.setSelectionRange(
+        selectionStart + 2,
+        selectionStart + 2
+      );
+    });
+  };
+
+  const focusLine = line => {
+    const textarea = codeRef.current;
+    if (!textarea || !line) return;
+
+    const start = getLineStart(glsl, line);
+    const end = start + (glsl.split('\n')[line - 1] || '').length;
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+  };
+
+  const handleSave = async () => {
+    const draft = { id: transition?.id, name: name.trim(), glsl, uniforms };
+    const { errors: compileErrors } = compileCustomTransition({
+      ...draft,
+      id: draft.id || 'preview',
+    });
+    if (compileErrors.length) {
+      setErrors(compileErrors);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const saved = await saveCustomTransition(draft);
+      store.upsertCustomTransition({
+        ...draft,
+        ...saved,
+        id: saved?.id || draft.id,
+      });
+      showGlobalDone(`"${draft.name}" saved to your transitions`);
+      onBack();
+    } catch (error) {
+      // Reported by the API layer
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!transition?.id) return;
+
+    try {
+      await deleteCustomTransition(transition.id);
+      store.removeCustomTransition(transition.id);
+      onBack();
+    } catch (error) {
+      // Reported by the API layer
+    }
+  };
+
+  const errorLines = new Set(errors.map(error => error.line).filter(Boolean));
+
+  return (
+    <div className={styles.editor} onKeyDown={e => e.stopPropagation()}>
+      <div className={styles.header}>
+        <div className={styles.headerLeft}>
+          <ButtonWithIcon
+            icon="TransitionBackIcon"
+            size="16"
+            color="#FFFFFFB2"
+            activeColor="#FFFFFF"
+            onClick={onBack}
+            classNameButton={styles.backButton}
+          />
+          <span className={styles.title}>
+            {transition?.id ? 'Edit transition' : 'New transition'}
+          </span>
+        </div>
+      </div>
+
+      <div className={styles.body}>
+        <input
+          className={styles.nameInput}
+          value={name}
+          placeholder="Transition name"
+          onChange={e => setName(e.target.value)}
+        />
+
+        <div className={styles.preview}>
+          <canvas
+            ref={previewCanvasRef}
+            width={PREVIEW_WIDTH}
+            height={PREVIEW_HEIGHT}
+            className={styles.previewCanvas}
+          />
+          <div className={styles.previewControls}>
+            <button
+              type="button"
+              className={styles.playButton}
+              onClick={() => setIsPlaying(playing => !playing)}
+              disabled={!isCompiled}
+            >
+              {isPlaying ? 'Stop' : 'Play'}
+            </button>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={progress}
+              onChange={e => {
+                setIsPlaying(false);
+                setProgress(Number(e.target.value));
+              }}
+            />
+          </div>
+          <p className={styles.hint}>
+            {clips
+              ? 'Previewing between the selected clip and its neighbour'
+              : 'Select a clip next to another to preview with your footage'}
+          </p>
+        </div>
+
+        <div className={styles.code}>
+          <div className={styles.gutter} ref={gutterRef}>
+            {glsl.split('\n').map((_, index) => (
+              <div
+                key={index}
+                className={errorLines.has(index + 1) ? styles.errorLine : ''}
+              >
+                {index + 1}
+              </div>
+            ))}
+          </div>
+          <textarea
+            ref={codeRef}
+            className={styles.codeInput}
+            value={glsl}
+            spellCheck={false}
+            onChange={e => setGlsl(e.target.value)}
+            onKeyDown={handleCodeKeyDown}
+            onScroll={e => {
+              if (gutterRef.current) {
+                gutterRef.current.scrollTop = e.target.scrollTop;
+              }
+            }}
+          />
+        </div>
+
+        {errors.length > 0 && (
+          <ul className={styles.errors}>
+            {errors.map((error, index) => (
+              <li
+                key={index}
+                className={error.line ? styles.errorWithLine : ''}
+                onClick={() => focusLine(error.line)}
+              >
+                {error.line ? `Line ${error.line}: ` : ''}
+                {error.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className={styles.uniformsHeader}>
+          <span>Uniforms</span>
+          <div className={styles.uniformsActions}>
+            <button type="button" onClick={handleDetectUniforms}>
+              Detect
+            </button>
+            <button type="button" onClick={handleAddUniform}>
+              Add
+            </button>
+          </div>
+        </div>
+        {uniforms.map((uniform, index) => (
+          <div key={index} className={styles.uniformRow}>
+            <input
+              value={uniform.name}
+              onChange={e => updateUniform(index, { name: e.target.value })}
+              aria-label="Uniform name"
+            />
+            <select
+              value={uniform.type}
+              onChange={e => handleTypeChange(index, e.target.value)}
+              aria-label="Uniform type"
+            >
+              {UNIFORM_TYPES.map(type => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            <input
+              key={`${uniform.type}-${formatUniformValue(uniform.value)}`}
+              defaultValue={formatUniformValue(uniform.value)}
+              onBlur={e =>
+                updateUniform(index, {
+                  value: parseUniformValue(uniform.type, e.target.value),
+                })
+              }
+              aria-label="Uniform value"
+            />
+            <button
+              type="button"
+              className={styles.removeButton}
+              onClick={() => handleRemoveUniform(index)}
+              aria-label="Remove uniform"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.footer}>
+        {transition?.id && (
+          <button
+            type="button"
+            className={styles.deleteButton}
+            onClick={handleDelete}
+          >
+            Delete
+          </button>
+        )}
+        <button
+          type="button"
+          className={styles.saveButton}
+          onClick={handleSave}
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving…' : 'Save to library'}
+        </button>
+      </div>
+    </div>
+  );
+});
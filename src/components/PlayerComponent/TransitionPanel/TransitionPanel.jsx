@@ -14,7 +14,11 @@ import { useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { useDrag } from 'react-dnd';
 import { useDispatch } from 'react-redux';
 import { StoreContext } from '../../../mobx';
+import { getCustomTransitions } from '../../../services/customTransitions';
 import { getUid } from '../../../utils';
+import { getCustomTransitionType } from '../../../utils/gl-transitions';
+import { isShapeElement } from '../../../utils/shapes';
+import { isCompoundClip } from '../../../utils/compoundClips';
 import {
   applyGlitchFilter,
   applyPixiFilter,
@@ -28,6 +32,7 @@ import {
   removeAnimationFromAllScenes,
 } from '../entity/AnimationResource';
 import styles from '../TransitionPanel/TransitionPanel.module.scss';
+import { CustomTransitionEditor } from './CustomTransitionEditor/CustomTransitionEditor';
 import { DetailPanel } from './DetailPanel/DetailPanel';
 // Helper function to format animation type names
 const formatAnimationType = type => {
@@ -123,6 +128,7 @@ const DraggableGLTransitionCard = ({
         transitionType: animation.type,
         isGLTransition: true,
         duration: 1000, // Default duration for GL transitions
+        customTransition: animation.customTransition,
       },
     },
     collect: monitor => ({
@@ -186,6 +192,10 @@ const TransitionPanel = observer(
     const [isActiveAnimationDetailsOpen, setIsActiveAnimationDetailsOpen] =
       useState(null);
     const [panelMode, setPanelMode] = useState('effects'); // 'effects', 'transitions', or 'filters'
+    // Custom transition open in the shader editor ({} for a new one)
+    const [editingTransition, setEditingTransition] = useState(null);
+    const [customTransitionsLoadFailed, setCustomTransitionsLoadFailed] =
+      useState(false);
     const [currentFilter, setCurrentFilter] = useState(null);
 
     const panelRef = useRef(null);
@@ -203,6 +213,15 @@ const TransitionPanel = observer(
 
     // Removed scene selection - working with visible canvas images now
 
+    // Canvas objects of the visual elements animations go on: images,
+    // videos and shapes
+    const isAnimatableObject = obj =>
+      obj.type === 'image' ||
+      obj.type === 'coverImage' ||
+      obj.type === 'coverVideo' ||
+      obj.type === 'videoImage' ||
+      isShapeElement(store.editorElements.find(el => el.id === obj.name));
+
     // Get visible image from canvas (improved approach)
     const getActiveVisibleImage = () => {
       if (!store?.canvas) return null;
@@ -216,10 +235,7 @@ const TransitionPanel = observer(
 
         if (
           activeObject &&
-          (activeObject.type === 'image' ||
-            activeObject.type === 'coverImage' ||
-            activeObject.type === 'coverVideo' ||
-            activeObject.type === 'videoImage') &&
+          isAnimatableObject(activeObject) &&
           activeObject.visible !== false &&
           activeObject.opacity > 0
         ) {
@@ -229,10 +245,7 @@ const TransitionPanel = observer(
         // Second try: find visual elements (images/videos) that are visible at current time and on canvas
         const visibleImages = objects.filter(obj => {
           if (
-            (obj.type !== 'image' &&
-              obj.type !== 'coverImage' &&
-              obj.type !== 'coverVideo' &&
-              obj.type !== 'videoImage') ||
+            !isAnimatableObject(obj) ||
             obj.visible === false ||
             obj.opacity <= 0
           ) {
@@ -284,7 +297,9 @@ const TransitionPanel = observer(
         if (
           store?.selectedElement &&
           (store.selectedElement.type === 'imageUrl' ||
-            store.selectedElement.type === 'video')
+            store.selectedElement.type === 'video' ||
+            isShapeElement(store.selectedElement) ||
+            isCompoundClip(store.selectedElement))
         ) {
           return store.selectedElement;
         }
@@ -435,7 +450,8 @@ const TransitionPanel = observer(
 
       if (
         selectedElement?.type === 'imageUrl' ||
-        selectedElement?.type === 'video'
+        selectedElement?.type === 'video' ||
+        isCompoundClip(selectedElement)
       ) {
         const glTransition = store.animations.find(
           a =>
@@ -511,6 +527,16 @@ const TransitionPanel = observer(
       loadTransitions();
     }, []);
 
+    // Load the user's custom transitions
+    useEffect(() => {
+      getCustomTransitions()
+        .then(transitions => store.setCustomTransitions(transitions || []))
+        .catch(error => {
+          console.error('Failed to load custom transitions:', error);
+          setCustomTransitionsLoadFailed(true);
+        });
+    }, [store]);
+
     useEffect(() => {
       const handleScroll = () => {
         if (!contentRef.current) return;
@@ -2184,6 +2210,17 @@ const TransitionPanel = observer(
             }
           );
 
+          allTransitions.push(
+            ...store.customTransitions.map(transition => ({
+              type: getCustomTransitionType(transition),
+              name: transition.name,
+              category: 'Custom',
+              icon: 'TransitionsIcon',
+              isGLTransition: true,
+              customTransition: transition,
+            }))
+          );
+
           // Apply search filter to all transitions
           let filteredTransitions = allTransitions;
           if (searchQuery) {
@@ -2228,6 +2265,16 @@ const TransitionPanel = observer(
             }
           );
 
+          // Always listed, so there is a place to write the first one
+          groupedTransitions.push({
+            type: 'category-header',
+            name: 'Custom',
+            isHeader: true,
+            transitions: filteredTransitions.filter(
+              t => t.category === 'Custom'
+            ),
+          });
+
           return groupedTransitions;
         }
       } else {
@@ -2656,7 +2703,9 @@ const TransitionPanel = observer(
       const currentElement = selectedElement;
       if (
         !currentElement ||
-        (currentElement.type !== 'imageUrl' && currentElement.type !== 'video')
+        (currentElement.type !== 'imageUrl' &&
+          currentElement.type !== 'video' &&
+          !isCompoundClip(currentElement))
       ) {
         return;
       }
@@ -2666,7 +2715,9 @@ const TransitionPanel = observer(
         .filter(
           el =>
             el.row === currentRow &&
-            (el.type === 'imageUrl' || el.type === 'video')
+            (el.type === 'imageUrl' ||
+              el.type === 'video' ||
+              isCompoundClip(el))
         )
         .sort((a, b) => a.timeFrame.start - b.timeFrame.start);
 
@@ -4008,7 +4059,7 @@ const TransitionPanel = observer(
             className={`${styles.transitionPanel} ${
               isPreview ? styles.preview : ''
             } ${
-              showDetailPanel && activeTab !== 'active'
+              (showDetailPanel && activeTab !== 'active') || editingTransition
                 ? styles.hiddenForDetail
                 : ''
             }`}
@@ -4254,6 +4305,7 @@ const TransitionPanel = observer(
                           { id: 'glitch', name: 'Glitch' },
                           { id: 'geometric', name: 'Geometric' },
                           { id: 'pattern', name: 'Pattern' },
+                          { id: 'custom', name: 'Custom' },
                         ].map(category => (
                           <button
                             key={category.id}
@@ -4386,7 +4438,21 @@ const TransitionPanel = observer(
                                 <h3 className={styles.categoryTitle}>
                                   {group.name}
                                 </h3>
+                                {group.name === 'Custom' && (
+                                  <button
+                                    className={styles.newTransitionButton}
+                                    onClick={() => setEditingTransition({})}
+                                  >
+                                    New
+                                  </button>
+                                )}
                               </div>
+                              {group.name === 'Custom' &&
+                                customTransitionsLoadFailed && (
+                                  <p className={styles.customTransitionsError}>
+                                    Your saved transitions could not be loaded.
+                                  </p>
+                                )}
                               <div className={styles.categoryTransitions}>
                                 {group.transitions.map(animation => {
                                   // In transitions mode, use GL Transition Card for all transitions except 'none'
@@ -4448,6 +4514,22 @@ const TransitionPanel = observer(
                                             </div>
                                           ) : null;
                                         })()}
+                                        {animation.customTransition && (
+                                          <button
+                                            className={
+                                              styles.editShaderButton
+                                            }
+                                            onClick={e => {
+                                              e.stopPropagation();
+                                              setEditingTransition(
+                                                animation.customTransition
+                                              );
+                                            }}
+                                            title="Edit shader"
+                                          >
+                                            {'</>'}
+                                          </button>
+                                        )}
                                         {isAnimationActive(animation) &&
                                           animation.type !== 'none' && (
                                             <div
@@ -4906,8 +4988,17 @@ const TransitionPanel = observer(
             </div>
           </div>
 
+          {editingTransition && (
+            <div className={styles.detailPanelSidebar}>
+              <CustomTransitionEditor
+                transition={editingTransition.id ? editingTransition : null}
+                onBack={() => setEditingTransition(null)}
+              />
+            </div>
+          )}
+
           {/* DetailPanel for non-active tabs - shows side by side */}
-          {(() => {
+          {!editingTransition && (() => {
             if (
               showDetailPanel &&
               (selectedAnimation || (selectedFilter && isFilterDetailPanel)) &&
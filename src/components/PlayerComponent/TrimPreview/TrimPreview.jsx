@@ -0,0 +1,86 @@
+import React, { useEffect, useRef } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { formatTimeToMinSecMili } from '../../../utils';
+import { TRIM_MODES } from '../../../utils/timeline/trimModes';
+import styles from './TrimPreview.module.scss';
+
+// The frame `time` ms into a clip's source. Videos seek their own element,
+// so playback is untouched, and catch up once a seek in progress lands.
+const SourceFrame = ({ element, time }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    const seek = () => {
+      if (video.seeking) return;
+      if (Math.abs(video.currentTime - time / 1000) < 0.001) return;
+      video.currentTime = time / 1000;
+    };
+    seek();
+    video.addEventListener('seeked', seek);
+    video.addEventListener('loadedmetadata', seek);
+    return () => {
+      video.removeEventListener('seeked', seek);
+      video.removeEventListener('loadedmetadata', seek);
+    };
+  }, [time]);
+
+  if (element.type === 'video' && element.properties?.src) {
+    return (
+      <video
+        ref={videoRef}
+        className={styles.frame}
+        src={element.properties.src}
+        muted
+        preload="auto"
+      />
+    );
+  }
+  if (element.type === 'imageUrl' && element.properties?.src) {
+    return <img className={styles.frame} src={element.properties.src} alt="" />;
+  }
+  return (
+    <div className={`${styles.frame} ${styles.placeholder}`}>
+      {element.name || element.type}
+    </div>
+  );
+};
+
+// In and out frames of a trim-mode drag, over the canvas while it lasts
+const TrimPreview = observer(() => {
+  const store = React.useContext(StoreContext);
+  const plan = store.ghostState.trimPlan;
+  if (!plan) return null;
+
+  const mode = TRIM_MODES.find(({ value }) => value === store.trimMode);
+
+  return (
+    <div className={styles.preview} data-testid="trim-preview">
+      <span className={styles.mode}>{mode?.label}</span>
+      <div className={styles.frames}>
+        {plan.frames.map(frame => {
+          const element = store.editorElements.find(
+            el => el.id === frame.elementId
+          );
+          if (!element) return null;
+          return (
+            <figure
+              key={`${frame.label}-${frame.elementId}`}
+              className={styles.pane}
+            >
+              <SourceFrame element={element} time={frame.sourceTime} />
+              <figcaption className={styles.caption}>
+                <span>{frame.label}</span>
+                <span>{formatTimeToMinSecMili(frame.sourceTime)}</span>
+              </figcaption>
+            </figure>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+export default TrimPreview;
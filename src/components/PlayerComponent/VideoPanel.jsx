@@ -8,6 +8,7 @@ import '../../utils/fabric-utils';
 import styles from './Player.module.scss';
 import { TypographyPanel } from '../../components/PlayerComponent/TypographyPanel/TypographyPanel';
 import { CanvasDropZone } from './CanvasDropZone';
+import TrimPreview from './TrimPreview/TrimPreview';
 
 import { PlayerFullscreen } from 'components/PlayerComponent/PlayerFullscreen/PlayerFullscreen';
 import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
@@ -58,6 +59,7 @@ export const VideoPanel = observer(
       const [isRendering, setIsRendering] = useState(false);
   const [renderProgress, setRenderProgress] = useState(0);
   const [renderMessage, setRenderMessage] = useState('');
+  const [isRenderCancellable, setIsRenderCancellable] = useState(false);
   const dispatch = useDispatch();
   
   // Effect to update rendering state from store
@@ -155,11 +157,15 @@ export const VideoPanel = observer(
     // Add effect to listen for rendering state changes
     useEffect(() => {
       const handleRenderingStateChange = event => {
-        const { state, progress } = event.detail;
+        const { state, progress, message, cancellable } = event.detail;
         setIsRendering(state === 'rendering');
+        setIsRenderCancellable(state === 'rendering' && Boolean(cancellable));
         if (progress !== undefined) {
           setRenderProgress(Math.min(100, Math.max(0, progress)));
         }
+        if (message !== undefined) {
+          setRenderMessage(message);
+        }
       };
 
       window.addEventListener(
@@ -246,6 +252,7 @@ export const VideoPanel = observer(
               <canvas id="canvas" className={styles.canvasElement} />
               <div id="selection-layer" className={styles.selectionLayer}></div>
             </CanvasDropZone>
+            <TrimPreview />
             {isRendering && (
               <div className={styles.renderingOverlay}>
                 <div className={styles.renderingProgress}>
@@ -261,6 +268,15 @@ export const VideoPanel = observer(
                       style={{ width: `${renderProgress}%` }}
                     />
                   </div>
+
+                  {isRenderCancellable && (
+                    <button
+                      className={styles.downloadButton}
+                      onClick={() => store.cancelRendering()}
+                    >
+                      Cancel
+                    </button>
+                  )}
                   
                   {store.renderingStatus?.state === 'complete' && store.renderingStatus?.downloadUrl && (
                     <button 
@@ -58,11 +58,7 @@ export const ExportVideoPanel = observer(() => {
       <button
         className={styles.exportButton}
         onClick={() => {
-          store.handleSeek(0);
-          setTimeout(() => {
-            store.setPlaying(true);
-            store.saveCanvasToVideoWithAudio();
-          }, 1000);
+          store.saveCanvasToVideoWithAudio();
         }}
       >
         Export Video ({store.maxTime / 1000} secs){' '}
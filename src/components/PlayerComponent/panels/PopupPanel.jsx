@@ -17,6 +17,22 @@ const PopupPanel = ({
   element, // renamed from selectedElement for clarity
   onShowTrackInfo,
   hasTrackInfo,
+  onAddKeyframe,
+  onClearKeyframes,
+  onResetVolumeEnvelope,
+  onShowChromaKey,
+  onShowColorGrade,
+  onShowAdjustments,
+  onShowBlending,
+  onShowMask,
+  onShowMotionTracking,
+  onShowShape,
+  onShowSpeed,
+  onShowFreezeFrame,
+  onReverse,
+  onPingPong,
+  onCreateCompound,
+  onOpenCompound,
 }) => {
   const popupRef = useRef(null);
 
@@ -70,6 +86,118 @@ const PopupPanel = ({
     onClose();
   };
 
+  const keyframeButtons = (
+    <>
+      {onAddKeyframe && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onAddKeyframe();
+            onClose();
+          }}
+        >
+          Add keyframe
+        </button>
+      )}
+      {onClearKeyframes && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onClearKeyframes();
+            onClose();
+          }}
+        >
+          Clear keyframes
+        </button>
+      )}
+    </>
+  );
+
+  const mediaEffectButtons = (
+    <>
+      {onShowChromaKey && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onShowChromaKey();
+            onClose();
+          }}
+        >
+          Chroma key
+        </button>
+      )}
+      {onShowColorGrade && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onShowColorGrade();
+            onClose();
+          }}
+        >
+          Colour grade
+        </button>
+      )}
+      {onShowMask && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onShowMask();
+            onClose();
+          }}
+        >
+          Mask
+        </button>
+      )}
+      {onShowBlending && (
+        <button
+          className={styles.popupButton}
+          onClick={() => {
+            onShowBlending();
+            onClose();
+          }}
+        >
+          Blend & opacity
+        </button>
+      )}
+    </>
+  );
+
+  const speedButton = onShowSpeed && (
+    <button
+      className={styles.popupButton}
+      onClick={() => {
+        onShowSpeed();
+        onClose();
+      }}
+    >
+      Speed
+    </button>
+  );
+
+  const resetVolumeButton = onResetVolumeEnvelope && (
+    <button
+      className={styles.popupButton}
+      onClick={() => {
+        onResetVolumeEnvelope();
+        onClose();
+      }}
+    >
+      Reset volume
+    </button>
+  );
+
+  const compoundButton = onCreateCompound && (
+    <button
+      className={styles.popupButton}
+      onClick={() => {
+        onCreateCompound();
+        onClose();
+      }}
+    >
+      Create compound clip
+    </button>
+  );
+
   return (
     <div
       ref={popupRef}
@@ -93,6 +221,7 @@ const PopupPanel = ({
           >
             Split
           </button>
+          {speedButton}
           <button
             className={styles.popupButton}
             onClick={() => {
@@ -112,12 +241,88 @@ const PopupPanel = ({
               Regenerate audio
             </button>
           )}
+          {resetVolumeButton}
+        </>
+      ) : onShowAdjustments ? (
+        <>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              onShowAdjustments();
+              onClose();
+            }}
+          >
+            Edit filters
+          </button>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              deleteElement();
+            }}
+          >
+            Remove
+          </button>
+        </>
+      ) : onOpenCompound ? (
+        <>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              onOpenCompound();
+              onClose();
+            }}
+          >
+            Open compound clip
+          </button>
+          <button className={styles.popupButton} onClick={handleVisualEffects}>
+            Visual effects
+          </button>
+          {mediaEffectButtons}
+          {compoundButton}
+          {keyframeButtons}
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              deleteElement();
+            }}
+          >
+            Remove
+          </button>
+        </>
+      ) : onShowShape ? (
+        <>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              onShowShape();
+              onClose();
+            }}
+          >
+            Edit shape
+          </button>
+          <button className={styles.popupButton} onClick={handleVisualEffects}>
+            Visual effects
+          </button>
+          {mediaEffectButtons}
+          {compoundButton}
+          {keyframeButtons}
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              deleteElement();
+            }}
+          >
+            Remove
+          </button>
         </>
       ) : isImageType ? (
         <>
           <button className={styles.popupButton} onClick={handleVisualEffects}>
             Visual effects
           </button>
+          {mediaEffectButtons}
+          {compoundButton}
+          {keyframeButtons}
           <button
             className={styles.popupButton}
             onClick={() => {
@@ -135,6 +340,55 @@ const PopupPanel = ({
           <button className={styles.popupButton} onClick={handleSubtitles}>
             Text
           </button>
+          {mediaEffectButtons}
+          {speedButton}
+          {onShowMotionTracking && (
+            <button
+              className={styles.popupButton}
+              onClick={() => {
+                onShowMotionTracking();
+                onClose();
+              }}
+            >
+              Track motion
+            </button>
+          )}
+          {onShowFreezeFrame && (
+            <button
+              className={styles.popupButton}
+              onClick={() => {
+                onShowFreezeFrame();
+                onClose();
+              }}
+            >
+              Freeze frame
+            </button>
+          )}
+          {onReverse && (
+            <button
+              className={styles.popupButton}
+              onClick={() => {
+                onReverse();
+                onClose();
+              }}
+            >
+              {element?.properties?.reversedFrom ? 'Play forwards' : 'Reverse'}
+            </button>
+          )}
+          {onPingPong && (
+            <button
+              className={styles.popupButton}
+              onClick={() => {
+                onPingPong();
+                onClose();
+              }}
+            >
+              Ping-pong
+            </button>
+          )}
+          {resetVolumeButton}
+          {compoundButton}
+          {keyframeButtons}
           {hasTrackInfo && onShowTrackInfo && (
             <button
               className={styles.popupButton}
@@ -4,6 +4,7 @@ import { throttle } from 'throttle-debounce';
 
 import styles from '../Player.module.scss';
 import { StoreContext } from '../../../mobx';
+import { snapEdgeTime } from '../../../utils/timeline/snapEngine';
 
 function DraggableElementView(props) {
   const store = useContext(StoreContext);
@@ -121,6 +122,14 @@ function DraggableElementView(props) {
 
     let newValue = calculateNewValue(event.clientX);
 
+    // Trim handles snap to nearby clip edges, the playhead, markers and beats
+    if (store && props.element && props.resizeType) {
+      newValue = snapEdgeTime(store, newValue, {
+        excludeIds: [props.element.id],
+        msPerPx: props.total / data.div.parentElement.clientWidth,
+      });
+    }
+
     if (props.constraints) {
       if (newValue < props.constraints.min) {
         newValue = props.constraints.min;
@@ -162,9 +171,13 @@ function DraggableElementView(props) {
         const mouseRelativeToTimeline = event.clientX - effectiveLeft;
         const initialClickOffset = store.ghostState.initialClickOffset || 0;
         const adjustedMousePosition = mouseRelativeToTimeline - initialClickOffset;
-        const newTimeValue = Math.max(
-          0,
-          Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+        const newTimeValue = snapEdgeTime(
+          store,
+          Math.max(
+            0,
+            Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+          ),
+          { excludeIds: [element.id], msPerPx: store.maxTime / effectiveWidth }
         );
 
         if (props.resizeType === 'start') {
@@ -228,12 +241,18 @@ function DraggableElementView(props) {
         const mouseRelativeToTimeline = event.clientX - effectiveLeft;
         const initialClickOffset = store.ghostState.initialClickOffset || 0;
         const adjustedMousePosition = mouseRelativeToTimeline - initialClickOffset;
-        newTimeValue = Math.max(
-          0,
-          Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+        newTimeValue = snapEdgeTime(
+          store,
+          Math.max(
+            0,
+            Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+          ),
+          { excludeIds: [element.id], msPerPx: store.maxTime / effectiveWidth }
         );
       } else {
-        newTimeValue = calculateNewValue(event.clientX);
+        newTimeValue = snapEdgeTime(store, calculateNewValue(event.clientX), {
+          excludeIds: [element.id],
+        });
       }
       let finalStart = element.timeFrame.start;
       let finalEnd = element.timeFrame.end;
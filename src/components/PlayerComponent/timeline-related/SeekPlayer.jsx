@@ -228,6 +228,18 @@ export const SeekPlayer = observer(
           handleClick(5);
           startSeeking(0.5);
         },
+        // Marker keys are handled by the docked player only, which stays
+        // mounted under the fullscreen one
+        KeyM: (event, store) => {
+          if (isFullScreen || event.ctrlKey || event.metaKey) return;
+          store.addMarkerAtPlayhead();
+        },
+        BracketLeft: (event, store) => {
+          if (!isFullScreen) store.seekToAdjacentMarker(-1);
+        },
+        BracketRight: (event, store) => {
+          if (!isFullScreen) store.seekToAdjacentMarker(1);
+        },
       },
       {
         includeKeyUp: true,
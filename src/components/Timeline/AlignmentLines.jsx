@@ -16,7 +16,13 @@ const AlignmentLines = observer(({ alignmentLines }) => {
           style={{
             left: `${line.position}%`,
           }}
-          title={line.type ? `Snap: ${line.type.replace('-', ' to ')}` : 'Alignment guide'}
+          title={
+            line.label
+              ? `Snapped to ${line.label} (hold Alt to place freely)`
+              : line.type
+              ? `Snap: ${line.type.replace('-', ' to ')}`
+              : 'Alignment guide'
+          }
         />
       ))}
     </>
@@ -404,6 +404,9 @@ const InterRowDropZone = ({
                         absoluteStart: startTime,
                         absoluteEnd:
                           startTime + (glTransitionData.duration || 1000),
+                        ...(glTransitionData.customTransition && {
+                          customTransition: glTransitionData.customTransition,
+                        }),
                       },
                     };
 
@@ -0,0 +1,111 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import { getKeyframeTimes } from '../../mobx/store-modules';
+
+// Pixels the pointer must travel before a click becomes a drag
+const DRAG_THRESHOLD_PX = 3;
+
+const KeyframeMarkers = observer(({ element }) => {
+  const store = React.useContext(StoreContext);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [dragPreview, setDragPreview] = useState(null);
+
+  const duration = element.timeFrame.end - element.timeFrame.start;
+  const times = getKeyframeTimes(element);
+
+  useEffect(() => {
+    return () => {
+      if (dragRef.current) {
+        window.removeEventListener('mousemove', dragRef.current.onMove);
+        window.removeEventListener('mouseup', dragRef.current.onUp);
+      }
+    };
+  }, []);
+
+  if (!times.length || duration <= 0) return null;
+
+  const handleMouseDown = (e, time) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect?.width) return;
+    const msPerPx = duration / rect.width;
+    const startX = e.clientX;
+
+    const onMove = moveEvent => {
+      const deltaPx = moveEvent.clientX - startX;
+      if (
+        !dragRef.current.isDragging &&
+        Math.abs(deltaPx) < DRAG_THRESHOLD_PX
+      ) {
+        return;
+      }
+      dragRef.current.isDragging = true;
+      const nextTime = Math.max(
+        0,
+        Math.min(duration, time + deltaPx * msPerPx)
+      );
+      dragRef.current.time = nextTime;
+      setDragPreview({ from: time, to: nextTime });
+    };
+
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      const { isDragging, time: droppedTime } = dragRef.current;
+      dragRef.current = null;
+      setDragPreview(null);
+
+      if (isDragging) {
+        store.moveKeyframesAt(element.id, time, droppedTime);
+      } else {
+        store.handleSeek(element.timeFrame.start + time);
+      }
+    };
+
+    dragRef.current = { onMove, onUp, isDragging: false, time };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const handleDoubleClick = (e, time) => {
+    e.stopPropagation();
+    store.removeKeyframesAt(element.id, time);
+  };
+
+  const localPlayhead = store.currentTimeInMs - element.timeFrame.start;
+
+  return (
+    <div ref={containerRef} className={styles.keyframeMarkers}>
+      {times.map(time => {
+        const displayTime = dragPreview?.from === time ? dragPreview.to : time;
+        const isAtPlayhead = Math.abs(localPlayhead - time) < 1;
+        return (
+          <div
+            key={time}
+            className={`${styles.keyframeDiamond} ${
+              isAtPlayhead ? styles.keyframeDiamondActive : ''
+            }`}
+            style={{ left: `${(displayTime / duration) * 100}%` }}
+            draggable={false}
+            onDragStart={e => {
+              e.preventDefault();
+              e.stopPropagation();
+            }}
+            onMouseDown={e => handleMouseDown(e, time)}
+            onMouseUp={e => e.stopPropagation()}
+            onDoubleClick={e => handleDoubleClick(e, time)}
+            title="Drag to move, double-click to delete"
+          />
+        );
+      })}
+    </div>
+  );
+});
+
+export default KeyframeMarkers;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+
+// Spans of the low-confidence words of a subtitle while subtitles are being
+// reviewed. Click one to select it in the review panel and seek to it.
+const LowConfidenceWordMarks = observer(({ element }) => {
+  const store = React.useContext(StoreContext);
+  const duration = element.timeFrame.end - element.timeFrame.start;
+  const items = store.lowConfidenceWords.filter(
+    item => item.elementId === element.id && !item.reviewed
+  );
+
+  if (!items.length || duration <= 0) return null;
+
+  return (
+    <div className={styles.lowConfidenceWords}>
+      {items.map(item => (
+        <div
+          key={item.key}
+          className={`${styles.lowConfidenceWord} ${
+            store.subtitleReview.activeKey === item.key
+              ? styles.lowConfidenceWordActive
+              : ''
+          }`}
+          style={{
+            left: `${((item.start - element.timeFrame.start) / duration) * 100}%`,
+            width: `${((item.end - item.start) / duration) * 100}%`,
+          }}
+          title={`"${item.word}" - ${Math.round(item.score * 100)}% confidence`}
+          onMouseDown={e => e.stopPropagation()}
+          onMouseUp={e => {
+            e.stopPropagation();
+            store.focusSubtitleWord(item);
+          }}
+        />
+      ))}
+    </div>
+  );
+});
+
+export default LowConfidenceWordMarks;
@@ -0,0 +1,216 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import PopupPortal from '../PlayerComponent/PopupPortal/PopupPortal';
+import { MARKER_COLORS } from '../../utils/timelineMarkers';
+
+// Pixels the pointer must travel before a click becomes a drag
+const DRAG_THRESHOLD_PX = 3;
+
+const MarkerMenu = observer(({ marker, onClose }) => {
+  const store = React.useContext(StoreContext);
+  const [label, setLabel] = useState(marker.label);
+
+  const commitLabel = () => {
+    if (label !== marker.label) {
+      store.updateMarker(marker.id, { label });
+    }
+  };
+
+  return (
+    <div
+      className={styles.markerMenu}
+      onMouseDown={e => e.stopPropagation()}
+      onClick={e => e.stopPropagation()}
+    >
+      <input
+        className={styles.markerMenuInput}
+        value={label}
+        placeholder="Marker name"
+        autoFocus
+        onChange={e => setLabel(e.target.value)}
+        onBlur={commitLabel}
+        onKeyDown={e => {
+          e.stopPropagation();
+          if (e.key === 'Enter') {
+            commitLabel();
+            onClose();
+          } else if (e.key === 'Escape') {
+            onClose();
+          }
+        }}
+      />
+      <div className={styles.markerMenuColors}>
+        {MARKER_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            className={`${styles.markerMenuColor} ${
+              marker.color === color ? styles.markerMenuColorActive : ''
+            }`}
+            style={{ background: color }}
+            onClick={() => store.updateMarker(marker.id, { color })}
+            aria-label={`Marker colour ${color}`}
+          />
+        ))}
+      </div>
+      <label className={styles.markerMenuCheckbox}>
+        <input
+          type="checkbox"
+          checked={Boolean(marker.isChapter)}
+          onChange={e =>
+            store.updateMarker(marker.id, { isChapter: e.target.checked })
+          }
+        />
+        Chapter
+      </label>
+      <button
+        type="button"
+        className={styles.markerMenuDelete}
+        onClick={() => {
+          store.removeMarker(marker.id);
+          onClose();
+        }}
+      >
+        Delete marker
+      </button>
+    </div>
+  );
+});
+
+/**
+ * Markers drawn on the timeline ruler. Click to seek, drag to move,
+ * double-click to rename, recolour or flag as a chapter.
+ */
+const TimelineMarkers = observer(() => {
+  const store = React.useContext(StoreContext);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const menuRef = useRef(null);
+  const [dragPreview, setDragPreview] = useState(null);
+  const [menu, setMenu] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (dragRef.current) {
+        window.removeEventListener('mousemove', dragRef.current.onMove);
+        window.removeEventListener('mouseup', dragRef.current.onUp);
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!menu) return;
+    const handleClickOutside = e => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setMenu(null);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [menu]);
+
+  const maxTime = store.maxTime;
+  if (!maxTime) return null;
+
+  const handleMouseDown = (e, marker) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect?.width) return;
+    const msPerPx = maxTime / rect.width;
+    const startX = e.clientX;
+
+    const onMove = moveEvent => {
+      const deltaPx = moveEvent.clientX - startX;
+      if (
+        !dragRef.current.isDragging &&
+        Math.abs(deltaPx) < DRAG_THRESHOLD_PX
+      ) {
+        return;
+      }
+      dragRef.current.isDragging = true;
+      const nextTime = Math.max(
+        0,
+        Math.min(maxTime, marker.time + deltaPx * msPerPx)
+      );
+      dragRef.current.time = nextTime;
+      setDragPreview({ id: marker.id, time: nextTime });
+    };
+
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      const { isDragging, time } = dragRef.current;
+      dragRef.current = null;
+      setDragPreview(null);
+
+      if (isDragging) {
+        store.moveMarker(marker.id, time);
+      } else {
+        store.handleSeek(marker.time);
+      }
+    };
+
+    dragRef.current = { onMove, onUp, isDragging: false, time: marker.time };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const handleDoubleClick = (e, marker) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setMenu({ id: marker.id, x: rect.left, y: rect.bottom + 6 });
+  };
+
+  const menuMarker = menu && store.markers.find(item => item.id === menu.id);
+
+  return (
+    <div ref={containerRef} className={styles.timelineMarkers}>
+      {store.markers.map(marker => {
+        const time =
+          dragPreview?.id === marker.id ? dragPreview.time : marker.time;
+        return (
+          <div
+            key={marker.id}
+            className={`${styles.timelineMarker} ${
+              marker.isChapter ? styles.chapterMarker : ''
+            }`}
+            style={{ left: `${(time / maxTime) * 100}%`, color: marker.color }}
+            title={`${marker.label || 'Marker'}${
+              marker.isChapter ? ' (chapter)' : ''
+            } - drag to move, double-click to edit`}
+            onMouseDown={e => handleMouseDown(e, marker)}
+            onMouseUp={e => e.stopPropagation()}
+            onDoubleClick={e => handleDoubleClick(e, marker)}
+          >
+            <div className={styles.timelineMarkerFlag}>
+              {marker.label && (
+                <span className={styles.timelineMarkerLabel}>
+                  {marker.label}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {menuMarker && (
+        <PopupPortal x={menu.x} y={menu.y}>
+          <div ref={menuRef}>
+            <MarkerMenu
+              key={menuMarker.id}
+              marker={menuMarker}
+              onClose={() => setMenu(null)}
+            />
+          </div>
+        </PopupPortal>
+      )}
+    </div>
+  );
+});
+
+export default TimelineMarkers;
@@ -25,6 +25,8 @@ import { saveVideoData } from '../../utils/saveVideoMetadata';
 import { user as selectUser } from '../../redux/auth/selectors';
 import { Resizable } from 'react-resizable';
 import { handleCatchError } from '../../utils/errorHandler';
+import { snapClipStart } from '../../utils/timeline/snapEngine';
+import TrackControls from './TrackControls';
 
 // Helper function to check if element types are compatible for mixing on same row
 const areTypesCompatible = (type1, type2) => {
@@ -36,6 +38,11 @@ const areTypesCompatible = (type1, type2) => {
     return isType1Subtitle && isType2Subtitle;
   }
 
+  // Adjustment layers only share a row with other adjustment layers
+  if (type1 === 'adjustment' || type2 === 'adjustment') {
+    return type1 === type2;
+  }
+
   // Animation can go anywhere (except with subtitles, handled above)
   if (type1 === 'animation' || type2 === 'animation') {
     return true;
@@ -44,7 +51,7 @@ const areTypesCompatible = (type1, type2) => {
   // Professional track separation: Video, audio, and image NEVER mix on same row
   const videoTypes = ['video'];
   const audioTypes = ['audio'];
-  const imageTypes = ['imageUrl', 'image'];
+  const imageTypes = ['imageUrl', 'image', 'shape', 'compound'];
   const type1IsVideo = videoTypes.includes(type1);
   const type2IsVideo = videoTypes.includes(type2);
   const type1IsAudio = audioTypes.includes(type1);
@@ -58,7 +65,7 @@ const areTypesCompatible = (type1, type2) => {
   if (type1IsImage && (type2IsVideo || type2IsAudio)) return false;
   if (type2IsImage && (type1IsVideo || type1IsAudio)) return false;
 
-  // Same-type tracks: only imageUrl/image can share a row
+  // Same-type tracks: only imageUrl/image/shape can share a row
   return type1IsImage && type2IsImage;
 };
 
@@ -104,6 +111,8 @@ const TimelineRow = observer(
         transition: 24,
         video: 44,
         animation: 26,
+        adjustment: 28,
+        shape: 32,
       };
       return heights[rowType] || 32;
     }, [rowType]);
@@ -413,16 +422,24 @@ const TimelineRow = observer(
 
           const deltaX = clientOffset.x - store.ghostState.initialClientX;
           const deltaTime = (deltaX / hoverBoundingRect.width) * store.maxTime;
-          const newPosition = Math.max(
-            0,
-            Math.min(
-              store.maxTime,
-              store.ghostState.initialElementStarts[
-                store.ghostState.selectedElements.findIndex(
-                  el => el.id === draggedElement.id
-                )
-              ] + deltaTime
-            )
+          const newPosition = snapClipStart(
+            store,
+            Math.max(
+              0,
+              Math.min(
+                store.maxTime,
+                store.ghostState.initialElementStarts[
+                  store.ghostState.selectedElements.findIndex(
+                    el => el.id === draggedElement.id
+                  )
+                ] + deltaTime
+              )
+            ),
+            draggedElement.timeFrame.end - draggedElement.timeFrame.start,
+            {
+              excludeIds: store.ghostState.selectedElements.map(el => el.id),
+              msPerPx: store.maxTime / hoverBoundingRect.width,
+            }
           );
 
           // Update multi-ghost elements
@@ -488,12 +505,20 @@ const TimelineRow = observer(
 
           const deltaX = clientOffset.x - store.ghostState.initialClientX;
           const deltaTime = (deltaX / hoverBoundingRect.width) * store.maxTime;
-          const newPosition = Math.max(
-            0,
-            Math.min(
-              store.maxTime,
-              store.ghostState.initialElementStart + deltaTime
-            )
+          const newPosition = snapClipStart(
+            store,
+            Math.max(
+              0,
+              Math.min(
+                store.maxTime,
+                store.ghostState.initialElementStart + deltaTime
+              )
+            ),
+            draggedElement.timeFrame.end - draggedElement.timeFrame.start,
+            {
+              excludeIds: [draggedElement.id],
+              msPerPx: store.maxTime / hoverBoundingRect.width,
+            }
           );
 
           // Always update ghost element position with push logic, regardless of compatibility
@@ -574,13 +599,24 @@ const TimelineRow = observer(
               const draggedIndex = store.ghostState.selectedElements.findIndex(
                 el => el.id === store.ghostState.draggedElement.id
               );
-              const finalPosition = Math.max(
-                0,
-                Math.min(
-                  store.maxTime,
-                  store.ghostState.initialElementStarts[draggedIndex] +
-                    deltaTime
-                )
+              const draggedElement = store.ghostState.draggedElement;
+              const finalPosition = snapClipStart(
+                store,
+                Math.max(
+                  0,
+                  Math.min(
+                    store.maxTime,
+                    store.ghostState.initialElementStarts[draggedIndex] +
+                      deltaTime
+                  )
+                ),
+                draggedElement.timeFrame.end - draggedElement.timeFrame.start,
+                {
+                  excludeIds: store.ghostState.selectedElements.map(
+                    el => el.id
+                  ),
+                  msPerPx: store.maxTime / hoverBoundingRect.width,
+                }
               );
 
               store.finishMultiGhostDrag(finalPosition, rowIndex);
@@ -606,12 +642,20 @@ const TimelineRow = observer(
                 const deltaX = clientOffset.x - store.ghostState.initialClientX;
                 const deltaTime =
                   (deltaX / hoverBoundingRect.width) * store.maxTime;
-                const finalPosition = Math.max(
-                  0,
-                  Math.min(
-                    store.maxTime,
-                    store.ghostState.initialElementStart + deltaTime
-                  )
+                const finalPosition = snapClipStart(
+                  store,
+                  Math.max(
+                    0,
+                    Math.min(
+                      store.maxTime,
+                      store.ghostState.initialElementStart + deltaTime
+                    )
+                  ),
+                  draggedElement.timeFrame.end - draggedElement.timeFrame.start,
+                  {
+                    excludeIds: [draggedElement.id],
+                    msPerPx: store.maxTime / hoverBoundingRect.width,
+                  }
                 );
 
                 // Use appropriate finish method based on element type
@@ -1245,6 +1289,10 @@ const TimelineRow = observer(
                     newGLTransition.manuallyAdjusted = false;
                     newGLTransition.properties.transitionType =
                       glTransitionData.transitionType;
+                    if (glTransitionData.customTransition) {
+                      newGLTransition.properties.customTransition =
+                        glTransitionData.customTransition;
+                    }
 
                     store.animations.push(newGLTransition);
 
@@ -1299,6 +1347,8 @@ const TimelineRow = observer(
         if (!monitor.getItem()) return;
       },
       canDrop: item => {
+        // Locked rows take no new clips
+        if (store.isRowLocked(rowIndex)) return false;
         if (item.type === 'gallery-image' || item.type === 'scene-image') {
           const canDropImage =
             !overlays.length ||
@@ -1811,6 +1861,8 @@ const TimelineRow = observer(
       return null;
     }, [overlays]);
 
+    const trackState = store.getTrackState(rowIndex);
+
     return (
       <div style={{ position: 'relative' }} data-testid="timeline-row">
         {/* Top drop zone removed - now handled in timeline-grid.jsx */}
@@ -2007,7 +2059,9 @@ const TimelineRow = observer(
                 (!rowType || areTypesCompatible(rowType, overlays[0]?.type)))
                 ? styles.rowHover
                 : ''
-            }`}
+            } ${trackState.locked ? styles.lockedTrack : ''} ${
+              trackState.hidden ? styles.hiddenTrack : ''
+            } ${!store.isRowAudible(rowIndex) ? styles.silentTrack : ''}`}
             data-testid="timeline-row"
             data-timeline-row={rowId}
             style={{
@@ -2081,6 +2135,7 @@ const TimelineRow = observer(
                 justifyContent: 'center',
               }}
             >
+              <TrackControls rowIndex={rowIndex} />
               {renderRowDragHandle()}
             </div>
             <div
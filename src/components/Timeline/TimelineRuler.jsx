@@ -2,6 +2,7 @@ import React, { useMemo } from 'react';
 import { observer } from 'mobx-react';
 import { StoreContext } from '../../mobx';
 import styles from './Timeline.module.scss';
+import TimelineMarkers from './TimelineMarkers';
 
 /**
  * TimelineRuler - Professional timeline ruler showing time markers
@@ -152,6 +153,7 @@ const TimelineRuler = observer(({ scale = 1 }) => {
             )}
           </div>
         ))}
+        <TimelineMarkers />
       </div>
     </div>
   );
@@ -0,0 +1,42 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+
+const CONTROLS = [
+  { flag: 'muted', label: 'M', on: 'Unmute track', off: 'Mute track' },
+  { flag: 'solo', label: 'S', on: 'Unsolo track', off: 'Solo track' },
+  { flag: 'locked', label: 'L', on: 'Unlock track', off: 'Lock track' },
+  { flag: 'hidden', label: 'H', on: 'Show track', off: 'Hide track' },
+];
+
+// Mute, solo, lock and hide toggles in a row's header
+const TrackControls = observer(({ rowIndex }) => {
+  const store = React.useContext(StoreContext);
+  const state = store.getTrackState(rowIndex);
+
+  return (
+    <div className={styles.trackControls} data-track-controls>
+      {CONTROLS.map(({ flag, label, on, off }) => (
+        <button
+          key={flag}
+          type="button"
+          className={`${styles.trackControl} ${
+            state[flag] ? styles.trackControlActive : ''
+          }`}
+          aria-pressed={state[flag]}
+          title={state[flag] ? on : off}
+          onMouseDown={e => e.stopPropagation()}
+          onClick={e => {
+            e.stopPropagation();
+            store.toggleTrackState(rowIndex, flag);
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default TrackControls;
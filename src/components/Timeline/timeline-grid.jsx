@@ -522,10 +522,11 @@ const TimelineGrid = observer(
     // Helper: same as TimelineRow — video/audio/image never combine on same row
     const areTypesCompatible = (type1, type2) => {
       if (type1 === 'text' || type2 === 'text') return type1 === 'text' && type2 === 'text';
+      if (type1 === 'adjustment' || type2 === 'adjustment') return type1 === type2;
       if (type1 === 'animation' || type2 === 'animation') return true;
       const videoTypes = ['video'];
       const audioTypes = ['audio'];
-      const imageTypes = ['imageUrl', 'image'];
+      const imageTypes = ['imageUrl', 'image', 'shape', 'compound'];
       const v1 = videoTypes.includes(type1), v2 = videoTypes.includes(type2);
       const a1 = audioTypes.includes(type1), a2 = audioTypes.includes(type2);
       const i1 = imageTypes.includes(type1), i2 = imageTypes.includes(type2);
@@ -13,6 +13,33 @@ import { InIcon, AnimationIcon, OutIcon } from 'components/Icons';
 import { Tooltip } from 'react-tooltip';
 import { createPortal } from 'react-dom';
 import { updateSelectedImage, deleteScene } from '../../redux/scene/sceneSlice';
+import KeyframeMarkers from './KeyframeMarkers';
+import LowConfidenceWordMarks from './LowConfidenceWordMarks';
+import VolumeEnvelopeOverlay from '../CustomWaveform/VolumeEnvelopeOverlay';
+import PopupPortal from '../PlayerComponent/PopupPortal/PopupPortal';
+import ChromaKeyPanel from '../PlayerComponent/ChromaKeyPanel/ChromaKeyPanel';
+import ColorGradePanel from '../PlayerComponent/ColorGradePanel/ColorGradePanel';
+import AdjustmentLayerPanel from '../PlayerComponent/AdjustmentLayerPanel/AdjustmentLayerPanel';
+import BlendingPanel from '../PlayerComponent/BlendingPanel/BlendingPanel';
+import { supportsMediaEffects } from '../../utils/mediaSource';
+import {
+  describeAdjustmentFilters,
+  isAdjustmentElement,
+} from '../../utils/adjustmentLayer';
+import { supportsBlending } from '../../utils/blending';
+import { getShapeSwatch, isShapeElement } from '../../utils/shapes';
+import { getCompoundClips, isCompoundClip } from '../../utils/compoundClips';
+import ShapePanel from '../PlayerComponent/ShapePanel/ShapePanel';
+import MaskPanel from '../PlayerComponent/MaskPanel/MaskPanel';
+import MotionTrackingPanel from '../PlayerComponent/MotionTrackingPanel/MotionTrackingPanel';
+import SpeedPanel from '../PlayerComponent/SpeedPanel/SpeedPanel';
+import FreezeFramePanel from '../PlayerComponent/FreezeFramePanel/FreezeFramePanel';
+import {
+  formatClipSpeed,
+  getSourceElapsed,
+  hasSpeedChange,
+  supportsClipSpeed,
+} from '../../utils/clipSpeed';
 
 // Add this at the top of the file, after the imports
 const GLOBAL_AUDIO_STATS = {
@@ -277,7 +304,8 @@ const DraggableElement = ({
       
       return dragItem;
     },
-    canDrag: () => true,
+    // Clips on locked rows stay where they are
+    canDrag: () => !store.isRowLocked(element.row),
     collect: monitor => ({
       isDragging: monitor.isDragging(),
     }),
@@ -645,6 +673,8 @@ const TimelineItem = observer(
     const [isPopupVisible, setIsPopupVisible] = useState(false);
     const [popupPosition, setPopupPosition] = useState({ x: 0, y: 0 });
     const [isTrackInfoVisible, setIsTrackInfoVisible] = useState(false);
+    // Chroma key or colour grade panel: { type, x, y }
+    const [effectPanel, setEffectPanel] = useState(null);
     const waveformRef = useRef(null);
     const canvasRef = useRef(null);
     const inputRef = useRef(null);
@@ -730,6 +760,17 @@ const TimelineItem = observer(
       isSelected = true;
     }
 
+    // Audio clips and videos that play their own sound take a volume
+    // envelope; a video with extracted audio has it on the audio clip
+    const hasOwnSound =
+      item.type === 'audio' ||
+      (item.type === 'video' && !item.properties?.hasSeparateAudio);
+    const hasUserVolumeEnvelope =
+      hasOwnSound &&
+      (item.properties?.volumeEnvelope?.length > 0 ||
+        item.properties?.fadeIn > 0 ||
+        item.properties?.fadeOut > 0);
+
     useEffect(() => {
       const handleKeyDown = e => {
         // Don't handle delete/backspace if focused on an input, textarea, or interacting with autocomplete/dropdown
@@ -812,8 +853,12 @@ const TimelineItem = observer(
           canvasRef.current = canvas;
         }
 
-        // Calculate the actual duration of the displayed portion
-        const displayDuration = item.timeFrame.end - item.timeFrame.start;
+        // Calculate the source duration of the displayed portion, which a
+        // speed change stretches or squeezes into the clip
+        const displayDuration = getSourceElapsed(
+          item,
+          item.timeFrame.end - item.timeFrame.start
+        );
 
         // Draw the waveform with the correct offset (catch to avoid unhandled rejection on CORS/cache errors)
         drawAudioWaveform(
@@ -853,6 +898,8 @@ const TimelineItem = observer(
     }, [
       item.properties?.src,
       item.properties?.audioOffset,
+      item.properties?.speed,
+      item.properties?.speedRamp,
       item.timeFrame.start,
       item.timeFrame.end,
     ]);
@@ -865,7 +912,10 @@ const TimelineItem = observer(
         canvasRef.current &&
         item.properties?.audioOffset !== undefined
       ) {
-        const displayDuration = item.timeFrame.end - item.timeFrame.start;
+        const displayDuration = getSourceElapsed(
+          item,
+          item.timeFrame.end - item.timeFrame.start
+        );
 
         // Redraw the waveform with the updated offset
         drawAudioWaveform(
@@ -1025,6 +1075,8 @@ const TimelineItem = observer(
         y: e.clientY - dragableRect.top,
         splitPoint: splitPoint,
         positionRight: spaceOnRight < PANEL_WIDTH + OFFSET,
+        clientX: e.clientX,
+        clientY: e.clientY,
       });
       setIsPopupVisible(true);
     };
@@ -1033,6 +1085,33 @@ const TimelineItem = observer(
       setIsPopupVisible(false);
     };
 
+    // Open above the clip (or the given pointer position) so the canvas
+    // stays visible while tuning
+    const showEffectPanel = (type, { clientX, clientY } = popupPosition) => {
+      const PANEL_WIDTH = 320;
+      const PANEL_HEIGHT = 420;
+      setEffectPanel({
+        type,
+        x: Math.max(
+          8,
+          Math.min(
+            clientX - PANEL_WIDTH / 2,
+            window.innerWidth - PANEL_WIDTH - 8
+          )
+        ),
+        y: Math.max(8, clientY - PANEL_HEIGHT - 16),
+      });
+    };
+
+    // Clips a compound clip made from here holds: the selection when this
+    // clip is part of it, otherwise this clip alone
+    const getCompoundSelection = () => {
+      const selected = Object.values(store.selectedElements || {});
+      return selected.some(element => element?.id === item.id)
+        ? selected.map(element => element.id)
+        : [item.id];
+    };
+
     const handleSplitAudio = async splitPoint => {
       console.log('🔊 handleSplitAudio CALLED:', { itemType: item.type, itemId: item.id, splitPoint });
       if (item.type === 'audio') {
@@ -1053,6 +1132,20 @@ const TimelineItem = observer(
 
     const scene = scenes?.find(scene => scene._id === item.pointId);
 
+    const renderVolumeEnvelope = () =>
+      hasOwnSound &&
+      (isSelected || hasUserVolumeEnvelope) && (
+        <VolumeEnvelopeOverlay
+          points={item.properties?.volumeEnvelope}
+          fadeIn={item.properties?.fadeIn}
+          fadeOut={item.properties?.fadeOut}
+          duration={item.timeFrame.end - item.timeFrame.start}
+          interactive={isSelected && !isCutMode && !item.isLoading}
+          onPointsChange={points => store.setVolumeEnvelope(item.id, points)}
+          onFadesChange={fades => store.setElementFades(item.id, fades)}
+        />
+      );
+
     const getItemContent = (type, id) => {
       switch (type) {
         case 'transition':
@@ -1122,6 +1215,52 @@ const TimelineItem = observer(
         case 'clip':
           return <div className={styles.itemLabel}>{item.type}</div>;
 
+        case 'adjustment':
+          return (
+            <div
+              className={styles.adjustmentLabel}
+              data-timeline-item
+              data-overlay-id={item.id}
+              onDoubleClick={e => showEffectPanel('adjustment', e)}
+            >
+              <span className={styles.adjustmentName}>{item.name}</span>
+              <span className={styles.adjustmentFilters}>
+                {describeAdjustmentFilters(item.properties?.filters)}
+              </span>
+            </div>
+          );
+
+        case 'compound':
+          return (
+            <div
+              className={styles.compoundLabel}
+              data-timeline-item
+              data-overlay-id={item.id}
+              onDoubleClick={() => store.openCompoundClip(item.id)}
+            >
+              <span className={styles.compoundName}>{item.name}</span>
+              <span className={styles.compoundCount}>
+                {getCompoundClips(item.properties?.elements || []).length} clips
+              </span>
+            </div>
+          );
+
+        case 'shape':
+          return (
+            <div
+              className={styles.shapeLabel}
+              data-timeline-item
+              data-overlay-id={item.id}
+              onDoubleClick={e => showEffectPanel('shape', e)}
+            >
+              <span
+                className={styles.shapeSwatch}
+                style={{ background: getShapeSwatch(item.properties?.fill) }}
+              />
+              <span className={styles.shapeName}>{item.name}</span>
+            </div>
+          );
+
         case 'audio':
           return (
             <div
@@ -1139,6 +1278,7 @@ const TimelineItem = observer(
                 className={styles.waveform}
                 data-timeline-item
               ></div>
+              {renderVolumeEnvelope()}
               {item.isLoading && (
                 <div className={styles.loadingOverlay}>
                   <div className={styles.loadingSpinner}></div>
@@ -1203,6 +1343,7 @@ const TimelineItem = observer(
                   <span>Video</span>
                 </div>
               )}
+              {renderVolumeEnvelope()}
             </div>
           );
 
@@ -1549,7 +1690,7 @@ const TimelineItem = observer(
               },
             };
 
-            store.saveToHistory();
+            store.historyManager.beginTransaction('Merge subtitles');
 
             store.isUndoRedoOperation = true;
 
@@ -1582,6 +1723,7 @@ const TimelineItem = observer(
               });
             } finally {
               store.isUndoRedoOperation = false;
+              store.historyManager.commitTransaction();
             }
           }
         }
@@ -1927,6 +2069,7 @@ const TimelineItem = observer(
           total={store.maxTime}
           isSelected={isSelected}
           element={item}
+          disabled={store.isRowLocked(item.row)}
           resizeType="start"
           onMouseUp={() => {
             // Apply full subtitle adjustment if we were dragging a subtitle
@@ -2030,6 +2173,38 @@ const TimelineItem = observer(
             
             {!item.isLoading && item.type && getItemContent(item.type, item.id)}
 
+            {item.keyframes && <KeyframeMarkers element={item} />}
+
+            {hasSpeedChange(item) && (
+              <span className={styles.speedBadge}>{formatClipSpeed(item)}</span>
+            )}
+
+            {store.clipProcessing?.elementId === item.id && (
+              <div className={styles.loadingState}>
+                <div className={styles.loadingSpinner} />
+                <div className={styles.loadingText}>
+                  {store.clipProcessing.message} {store.clipProcessing.progress}%
+                </div>
+                {store.clipProcessing.operation !== 'freezeFrame' && (
+                  <button
+                    type="button"
+                    className={styles.clipProcessingCancel}
+                    onMouseDown={e => e.stopPropagation()}
+                    onClick={e => {
+                      e.stopPropagation();
+                      store.cancelClipProcessing();
+                    }}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            )}
+
+            {item.subType === 'subtitles' && store.subtitleReview.isActive && (
+              <LowConfidenceWordMarks element={item} />
+            )}
+
             {isPopupVisible && (
               <PopupPanel
                 isOpen={isPopupVisible}
@@ -2048,11 +2223,165 @@ const TimelineItem = observer(
                 onSplitImage={handleSplitImage}
                 onSplitVideo={handleSplitVideo}
                 element={item}
+                onAddKeyframe={() => store.addKeyframesAtCurrentTime(item.id)}
+                onClearKeyframes={
+                  item.keyframes && Object.keys(item.keyframes).length
+                    ? () => store.clearKeyframes(item.id)
+                    : null
+                }
+                onResetVolumeEnvelope={
+                  hasUserVolumeEnvelope
+                    ? () => store.resetVolumeEnvelope(item.id)
+                    : null
+                }
                 onShowTrackInfo={() => setIsTrackInfoVisible(true)}
+                onShowChromaKey={
+                  supportsMediaEffects(item)
+                    ? () => showEffectPanel('chromaKey')
+                    : null
+                }
+                onShowColorGrade={
+                  supportsMediaEffects(item)
+                    ? () => showEffectPanel('colorGrade')
+                    : null
+                }
+                onShowMask={
+                  supportsMediaEffects(item)
+                    ? () => showEffectPanel('mask')
+                    : null
+                }
+                onShowMotionTracking={
+                  item.type === 'video'
+                    ? () => showEffectPanel('motionTracking')
+                    : null
+                }
+                onShowBlending={
+                  supportsBlending(item)
+                    ? () => showEffectPanel('blending')
+                    : null
+                }
+                onShowAdjustments={
+                  isAdjustmentElement(item)
+                    ? () => showEffectPanel('adjustment')
+                    : null
+                }
+                onShowShape={
+                  isShapeElement(item) ? () => showEffectPanel('shape') : null
+                }
+                onShowSpeed={
+                  supportsClipSpeed(item)
+                    ? () => showEffectPanel('speed')
+                    : null
+                }
+                onShowFreezeFrame={
+                  store.canProcessClip(item)
+                    ? () => showEffectPanel('freezeFrame')
+                    : null
+                }
+                onReverse={
+                  store.canProcessClip(item)
+                    ? () => store.reverseClip(item.id)
+                    : null
+                }
+                onPingPong={
+                  store.canProcessClip(item)
+                    ? () => store.pingPongClip(item.id)
+                    : null
+                }
+                onCreateCompound={
+                  store.canCreateCompoundClip(getCompoundSelection())
+                    ? () => store.createCompoundClip(getCompoundSelection())
+                    : null
+                }
+                onOpenCompound={
+                  isCompoundClip(item)
+                    ? () => store.openCompoundClip(item.id)
+                    : null
+                }
                 hasTrackInfo={!!(item.properties?.tracks && (item.type === 'video' || item.type === 'audio'))}
               />
             )}
 
+            {['chromaKey', 'colorGrade'].includes(effectPanel?.type) &&
+              supportsMediaEffects(item) && (
+                <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                  {effectPanel.type === 'chromaKey' ? (
+                    <ChromaKeyPanel
+                      element={item}
+                      onClose={() => setEffectPanel(null)}
+                    />
+                  ) : (
+                    <ColorGradePanel
+                      element={item}
+                      onClose={() => setEffectPanel(null)}
+                    />
+                  )}
+                </PopupPortal>
+              )}
+
+            {effectPanel?.type === 'mask' && supportsMediaEffects(item) && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <MaskPanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel?.type === 'motionTracking' && item.type === 'video' && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <MotionTrackingPanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel?.type === 'blending' && supportsBlending(item) && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <BlendingPanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel?.type === 'speed' && supportsClipSpeed(item) && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <SpeedPanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel?.type === 'freezeFrame' && item.type === 'video' && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <FreezeFramePanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel?.type === 'shape' && isShapeElement(item) && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <ShapePanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
+            {effectPanel && isAdjustmentElement(item) && (
+              <PopupPortal x={effectPanel.x} y={effectPanel.y}>
+                <AdjustmentLayerPanel
+                  element={item}
+                  onClose={() => setEffectPanel(null)}
+                />
+              </PopupPortal>
+            )}
+
             {/* Track Info Panel */}
             {isTrackInfoVisible && (item.type === 'video' || item.type === 'audio') && (
               <TrackInfoPanel
@@ -2075,6 +2404,7 @@ const TimelineItem = observer(
           total={store.maxTime}
           isSelected={isSelected}
           element={item}
+          disabled={store.isRowLocked(item.row)}
           resizeType="end"
           onMouseUp={() => {
             // Apply full subtitle adjustment if we were dragging a subtitle
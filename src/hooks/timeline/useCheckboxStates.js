@@ -5,7 +5,12 @@ export const useCheckboxStates = (storageKey, defaultCount) => {
     const saved = localStorage.getItem(storageKey);
     if (saved) {
       try {
-        return JSON.parse(saved);
+        const states = JSON.parse(saved);
+        // Options added since the states were saved start out checked
+        return [
+          ...states,
+          ...new Array(Math.max(0, defaultCount - states.length)).fill(true),
+        ];
       } catch (e) {
         console.error('Failed to parse checkbox states:', e);
       }
@@ -2,11 +2,17 @@ import { useState, useEffect } from 'react';
 import { useSocket } from 'contexts/SocketContext';
 import toast from 'react-hot-toast';
 
+/**
+ * Tracks voiceover generation for a story over the socket. With a `store`,
+ * the story is voiced line by line in each speaker's voice and every
+ * generated line is placed on the voiceover track as its own clip.
+ */
 export const useVoiceoverGeneration = ({
   storyId,
   refetch,
   enabled = true,
   onComplete,
+  store = null,
 }) => {
   const [isVoiceoverGenerating, setIsVoiceoverGenerating] = useState(false);
   const [voiceoverProgress, setVoiceoverProgress] = useState({
@@ -15,7 +21,7 @@ export const useVoiceoverGeneration = ({
   });
   const [lastProcessedSentence, setLastProcessedSentence] = useState(-1);
 
-  const { socket, subscribe, unsubscribeAll } = useSocket();
+  const { socket, subscribe, unsubscribeAll, emit } = useSocket();
 
   useEffect(() => {
     if (!socket || !storyId || !enabled) return;
@@ -76,6 +82,21 @@ export const useVoiceoverGeneration = ({
         total: data.totalSentences
       });
       setLastProcessedSentence(data.sentenceIndex || data.completedSentences - 1);
+
+      // Per-speaker generation sends each line's clip as it is ready
+      if (store && data.audioUrl && data.speakerId) {
+        store
+          .addSpeakerVoiceover({
+            id: `vo-${data.speakerId}-${data.sentenceIndex}`,
+            url: data.audioUrl,
+            duration: data.duration,
+            startTime: data.startTime,
+            speakerId: data.speakerId,
+          })
+          .catch(error => {
+            console.error('Failed to add voiceover clip:', error);
+          });
+      }
     };
 
     const handleVoiceoverComplete = data => {
@@ -123,17 +144,39 @@ export const useVoiceoverGeneration = ({
     return () => {
       unsubscribeAll(keyPrefix);
     };
-  }, [socket, storyId, subscribe, unsubscribeAll, refetch, enabled, onComplete]);
+  }, [socket, storyId, subscribe, unsubscribeAll, refetch, enabled, onComplete, store]);
 
   // Calculate progress percentage
   const progressPercentage = voiceoverProgress.total > 0 
     ? Math.round((voiceoverProgress.completed / voiceoverProgress.total) * 100)
     : 0;
 
+  // Ask for the story to be voiced with one voice per speaker
+  const triggerVoiceoverGeneration = () => {
+    if (!emit || !storyId || !store) {
+      console.warn('Cannot trigger voiceover generation: missing emit, storyId or store');
+      return false;
+    }
+
+    const success = emit('generateVoiceover', {
+      storyId,
+      lines: store.getSpeakerVoiceLines(),
+    });
+
+    if (success) {
+      setIsVoiceoverGenerating(true);
+      setVoiceoverProgress({ completed: 0, total: 0 });
+      setLastProcessedSentence(-1);
+    }
+
+    return success;
+  };
+
   return {
     isVoiceoverGenerating,
     voiceoverProgress,
     voiceoverProgressPercentage: progressPercentage,
     lastProcessedSentence,
+    triggerVoiceoverGeneration,
   };
 }; 
\ No newline at end of file
@@ -0,0 +1,125 @@
+import { getCompoundDuration, isCompoundClip } from '../../utils/compoundClips';
+import { isRowVisible } from '../../utils/timeline/trackStates';
+import { getTrackValue, hasKeyframes, KEYFRAME_PROPERTIES } from './keyframes';
+import { refreshAnimationsUtil } from './refreshAnimations';
+
+const noop = () => {};
+
+// Timeline of the preset animations of a compound clip's contents, built by
+// refreshAnimationsUtil like the main one. It runs on a view of the store
+// that sees only the contents, their animations and the renderer's canvas,
+// all with times from the compound's start.
+const createCompoundTimeline = (store, element, renderer) => {
+  const { elements, animations = [] } = element.properties;
+  const objects = new Map(
+    renderer.layers.map(({ element: child, object }) => [child.id, object])
+  );
+  const field = value => ({ value, writable: true });
+
+  const scope = Object.create(store, {
+    canvas: field(renderer.canvas),
+    editorElements: field(
+      elements.map(child => ({
+        ...child,
+        fabricObject: objects.get(child.id) ?? null,
+      }))
+    ),
+    animations: field(
+      animations
+        .filter(animation => animation.type !== 'glTransition')
+        .map(animation => ({ ...animation }))
+    ),
+    animationTimeLine: field(null),
+    glTransitionElements: field(new Map()),
+    isRefreshingAnimations: field(false),
+    maxTime: field(getCompoundDuration(elements)),
+    currentTimeInMs: field(0),
+    clearGLTransitionCache: field(noop),
+    removeGLTransition: field(noop),
+    ensureElementsZOrder: field(noop),
+    updateTimeTo: field(noop),
+  });
+  refreshAnimationsUtil(scope);
+  return scope.animationTimeLine;
+};
+
+// Show the contents of a compound clip's renderer at `localTime` into it,
+// nested compounds included. False when nothing had to be redrawn.
+const drawCompoundFrame = (store, element, renderer, localTime) => {
+  if (renderer.lastTime === localTime) return false;
+  renderer.lastTime = localTime;
+  const trackStates = element.properties.trackStates;
+
+  if (!renderer.animationTimeLine) {
+    renderer.animationTimeLine = createCompoundTimeline(
+      store,
+      element,
+      renderer
+    );
+  }
+  renderer.animationTimeLine.seek(localTime);
+
+  renderer.layers.forEach(({ element: child, object }) => {
+    const { start, end } = child.timeFrame;
+    const visible =
+      localTime >= start &&
+      localTime <= end &&
+      isRowVisible(trackStates, child.row);
+    object.visible = visible;
+    if (!visible) return;
+
+    if (hasKeyframes(child)) {
+      Object.entries(KEYFRAME_PROPERTIES).forEach(([property, fabricKey]) => {
+        const value = getTrackValue(
+          store,
+          child.keyframes[property],
+          localTime - start
+        );
+        if (value !== undefined) object.set(fabricKey, value);
+      });
+    }
+    if (
+      object.compoundRenderer &&
+      drawCompoundFrame(
+        store,
+        child,
+        object.compoundRenderer,
+        localTime - start
+      )
+    ) {
+      object.dirty = true;
+    }
+  });
+
+  renderer.render();
+  return true;
+};
+
+// Play every compound clip on the timeline at the given time. A compound in
+// a GL transition is hidden while the transition draws it, so this goes by
+// its time frame rather than its visibility.
+export const renderCompoundClipsUtil = (store, time) => {
+  let needsRender = false;
+
+  store.editorElements.forEach(element => {
+    const renderer = element.fabricObject?.compoundRenderer;
+    if (!isCompoundClip(element) || !renderer) return;
+    if (time < element.timeFrame.start || time > element.timeFrame.end) return;
+
+    if (
+      drawCompoundFrame(
+        store,
+        element,
+        renderer,
+        time - element.timeFrame.start
+      )
+    ) {
+      element.fabricObject.dirty = true;
+      needsRender = true;
+    }
+  });
+
+  if (needsRender) {
+    store.canvas?.requestRenderAll();
+  }
+};
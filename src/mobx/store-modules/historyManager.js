@@ -0,0 +1,416 @@
+import {
+  action,
+  computed,
+  makeObservable,
+  observable,
+  runInAction,
+} from 'mobx';
+import { safeSerialize } from '../../redux/timeline/timelineSlice';
+
+const MAX_HISTORY_LENGTH = 100;
+
+// Runtime bookkeeping that changes during playback/drag, not user edits
+const VOLATILE_KEYS = ['lastUpdateTime', 'isDragging'];
+
+const serializeItem = item => {
+  const clean = safeSerialize(item);
+  VOLATILE_KEYS.forEach(key => {
+    delete clean[key];
+    if (clean.properties) delete clean.properties[key];
+  });
+  return JSON.stringify(clean);
+};
+
+// Serializable snapshot of the parts of the store that edits can touch
+const captureState = store => ({
+  elements: new Map(store.editorElements.map(el => [el.id, serializeItem(el)])),
+  animations: new Map(
+    store.animations.map(anim => [anim.id, serializeItem(anim)])
+  ),
+  maxRows: store.maxRows,
+  markers: JSON.stringify(store.markers || []),
+  speakers: JSON.stringify(store.speakers || []),
+  colorGrade: JSON.stringify(store.colorGrade || null),
+  trackStates: JSON.stringify(store.trackStates || []),
+});
+
+// Keep only the ids whose serialized state differs between two snapshots.
+// A null value means "does not exist" on that side.
+const diffMaps = (beforeMap, afterMap) => {
+  const before = new Map();
+  const after = new Map();
+
+  beforeMap.forEach((value, id) => {
+    const next = afterMap.has(id) ? afterMap.get(id) : null;
+    if (next !== value) {
+      before.set(id, value);
+      after.set(id, next);
+    }
+  });
+  afterMap.forEach((value, id) => {
+    if (!beforeMap.has(id)) {
+      before.set(id, null);
+      after.set(id, value);
+    }
+  });
+
+  return { before, after };
+};
+
+// Make sure a restored audio/video element has its hidden media node again
+const ensureMediaNode = (element, store) => {
+  const { elementId, src } = element.properties || {};
+  if (!elementId || !src || document.getElementById(elementId)) return;
+
+  if (element.type === 'audio') {
+    const audio = document.createElement('audio');
+    audio.id = elementId;
+    audio.src = src;
+    audio.volume = store.volume;
+    audio.playbackRate = store.playbackRate;
+    document.body.appendChild(audio);
+  } else if (element.type === 'video') {
+    const video = document.createElement('video');
+    video.id = elementId;
+    video.src = src;
+    video.crossOrigin = 'anonymous';
+    video.preload = 'auto';
+    video.playsInline = true;
+    video.muted = Boolean(element.properties.hasSeparateAudio);
+    video.style.display = 'none';
+    document.body.appendChild(video);
+  }
+};
+
+/**
+ * A single undoable step. Holds the serialized state of every element and
+ * animation it touched, plus the timeline markers, speakers, composition
+ * colour grade and track states, before and after the edit, and restores
+ * either side.
+ */
+export class TimelineCommand {
+  constructor(label, beforeState, afterState) {
+    this.id = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    this.label = label;
+    this.timestamp = Date.now();
+    this.elements = diffMaps(beforeState.elements, afterState.elements);
+    this.animations = diffMaps(beforeState.animations, afterState.animations);
+    this.maxRows = { before: beforeState.maxRows, after: afterState.maxRows };
+    this.markers = { before: beforeState.markers, after: afterState.markers };
+    this.speakers = {
+      before: beforeState.speakers,
+      after: afterState.speakers,
+    };
+    this.colorGrade = {
+      before: beforeState.colorGrade,
+      after: afterState.colorGrade,
+    };
+    this.trackStates = {
+      before: beforeState.trackStates,
+      after: afterState.trackStates,
+    };
+  }
+
+  get isEmpty() {
+    return (
+      this.elements.before.size === 0 &&
+      this.animations.before.size === 0 &&
+      this.maxRows.before === this.maxRows.after &&
+      this.markers.before === this.markers.after &&
+      this.speakers.before === this.speakers.after &&
+      this.colorGrade.before === this.colorGrade.after &&
+      this.trackStates.before === this.trackStates.after
+    );
+  }
+
+  undo(store) {
+    this.apply(store, 'before');
+  }
+
+  redo(store) {
+    this.apply(store, 'after');
+  }
+
+  apply(store, side) {
+    const elementStates = this.elements[side];
+    const animationStates = this.animations[side];
+
+    runInAction(() => {
+      const existingIds = new Set();
+      const nextElements = [];
+
+      store.editorElements.forEach(element => {
+        existingIds.add(element.id);
+        if (!elementStates.has(element.id)) {
+          nextElements.push(element);
+          return;
+        }
+
+        const serialized = elementStates.get(element.id);
+        if (!serialized) {
+          if (element.fabricObject && store.canvas) {
+            store.canvas.remove(element.fabricObject);
+          }
+          return;
+        }
+
+        const restored = JSON.parse(serialized);
+        nextElements.push({
+          ...restored,
+          fabricObject: element.fabricObject,
+          initialState: element.initialState,
+          properties: {
+            ...restored.properties,
+            wordObjects: element.properties?.wordObjects,
+            imageObject: element.properties?.imageObject,
+          },
+        });
+      });
+
+      elementStates.forEach((serialized, id) => {
+        if (!serialized || existingIds.has(id)) return;
+        const restored = JSON.parse(serialized);
+        ensureMediaNode(restored, store);
+        nextElements.push(restored);
+      });
+
+      const existingAnimationIds = new Set();
+      const nextAnimations = [];
+      store.animations.forEach(animation => {
+        existingAnimationIds.add(animation.id);
+        if (!animationStates.has(animation.id)) {
+          nextAnimations.push(animation);
+          return;
+        }
+        const serialized = animationStates.get(animation.id);
+        if (serialized) nextAnimations.push(JSON.parse(serialized));
+      });
+      animationStates.forEach((serialized, id) => {
+        if (serialized && !existingAnimationIds.has(id)) {
+          nextAnimations.push(JSON.parse(serialized));
+        }
+      });
+
+      store.editorElements = nextElements;
+      store.animations = nextAnimations;
+      store.maxRows = this.maxRows[side];
+      store.markers = JSON.parse(this.markers[side]);
+      store.speakers = JSON.parse(this.speakers[side]);
+      store.colorGrade = JSON.parse(this.colorGrade[side]);
+      store.trackStates = JSON.parse(this.trackStates[side]);
+    });
+  }
+}
+
+/**
+ * Command-based undo/redo stack for the editor store.
+ *
+ * Edits are recorded by diffing the store before and after a mutation, so
+ * every entry only carries the elements it touched. Related edits can be
+ * grouped with beginTransaction()/commitTransaction() (or record()) so that
+ * e.g. a whole group drag is undone in one step.
+ */
+export class HistoryManager {
+  constructor(store, { limit = MAX_HISTORY_LENGTH } = {}) {
+    this.store = store;
+    this.limit = limit;
+    this.entries = [];
+    // Number of entries currently applied; entries past it are redoable
+    this.position = 0;
+    this.transaction = null;
+    this.baseline = null;
+    this.isApplying = false;
+
+    makeObservable(this, {
+      entries: observable.shallow,
+      position: observable,
+      canUndo: computed,
+      canRedo: computed,
+      push: action,
+      undo: action,
+      redo: action,
+      jumpTo: action,
+      clear: action,
+      resume: action,
+    });
+  }
+
+  get canUndo() {
+    return this.position > 0;
+  }
+
+  get canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  get isEnabled() {
+    return !this.isApplying && !this.store.isInitializing;
+  }
+
+  push(command) {
+    if (command.isEmpty) return;
+    // A new edit discards everything that was undone
+    this.entries.splice(this.position);
+    this.entries.push(command);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+    this.position = this.entries.length;
+  }
+
+  beginTransaction(label) {
+    if (!this.isEnabled) return;
+    if (this.transaction) {
+      this.transaction.depth++;
+      return;
+    }
+    const current = captureState(this.store);
+    // Keep direct, untracked edits as their own step so labels stay accurate
+    if (this.baseline) {
+      this.push(new TimelineCommand('Edit', this.baseline, current));
+    }
+    this.transaction = { label, depth: 1, before: current };
+  }
+
+  commitTransaction() {
+    const transaction = this.transaction;
+    if (!transaction) return;
+    transaction.depth--;
+    if (transaction.depth > 0) return;
+
+    this.transaction = null;
+    const after = captureState(this.store);
+    this.push(
+      new TimelineCommand(transaction.label, transaction.before, after)
+    );
+    this.baseline = after;
+  }
+
+  cancelTransaction() {
+    this.transaction = null;
+  }
+
+  // Run a mutation (sync or async) as one undoable step
+  record(label, mutate) {
+    this.beginTransaction(label);
+    let result;
+    try {
+      result = mutate();
+    } catch (error) {
+      this.commitTransaction();
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this.commitTransaction());
+    }
+    this.commitTransaction();
+    return result;
+  }
+
+  // Wrap store methods so every call is recorded under a readable label.
+  // A label can be a function of the store, for methods whose edit depends
+  // on its state. Methods tracked as { label, preview: true } also take a
+  // last argument of { preview: true } for live changes while a control is
+  // dragged; those calls aren't recorded, and saveToHistory(label) records
+  // them as one step when it is released.
+  track(labels) {
+    Object.entries(labels).forEach(([methodName, entry]) => {
+      const method = this.store[methodName];
+      if (typeof method !== 'function') return;
+      const { label, preview = false } =
+        typeof entry === 'object' ? entry : { label: entry };
+      const bound = method.bind(this.store);
+      this.store[methodName] = (...args) => {
+        if (preview && args[args.length - 1]?.preview) {
+          return bound(...args.slice(0, -1));
+        }
+        return this.record(
+          typeof label === 'function' ? label(this.store) : label,
+          () => bound(...args)
+        );
+      };
+    });
+  }
+
+  /**
+   * Record any edits made since the last recorded step, for code paths that
+   * mutate the store directly instead of going through a tracked method.
+   */
+  checkpoint(label = 'Edit') {
+    if (!this.isEnabled || this.transaction) return;
+    const current = captureState(this.store);
+    if (this.baseline) {
+      this.push(new TimelineCommand(label, this.baseline, current));
+    }
+    this.baseline = current;
+  }
+
+  undo() {
+    if (!this.canUndo || this.transaction) return;
+    this.position--;
+    this.applyCommand(this.entries[this.position], 'undo');
+  }
+
+  redo() {
+    if (!this.canRedo || this.transaction) return;
+    this.applyCommand(this.entries[this.position], 'redo');
+    this.position++;
+  }
+
+  // Walk the stack to the state right after entry `index` (-1 = before all)
+  jumpTo(index) {
+    const target = Math.max(0, Math.min(this.entries.length, index + 1));
+    while (this.position > target) this.undo();
+    while (this.position < target) this.redo();
+  }
+
+  applyCommand(command, direction) {
+    const store = this.store;
+    this.isApplying = true;
+    store.isUndoRedoOperation = true;
+    try {
+      command[direction](store);
+    } finally {
+      store.isUndoRedoOperation = false;
+      this.isApplying = false;
+    }
+    this.baseline = captureState(store);
+
+    store.refreshElements();
+    store.refreshAnimations();
+    store.updateTimeTo(store.currentTimeInMs);
+    if (window.dispatchSaveTimelineState) {
+      window.dispatchSaveTimelineState(store);
+    }
+  }
+
+  /**
+   * Set the stack aside with any pending edits recorded, e.g. while a nested
+   * sequence is edited with a stack of its own (see clear()). resume() brings
+   * it back.
+   */
+  suspend() {
+    this.checkpoint();
+    return {
+      entries: this.entries,
+      position: this.position,
+      baseline: this.baseline,
+    };
+  }
+
+  // Back to a suspended stack, with what changed since as one step
+  resume({ entries, position, baseline }, label) {
+    this.entries = entries;
+    this.position = position;
+    this.transaction = null;
+    this.baseline = baseline;
+    this.checkpoint(label);
+  }
+
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.transaction = null;
+    this.baseline = captureState(this.store);
+  }
+}
@@ -1,4 +1,7 @@
 export * from './updateTimeTo';
 export * from './refreshAnimations';
 export * from './refreshElements';
-export * from './ghostDragDrop';
\ No newline at end of file
+export * from './ghostDragDrop';
+export * from './historyManager';
+export * from './keyframes';
+export * from './compoundClips';
\ No newline at end of file
@@ -0,0 +1,223 @@
+import anime from 'animejs';
+import { getUid } from '../../utils';
+import { DEFAULT_MASK, MASK_TRANSFORM_PROPERTIES } from '../../utils/masks';
+
+// Keyframeable properties and the fabric property each one drives
+export const KEYFRAME_PROPERTIES = {
+  x: 'left',
+  y: 'top',
+  scaleX: 'scaleX',
+  scaleY: 'scaleY',
+  rotation: 'angle',
+  opacity: 'opacity',
+  maskX: 'maskX',
+  maskY: 'maskY',
+  maskScale: 'maskScale',
+  maskRotation: 'maskRotation',
+};
+
+// The properties an element can be keyed on: the mask transform only
+// once the element has a mask
+export const getKeyframeProperties = element =>
+  Object.keys(KEYFRAME_PROPERTIES).filter(
+    property =>
+      !MASK_TRANSFORM_PROPERTIES[property] || element?.properties?.mask
+  );
+
+export const DEFAULT_KEYFRAME_EASING = 'linear';
+
+// Keyframe times closer than this are treated as the same keyframe
+const KEYFRAME_TIME_EPSILON = 1;
+
+const easingCache = new Map();
+
+// Resolve a keyframe's segment easing to a (t) => progress function.
+// Keyframes share the animation easing format, so curveData from the curve
+// editor works here too.
+const getSegmentEasing = (store, keyframe) => {
+  const easing = store.getEasingFromAnimation(
+    keyframe,
+    keyframe.easing || DEFAULT_KEYFRAME_EASING
+  );
+  if (typeof easing === 'function') return easing;
+
+  if (!easingCache.has(easing)) {
+    let easingFn;
+    try {
+      easingFn = anime.easing(easing);
+    } catch (error) {
+      easingFn = null;
+    }
+    easingCache.set(easing, easingFn || (t => t));
+  }
+  return easingCache.get(easing);
+};
+
+export const hasKeyframes = element =>
+  Boolean(
+    element?.keyframes &&
+    Object.values(element.keyframes).some(track => track?.length > 0)
+  );
+
+// Current on-canvas value of a property. Keyframe values live in fabric
+// space, so the fabric object wins over placement when it exists.
+export const getCurrentValue = (element, property) => {
+  const fabricValue = element.fabricObject?.[KEYFRAME_PROPERTIES[property]];
+  if (typeof fabricValue === 'number') return fabricValue;
+
+  if (property === 'opacity') {
+    return element.properties?.opacity ?? 1;
+  }
+  const maskField = MASK_TRANSFORM_PROPERTIES[property];
+  if (maskField) {
+    return element.properties?.mask?.[maskField] ?? DEFAULT_MASK[maskField];
+  }
+  const fallback = property === 'scaleX' || property === 'scaleY' ? 1 : 0;
+  return element.placement?.[property] ?? fallback;
+};
+
+// Interpolated value of one keyframe track at a time local to the clip
+export const getTrackValue = (store, track, localTime) => {
+  if (!track?.length) return undefined;
+  if (localTime <= track[0].time) return track[0].value;
+
+  const last = track[track.length - 1];
+  if (localTime >= last.time) return last.value;
+
+  const nextIndex = track.findIndex(keyframe => keyframe.time > localTime);
+  const from = track[nextIndex - 1];
+  const to = track[nextIndex];
+  const progress = (localTime - from.time) / (to.time - from.time);
+  const eased = getSegmentEasing(store, from)(progress);
+
+  return from.value + (to.value - from.value) * eased;
+};
+
+// Insert or replace the keyframe at `time`, keeping the track sorted
+export const upsertKeyframe = (track = [], keyframe) => {
+  const existing = track.find(
+    item => Math.abs(item.time - keyframe.time) < KEYFRAME_TIME_EPSILON
+  );
+  const next = existing
+    ? track.map(item =>
+        item === existing ? { ...existing, ...keyframe, id: existing.id } : item
+      )
+    : [...track, keyframe];
+  return next.sort((a, b) => a.time - b.time);
+};
+
+// Part of a track from `fromMs` to `toMs` into the clip, with times from
+// `fromMs`. Where the track runs past an end it gets a keyframe there with
+// the value it has at that point, so the part animates as it did before.
+const sliceTrack = (store, track, fromMs, toMs) => {
+  const keyframeAt = time => {
+    const segment =
+      [...track].reverse().find(keyframe => keyframe.time <= time) || track[0];
+    return {
+      ...segment,
+      id: getUid(),
+      time: time - fromMs,
+      value: getTrackValue(store, track, time),
+    };
+  };
+
+  let sliced = track
+    .filter(keyframe => keyframe.time >= fromMs && keyframe.time <= toMs)
+    .map(keyframe => ({ ...keyframe, time: keyframe.time - fromMs }));
+  if (track[0].time < fromMs) {
+    sliced = upsertKeyframe(sliced, keyframeAt(fromMs));
+  }
+  if (track[track.length - 1].time > toMs) {
+    sliced = upsertKeyframe(sliced, keyframeAt(toMs));
+  }
+  return sliced;
+};
+
+const mapTracks = (keyframes, mapTrack) =>
+  keyframes &&
+  Object.fromEntries(
+    Object.entries(keyframes).map(([property, track]) => [
+      property,
+      track?.length ? mapTrack(track) : track,
+    ])
+  );
+
+// Keyframes of the two clips a split `splitMs` into a clip makes, each
+// with its part of every track
+export const splitKeyframes = (store, keyframes, splitMs) => [
+  mapTracks(keyframes, track => sliceTrack(store, track, 0, splitMs)),
+  mapTracks(keyframes, track => sliceTrack(store, track, splitMs, Infinity)),
+];
+
+// Keyframes of a clip whose start is trimmed `shiftMs` later (earlier when
+// negative), so they stay where they were on the timeline
+export const shiftKeyframes = (store, keyframes, shiftMs) =>
+  mapTracks(keyframes, track => sliceTrack(store, track, shiftMs, Infinity));
+
+// Unique keyframe times across every track, for drawing timeline markers
+export const getKeyframeTimes = element => {
+  const times = [];
+  Object.values(element?.keyframes || {}).forEach(track => {
+    (track || []).forEach(keyframe => {
+      if (
+        !times.some(
+          time => Math.abs(time - keyframe.time) < KEYFRAME_TIME_EPSILON
+        )
+      ) {
+        times.push(keyframe.time);
+      }
+    });
+  });
+  return times.sort((a, b) => a - b);
+};
+
+// Apply every keyframe track of every visible element at the given time
+export const applyKeyframesUtil = (store, time) => {
+  let needsRender = false;
+
+  store.editorElements.forEach(element => {
+    const fabricObject = element.fabricObject;
+    if (!fabricObject || !hasKeyframes(element)) return;
+    if (time < element.timeFrame.start || time > element.timeFrame.end) return;
+
+    const localTime = time - element.timeFrame.start;
+    const values = {};
+    Object.entries(KEYFRAME_PROPERTIES).forEach(([property, fabricKey]) => {
+      const value = getTrackValue(
+        store,
+        element.keyframes[property],
+        localTime
+      );
+      if (value !== undefined && fabricObject[fabricKey] !== value) {
+        values[fabricKey] = value;
+      }
+    });
+
+    if (Object.keys(values).length) {
+      fabricObject.set(values);
+      fabricObject.setCoords();
+      needsRender = true;
+    }
+  });
+
+  if (needsRender) {
+    store.canvas?.requestRenderAll();
+  }
+};
+
+// Write the object's current transform into every existing track at
+// `localTime`, so moving a keyframed element on canvas edits its keyframes
+export const recordObjectKeyframes = (element, fabricObject, localTime) => {
+  const keyframes = { ...element.keyframes };
+  Object.entries(KEYFRAME_PROPERTIES).forEach(([property, fabricKey]) => {
+    const track = keyframes[property];
+    const value = fabricObject[fabricKey];
+    if (!track?.length || typeof value !== 'number') return;
+    keyframes[property] = upsertKeyframe(track, {
+      id: getUid(),
+      time: localTime,
+      value,
+    });
+  });
+  return keyframes;
+};
@@ -1,5 +1,9 @@
 import { fabric } from 'fabric';
 import { isHtmlVideoElement, isHtmlImageElement } from '../../utils';
+import { getBlendingProps, supportsBlending } from '../../utils/blending';
+import { applySvgShapeStyle, isSvgShape, loadSvgShape } from '../../utils/shapes';
+import { getMaskProps, markMatteSources } from '../../utils/masks';
+import { createCompoundObject } from '../../utils/compoundClips';
 
 export const refreshElementsUtil = async store => 
       {
@@ -91,6 +95,10 @@ export const refreshElementsUtil = async store =>
                 hasControls: true, // Enable resize controls for video
                 hasBorders: true, // Enable borders for video
                 customFilter: element.properties.effect.type,
+                chromaKey: element.properties.chromaKey || null,
+                chromaKeyMatte: store.chromaKeyMatteElementId === element.id,
+                colorGrade: element.properties.colorGrade || null,
+                ...getMaskProps(element.properties.mask),
               });
     
               element.fabricObject = videoObject;
@@ -132,6 +140,10 @@ export const refreshElementsUtil = async store =>
                   // Use original dimensions without dividing by scale to prevent shrinking
                   width: originalWidth,
                   height: originalHeight,
+                  chromaKey: element.properties.chromaKey || null,
+                  chromaKeyMatte: store.chromaKeyMatteElementId === element.id,
+                  colorGrade: element.properties.colorGrade || null,
+                  ...getMaskProps(element.properties.mask),
                 });
                 store.canvas.add(element.fabricObject);
               } else if (element.type === 'image') {
@@ -149,6 +161,10 @@ export const refreshElementsUtil = async store =>
                   selectable: true,
                   lockUniScaling: true,
                   customFilter: element.properties.effect.type,
+                  chromaKey: element.properties.chromaKey || null,
+                  chromaKeyMatte: store.chromaKeyMatteElementId === element.id,
+                  colorGrade: element.properties.colorGrade || null,
+                  ...getMaskProps(element.properties.mask),
                 });
     
                 element.fabricObject = imageObject;
@@ -211,6 +227,11 @@ export const refreshElementsUtil = async store =>
                             : 0,
                         width: element.placement.width / element.placement.scaleX,
                         height: element.placement.height / element.placement.scaleY,
+                        chromaKey: element.properties.chromaKey || null,
+                        chromaKeyMatte: store.chromaKeyMatteElementId === element.id,
+                        colorGrade: element.properties.colorGrade || null,
+                        ...getMaskProps(element.properties.mask),
+                        ...getBlendingProps(element.properties.blending),
                       });
     
                       element.fabricObject = imageObjectDefault;
@@ -455,10 +476,116 @@ export const refreshElementsUtil = async store =>
               }
               break;
     
+            case 'adjustment':
+              element.fabricObject = new fabric.AdjustmentLayer({
+                name: element.id,
+                adjustmentFilters: element.properties.filters || [],
+              });
+              store.canvas.add(element.fabricObject);
+              break;
+    
+            case 'shape':
+              if (isSvgShape(element)) {
+                // Parsed asynchronously; selection and stacking are set up
+                // here rather than below, once the object exists
+                element.fabricObject = null;
+                imagePromises.push(
+                  loadSvgShape(element.properties.svg)
+                    .then(svgObject => {
+                      svgObject.set({
+                        name: element.id,
+                        left: element.placement.x,
+                        top: element.placement.y,
+                        angle: element.placement.rotation,
+                        scaleX: element.placement.scaleX,
+                        scaleY: element.placement.scaleY,
+                        selectable: true,
+                        objectCaching: true,
+                        ...getBlendingProps(element.properties.blending),
+                      });
+                      applySvgShapeStyle(svgObject, element.properties);
+                      svgObject.on('selected', () => {
+                        store.setSelectedElement(element);
+                      });
+                      element.fabricObject = svgObject;
+                      store.canvas.add(svgObject);
+                      store.canvas.moveTo(svgObject, index);
+                    })
+                    .catch(error => {
+                      console.error('Error loading SVG shape:', error);
+                    })
+                );
+                continue;
+              }
+
+              element.fabricObject = new fabric.Shape(element.properties, {
+                name: element.id,
+                left: element.placement.x,
+                top: element.placement.y,
+                width: element.placement.width,
+                height: element.placement.height,
+                angle: element.placement.rotation,
+                scaleX: element.placement.scaleX,
+                scaleY: element.placement.scaleY,
+                selectable: true,
+                objectCaching: true,
+              });
+              store.canvas.add(element.fabricObject);
+              break;
+
+            case 'compound':
+              // Reused while the contents are unchanged; otherwise they
+              // load asynchronously like SVG shapes above
+              if (
+                element.fabricObject?.compoundRenderer &&
+                element.fabricObject.compoundSource === element.properties
+              ) {
+                element.fabricObject.set({
+                  left: element.placement.x,
+                  top: element.placement.y,
+                  angle: element.placement.rotation,
+                  scaleX: element.placement.scaleX,
+                  scaleY: element.placement.scaleY,
+                });
+                element.fabricObject.off('selected');
+                store.canvas.add(element.fabricObject);
+                break;
+              }
+
+              element.fabricObject = null;
+              imagePromises.push(
+                createCompoundObject(element)
+                  .then(compoundObject => {
+                    compoundObject.set({
+                      name: element.id,
+                      selectable: true,
+                      lockUniScaling: true,
+                      ...getBlendingProps(element.properties.blending),
+                    });
+                    compoundObject.compoundSource = element.properties;
+                    compoundObject.on('selected', () => {
+                      store.setSelectedElement(element);
+                    });
+                    element.fabricObject = compoundObject;
+                    store.canvas.add(compoundObject);
+                    store.canvas.moveTo(compoundObject, index);
+                  })
+                  .catch(error => {
+                    console.error('Error loading compound clip:', error);
+                  })
+              );
+              continue;
+
             default:
               continue;
           }
     
+          if (element.fabricObject && supportsBlending(element)) {
+            element.fabricObject.set(
+              getBlendingProps(element.properties.blending)
+            );
+          }
+    
           // Add selection handler
           if (element.fabricObject) {
             element.fabricObject.on('selected', () => {
@@ -472,6 +599,9 @@ export const refreshElementsUtil = async store =>
         if (imagePromises.length > 0) {
           await Promise.all(imagePromises);
         }
+
+        // Objects used as another element's matte only draw into its mask
+        markMatteSources(store.canvas);
     
         // Set selected element if exists
         const selectedEditorElement = store.selectedElement;
@@ -1,4 +1,6 @@
 import { captureFabricObjectState } from '../../utils/fabric-utils';
+import { applyKeyframesUtil } from './keyframes';
+import { renderCompoundClipsUtil } from './compoundClips';
 
 export const updateTimeToUtil = ({ newTime, store }) => {
   if (newTime >= store.lastElementEnd) {
@@ -328,7 +330,11 @@ export const updateTimeToUtil = ({ newTime, store }) => {
   }
 
   store.editorElements.forEach(e => {
-    const isInside = e.timeFrame.start <= newTime && newTime <= e.timeFrame.end;
+    // Hidden rows stay off the canvas
+    const isInside =
+      store.isRowVisible(e.row) &&
+      e.timeFrame.start <= newTime &&
+      newTime <= e.timeFrame.end;
 
     // Check if this element is part of an active GL transition
     const isPartOfActiveTransition = Array.from(
@@ -757,6 +763,10 @@ export const updateTimeToUtil = ({ newTime, store }) => {
     }
   });
 
+  // Keyframes run last so they win over preset animation resets
+  applyKeyframesUtil(store, newTime);
+  renderCompoundClipsUtil(store, newTime);
+
   store.updateVideoElements();
   store.updateAudioElements();
 };
@@ -39,11 +39,9 @@ import { setCurrentStory } from '../../redux/stories/storiesSlice';
 import { selectHasUnsavedChanges } from '../../redux/sync/syncSlice';
 import {
   createCleanStateCopy,
-  redo as redoTimeline,
   saveTimelineState,
   saveToHistory,
   selectEditorElements,
-  undo as undoTimeline,
 } from '../../redux/timeline/timelineSlice';
 import { uploadVideoToAWS } from '../../utils/awsUpload';
 import reinitializeTimeline from '../../utils/reinitializeTimeline';
@@ -949,8 +947,8 @@ function VideoCreationPage() {
     setIsUndoRedoInProgress(true);
 
     try {
-      // Only dispatch timeline undo - this will trigger the timelineStateChanged event
-      dispatch(undoTimeline());
+      // Walk the store's command history; Redux is synced from the store
+      store.historyManager.undo();
 
       // Schedule animation refresh after a short delay to ensure state is updated
       setTimeout(() => {
@@ -973,8 +971,8 @@ function VideoCreationPage() {
     setIsUndoRedoInProgress(true);
 
     try {
-      // Only dispatch timeline redo - this will trigger the timelineStateChanged event
-      dispatch(redoTimeline());
+      // Walk the store's command history; Redux is synced from the store
+      store.historyManager.redo();
 
       // Schedule animation refresh after a short delay to ensure state is updated
       setTimeout(() => {
@@ -1030,7 +1028,15 @@ function VideoCreationPage() {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [storyId, isCutMode, setIsCutMode, dispatch, isStoryBoardOpen]);
+  }, [
+    storyId,
+    isCutMode,
+    setIsCutMode,
+    dispatch,
+    isStoryBoardOpen,
+    onUndo,
+    onRedo,
+  ]);
 
   const handleClick = name => {
     // Skip closing panels for download button
@@ -1,4 +1,5 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { joinSubtitleWords } from '../../utils/subtitles/wordConfidence';
 
 const MAX_HISTORY_LENGTH = 50;
 
@@ -183,6 +184,24 @@ const storiesSlice = createSlice({
     setAutoGenerateImages: (state, action) => {
       state.autoGenerateImages = action.payload;
     },
+    // Write a subtitle word correction back to the transcript it came from
+    // (see findStoryWord); `changes` has the new `word` and/or its `start`
+    // and `end` in seconds into the voiceover
+    correctSubtitleWord: (state, action) => {
+      const { subtitleIndex, segmentIndex, wordIndex, changes } =
+        action.payload;
+      const segment =
+        state.currentStory?.subtitles?.[subtitleIndex]?.segments?.[
+          segmentIndex
+        ];
+      const word = segment?.words?.[wordIndex];
+      if (!word) return;
+
+      Object.assign(word, changes);
+      if (changes.word !== undefined) {
+        segment.text = joinSubtitleWords(segment.words);
+      }
+    },
   },
 });
 
@@ -196,6 +215,7 @@ export const {
   toggleImageReaction,
   updateStoryStyle,
   setAutoGenerateImages,
+  correctSubtitleWord,
 } = storiesSlice.actions;
 
 export const selectCurrentStory = state => state.stories.currentStory;
@@ -33,6 +33,10 @@ const initialState = {
   backgroundColor: '',
   fps: 0,
   synchronise: false,
+  markers: [],
+  speakers: [],
+  colorGrade: null,
+  trackStates: [],
   // History management
   history: [],
   currentHistoryIndex: -1,
@@ -43,7 +47,7 @@ const initialState = {
 
 // Helper function to safely serialize objects avoiding circular references and MobX issues
 // Uses WeakMap to preserve repeated references without collapsing them to null
-const safeSerialize = (obj, seen = new WeakMap()) => {
+export const safeSerialize = (obj, seen = new WeakMap()) => {
   if (obj === null || obj === undefined) return obj;
   if (typeof obj !== 'object') return obj;
 
@@ -470,7 +474,15 @@ const timelineSlice = createSlice({
     },
 
     saveTimelineStateAction: (state, action) => {
-      const { editorElements, animations, isInitialization } = action.payload;
+      const {
+        editorElements,
+        animations,
+        markers,
+        speakers,
+        colorGrade,
+        trackStates,
+        isInitialization,
+      } = action.payload;
 
       // Don't save during initialization phase
       if (isInitialization) {
@@ -489,6 +501,26 @@ const timelineSlice = createSlice({
         state.subtitles
       );
 
+      // Markers are not part of the element history, so store them as is
+      const hasMarkersChanged =
+        Array.isArray(markers) &&
+        JSON.stringify(state.markers || []) !== JSON.stringify(markers);
+      if (hasMarkersChanged) {
+        state.markers = markers;
+      }
+      const hasSpeakersChanged =
+        Array.isArray(speakers) &&
+        JSON.stringify(state.speakers || []) !== JSON.stringify(speakers);
+      if (hasSpeakersChanged) {
+        state.speakers = speakers;
+      }
+      if (colorGrade !== undefined) {
+        state.colorGrade = colorGrade;
+      }
+      if (Array.isArray(trackStates)) {
+        state.trackStates = trackStates;
+      }
+
       // If this is the very first snapshot, always save it (even if empty/no changes)
       if (state.history.length === 0) {
         state.editorElements = cleanState.editorElements;
@@ -558,6 +590,10 @@ export const saveTimelineState = store => dispatch => {
     if (store._isSaving) {
       return;
     }
+    // An open compound clip is saved with it once it is closed
+    if (store.sequenceStack?.length) {
+      return;
+    }
 
     store._isSaving = true;
 
@@ -617,6 +653,10 @@ export const saveTimelineState = store => dispatch => {
           }
           return v;
         })),
+        markers: JSON.parse(JSON.stringify(store.markers || [])),
+        speakers: JSON.parse(JSON.stringify(store.speakers || [])),
+        colorGrade: JSON.parse(JSON.stringify(store.colorGrade || null)),
+        trackStates: JSON.parse(JSON.stringify(store.trackStates || [])),
         isInitialization: store.isInitializationInProgress || false,
       };
       dispatch(saveTimelineStateAction(payload));
@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { store } from '../redux/store';
+import { handleApiError } from '../utils/errorHandler';
+
+const BASE_URL = process.env.REACT_APP_BACKEND_URL;
+
+const getAuthHeaders = () => {
+  const state = store.getState();
+  const token = state.auth.token;
+
+  return {
+    Authorization: `Bearer ${token}`,
+  };
+};
+
+// Custom GL transitions saved to the user's account library:
+// { id, name, glsl, uniforms: [{ name, type, value }] }. Saving and
+// deleting report their own failures and rethrow so callers can stop;
+// callers don't report them again.
+
+// Fails without reporting; the transitions panel shows the failure itself
+export const getCustomTransitions = async () => {
+  const response = await axios.get(`${BASE_URL}transitions/custom`, {
+    headers: getAuthHeaders(),
+  });
+  return response.data;
+};
+
+export const saveCustomTransition = async ({ id, name, glsl, uniforms }) => {
+  try {
+    const data = { name, glsl, uniforms };
+    const response = id
+      ? await axios.put(`${BASE_URL}transitions/custom/${id}`, data, {
+          headers: getAuthHeaders(),
+        })
+      : await axios.post(`${BASE_URL}transitions/custom`, data, {
+          headers: getAuthHeaders(),
+        });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to save custom transition');
+    throw error;
+  }
+};
+
+export const deleteCustomTransition = async id => {
+  try {
+    const response = await axios.delete(`${BASE_URL}transitions/custom/${id}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to delete custom transition');
+    throw error;
+  }
+};
@@ -0,0 +1,34 @@
+import { getUid } from '../utils';
+
+// A user library of saved items, each with an `id`, kept in this browser's
+// localStorage under `key`. It stands in for library endpoints the backend
+// doesn't have yet, so it is promise-based like the API modules.
+export const createLocalLibrary = key => {
+  const read = () => {
+    const saved = window.localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : [];
+  };
+
+  const write = items =>
+    window.localStorage.setItem(key, JSON.stringify(items));
+
+  return {
+    list: async () => read(),
+
+    // Adds the item, or replaces the one with its id
+    save: async item => {
+      const items = read();
+      const saved = { ...item, id: item.id || getUid() };
+      write(
+        items.some(other => other.id === saved.id)
+          ? items.map(other => (other.id === saved.id ? saved : other))
+          : [...items, saved]
+      );
+      return saved;
+    },
+
+    remove: async id => {
+      write(read().filter(item => item.id !== id));
+    },
+  };
+};
@@ -0,0 +1,27 @@
+import { handleCatchError } from '../utils/errorHandler';
+import { createLocalLibrary } from './localLibrary';
+
+// LUTs imported from .cube files, as parsed by utils/colorGrading:
+// { id, name, size, domainMin, domainMax, data }
+const library = createLocalLibrary('luts');
+
+// Fails when the saved library can't be read; callers show that themselves
+export const getLuts = () => library.list();
+
+export const saveLut = async ({ name, size, domainMin, domainMax, data }) => {
+  try {
+    return await library.save({ name, size, domainMin, domainMax, data });
+  } catch (error) {
+    handleCatchError(error, 'Failed to save LUT');
+    throw error;
+  }
+};
+
+export const deleteLut = async id => {
+  try {
+    await library.remove(id);
+  } catch (error) {
+    handleCatchError(error, 'Failed to delete LUT');
+    throw error;
+  }
+};
@@ -0,0 +1,130 @@
+// Adjustment layers are timeline elements of type 'adjustment' that draw
+// nothing of their own: while visible they re-filter everything already
+// drawn beneath them (the rows below theirs) with the filter stack on
+// `properties.filters`. The filters are the PIXI effects clips take (see
+// utils/pixi-filters): each is { id, type, options }, `options` over the
+// effect's defaults, and they apply top to bottom. Like the other effects
+// this runs where fabric draws, so preview and export match.
+import pixiFilterDefinitions from '../data/pixiFilters.json';
+import {
+  applyPixiFiltersToCanvas,
+  createPixiFilter,
+  FILTER_CONFIGS,
+  getFilterCSSFallback,
+} from './pixi-filters';
+
+export const ADJUSTMENT_ELEMENT_TYPE = 'adjustment';
+
+export const isAdjustmentElement = element =>
+  element?.type === ADJUSTMENT_ELEMENT_TYPE;
+
+// Effects that read a texture of their own have nothing to use on a layer
+const TEXTURE_EFFECTS = ['colorMap', 'simpleLightmap'];
+
+// Effects a layer can hold, by type: the PIXI effect's name and the options
+// it has sliders for
+export const ADJUSTMENT_FILTERS = Object.values(pixiFilterDefinitions).reduce(
+  (filters, { name, type }) => {
+    const effectType = type.replace(/^pixi-/, '');
+    if (TEXTURE_EFFECTS.includes(effectType)) return filters;
+    return {
+      ...filters,
+      [effectType]: {
+        name,
+        controls: FILTER_CONFIGS[effectType]?.options || {},
+      },
+    };
+  },
+  {}
+);
+
+// What a new layer starts with: the vintage look most layers are made for
+export const DEFAULT_ADJUSTMENT_FILTERS = [
+  { id: 'oldFilm', type: 'oldFilm', options: {} },
+];
+
+export const createAdjustmentFilter = (type, id) => ({
+  id,
+  type,
+  options: {},
+});
+
+// Value an option of a filter has, set or default
+export const getAdjustmentOption = (filter, key) =>
+  filter.options?.[key] ??
+  ADJUSTMENT_FILTERS[filter.type]?.controls[key]?.default;
+
+// PIXI filters made for stack entries, by entry id; one is made again only
+// when its entry changes
+const pixiFilterCache = new Map();
+
+const getPixiFilter = entry => {
+  const key = JSON.stringify([entry.type, entry.options || {}]);
+  const cached = pixiFilterCache.get(entry.id);
+  if (cached?.key === key) return cached.filter;
+
+  let filter = null;
+  try {
+    filter = createPixiFilter(entry.type, { ...entry.options });
+  } catch (error) {
+    console.warn(`Adjustment filter ${entry.type} unavailable:`, error);
+  }
+  cached?.filter?.destroy();
+  pixiFilterCache.set(entry.id, { key, filter });
+  return filter;
+};
+
+let scratchCanvas = null;
+
+const getScratchCanvas = (width, height) => {
+  if (!scratchCanvas) scratchCanvas = document.createElement('canvas');
+  if (scratchCanvas.width !== width || scratchCanvas.height !== height) {
+    scratchCanvas.width = width;
+    scratchCanvas.height = height;
+  }
+  return scratchCanvas;
+};
+
+// Redraws the canvas through a CSS filter, the effects' stand-ins while
+// PIXI can't run
+const applyCssFilter = (canvas, cssFilter) => {
+  const scratch = getScratchCanvas(canvas.width, canvas.height);
+  const scratchCtx = scratch.getContext('2d');
+  scratchCtx.globalCompositeOperation = 'copy';
+  scratchCtx.drawImage(canvas, 0, 0);
+
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'copy';
+  ctx.filter = cssFilter;
+  ctx.drawImage(scratch, 0, 0);
+  ctx.restore();
+};
+
+// Filters everything drawn on `canvas` so far
+export const applyAdjustmentFilters = (canvas, filters) => {
+  if (!canvas?.width || !canvas.height) return;
+
+  const entries = (filters || []).filter(
+    entry => ADJUSTMENT_FILTERS[entry?.type]
+  );
+  const pixiFilters = entries.map(getPixiFilter).filter(Boolean);
+  if (!pixiFilters.length) return;
+  if (applyPixiFiltersToCanvas(canvas, pixiFilters)) return;
+
+  const cssFilter = entries
+    .map(entry => getFilterCSSFallback(entry.type, entry.options))
+    .filter(filter => filter !== 'none')
+    .join(' ');
+  if (cssFilter) applyCssFilter(canvas, cssFilter);
+};
+
+// Short summary of a filter stack for the timeline
+export const describeAdjustmentFilters = filters => {
+  const names = (filters || [])
+    .filter(entry => ADJUSTMENT_FILTERS[entry?.type])
+    .map(entry => ADJUSTMENT_FILTERS[entry.type].name);
+  return names.length ? names.join(' · ') : 'No filters';
+};
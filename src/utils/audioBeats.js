@@ -0,0 +1,81 @@
+import { isDuckableElement } from './audioDucking';
+import { getLocalTimeAt } from './clipSpeed';
+
+// Energy-based onset detection, good enough for snapping to the beats of
+// typical music tracks
+const WINDOW_SIZE = 1024;
+// Windows compared against the local average (about one second at 44.1 kHz)
+const HISTORY_WINDOWS = 43;
+const ONSET_RATIO = 1.4;
+const MIN_BEAT_SPACING_MS = 250;
+
+// Beat times in seconds, per decoded buffer
+const beatCache = new WeakMap();
+
+export const detectBeats = buffer => {
+  if (beatCache.has(buffer)) return beatCache.get(buffer);
+
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+  const windowCount = Math.floor(buffer.length / WINDOW_SIZE);
+  const energies = new Float32Array(windowCount);
+  for (let w = 0; w < windowCount; w++) {
+    let sum = 0;
+    const offset = w * WINDOW_SIZE;
+    for (let i = 0; i < WINDOW_SIZE; i++) {
+      let sample = 0;
+      channels.forEach(data => {
+        sample += data[offset + i];
+      });
+      sample /= channels.length;
+      sum += sample * sample;
+    }
+    energies[w] = sum / WINDOW_SIZE;
+  }
+
+  const beats = [];
+  const windowSeconds = WINDOW_SIZE / buffer.sampleRate;
+  let historySum = 0;
+  let lastBeat = -Infinity;
+  for (let w = 0; w < windowCount; w++) {
+    if (w >= HISTORY_WINDOWS) {
+      const average = historySum / HISTORY_WINDOWS;
+      const time = w * windowSeconds;
+      const isPeak =
+        energies[w] > energies[w - 1] && energies[w] >= (energies[w + 1] ?? 0);
+      if (
+        isPeak &&
+        energies[w] > average * ONSET_RATIO &&
+        (time - lastBeat) * 1000 >= MIN_BEAT_SPACING_MS
+      ) {
+        beats.push(time);
+        lastBeat = time;
+      }
+      historySum -= energies[w - HISTORY_WINDOWS];
+    }
+    historySum += energies[w];
+  }
+
+  beatCache.set(buffer, beats);
+  return beats;
+};
+
+/**
+ * Beat times of a music clip on the timeline, in ms. Only clips whose audio
+ * the waveforms have already decoded are analysed, so this never fetches.
+ */
+export const getElementBeatTimes = element => {
+  if (!isDuckableElement(element)) return [];
+
+  const buffer = window.audioBufferCache?.get(element.properties.src);
+  if (!buffer) return [];
+
+  const { start, end } = element.timeFrame;
+  const audioOffset = element.properties.audioOffset || 0;
+  return detectBeats(buffer)
+    .map(
+      seconds => start + getLocalTimeAt(element, seconds * 1000 - audioOffset)
+    )
+    .filter(time => time >= start && time <= end);
+};
@@ -0,0 +1,184 @@
+import { getEnvelopeGain } from './volumeEnvelope';
+import { getLocalTimeAt, getSourceElapsed } from './clipSpeed';
+
+export const DEFAULT_DUCKING_SETTINGS = {
+  attenuationDb: -12,
+  attackMs: 250,
+  releaseMs: 500,
+  // RMS level above which a voice window counts as speech
+  thresholdDb: -45,
+};
+
+const ANALYSIS_WINDOW_MS = 20;
+// Pauses shorter than this do not let the music swell back up
+const MIN_SPEECH_GAP_MS = 300;
+
+const VOICE_AUDIO_TYPES = ['voice', 'voiceover'];
+// Sound effects are short and meant to be heard over narration
+const UNDUCKED_AUDIO_TYPES = [...VOICE_AUDIO_TYPES, 'sound'];
+
+export const isVoiceElement = element =>
+  element.type === 'audio' &&
+  VOICE_AUDIO_TYPES.includes(element.properties?.audioType);
+
+export const isDuckableElement = element =>
+  element.type === 'audio' &&
+  Boolean(element.properties?.src) &&
+  !UNDUCKED_AUDIO_TYPES.includes(element.properties?.audioType);
+
+// Decode through the same cache the timeline waveforms use
+const decodeAudio = async src => {
+  if (!window.audioBufferCache) window.audioBufferCache = new Map();
+  if (window.audioBufferCache.has(src)) {
+    return window.audioBufferCache.get(src);
+  }
+
+  const response = await fetch(src, { cache: 'no-store', credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Failed to load audio: ${response.status}`);
+  }
+  const context = new OfflineAudioContext(1, 1, 44100);
+  const buffer = await context.decodeAudioData(await response.arrayBuffer());
+  window.audioBufferCache.set(src, buffer);
+  return buffer;
+};
+
+// Sort and merge intervals whose gap is below `maxGap`
+const mergeRegions = (regions, maxGap = 0) =>
+  [...regions]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, region) => {
+      const last = merged[merged.length - 1];
+      if (last && region.start - last.end <= maxGap) {
+        last.end = Math.max(last.end, region.end);
+      } else {
+        merged.push({ ...region });
+      }
+      return merged;
+    }, []);
+
+// Speech regions of one voice clip, in timeline ms
+const detectElementSpeech = (element, buffer, thresholdDb) => {
+  const { start, end } = element.timeFrame;
+  const sampleRate = buffer.sampleRate;
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+  const windowSize = Math.max(
+    1,
+    Math.round((sampleRate * ANALYSIS_WINDOW_MS) / 1000)
+  );
+  const threshold = 10 ** (thresholdDb / 20);
+  const firstSample = Math.round(
+    ((element.properties.audioOffset || 0) / 1000) * sampleRate
+  );
+  const lastSample = Math.min(
+    buffer.length,
+    firstSample +
+      Math.round((getSourceElapsed(element, end - start) / 1000) * sampleRate)
+  );
+  // Source samples back to timeline ms, through any speed change
+  const toTimeline = sample =>
+    start +
+    getLocalTimeAt(element, ((sample - firstSample) / sampleRate) * 1000);
+
+  const regions = [];
+  for (let from = firstSample; from < lastSample; from += windowSize) {
+    const to = Math.min(from + windowSize, lastSample);
+    let sumSq = 0;
+    for (let i = from; i < to; i++) {
+      let sample = 0;
+      channels.forEach(data => {
+        sample += data[i];
+      });
+      sample /= channels.length;
+      sumSq += sample * sample;
+    }
+    if (Math.sqrt(sumSq / (to - from)) < threshold) continue;
+
+    regions.push({
+      start: toTimeline(from),
+      end: Math.min(toTimeline(to), end),
+    });
+  }
+
+  return mergeRegions(regions, MIN_SPEECH_GAP_MS);
+};
+
+/**
+ * Find the timeline regions where narration is actually speaking. Voice
+ * clips that cannot be decoded count as speech over their whole length.
+ */
+export const detectVoiceRegions = async (
+  editorElements,
+  { thresholdDb = DEFAULT_DUCKING_SETTINGS.thresholdDb } = {}
+) => {
+  const regions = [];
+
+  for (const element of editorElements.filter(isVoiceElement)) {
+    try {
+      const buffer = await decodeAudio(element.properties.src);
+      regions.push(...detectElementSpeech(element, buffer, thresholdDb));
+    } catch (error) {
+      console.warn(`Ducking: using full clip for ${element.id}:`, error);
+      regions.push({ ...element.timeFrame });
+    }
+  }
+
+  return mergeRegions(regions, MIN_SPEECH_GAP_MS);
+};
+
+/**
+ * Build the ducking envelope of one music clip: the gain ramps down to the
+ * attenuation over `attackMs` before speech and back up over `releaseMs`
+ * after it. Returns clip-local points, or an empty list if no speech
+ * overlaps the clip.
+ */
+export const buildDuckingEnvelope = (
+  element,
+  voiceRegions,
+  {
+    attenuationDb = DEFAULT_DUCKING_SETTINGS.attenuationDb,
+    attackMs = DEFAULT_DUCKING_SETTINGS.attackMs,
+    releaseMs = DEFAULT_DUCKING_SETTINGS.releaseMs,
+  } = {}
+) => {
+  const { start, end } = element.timeFrame;
+  const duration = end - start;
+  const duckedGain = 10 ** (attenuationDb / 20);
+
+  // Close gaps too short for a full release and attack
+  const regions = mergeRegions(
+    voiceRegions
+      .map(region => ({ start: region.start - start, end: region.end - start }))
+      .filter(
+        region =>
+          region.end + releaseMs > 0 && region.start - attackMs < duration
+      ),
+    attackMs + releaseMs
+  );
+  if (!regions.length) return [];
+
+  const points = [];
+  regions.forEach(region => {
+    points.push(
+      { time: region.start - attackMs, gain: 1 },
+      { time: region.start, gain: duckedGain },
+      { time: region.end, gain: duckedGain },
+      { time: region.end + releaseMs, gain: 1 }
+    );
+  });
+
+  // Clip the envelope to the clip bounds, keeping the gain at the edges
+  const inside = points.filter(
+    point => point.time > 0 && point.time < duration
+  );
+  return [
+    { time: 0, gain: getEnvelopeGain(points, 0) },
+    ...inside,
+    { time: duration, gain: getEnvelopeGain(points, duration) },
+  ].map(point => ({
+    time: Math.round(point.time),
+    gain: Number(point.gain.toFixed(4)),
+  }));
+};
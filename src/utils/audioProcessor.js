@@ -35,25 +35,8 @@ class AudioProcessor {
         await this.initialize();
       }
 
-      const elementId = audioElement.id || audioElement.src;
-      
-      // Check if we already have a source for this element
-      let audioData = this.audioSources.get(elementId);
-      
-      if (!audioData) {
-        // Create new audio source only if it doesn't exist
-        const source = this.audioContext.createMediaElementSource(audioElement);
-        const gainNode = this.audioContext.createGain();
-        
-        // Connect the nodes
-        source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Store reference
-        audioData = { source, gainNode, audioElement };
-        this.audioSources.set(elementId, audioData);
-      }
-      
+      const audioData = this.connectElement(audioElement);
+
       // Update playback rate (this preserves pitch better than HTML5 audio)
       audioData.source.playbackRate.value = newRate;
       
@@ -64,6 +47,119 @@ class AudioProcessor {
     }
   }
 
+  // Route an audio element through a gain node, reusing existing routing
+  connectElement(audioElement) {
+    const elementId = audioElement.id || audioElement.src;
+
+    // Check if we already have a source for this element
+    let audioData = this.audioSources.get(elementId);
+
+    // An element replaced under the same id needs routing of its own
+    if (audioData && audioData.audioElement !== audioElement) {
+      this.stopAudio(elementId);
+      audioData = null;
+    }
+
+    if (!audioData) {
+      // Create new audio source only if it doesn't exist
+      const source = this.audioContext.createMediaElementSource(audioElement);
+      const gainNode = this.audioContext.createGain();
+
+      // Connect the nodes
+      source.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+
+      // Store reference
+      audioData = { source, gainNode, audioElement, recordingTaps: [] };
+      this.audioSources.set(elementId, audioData);
+    }
+
+    return audioData;
+  }
+
+  // An element keeps its media element source for good, so a recording in
+  // another audio context takes a routed element's sound from its gain node
+  // as a stream. Returns null for elements that are not routed here.
+  createRecordingSource(audioContext, audioElement) {
+    if (!this.isRouted(audioElement)) return null;
+
+    const audioData = this.audioSources.get(
+      audioElement.id || audioElement.src
+    );
+    const tap = this.audioContext.createMediaStreamDestination();
+    audioData.gainNode.connect(tap);
+    audioData.recordingTaps.push(tap);
+    return audioContext.createMediaStreamSource(tap.stream);
+  }
+
+  // Disconnect the taps made for recordings once they are done
+  releaseRecordingTaps() {
+    this.audioSources.forEach(audioData => {
+      audioData.recordingTaps.forEach(tap => {
+        try {
+          audioData.gainNode.disconnect(tap);
+        } catch (error) {}
+      });
+      audioData.recordingTaps = [];
+    });
+  }
+
+  // Cross-origin media without CORS headers plays silent once routed
+  // through Web Audio, so only route sources we are allowed to read
+  canRouteElement(audioElement) {
+    if (!audioElement?.src) return false;
+    if (audioElement.crossOrigin) return true;
+
+    try {
+      const url = new URL(audioElement.src, window.location.href);
+      return (
+        url.protocol === 'blob:' ||
+        url.protocol === 'data:' ||
+        url.origin === window.location.origin
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isRouted(audioElement) {
+    const audioData = this.audioSources.get(
+      audioElement?.id || audioElement?.src
+    );
+    return !!audioData && audioData.audioElement === audioElement;
+  }
+
+  // Smoothly set the envelope gain of an element. Returns false when the
+  // gain could not be applied (yet), so the caller can fall back to volume.
+  setElementGain(audioElement, value) {
+    if (!AudioProcessor.isSupported() || !this.canRouteElement(audioElement)) {
+      return false;
+    }
+
+    if (!this.isInitialized) {
+      this.initialize().catch(() => {});
+      return false;
+    }
+
+    try {
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume().catch(() => {});
+      }
+
+      const audioData = this.connectElement(audioElement);
+      if (audioData.targetGain !== value) {
+        const { gain } = audioData.gainNode;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        gain.setTargetAtTime(value, this.audioContext.currentTime, 0.02);
+        audioData.targetGain = value;
+      }
+      return true;
+    } catch (error) {
+      console.warn('Error updating audio gain:', error);
+      return false;
+    }
+  }
+
   // Stop audio playback
   stopAudio(elementId) {
     const audioData = this.audioSources.get(elementId);
@@ -0,0 +1,273 @@
+// Chroma key settings are kept on `element.properties.chromaKey` as
+// { enabled, color, similarity, smoothness, spill }, with the amounts in 0-1.
+// Keying happens where fabric draws the element, so playback and export
+// (which renders through the same canvas) show the same result.
+import { createShaderProgram } from './gl-transitions/webgl-utils';
+import {
+  getEffectCanvas,
+  getMediaFrameKey,
+  getMediaSourceSize,
+  isMediaFrameChanging,
+  isMediaSourceReady,
+} from './mediaSource';
+
+export const DEFAULT_CHROMA_KEY = {
+  enabled: true,
+  color: '#00ff00',
+  similarity: 0.4,
+  smoothness: 0.08,
+  spill: 0.1,
+};
+
+export const isChromaKeyActive = settings => Boolean(settings?.enabled);
+
+// Keeps smoothness/spill away from zero, where the ramps would divide by it
+const MIN_RAMP = 0.001;
+
+const hexToRgb = hex => {
+  const value = String(hex || '').replace('#', '');
+  const full =
+    value.length === 3
+      ? value
+          .split('')
+          .map(char => char + char)
+          .join('')
+      : value.padEnd(6, '0');
+  return [0, 2, 4].map(
+    offset => parseInt(full.slice(offset, offset + 2), 16) / 255
+  );
+};
+
+// Same colour space and ramps as the shader below, for the CPU fallback
+const rgbToUV = (r, g, b) => [
+  r * -0.169 + g * -0.331 + b * 0.5 + 0.5,
+  r * 0.5 + g * -0.419 + b * -0.081 + 0.5,
+];
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_texCoord;
+
+void main() {
+  v_texCoord = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform sampler2D u_image;
+uniform vec3 u_keyColor;
+uniform float u_similarity;
+uniform float u_smoothness;
+uniform float u_spill;
+uniform bool u_matte;
+varying vec2 v_texCoord;
+
+vec2 rgbToUV(vec3 rgb) {
+  return vec2(
+    rgb.r * -0.169 + rgb.g * -0.331 + rgb.b * 0.5 + 0.5,
+    rgb.r * 0.5 + rgb.g * -0.419 + rgb.b * -0.081 + 0.5
+  );
+}
+
+void main() {
+  vec4 color = texture2D(u_image, v_texCoord);
+  float baseMask = distance(rgbToUV(color.rgb), rgbToUV(u_keyColor)) - u_similarity;
+  float alpha = color.a * pow(clamp(baseMask / u_smoothness, 0.0, 1.0), 1.5);
+  float spill = pow(clamp(baseMask / u_spill, 0.0, 1.0), 1.5);
+  float luma = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+  vec3 rgb = mix(vec3(luma), color.rgb, spill);
+
+  gl_FragColor = u_matte ? vec4(vec3(alpha), 1.0) : vec4(rgb * alpha, alpha);
+}
+`;
+
+let keyer = null;
+
+// One WebGL context shared by every keyed element; each frame is keyed here
+// and copied into the element's own canvas.
+const getKeyer = () => {
+  if (keyer === false) return null;
+  if (keyer && !keyer.gl.isContextLost()) return keyer;
+
+  const canvas = document.createElement('canvas');
+  const gl = canvas.getContext('webgl', {
+    premultipliedAlpha: true,
+    preserveDrawingBuffer: true,
+  });
+  if (!gl) {
+    keyer = false;
+    return null;
+  }
+
+  try {
+    const program = createShaderProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    gl.useProgram(program);
+
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+      gl.STATIC_DRAW
+    );
+    const position = gl.getAttribLocation(program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+
+    const uniforms = {};
+    [
+      'u_keyColor',
+      'u_similarity',
+      'u_smoothness',
+      'u_spill',
+      'u_matte',
+    ].forEach(name => {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    });
+
+    keyer = { canvas, gl, uniforms };
+    return keyer;
+  } catch (error) {
+    console.warn('Chroma key shader unavailable, using the CPU keyer:', error);
+    keyer = false;
+    return null;
+  }
+};
+
+const keyWithWebGL = (source, target, settings, matte) => {
+  const renderer = getKeyer();
+  if (!renderer) return false;
+
+  const { canvas, gl, uniforms } = renderer;
+  if (canvas.width !== target.width || canvas.height !== target.height) {
+    canvas.width = target.width;
+    canvas.height = target.height;
+  }
+  gl.viewport(0, 0, canvas.width, canvas.height);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+  gl.uniform3fv(uniforms.u_keyColor, hexToRgb(settings.color));
+  gl.uniform1f(uniforms.u_similarity, settings.similarity);
+  gl.uniform1f(uniforms.u_smoothness, Math.max(MIN_RAMP, settings.smoothness));
+  gl.uniform1f(uniforms.u_spill, Math.max(MIN_RAMP, settings.spill));
+  gl.uniform1i(uniforms.u_matte, matte ? 1 : 0);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+  const ctx = target.getContext('2d');
+  ctx.clearRect(0, 0, target.width, target.height);
+  ctx.drawImage(canvas, 0, 0);
+  return true;
+};
+
+const keyWithCanvas2D = (source, target, settings, matte) => {
+  const ctx = target.getContext('2d');
+  ctx.clearRect(0, 0, target.width, target.height);
+  ctx.drawImage(source, 0, 0, target.width, target.height);
+
+  const imageData = ctx.getImageData(0, 0, target.width, target.height);
+  const { data } = imageData;
+  const [keyU, keyV] = rgbToUV(...hexToRgb(settings.color));
+  const smoothness = Math.max(MIN_RAMP, settings.smoothness);
+  const spill = Math.max(MIN_RAMP, settings.spill);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i] / 255;
+    const g = data[i + 1] / 255;
+    const b = data[i + 2] / 255;
+    const [u, v] = rgbToUV(r, g, b);
+    const baseMask = Math.hypot(u - keyU, v - keyV) - settings.similarity;
+    const alpha =
+      (data[i + 3] / 255) * Math.pow(clamp01(baseMask / smoothness), 1.5);
+
+    if (matte) {
+      data[i] = data[i + 1] = data[i + 2] = alpha * 255;
+      data[i + 3] = 255;
+      continue;
+    }
+
+    const spillAmount = Math.pow(clamp01(baseMask / spill), 1.5);
+    const luma = r * 0.2126 + g * 0.7152 + b * 0.0722;
+    data[i] = (luma + (r - luma) * spillAmount) * 255;
+    data[i + 1] = (luma + (g - luma) * spillAmount) * 255;
+    data[i + 2] = (luma + (b - luma) * spillAmount) * 255;
+    data[i + 3] = alpha * 255;
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return true;
+};
+
+/**
+ * What a fabric image/video object should draw: its element keyed with
+ * `fabricObject.chromaKey`, or the element itself when keying is off or not
+ * possible. The keyed frame is kept at the element's native size, so crop
+ * coordinates stay valid, and only redone when the frame or settings change.
+ */
+export const getChromaKeySource = fabricObject => {
+  const source = fabricObject?._element;
+  const settings = fabricObject?.chromaKey;
+  if (
+    !source ||
+    !isChromaKeyActive(settings) ||
+    fabricObject._chromaKeyFailed
+  ) {
+    return source;
+  }
+
+  const size = getMediaSourceSize(source);
+  if (!size.width || !size.height) return source;
+  if (!isMediaSourceReady(source)) {
+    return fabricObject._chromaKeyCanvas || source;
+  }
+
+  const signature = JSON.stringify([
+    getMediaFrameKey(source),
+    size.width,
+    size.height,
+    settings.color,
+    settings.similarity,
+    settings.smoothness,
+    settings.spill,
+    Boolean(fabricObject.chromaKeyMatte),
+  ]);
+  const isCurrent =
+    fabricObject._chromaKeySignature === signature &&
+    !isMediaFrameChanging(source);
+  if (isCurrent) return fabricObject._chromaKeyCanvas;
+
+  const target = getEffectCanvas(fabricObject, '_chromaKeyCanvas', size);
+
+  try {
+    const matte = Boolean(fabricObject.chromaKeyMatte);
+    if (!keyWithWebGL(source, target, settings, matte)) {
+      keyWithCanvas2D(source, target, settings, matte);
+    }
+  } catch (error) {
+    // Cross-origin media without CORS headers can't be read back
+    console.warn(
+      'Chroma key could not read the element, drawing it unkeyed:',
+      error
+    );
+    fabricObject._chromaKeyFailed = true;
+    return source;
+  }
+
+  fabricObject._chromaKeySignature = signature;
+  return target;
+};
@@ -0,0 +1,254 @@
+// Per-clip speed for video and audio. `properties.speed` plays a clip at a
+// constant multiple of its source speed, and `properties.speedRamp` varies
+// it over the clip as { position, speed } points, with position running from
+// 0 at the clip start to 1 at its end and the speed linear between points.
+// A ramp overrides `speed`. Positions are relative, so a ramp keeps its
+// shape when the clip is retimed.
+//
+// Playback, seeking, export, trims and splits all map timeline time to
+// source time through getSourceElapsed, so preview and export show the same
+// frames.
+
+export const MIN_CLIP_SPEED = 0.25;
+export const MAX_CLIP_SPEED = 4;
+
+export const CLIP_SPEED_PRESETS = [0.25, 0.5, 0.75, 1, 1.5, 2, 4];
+
+// Starting curves for the ramp editor
+export const SPEED_RAMP_PRESETS = [
+  {
+    id: 'speedUp',
+    name: 'Speed up',
+    points: [
+      { position: 0, speed: 0.5 },
+      { position: 1, speed: 2 },
+    ],
+  },
+  {
+    id: 'slowDown',
+    name: 'Slow down',
+    points: [
+      { position: 0, speed: 2 },
+      { position: 1, speed: 0.5 },
+    ],
+  },
+  {
+    id: 'hero',
+    name: 'Hero moment',
+    points: [
+      { position: 0, speed: 1 },
+      { position: 0.35, speed: 1 },
+      { position: 0.5, speed: 0.25 },
+      { position: 0.65, speed: 1 },
+      { position: 1, speed: 1 },
+    ],
+  },
+];
+
+// Rates media elements accept for playbackRate
+const MIN_MEDIA_RATE = 0.0625;
+const MAX_MEDIA_RATE = 16;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const getClipDuration = element =>
+  element.timeFrame.end - element.timeFrame.start;
+
+export const supportsClipSpeed = element =>
+  element?.type === 'video' || element?.type === 'audio';
+
+export const clampClipSpeed = speed =>
+  clamp(Number.isFinite(speed) ? speed : 1, MIN_CLIP_SPEED, MAX_CLIP_SPEED);
+
+// Constant speed of a clip; 1 for clips without one and for other elements
+export const getClipSpeed = element =>
+  supportsClipSpeed(element)
+    ? clampClipSpeed(element.properties?.speed ?? 1)
+    : 1;
+
+export const getSpeedRamp = element =>
+  supportsClipSpeed(element) && element.properties?.speedRamp?.length > 1
+    ? element.properties.speedRamp
+    : null;
+
+export const hasSpeedChange = element =>
+  !!getSpeedRamp(element) || getClipSpeed(element) !== 1;
+
+// Sorted points with positions and speeds in range; null when fewer than two
+// are left, since one point is just a constant speed
+export const normalizeSpeedRamp = points => {
+  const normalized = (points || [])
+    .filter(
+      point => Number.isFinite(point?.position) && Number.isFinite(point.speed)
+    )
+    .map(point => ({
+      position: clamp(point.position, 0, 1),
+      speed: clampClipSpeed(point.speed),
+    }))
+    .sort((a, b) => a.position - b.position);
+  return normalized.length > 1 ? normalized : null;
+};
+
+// Linear interpolation of a ramp, flat before its first and after its last
+// point
+export const getRampSpeed = (points, position) => {
+  if (position <= points[0].position) return points[0].speed;
+
+  const last = points[points.length - 1];
+  if (position >= last.position) return last.speed;
+
+  const nextIndex = points.findIndex(point => point.position > position);
+  const from = points[nextIndex - 1];
+  const to = points[nextIndex];
+  const progress = (position - from.position) / (to.position - from.position);
+  return from.speed + (to.speed - from.speed) * progress;
+};
+
+// Area under a ramp from the clip start to `position`, exact since the ramp
+// is piecewise linear
+const integrateRamp = (points, position) => {
+  let area = 0;
+  let from = { position: 0, speed: getRampSpeed(points, 0) };
+  [
+    ...points.filter(point => point.position > 0 && point.position < position),
+    { position, speed: getRampSpeed(points, position) },
+  ].forEach(to => {
+    area += ((to.position - from.position) * (from.speed + to.speed)) / 2;
+    from = to;
+  });
+  return area;
+};
+
+export const getSpeedAt = (
+  element,
+  localTime,
+  duration = getClipDuration(element)
+) => {
+  const ramp = getSpeedRamp(element);
+  if (!ramp) return getClipSpeed(element);
+  return getRampSpeed(ramp, duration > 0 ? localTime / duration : 0);
+};
+
+/**
+ * Source ms a clip has played `localTime` ms after its start, counted from
+ * its source offset. `duration` is the clip's length on the timeline, for
+ * working out a retimed clip before it is changed.
+ */
+export const getSourceElapsed = (
+  element,
+  localTime,
+  duration = getClipDuration(element)
+) => {
+  const ramp = getSpeedRamp(element);
+  if (!ramp || duration <= 0) return localTime * getClipSpeed(element);
+
+  if (localTime <= 0) return localTime * getRampSpeed(ramp, 0);
+  if (localTime >= duration) {
+    return (
+      duration * integrateRamp(ramp, 1) +
+      (localTime - duration) * getRampSpeed(ramp, 1)
+    );
+  }
+  return duration * integrateRamp(ramp, localTime / duration);
+};
+
+// Source ms per timeline ms across the whole clip
+export const getMeanSpeed = element => {
+  const ramp = getSpeedRamp(element);
+  return ramp ? integrateRamp(ramp, 1) : getClipSpeed(element);
+};
+
+// Clip-local time at which a clip has played `elapsed` ms of its source;
+// the inverse of getSourceElapsed
+export const getLocalTimeAt = (
+  element,
+  elapsed,
+  duration = getClipDuration(element)
+) => {
+  const ramp = getSpeedRamp(element);
+  if (!ramp || duration <= 0) return elapsed / getClipSpeed(element);
+
+  if (elapsed <= 0) return elapsed / getRampSpeed(ramp, 0);
+  const total = duration * integrateRamp(ramp, 1);
+  if (elapsed >= total) {
+    return duration + (elapsed - total) / getRampSpeed(ramp, 1);
+  }
+
+  // Elapsed source time only grows along the clip, so bisect to well under
+  // a sample
+  let low = 0;
+  let high = duration;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (getSourceElapsed(element, mid, duration) < elapsed) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Timeline length at which a clip plays `sourceSpan` ms of its source
+export const getDurationForSourceSpan = (element, sourceSpan) =>
+  sourceSpan / getMeanSpeed(element);
+
+// playbackRate of a clip's media element `localTime` ms into the clip, with
+// the clip speed on top of the preview speed
+export const getMediaPlaybackRate = (element, localTime, previewRate = 1) =>
+  clamp(
+    Math.round(previewRate * getSpeedAt(element, localTime) * 100) / 100,
+    MIN_MEDIA_RATE,
+    MAX_MEDIA_RATE
+  );
+
+// Part of a ramp between two positions, re-based to run from 0 to 1
+export const sliceSpeedRamp = (points, from, to) => {
+  const span = to - from;
+  return [
+    { position: 0, speed: getRampSpeed(points, from) },
+    ...points
+      .filter(point => point.position > from && point.position < to)
+      .map(point => ({ ...point, position: (point.position - from) / span })),
+    { position: 1, speed: getRampSpeed(points, to) },
+  ];
+};
+
+// Speed properties of the two halves of a clip split at `splitMs`
+// (clip-local); a ramp is cut in two so each half keeps its part of it
+export const splitSpeedProperties = (properties, splitMs, durationMs) => {
+  const speed = properties?.speed != null ? { speed: properties.speed } : {};
+  const ramp = properties?.speedRamp;
+  if (!(ramp?.length > 1) || durationMs <= 0) return [speed, speed];
+
+  const position = splitMs / durationMs;
+  return [
+    { ...speed, speedRamp: sliceSpeedRamp(ramp, 0, position) },
+    { ...speed, speedRamp: sliceSpeedRamp(ramp, position, 1) },
+  ];
+};
+
+// Speed properties a clip keeps when trimmed to run from `fromMs` to `toMs`
+// (clip-local, past its ends when it is lengthened); a ramp is cut to the
+// part of it under that span, flat past its ends
+export const trimSpeedProperties = (properties, fromMs, toMs, durationMs) => {
+  const ramp = properties?.speedRamp;
+  if (!(ramp?.length > 1) || durationMs <= 0) return {};
+  return {
+    speedRamp: sliceSpeedRamp(ramp, fromMs / durationMs, toMs / durationMs),
+  };
+};
+
+// Speed properties of a clip played backwards: a ramp runs the other way
+export const reverseSpeedProperties = properties => {
+  const ramp = properties?.speedRamp;
+  if (!(ramp?.length > 1)) return {};
+  return {
+    speedRamp: ramp
+      .map(point => ({ ...point, position: 1 - point.position }))
+      .reverse(),
+  };
+};
+
+// Label for a clip's speed, e.g. "2x" or "Ramp"
+export const formatClipSpeed = element => {
+  if (getSpeedRamp(element)) return 'Ramp';
+  return `${Number(getClipSpeed(element).toFixed(2))}x`;
+};
@@ -0,0 +1,303 @@
+// Compound clips are timeline elements of type 'compound' that hold a nested
+// sequence of their own. `properties.elements` are the clips inside it, with
+// times from the compound's start and rows from its top row, alongside the
+// `animations`, `trackStates` and `maxRows` that go with them. On the canvas
+// a compound is one image layer drawn from an offscreen canvas the size of
+// the composition where its contents play (see CompoundRenderer), so
+// animations, transitions, blend modes and masks treat it like any image.
+//
+// The contents are redrawn from fabric snapshots kept on
+// `properties.snapshot`, one per element id, so only visuals fabric can
+// rebuild go inside: text, images, shapes and other compound clips. Video
+// and audio stay on the main timeline, where their media elements play.
+// Keyframes and preset animations of the contents play in the compound;
+// GL transitions between them play once it is opened.
+import { fabric } from 'fabric';
+import { safeSerialize } from '../redux/timeline/timelineSlice';
+import { markMatteSources } from './masks';
+import { remapTrackStates } from './timeline/trackStates';
+
+export const COMPOUND_ELEMENT_TYPE = 'compound';
+
+export const isCompoundClip = element =>
+  element?.type === COMPOUND_ELEMENT_TYPE;
+
+const CHILD_TYPES = [
+  'text',
+  'image',
+  'imageUrl',
+  'shape',
+  COMPOUND_ELEMENT_TYPE,
+];
+
+// Fabric properties of a snapshot's look beyond fabric's own
+const SNAPSHOT_PROPERTIES = [
+  'name',
+  'customFilter',
+  'disableCrop',
+  'cropWidth',
+  'cropHeight',
+  'chromaKey',
+  'colorGrade',
+  'mask',
+  'maskX',
+  'maskY',
+  'maskScale',
+  'maskRotation',
+  'blendOpacity',
+];
+
+// Transform an animated element rests at, kept on its initialState
+const REST_PROPERTIES = ['left', 'top', 'scaleX', 'scaleY', 'opacity'];
+
+export const canAddToCompound = element =>
+  CHILD_TYPES.includes(element?.type) &&
+  element.subType !== 'subtitles' &&
+  !element.properties?.timelineOnly;
+
+// Ids of the elements an animation or transition plays on
+export const getAnimationTargets = animation =>
+  [
+    ...(animation.targetIds ||
+      (animation.targetId ? [animation.targetId] : [])),
+    animation.fromElementId,
+    animation.toElementId,
+  ].filter(Boolean);
+
+// Clips among a compound's contents, leaving out the timeline entries of
+// its animations
+export const getCompoundClips = elements =>
+  elements.filter(element => element.type !== 'animation');
+
+const shiftTimes = (item, keys, delta) => {
+  const shifted = { ...item };
+  keys.forEach(key => {
+    if (typeof item[key] === 'number') shifted[key] = item[key] + delta;
+  });
+  return shifted;
+};
+
+// Animation moved `delta` ms; properties.startTime and endTime are from its
+// target's start and stay put
+const shiftAnimation = (animation, delta) => ({
+  ...shiftTimes(animation, ['startTime', 'endTime'], delta),
+  ...(animation.properties && {
+    properties: shiftTimes(
+      animation.properties,
+      ['absoluteStart', 'absoluteEnd'],
+      delta
+    ),
+  }),
+});
+
+// Plain copy of a timeline element or animation, without canvas objects
+const toPlain = item => JSON.parse(JSON.stringify(safeSerialize(item)));
+
+// Copy of a timeline element moved `delta` ms and onto its row in `rowMap`
+const moveElement = (element, delta, rowMap) => {
+  const plain = toPlain(element);
+  return {
+    ...plain,
+    row: rowMap.get(element.row),
+    timeFrame: {
+      start: element.timeFrame.start + delta,
+      end: element.timeFrame.end + delta,
+    },
+    ...(plain.properties && {
+      properties: shiftTimes(
+        plain.properties,
+        ['absoluteStart', 'absoluteEnd'],
+        delta
+      ),
+    }),
+  };
+};
+
+/**
+ * Fabric snapshots of the elements' objects at rest, by element id. An
+ * element that is not drawn right now keeps its snapshot from `previous`.
+ * Compound clips have none: they are rebuilt from their own contents.
+ */
+export const snapshotElements = (elements, previous = {}) => {
+  const snapshot = {};
+  elements.forEach(element => {
+    if (!canAddToCompound(element) || isCompoundClip(element)) return;
+    const object = element.fabricObject;
+    if (!object || !fabric.util.getKlass(object.type)?.fromObject) {
+      if (previous[element.id]) snapshot[element.id] = previous[element.id];
+      return;
+    }
+
+    const data = object.toObject(SNAPSHOT_PROPERTIES);
+    REST_PROPERTIES.forEach(key => {
+      if (typeof element.initialState?.[key] === 'number') {
+        data[key] = element.initialState[key];
+      }
+    });
+    if (object instanceof fabric.Image) {
+      // A tainted compound canvas would taint the composition with it
+      data.crossOrigin = 'anonymous';
+    }
+    snapshot[element.id] = { ...data, visible: true };
+  });
+  return snapshot;
+};
+
+/**
+ * Compound clip element holding `elements` (with `animations`, the ones
+ * that play only on them), placed where they were on the timeline: from the
+ * first one's start on their top row. Their rows inside are packed from 0.
+ */
+export const createCompoundElement = (
+  elements,
+  animations,
+  { id, name, width, height, trackStates }
+) => {
+  const clips = getCompoundClips(elements);
+  const start = Math.min(...clips.map(element => element.timeFrame.start));
+  const end = Math.max(...clips.map(element => element.timeFrame.end));
+  const rows = [...new Set(elements.map(element => element.row))].sort(
+    (a, b) => a - b
+  );
+  const rowMap = new Map(rows.map((row, index) => [row, index]));
+
+  return {
+    id,
+    name,
+    type: COMPOUND_ELEMENT_TYPE,
+    placement: {
+      x: 0,
+      y: 0,
+      width,
+      height,
+      rotation: 0,
+      scaleX: 1,
+      scaleY: 1,
+    },
+    timeFrame: { start, end },
+    row: rows[0],
+    properties: {
+      width,
+      height,
+      elements: elements.map(element => moveElement(element, -start, rowMap)),
+      animations: animations.map(animation =>
+        shiftAnimation(toPlain(animation), -start)
+      ),
+      trackStates: remapTrackStates(trackStates, row =>
+        rowMap.has(row) ? rowMap.get(row) : null
+      ),
+      maxRows: rows.length,
+      snapshot: snapshotElements(clips),
+    },
+  };
+};
+
+// Length of a compound's contents: up to the end of the last clip inside
+export const getCompoundDuration = elements =>
+  Math.max(
+    0,
+    ...getCompoundClips(elements).map(element => element.timeFrame.end)
+  );
+
+// Properties of a compound clip holding the sequence opened from it as it
+// is now, a snapshot of each drawn element included
+export const getCompoundProperties = (
+  properties,
+  { elements, animations, trackStates, maxRows }
+) => ({
+  ...toPlain(properties),
+  elements: elements.map(toPlain),
+  animations: animations.map(toPlain),
+  trackStates: toPlain(trackStates),
+  maxRows,
+  snapshot: snapshotElements(elements, properties.snapshot),
+});
+
+// Contents drawn in a compound, bottom first, ordered like the canvas
+const getDrawOrder = elements =>
+  elements
+    .filter(
+      element => canAddToCompound(element) && !element.properties?.hideInCanvas
+    )
+    .sort((a, b) => {
+      if (a.type === 'text' && b.type !== 'text') return 1;
+      if (b.type === 'text' && a.type !== 'text') return -1;
+      return b.row - a.row;
+    });
+
+const enlivenSnapshot = data =>
+  new Promise(resolve => {
+    const klass = data && fabric.util.getKlass(data.type);
+    if (!klass?.fromObject) {
+      resolve(null);
+      return;
+    }
+    klass.fromObject(data, object => resolve(object || null));
+  });
+
+/**
+ * Offscreen canvas a compound clip's contents are drawn on, one `layers`
+ * entry ({ element, object }) per drawn element, bottom first. What shows
+ * at a time is set on the layers before render(); `animationTimeLine` plays
+ * their preset animations once the store has built it.
+ */
+export class CompoundRenderer {
+  constructor({ width, height }) {
+    this.canvas = new fabric.StaticCanvas(document.createElement('canvas'), {
+      width,
+      height,
+      enableRetinaScaling: false,
+      renderOnAddRemove: false,
+    });
+    this.layers = [];
+    this.lastTime = null;
+    this.animationTimeLine = null;
+  }
+
+  async load({ elements = [], snapshot = {} }) {
+    const drawn = getDrawOrder(elements);
+    const objects = await Promise.all(
+      drawn.map(element =>
+        isCompoundClip(element)
+          ? createCompoundObject(element)
+          : enlivenSnapshot(snapshot[element.id])
+      )
+    );
+
+    drawn.forEach((element, index) => {
+      const object = objects[index];
+      if (!object) return;
+      object.set({ visible: false, selectable: false, evented: false });
+      this.canvas.add(object);
+      this.layers.push({ element, object });
+    });
+    markMatteSources(this.canvas);
+  }
+
+  render() {
+    this.canvas.renderAll();
+  }
+}
+
+/**
+ * Canvas object of a compound clip: an image of its renderer's canvas,
+ * which is kept on the object as `compoundRenderer`. The contents load
+ * before it resolves.
+ */
+export const createCompoundObject = async element => {
+  const { placement, properties } = element;
+  const renderer = new CompoundRenderer(properties);
+  await renderer.load(properties);
+
+  const object = new fabric.Image(renderer.canvas.getElement(), {
+    left: placement.x,
+    top: placement.y,
+    angle: placement.rotation || 0,
+    scaleX: placement.scaleX ?? 1,
+    scaleY: placement.scaleY ?? 1,
+    // Redrawn as the contents play, so never cached
+    objectCaching: false,
+  });
+  object.compoundRenderer = renderer;
+  return object;
+};
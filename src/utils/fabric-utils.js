@@ -1,4 +1,13 @@
 import { fabric } from 'fabric';
+import { getChromaKeySource } from './chromaKey';
+import { getColorGradeSource } from './colorGrading';
+import { applyAdjustmentFilters } from './adjustmentLayer';
+import { getShapePath, getShapeStyle } from './shapes';
+import { drawMaskedObject, MASK_TRANSFORM_PROPERTIES } from './masks';
+
+// What image/video objects draw: their element keyed, then graded
+export const getElementDrawSource = fabricObject =>
+  getColorGradeSource(fabricObject, getChromaKeySource(fabricObject));
 
 // Make sure all brush types are available
 if (!fabric.PencilBrush) {
@@ -233,7 +242,7 @@ export const CoverImage = fabric.util.createClass(fabric.Image, {
       }
 
       ctx.drawImage(
-        this._element,
+        getElementDrawSource(this),
         Math.max(this.cropX, 0),
         Math.max(this.cropY, 0),
         Math.max(1, this.width),
@@ -266,7 +275,7 @@ export const CoverImage = fabric.util.createClass(fabric.Image, {
     const customFilter = this.customFilter;
     ctx.filter = getFilterFromEffectType(customFilter);
     ctx.drawImage(
-      this._element,
+      getElementDrawSource(this),
       Math.max(cropX, 0),
       Math.max(cropY, 0),
       Math.max(1, cropWidth),
@@ -281,6 +290,16 @@ export const CoverImage = fabric.util.createClass(fabric.Image, {
   },
 });
 
+// Copies (e.g. the contents of compound clips) load their image again
+CoverImage.fromObject = (object, callback) =>
+  fabric.util.loadImage(
+    object.src,
+    (image, isError) =>
+      callback(isError ? null : new CoverImage(image, object), isError),
+    null,
+    object.crossOrigin
+  );
+
 export const CoverVideo = fabric.util.createClass(fabric.Image, {
   type: 'coverVideo',
   customFilter: 'none',
@@ -355,7 +374,7 @@ export const CoverVideo = fabric.util.createClass(fabric.Image, {
     
     // Use native video dimensions for best quality rendering
     ctx.drawImage(
-      this._element,
+      getElementDrawSource(this),
       Math.max(cropX, 0) / videoScaledX,
       Math.max(cropY, 0) / videoScaledY,
       Math.max(1, cropWidth) / videoScaledX,
@@ -370,6 +389,54 @@ export const CoverVideo = fabric.util.createClass(fabric.Image, {
   },
 });
 
+// Adjustment layer elements: draws nothing of its own, but re-filters
+// everything the canvas already shows beneath it (see utils/adjustmentLayer)
+export const AdjustmentLayer = fabric.util.createClass(fabric.Object, {
+  type: 'adjustmentLayer',
+  adjustmentFilters: null,
+  selectable: false,
+  evented: false,
+  hasControls: false,
+  hasBorders: false,
+  objectCaching: false,
+
+  render: function (ctx) {
+    if (!this.visible || !this.canvas || !this.adjustmentFilters?.length) {
+      return;
+    }
+    applyAdjustmentFilters(ctx.canvas, this.adjustmentFilters);
+  },
+});
+
+// Geometric shape element (see utils/shapes): a path rebuilt from the
+// element's shape properties at its unscaled placement size
+export const Shape = fabric.util.createClass(fabric.Path, {
+  type: 'shape',
+
+  initialize: function (properties, options = {}) {
+    this.callSuper(
+      'initialize',
+      getShapePath(properties, options.width, options.height),
+      { ...options, ...getShapeStyle(properties) }
+    );
+  },
+
+  // Redraws the shape in place, keeping its position and transform
+  setShape: function (properties, width = this.width, height = this.height) {
+    this.set(getShapeStyle(properties));
+    this._setPath(getShapePath(properties, width, height), {
+      left: this.left,
+      top: this.top,
+    });
+    this.set('dirty', true);
+    this.setCoords();
+  },
+});
+
+// Copies (e.g. ctrl-drag clones) are plain paths of the same geometry
+Shape.fromObject = (object, callback) =>
+  fabric.Path.fromObject({ ...object, type: 'path' }, callback);
+
 export function getFilterFromEffectType(effectType) {
   switch (effectType) {
     case 'glitch':
@@ -435,8 +502,94 @@ export function getFilterFromEffectType(effectType) {
   }
 }
 
+// Plain fabric images (imageUrl elements) and the uncropped cover classes
+// draw through _renderFill, so key and grade them there as well
+if (!fabric.Image.prototype._elementEffectsSupport) {
+  const originalRenderFill = fabric.Image.prototype._renderFill;
+
+  fabric.Image.prototype._renderFill = function (ctx) {
+    const element = this._element;
+    const drawSource = getElementDrawSource(this);
+    if (drawSource === element) {
+      originalRenderFill.call(this, ctx);
+      return;
+    }
+
+    this._element = drawSource;
+    try {
+      originalRenderFill.call(this, ctx);
+    } finally {
+      this._element = element;
+    }
+  };
+
+  fabric.Image.prototype.cacheProperties =
+    fabric.Image.prototype.cacheProperties.concat(
+      'chromaKey',
+      'chromaKeyMatte',
+      'colorGrade'
+    );
+  fabric.Image.prototype._elementEffectsSupport = true;
+}
+
+// Element blending opacity (see utils/blending) multiplies in with the
+// opacity that animations and transitions drive
+if (!fabric.Object.prototype._blendOpacitySupport) {
+  const originalSetOpacity = fabric.Object.prototype._setOpacity;
+
+  fabric.Object.prototype.blendOpacity = 1;
+  fabric.Object.prototype._setOpacity = function (ctx) {
+    originalSetOpacity.call(this, ctx);
+    if (this.blendOpacity !== 1) {
+      ctx.globalAlpha *= this.blendOpacity;
+    }
+  };
+  fabric.Object.prototype._blendOpacitySupport = true;
+}
+
+// Image and video masks (see utils/masks). Objects used as another's matte
+// draw only into that mask, and objects matted by another element redraw
+// every frame, since what they show depends on where that element is
+if (!fabric.Image.prototype._maskSupport) {
+  const originalDrawObject = fabric.Image.prototype.drawObject;
+  const originalShouldCache = fabric.Image.prototype.shouldCache;
+  const originalRender = fabric.Object.prototype.render;
+
+  fabric.Image.prototype.drawObject = function (ctx, forClipping) {
+    if (!this.mask || forClipping) {
+      originalDrawObject.call(this, ctx, forClipping);
+      return;
+    }
+    drawMaskedObject(this, ctx, layerCtx =>
+      originalDrawObject.call(this, layerCtx, forClipping)
+    );
+  };
+
+  fabric.Image.prototype.shouldCache = function () {
+    if (this.mask?.type === 'element') {
+      this.ownCaching = false;
+      return false;
+    }
+    return originalShouldCache.call(this);
+  };
+
+  fabric.Object.prototype.render = function (ctx) {
+    if (this.isMatteSource && !this._renderingAsMatte) return;
+    originalRender.call(this, ctx);
+  };
+
+  fabric.Image.prototype.cacheProperties =
+    fabric.Image.prototype.cacheProperties.concat(
+      'mask',
+      ...Object.keys(MASK_TRANSFORM_PROPERTIES)
+    );
+  fabric.Image.prototype._maskSupport = true;
+}
+
 fabric.CoverImage = CoverImage;
 fabric.CoverVideo = CoverVideo;
+fabric.AdjustmentLayer = AdjustmentLayer;
+fabric.Shape = Shape;
 
 /**
  * Captures the current rendered state of a fabric object as an image
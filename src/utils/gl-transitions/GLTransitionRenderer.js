@@ -87,35 +87,7 @@ export class GLTransitionRenderer {
         throw new Error(`Transition "${transitionName}" not found`);
       }
 
-      // Create shader program
-      this.program = createShaderProgram(this.gl, transition.vertexShader, transition.fragmentShader);
-      this.gl.useProgram(this.program);
-
-      // Get attribute and uniform locations
-      this.attributes = {
-        position: this.gl.getAttribLocation(this.program, 'a_position'),
-        texCoord: this.gl.getAttribLocation(this.program, 'a_texCoord')
-      };
-
-      this.uniforms = {
-        progress: this.gl.getUniformLocation(this.program, 'progress'),
-        resolution: this.gl.getUniformLocation(this.program, 'resolution'),
-        ratio: this.gl.getUniformLocation(this.program, 'ratio'),
-        from: this.gl.getUniformLocation(this.program, 'from'),
-        to: this.gl.getUniformLocation(this.program, 'to')
-      };
-      
-      // Get additional uniform locations for transition-specific parameters.
-      // Include both defaultParams and declared paramsTypes keys so custom-only params are supported.
-      const paramKeys = new Set([
-        ...Object.keys(transition.defaultParams || {}),
-        ...Object.keys(transition.paramsTypes || {}),
-      ]);
-      paramKeys.forEach(paramName => {
-        if (!this.uniforms[paramName]) {
-          this.uniforms[paramName] = this.gl.getUniformLocation(this.program, paramName);
-        }
-      });
+      this.setTransition(transition);
 
       // Load textures
       const [fromTexture, toTexture] = await Promise.all([
@@ -125,7 +97,6 @@ export class GLTransitionRenderer {
 
       this.textures.from = fromTexture;
       this.textures.to = toTexture;
-      this.currentTransition = transition;
 return true;
     } catch (error) {
       console.error('Failed to load transition:', error);
@@ -133,6 +104,52 @@ return true;
     }
   }
 
+  /**
+   * Compiles a converted transition and makes it the current one, keeping
+   * the loaded textures. Throws the shader compile error so editors can show it
+   * @param {Object} transition - Transition from convertTransition
+   */
+  setTransition(transition) {
+    if (!this.initialized) {
+      throw new Error('GLTransitionRenderer not initialized');
+    }
+
+    const program = createShaderProgram(this.gl, transition.vertexShader, transition.fragmentShader);
+    if (this.program) {
+      this.gl.deleteProgram(this.program);
+    }
+    this.program = program;
+    this.gl.useProgram(this.program);
+
+    // Get attribute and uniform locations
+    this.attributes = {
+      position: this.gl.getAttribLocation(this.program, 'a_position'),
+      texCoord: this.gl.getAttribLocation(this.program, 'a_texCoord')
+    };
+
+    this.uniforms = {
+      progress: this.gl.getUniformLocation(this.program, 'progress'),
+      resolution: this.gl.getUniformLocation(this.program, 'resolution'),
+      ratio: this.gl.getUniformLocation(this.program, 'ratio'),
+      from: this.gl.getUniformLocation(this.program, 'from'),
+      to: this.gl.getUniformLocation(this.program, 'to')
+    };
+    
+    // Get additional uniform locations for transition-specific parameters.
+    // Include both defaultParams and declared paramsTypes keys so custom-only params are supported.
+    const paramKeys = new Set([
+      ...Object.keys(transition.defaultParams || {}),
+      ...Object.keys(transition.paramsTypes || {}),
+    ]);
+    paramKeys.forEach(paramName => {
+      if (!this.uniforms[paramName]) {
+        this.uniforms[paramName] = this.gl.getUniformLocation(this.program, paramName);
+      }
+    });
+
+    this.currentTransition = transition;
+  }
+
   async loadTexture(imageSrc) {
     return new Promise((resolve, reject) => {
       const image = new Image();
@@ -0,0 +1,239 @@
+/**
+ * Custom transitions - user-written gl-transitions shaders
+ *
+ * A custom transition is saved as { id, name, glsl, uniforms } where `glsl`
+ * defines `vec4 transition(vec2 uv)` like the stock gl-transitions and
+ * `uniforms` lists its parameters as { name, type, value }. Uniforms the
+ * shader doesn't declare itself are declared for it.
+ */
+
+import { convertTransition } from './transitions';
+import { createShaderProgram } from './webgl-utils';
+
+export const CUSTOM_TRANSITION_PREFIX = 'custom-';
+
+export const UNIFORM_TYPES = ['float', 'int', 'bool', 'vec2', 'vec3', 'vec4'];
+
+const VECTOR_SIZES = { vec2: 2, vec3: 3, vec4: 4 };
+
+// Uniforms every transition already gets from the renderer
+const RESERVED_UNIFORMS = ['from', 'to', 'progress', 'ratio', 'resolution'];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const DEFAULT_CUSTOM_GLSL = `// progress goes from 0.0 to 1.0
+// getFromColor(uv) and getToColor(uv) read the two clips
+
+vec4 transition(vec2 uv) {
+  float edge = smoothstep(progress - softness, progress, uv.x);
+  return mix(getToColor(uv), getFromColor(uv), edge);
+}
+`;
+
+export const DEFAULT_CUSTOM_UNIFORMS = [
+  { name: 'softness', type: 'float', value: 0.1 },
+];
+
+export const getCustomTransitionType = transition =>
+  `${CUSTOM_TRANSITION_PREFIX}${transition.id}`;
+
+export const isCustomTransitionType = transitionType =>
+  String(transitionType || '').startsWith(CUSTOM_TRANSITION_PREFIX);
+
+export const getDefaultUniformValue = type => {
+  if (type === 'bool') return false;
+  if (VECTOR_SIZES[type]) return new Array(VECTOR_SIZES[type]).fill(0);
+  return 0;
+};
+
+// Uniform value from the text typed for it ("0.5", "true", "0, 0, 0, 1")
+export const parseUniformValue = (type, text) => {
+  if (type === 'bool') return /^(true|1)$/i.test(String(text).trim());
+
+  const numbers = String(text)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+    .map(number => (Number.isFinite(number) ? number : 0));
+
+  if (VECTOR_SIZES[type]) {
+    return Array.from(
+      { length: VECTOR_SIZES[type] },
+      (_, index) => numbers[index] ?? 0
+    );
+  }
+
+  const [number = 0] = numbers;
+  return type === 'int' ? Math.round(number) : number;
+};
+
+export const formatUniformValue = value =>
+  Array.isArray(value) ? value.join(', ') : String(value);
+
+/**
+ * Uniforms declared in gl-transitions style, `uniform float amount; // = 1.0`,
+ * so pasted shaders come with their parameters.
+ */
+export const parseGLSLUniforms = glsl => {
+  const declaration =
+    /^\s*uniform\s+(\w+)\s+(\w+)\s*;\s*(?:\/\/\s*=\s*(.+?)\s*;?\s*)?$/gm;
+  const uniforms = [];
+  let match;
+
+  while ((match = declaration.exec(String(glsl || '')))) {
+    const [, type, name, defaultText] = match;
+    if (!UNIFORM_TYPES.includes(type) || RESERVED_UNIFORMS.includes(name)) {
+      continue;
+    }
+    uniforms.push({
+      name,
+      type,
+      value: defaultText
+        ? parseUniformValue(type, defaultText.replace(/^\w+\(|\)$/g, ''))
+        : getDefaultUniformValue(type),
+    });
+  }
+
+  return uniforms;
+};
+
+/**
+ * Problems that stop a custom transition from compiling, found before it is
+ * handed to WebGL, as `{ line, message }` with `line` null.
+ */
+export const validateCustomTransition = ({ name, glsl, uniforms = [] }) => {
+  const errors = [];
+  const addError = message => errors.push({ line: null, message });
+
+  if (!String(name || '').trim()) {
+    addError('Give the transition a name');
+  }
+  if (!/vec4\s+transition\s*\(\s*vec2\s+\w+\s*\)/.test(glsl || '')) {
+    addError('The shader must define vec4 transition(vec2 uv)');
+  }
+
+  const seen = new Set();
+  uniforms.forEach(uniform => {
+    if (!IDENTIFIER.test(uniform.name || '')) {
+      addError(`"${uniform.name}" is not a valid uniform name`);
+    } else if (RESERVED_UNIFORMS.includes(uniform.name)) {
+      addError(`"${uniform.name}" is already provided to every transition`);
+    } else if (seen.has(uniform.name)) {
+      addError(`Uniform "${uniform.name}" is declared twice`);
+    }
+    if (!UNIFORM_TYPES.includes(uniform.type)) {
+      addError(`Uniform "${uniform.name}" has an unsupported type`);
+    }
+    seen.add(uniform.name);
+  });
+
+  return errors;
+};
+
+/**
+ * The custom transition in the format of the `gl-transitions` package, ready
+ * for `convertTransition`.
+ */
+export const toGLTransition = transition => {
+  const { glsl = '', uniforms = [] } = transition;
+  const declarations = uniforms
+    .filter(
+      uniform =>
+        !new RegExp(`uniform\\s+\\w+\\s+${uniform.name}\\s*;`).test(glsl)
+    )
+    .map(uniform => `uniform ${uniform.type} ${uniform.name};`);
+
+  return {
+    name: getCustomTransitionType(transition),
+    author: transition.author || '',
+    license: transition.license || '',
+    glsl: [...declarations, glsl].join('\n'),
+    defaultParams: Object.fromEntries(
+      uniforms.map(uniform => [uniform.name, uniform.value])
+    ),
+    paramsTypes: Object.fromEntries(
+      uniforms.map(uniform => [uniform.name, uniform.type])
+    ),
+  };
+};
+
+/**
+ * Compile errors from `createShaderProgram` as `{ line, message }`, with line
+ * numbers counted in the transition's own GLSL rather than the full fragment
+ * shader.
+ */
+export const getShaderErrors = (error, transition, converted) => {
+  const fragmentShader =
+    converted?.fragmentShader ||
+    convertTransition(toGLTransition(transition)).fragmentShader;
+  const glslStart = fragmentShader.indexOf(transition.glsl);
+  const lineOffset =
+    glslStart >= 0
+      ? fragmentShader.slice(0, glslStart).split('\n').length - 1
+      : 0;
+  const lineCount = String(transition.glsl || '').split('\n').length;
+
+  const errors = String(error?.message || error)
+    .split('\n')
+    .map(text => {
+      const match = text.match(/(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)/);
+      if (!match) return null;
+
+      const line = Number(match[1]) - lineOffset;
+      return {
+        line: line >= 1 && line <= lineCount ? line : null,
+        message: match[2].trim(),
+      };
+    })
+    .filter(Boolean);
+
+  return errors.length
+    ? errors
+    : [{ line: null, message: String(error?.message || error) }];
+};
+
+let compileContext = null;
+
+const getCompileContext = () => {
+  if (!compileContext || compileContext.isContextLost()) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    compileContext =
+      canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+  }
+  return compileContext;
+};
+
+/**
+ * Compile a custom transition without rendering it. Returns the
+ * converted transition and the errors found, if any.
+ */
+export const compileCustomTransition = transition => {
+  const errors = validateCustomTransition(transition);
+  if (errors.length) return { converted: null, errors };
+
+  const converted = convertTransition(toGLTransition(transition));
+  const gl = getCompileContext();
+  if (!gl) {
+    return {
+      converted: null,
+      errors: [{ line: null, message: 'WebGL not supported' }],
+    };
+  }
+
+  try {
+    const program = createShaderProgram(
+      gl,
+      converted.vertexShader,
+      converted.fragmentShader
+    );
+    gl.deleteProgram(program);
+    return { converted, errors: [] };
+  } catch (error) {
+    return {
+      converted: null,
+      errors: getShaderErrors(error, transition, converted),
+    };
+  }
+};
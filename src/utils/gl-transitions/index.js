@@ -3,5 +3,12 @@
  */
 
 export { GLTransitionRenderer } from './GLTransitionRenderer';
-export { glTransitions, availableTransitions, transitionsLoadedPromise } from './transitions';
-export * from './webgl-utils'; 
\ No newline at end of file
+export {
+  glTransitions,
+  availableTransitions,
+  transitionsLoadedPromise,
+  convertTransition,
+  registerGLTransition,
+} from './transitions';
+export * from './webgl-utils';
+export * from './customTransitions'; 
\ No newline at end of file
@@ -179,5 +179,20 @@ async function initializeTransitions() {
 // Initialize and store the promise
 transitionsLoadedPromise = initializeTransitions();
 
+/**
+ * Add a transition in gl-transitions format (e.g. a user's custom shader) so
+ * renderers can load it by name like the stock ones
+ */
+function registerGLTransition(transition) {
+  glTransitions[transition.name] = convertTransition(transition);
+  return glTransitions[transition.name];
+}
+
 // Export the promise and current values
-export { transitionsLoadedPromise, glTransitions, availableTransitions };
+export {
+  transitionsLoadedPromise,
+  glTransitions,
+  availableTransitions,
+  convertTransition,
+  registerGLTransition,
+};
@@ -2,6 +2,7 @@ import setScenesSyncWithSubtitles from './setScenesSyncWithSubtitles';
 import { validateAndCorrectWords } from './textProcessing';
 import { saveTimelineState } from '../redux/timeline/timelineSlice';
 import { runInAction } from 'mobx';
+import { loadEditorParams } from './projectSchema';
 
 const initializeCanvasImages = async (data, store, dispatch) => {
   // Add protection against multiple concurrent initializations
@@ -14,6 +15,16 @@ const initializeCanvasImages = async (data, store, dispatch) => {
     return;
   }
 
+  // Upgrade older saves and drop anything the canvas cannot restore. A story
+  // that fails validation is not loaded, so it is never saved back empty
+  if (data.editorParams) {
+    const editorParams = loadEditorParams(data.editorParams);
+    if (!editorParams) {
+      return;
+    }
+    data = { ...data, editorParams };
+  }
+
   // Set initialization flag at the start
   store.setStoryId(data._id);
   store.setInitializationState(true);
@@ -31,6 +42,11 @@ const initializeCanvasImages = async (data, store, dispatch) => {
 
   let defaultTime = 60000;
 
+  store.setMarkers(data.editorParams?.markers || []);
+  store.setupSpeakers(data, data.editorParams?.speakers);
+  store.setColorGrade(data.editorParams?.colorGrade);
+  store.setTrackStates(data.editorParams?.trackStates);
+
   if (data.editorParams?.editorElements?.length > 0) {
     try {
       console.log('data.editorParams.maxTime', data.editorParams.maxTime);
@@ -0,0 +1,256 @@
+// Masks clip an image or video element to a shape, to text, or to another
+// element used as an alpha or luma matte. They are kept on
+// `element.properties.mask` as { type, feather, invert, x, y, scale,
+// rotation } plus the settings of their type. The transform is in the
+// element's own box: x/y move the mask by fractions of the element's size
+// and scale 1 fits it to the element. On the fabric object it is drawn from
+// maskX/maskY/maskScale/maskRotation, which keyframes can animate.
+import { fabric } from 'fabric';
+import { getEffectCanvas } from './mediaSource';
+import { getShapePath } from './shapes';
+
+export const MASK_TYPES = [
+  { id: 'circle', name: 'Circle' },
+  { id: 'roundedRect', name: 'Rounded rectangle' },
+  { id: 'polygon', name: 'Polygon' },
+  { id: 'text', name: 'Text' },
+  { id: 'element', name: 'Element matte' },
+];
+
+export const MATTE_MODES = [
+  { id: 'alpha', name: 'Alpha' },
+  { id: 'luma', name: 'Luma' },
+];
+
+export const DEFAULT_MASK = {
+  type: 'circle',
+  feather: 0,
+  invert: false,
+  x: 0,
+  y: 0,
+  scale: 1,
+  rotation: 0,
+  cornerRadius: 48,
+  sides: 6,
+  text: 'TEXT',
+  fontFamily: 'Arial',
+  fontWeight: 800,
+  sourceId: null,
+  matteMode: 'alpha',
+};
+
+// Mask transform fields by the fabric property each is drawn from
+export const MASK_TRANSFORM_PROPERTIES = {
+  maskX: 'x',
+  maskY: 'y',
+  maskScale: 'scale',
+  maskRotation: 'rotation',
+};
+
+// Fabric object properties that draw an element with `mask`
+export const getMaskProps = mask =>
+  mask
+    ? {
+        mask,
+        maskX: mask.x ?? DEFAULT_MASK.x,
+        maskY: mask.y ?? DEFAULT_MASK.y,
+        maskScale: mask.scale ?? DEFAULT_MASK.scale,
+        maskRotation: mask.rotation ?? DEFAULT_MASK.rotation,
+      }
+    : { mask: null };
+
+// Elements another element can use as its matte
+export const canBeMatteSource = (element, maskedElement) =>
+  Boolean(element) &&
+  element.id !== maskedElement?.id &&
+  !['audio', 'adjustment', 'animation', 'transition', 'glTransition'].includes(
+    element.type
+  );
+
+// Flags the objects other objects use as their matte; those only draw into
+// the mask, not onto the canvas
+export const markMatteSources = canvas => {
+  if (!canvas) return;
+  const objects = canvas.getObjects();
+  const sourceIds = new Set(
+    objects
+      .filter(obj => obj.mask?.type === 'element' && obj.mask.sourceId)
+      .map(obj => obj.mask.sourceId)
+  );
+  objects.forEach(obj => {
+    obj.isMatteSource = Boolean(obj.name) && sourceIds.has(obj.name);
+  });
+};
+
+const MAX_LAYER_SIZE = 4096;
+
+// Path data of a shape mask, fitted to an element of `width` × `height`
+const getMaskPath = (mask, width, height) => {
+  const side = Math.min(width, height);
+  switch (mask.type) {
+    case 'circle':
+      return {
+        path: getShapePath({ shapeType: 'ellipse' }, side, side),
+        width: side,
+        height: side,
+      };
+    case 'polygon':
+      return {
+        path: getShapePath(
+          { shapeType: 'polygon', sides: mask.sides },
+          side,
+          side
+        ),
+        width: side,
+        height: side,
+      };
+    default:
+      return {
+        path: getShapePath(
+          { shapeType: 'roundedRect', cornerRadius: mask.cornerRadius },
+          width,
+          height
+        ),
+        width,
+        height,
+      };
+  }
+};
+
+// Text as large as fits the element, centred on the mask origin
+const drawTextMask = (ctx, mask, width, height) => {
+  const text = mask.text || DEFAULT_MASK.text;
+  const font = size => `${mask.fontWeight} ${size}px ${mask.fontFamily}`;
+  ctx.font = font(100);
+  const measured = ctx.measureText(text).width || 1;
+  const size = 100 * Math.min((width * 0.9) / measured, (height * 0.8) / 100);
+
+  ctx.font = font(size);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 0, 0);
+};
+
+const findMatteSource = (fabricObject, mask) =>
+  mask.sourceId
+    ? fabricObject.canvas?.getObjects().find(obj => obj.name === mask.sourceId)
+    : undefined;
+
+// Another canvas object drawn where it is on the canvas, in the masked
+// object's local units
+const drawElementMatte = (ctx, fabricObject, mask) => {
+  const source = findMatteSource(fabricObject, mask);
+  if (!source?.visible) return;
+
+  ctx.save();
+  ctx.transform(
+    ...fabric.util.invertTransform(fabricObject.calcTransformMatrix())
+  );
+  source._renderingAsMatte = true;
+  try {
+    source.render(ctx);
+  } finally {
+    source._renderingAsMatte = false;
+    ctx.restore();
+  }
+};
+
+// Luminance becomes alpha: bright parts of a luma matte show the element
+const lumaToAlpha = canvas => {
+  const ctx = canvas.getContext('2d');
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = image.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    data[i + 3] = (luma * data[i + 3]) / 255;
+    data[i] = 255;
+    data[i + 1] = 255;
+    data[i + 2] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+// The mask in white on transparent, in the local units `ctx` is set up for
+const drawMask = (ctx, fabricObject, mask) => {
+  const { width, height } = fabricObject;
+
+  if (mask.type === 'element') {
+    drawElementMatte(ctx, fabricObject, mask);
+    return;
+  }
+
+  ctx.save();
+  ctx.translate(fabricObject.maskX * width, fabricObject.maskY * height);
+  ctx.rotate(fabric.util.degreesToRadians(fabricObject.maskRotation));
+  ctx.scale(fabricObject.maskScale, fabricObject.maskScale);
+  ctx.fillStyle = '#ffffff';
+
+  if (mask.type === 'text') {
+    drawTextMask(ctx, mask, width, height);
+  } else {
+    const shape = getMaskPath(mask, width, height);
+    ctx.translate(-shape.width / 2, -shape.height / 2);
+    ctx.fill(new Path2D(shape.path));
+  }
+  ctx.restore();
+};
+
+/**
+ * Draws a masked object: `drawObject` renders it into a layer of its own at
+ * the resolution `ctx` draws at, the mask (feathered, maybe inverted) cuts
+ * it out there and the layer goes onto `ctx` in the object's place.
+ */
+export const drawMaskedObject = (fabricObject, ctx, drawObject) => {
+  const mask = fabricObject.mask;
+  // An element matte with no element picked (or since deleted) masks nothing
+  if (mask.type === 'element' && !findMatteSource(fabricObject, mask)) {
+    drawObject(ctx);
+    return;
+  }
+  const { width, height } = fabricObject;
+  const transform = ctx.getTransform();
+  const scaleX = Math.hypot(transform.a, transform.b);
+  const scaleY = Math.hypot(transform.c, transform.d);
+  const size = {
+    width: Math.min(MAX_LAYER_SIZE, Math.max(1, Math.ceil(width * scaleX))),
+    height: Math.min(MAX_LAYER_SIZE, Math.max(1, Math.ceil(height * scaleY))),
+  };
+  const toLayer = [
+    size.width / width,
+    0,
+    0,
+    size.height / height,
+    size.width / 2,
+    size.height / 2,
+  ];
+
+  const layer = getEffectCanvas(fabricObject, '_maskLayerCanvas', size);
+  const layerCtx = layer.getContext('2d');
+  layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+  layerCtx.clearRect(0, 0, size.width, size.height);
+  layerCtx.setTransform(...toLayer);
+  drawObject(layerCtx);
+
+  const matte = getEffectCanvas(fabricObject, '_maskCanvas', size);
+  const matteCtx = matte.getContext('2d');
+  matteCtx.setTransform(1, 0, 0, 1, 0, 0);
+  matteCtx.clearRect(0, 0, size.width, size.height);
+  matteCtx.setTransform(...toLayer);
+  drawMask(matteCtx, fabricObject, mask);
+  if (mask.type === 'element' && mask.matteMode === 'luma') {
+    lumaToAlpha(matte);
+  }
+
+  // Feather is in the element's units, like its width and height
+  const feather = (mask.feather || 0) * ((toLayer[0] + toLayer[3]) / 2);
+  layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+  layerCtx.globalCompositeOperation = mask.invert
+    ? 'destination-out'
+    : 'destination-in';
+  layerCtx.filter = feather > 0 ? `blur(${feather}px)` : 'none';
+  layerCtx.drawImage(matte, 0, 0);
+  layerCtx.filter = 'none';
+  layerCtx.globalCompositeOperation = 'source-over';
+
+  ctx.drawImage(layer, -width / 2, -height / 2, width, height);
+};
@@ -0,0 +1,48 @@
+// Helpers for the per-element pixel effects (chroma key, colour grade, masks)
+// that redraw an image or video element into a canvas of their own.
+
+// Element types whose fabric objects draw through these effects
+export const MEDIA_EFFECT_ELEMENT_TYPES = ['video', 'image', 'imageUrl'];
+
+export const supportsMediaEffects = element =>
+  MEDIA_EFFECT_ELEMENT_TYPES.includes(element?.type);
+
+export const isVideoSource = source =>
+  typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement;
+
+// Native pixel size, which is what fabric's crop coordinates refer to
+export const getMediaSourceSize = source =>
+  isVideoSource(source)
+    ? { width: source.videoWidth, height: source.videoHeight }
+    : {
+        width: source.naturalWidth || source.width,
+        height: source.naturalHeight || source.height,
+      };
+
+export const isMediaSourceReady = source =>
+  !isVideoSource(source) || source.readyState >= 2;
+
+// Identifies the frame a source shows, for caching what was drawn from it
+export const getMediaFrameKey = source =>
+  JSON.stringify([
+    source.currentSrc || source.src || '',
+    isVideoSource(source) ? source.currentTime : null,
+  ]);
+
+// A playing video can show a new frame without currentTime moving on
+export const isMediaFrameChanging = source =>
+  isVideoSource(source) && (!source.paused || source.seeking);
+
+// The canvas an effect draws into, sized to match its source
+export const getEffectCanvas = (fabricObject, key, { width, height }) => {
+  let canvas = fabricObject[key];
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    fabricObject[key] = canvas;
+  }
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return canvas;
+};
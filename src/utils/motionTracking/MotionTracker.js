@@ -0,0 +1,215 @@
+import { getMediaSourceSize } from '../mediaSource';
+
+// Frames per second of a track; keyframes made from it are thinned out
+export const TRACK_FPS = 30;
+// Longest side frames are analysed at: enough detail to follow features,
+// small enough to keep each frame's search quick
+const ANALYSIS_SIZE = 480;
+const LOAD_TIMEOUT_MS = 15000;
+const SEEK_TIMEOUT_MS = 3000;
+
+const loadVideo = src =>
+  new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const done = error => {
+      clearTimeout(timer);
+      video.removeEventListener('loadeddata', onLoaded);
+      video.removeEventListener('error', onError);
+      if (error) reject(error);
+      else resolve(video);
+    };
+    const onLoaded = () => done();
+    const onError = () =>
+      done(new Error('Could not load the video for tracking'));
+    const timer = setTimeout(
+      () => done(new Error('Timed out loading the video for tracking')),
+      LOAD_TIMEOUT_MS
+    );
+
+    video.addEventListener('loadeddata', onLoaded);
+    video.addEventListener('error', onError);
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = src;
+  });
+
+// Tracks are saved with the project, so frames keep only useful precision
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const seekVideo = (video, time) =>
+  new Promise(resolve => {
+    if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+    const timer = setTimeout(done, SEEK_TIMEOUT_MS);
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+
+/**
+ * Tracks a region of a video through its frames.
+ *
+ * Frames are decoded by seeking a video of the tracker's own, so playback of
+ * the element is untouched, scaled down to analysis size and handed to the
+ * tracker worker one at a time. Regions and results are in source
+ * coordinates: x, y, width and height as fractions of the video frame,
+ * times in ms local to the clip. `getSourceTime` maps those to ms into the
+ * source; without it the clip plays its source at normal speed from
+ * `videoOffset`.
+ */
+export class MotionTracker {
+  constructor({
+    src,
+    videoOffset = 0,
+    getSourceTime = time => time + videoOffset,
+    fps = TRACK_FPS,
+    onProgress,
+  } = {}) {
+    this.src = src;
+    this.getSourceTime = getSourceTime;
+    this.fps = fps;
+    this.onProgress = onProgress;
+    this.cancelled = false;
+    this.video = null;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextRequestId = 0;
+  }
+
+  async load() {
+    if (this.video) return;
+    if (!this.src) throw new Error('The video has no source to track');
+
+    this.video = await loadVideo(this.src);
+    const source = getMediaSourceSize(this.video);
+    const fit = Math.min(
+      1,
+      ANALYSIS_SIZE / Math.max(source.width, source.height)
+    );
+    this.width = Math.max(1, Math.round(source.width * fit));
+    this.height = Math.max(1, Math.round(source.height * fit));
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    this.worker = new Worker(
+      new URL('./motionTracker.worker.js', import.meta.url)
+    );
+    this.worker.onmessage = ({ data }) => {
+      const request = this.pending.get(data.id);
+      if (!request) return;
+      this.pending.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data);
+    };
+    this.worker.onerror = event => {
+      const error = new Error(event.message || 'Motion tracking failed');
+      this.pending.forEach(request => request.reject(error));
+      this.pending.clear();
+    };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending.clear();
+    if (this.video) {
+      this.video.removeAttribute('src');
+      this.video.load();
+      this.video = null;
+    }
+  }
+
+  reportProgress(progress, message) {
+    this.onProgress?.({
+      progress: Math.min(99, Math.round(progress)),
+      message,
+    });
+  }
+
+  request(message) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, [message.pixels]);
+    });
+  }
+
+  // RGBA pixels of the source frame shown at `time` into the clip
+  async readFrame(time) {
+    const sourceTime = this.getSourceTime(time) / 1000;
+    await seekVideo(
+      this.video,
+      Math.min(sourceTime, this.video.duration || sourceTime)
+    );
+    this.context.drawImage(this.video, 0, 0, this.width, this.height);
+    return this.context.getImageData(0, 0, this.width, this.height).data.buffer;
+  }
+
+  /**
+   * Tracks `region` ({ x, y, width, height, scale, rotation }, as it is at
+   * `from`) frame by frame to `to`, which may be before `from` to track
+   * backwards. Resolves with the track frames in time order, starting with
+   * the one at `from`, or null if the tracking was cancelled.
+   */
+  async track({ region, mode, from, to }) {
+    await this.load();
+
+    const step = (1000 / this.fps) * Math.sign(to - from || 1);
+    const count = Math.ceil(Math.abs(to - from) / Math.abs(step)) + 1;
+    const frames = [];
+
+    for (let i = 0; i < count; i++) {
+      if (this.cancelled) return null;
+      const time = i === count - 1 ? to : from + i * step;
+      const pixels = await this.readFrame(time);
+      if (this.cancelled) return null;
+
+      const result = await this.request(
+        i === 0
+          ? {
+              type: 'start',
+              width: this.width,
+              height: this.height,
+              pixels,
+              options: {
+                mode,
+                region: {
+                  x: region.x * this.width,
+                  y: region.y * this.height,
+                  width: region.width * this.width,
+                  height: region.height * this.height,
+                  scale: region.scale,
+                  rotation: region.rotation,
+                },
+              },
+            }
+          : { type: 'frame', width: this.width, height: this.height, pixels }
+      );
+      frames.push({
+        time: Math.round(time),
+        x: round(result.x / this.width, 5),
+        y: round(result.y / this.height, 5),
+        scale: round(result.scale, 4),
+        rotation: round(result.rotation, 3),
+        confidence: round(result.confidence, 3),
+      });
+      this.reportProgress(((i + 1) / count) * 100, 'Tracking motion...');
+    }
+
+    return step < 0 ? frames.reverse() : frames;
+  }
+}
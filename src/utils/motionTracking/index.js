@@ -0,0 +1,21 @@
+/**
+ * Motion tracking - following a region of a video and pinning elements to it
+ */
+
+export { MotionTracker, TRACK_FPS } from './MotionTracker';
+export { TRACK_MODES } from './tracker';
+export {
+  LOW_CONFIDENCE,
+  DEFAULT_TRACK_REGION,
+  DEFAULT_TRACK_LINK,
+  PIN_KEYFRAME_PROPERTIES,
+  findTrackFrame,
+  getNearestTrackFrame,
+  getTrackFrameAt,
+  getTrackRegion,
+  mergeTrackFrames,
+  getLowConfidenceFrames,
+  sourceToCanvasPoint,
+  getPinPose,
+  buildTrackKeyframes,
+} from './tracks';
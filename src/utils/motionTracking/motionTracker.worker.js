@@ -0,0 +1,28 @@
+/* eslint-env worker */
+// Runs the tracker off the main thread. Each message carries one RGBA frame
+// at analysis resolution; 'start' begins a track on it, 'frame' follows the
+// track into it. Every message is answered with the same id.
+import { createTracker, toGrey, trackFrame } from './tracker';
+
+let tracker = null;
+
+onmessage = ({ data }) => {
+  const { id, type, width, height, pixels } = data;
+  try {
+    const frame = {
+      data: toGrey(new Uint8ClampedArray(pixels), width, height),
+      width,
+      height,
+    };
+    if (type === 'start') {
+      tracker = createTracker(frame, data.options);
+      postMessage({ id, ...tracker.transform, confidence: 1 });
+    } else if (tracker) {
+      postMessage({ id, ...trackFrame(tracker, frame) });
+    } else {
+      throw new Error('Tracking has not been started');
+    }
+  } catch (error) {
+    postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,364 @@
+// Feature tracker behind motion tracking; runs in the worker on grey frames
+// at analysis resolution. Planar tracks follow a set of feature points picked
+// inside the region. Each point keeps its offset in the region's own frame
+// (its anchor), so fitting a similarity transform from the anchors to where
+// the points are now gives the region's centre, scale and rotation at once.
+// Point tracks follow one larger patch around the centre and only move.
+
+const FEATURE_PATCH_RADIUS = 7;
+const MIN_POINT_PATCH_RADIUS = 4;
+const MAX_POINT_PATCH_RADIUS = 16;
+const SEARCH_RADIUS = 20;
+const MAX_FEATURES = 24;
+// Features weaker than this share of the strongest one are not tracked
+const MIN_FEATURE_STRENGTH = 0.05;
+// Matches below this normalised cross-correlation count as lost
+const MIN_CORRELATION = 0.6;
+// A point further than this many pixels (or 3 × the median) from where the
+// fitted transform puts it is an outlier
+const MIN_OUTLIER_DISTANCE = 1.5;
+
+export const TRACK_MODES = ['point', 'planar'];
+
+export const toGrey = (rgba, width, height) => {
+  const grey = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < grey.length; i++, p += 4) {
+    grey[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+  }
+  return grey;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const pixel = (frame, x, y) =>
+  frame.data[
+    clamp(y, 0, frame.height - 1) * frame.width + clamp(x, 0, frame.width - 1)
+  ];
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Zero-mean, unit-length patch around (x, y), so correlating it is a dot
+// product
+const readTemplate = (frame, x, y, radius) => {
+  const size = radius * 2 + 1;
+  const patch = new Float32Array(size * size);
+  let sum = 0;
+  for (let j = -radius, i = 0; j <= radius; j++) {
+    for (let k = -radius; k <= radius; k++, i++) {
+      patch[i] = pixel(frame, x + k, y + j);
+      sum += patch[i];
+    }
+  }
+  const mean = sum / patch.length;
+  let norm = 0;
+  for (let i = 0; i < patch.length; i++) {
+    patch[i] -= mean;
+    norm += patch[i] * patch[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < patch.length; i++) patch[i] /= norm;
+  return patch;
+};
+
+// Normalised cross-correlation of a template with the patch at (x, y)
+const correlate = (frame, template, radius, x, y) => {
+  let dot = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let j = -radius, i = 0; j <= radius; j++) {
+    for (let k = -radius; k <= radius; k++, i++) {
+      const value = pixel(frame, x + k, y + j);
+      dot += template[i] * value;
+      sum += value;
+      sumSquares += value * value;
+    }
+  }
+  const variance = sumSquares - (sum * sum) / template.length;
+  return variance > 1e-6 ? dot / Math.sqrt(variance) : 0;
+};
+
+// Vertex of the parabola through three scores, as an offset from the middle
+const peakOffset = (before, at, after) => {
+  const curvature = before - 2 * at + after;
+  return curvature < 0
+    ? clamp((before - after) / (2 * curvature), -0.5, 0.5)
+    : 0;
+};
+
+// Where the point's template is in `frame`, searched around its last
+// position, to a fraction of a pixel
+const matchPoint = (frame, point) => {
+  const cx = Math.round(point.x);
+  const cy = Math.round(point.y);
+  const size = SEARCH_RADIUS * 2 + 1;
+  const scores = new Float32Array(size * size);
+  let best = -Infinity;
+  let bestX = 0;
+  let bestY = 0;
+
+  for (let dy = -SEARCH_RADIUS, i = 0; dy <= SEARCH_RADIUS; dy++) {
+    for (let dx = -SEARCH_RADIUS; dx <= SEARCH_RADIUS; dx++, i++) {
+      const score = correlate(
+        frame,
+        point.template,
+        point.radius,
+        cx + dx,
+        cy + dy
+      );
+      scores[i] = score;
+      if (score > best) {
+        best = score;
+        bestX = dx;
+        bestY = dy;
+      }
+    }
+  }
+
+  const scoreAt = (dx, dy) =>
+    Math.abs(dx) <= SEARCH_RADIUS && Math.abs(dy) <= SEARCH_RADIUS
+      ? scores[(dy + SEARCH_RADIUS) * size + dx + SEARCH_RADIUS]
+      : best;
+  const offsetX = peakOffset(
+    scoreAt(bestX - 1, bestY),
+    best,
+    scoreAt(bestX + 1, bestY)
+  );
+  const offsetY = peakOffset(
+    scoreAt(bestX, bestY - 1),
+    best,
+    scoreAt(bestX, bestY + 1)
+  );
+
+  return {
+    x: point.x + bestX + offsetX,
+    y: point.y + bestY + offsetY,
+    score: best,
+  };
+};
+
+// Shi-Tomasi corner strength: the smaller eigenvalue of the structure
+// tensor around (x, y)
+const cornerStrength = (frame, x, y, radius) => {
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+  for (let j = -radius; j <= radius; j++) {
+    for (let k = -radius; k <= radius; k++) {
+      const gx =
+        (pixel(frame, x + k + 1, y + j) - pixel(frame, x + k - 1, y + j)) / 2;
+      const gy =
+        (pixel(frame, x + k, y + j + 1) - pixel(frame, x + k, y + j - 1)) / 2;
+      xx += gx * gx;
+      yy += gy * gy;
+      xy += gx * gy;
+    }
+  }
+  return (xx + yy) / 2 - Math.sqrt(((xx - yy) / 2) ** 2 + xy * xy);
+};
+
+// Region coordinates to frame pixels under a transform
+const project = (transform, anchorX, anchorY) => {
+  const radians = (transform.rotation * Math.PI) / 180;
+  const cos = Math.cos(radians) * transform.scale;
+  const sin = Math.sin(radians) * transform.scale;
+  return {
+    x: transform.x + anchorX * cos - anchorY * sin,
+    y: transform.y + anchorX * sin + anchorY * cos,
+  };
+};
+
+// The strongest corners on a grid over the region, as anchors
+const pickFeatures = (frame, region) => {
+  const { width, height } = region;
+  const step = Math.max(3, Math.round(Math.min(width, height) / 8));
+  const candidates = [];
+  for (let ay = -height / 2 + step / 2; ay < height / 2; ay += step) {
+    for (let ax = -width / 2 + step / 2; ax < width / 2; ax += step) {
+      const { x, y } = project(region, ax, ay);
+      candidates.push({
+        ax,
+        ay,
+        strength: cornerStrength(frame, Math.round(x), Math.round(y), 3),
+      });
+    }
+  }
+  const strongest = Math.max(0, ...candidates.map(item => item.strength));
+  return candidates
+    .filter(item => item.strength > strongest * MIN_FEATURE_STRENGTH)
+    .sort((a, b) => b.strength - a.strength)
+    .slice(0, MAX_FEATURES);
+};
+
+// Least-squares similarity transform taking each match's anchor to its
+// position; null when the anchors are too close together to tell
+const fitSimilarity = matches => {
+  const n = matches.length;
+  const anchorX = matches.reduce((sum, m) => sum + m.point.ax, 0) / n;
+  const anchorY = matches.reduce((sum, m) => sum + m.point.ay, 0) / n;
+  const meanX = matches.reduce((sum, m) => sum + m.x, 0) / n;
+  const meanY = matches.reduce((sum, m) => sum + m.y, 0) / n;
+
+  let spread = 0;
+  let a = 0;
+  let b = 0;
+  matches.forEach(m => {
+    const px = m.point.ax - anchorX;
+    const py = m.point.ay - anchorY;
+    const qx = m.x - meanX;
+    const qy = m.y - meanY;
+    spread += px * px + py * py;
+    a += px * qx + py * qy;
+    b += px * qy - py * qx;
+  });
+  if (spread < 1) return null;
+
+  const cos = a / spread;
+  const sin = b / spread;
+  return {
+    x: meanX - (anchorX * cos - anchorY * sin),
+    y: meanY - (anchorX * sin + anchorY * cos),
+    scale: Math.hypot(cos, sin),
+    rotation: (Math.atan2(sin, cos) * 180) / Math.PI,
+  };
+};
+
+// Keeps the current scale and rotation and moves by the median offset
+const fitTranslation = (matches, current) => {
+  const offsets = matches.map(m => {
+    const predicted = project(
+      { ...current, x: 0, y: 0 },
+      m.point.ax,
+      m.point.ay
+    );
+    return { x: m.x - predicted.x, y: m.y - predicted.y };
+  });
+  return {
+    ...current,
+    x: median(offsets.map(offset => offset.x)),
+    y: median(offsets.map(offset => offset.y)),
+  };
+};
+
+const distanceFromFit = (transform, match) => {
+  const predicted = project(transform, match.point.ax, match.point.ay);
+  return Math.hypot(match.x - predicted.x, match.y - predicted.y);
+};
+
+// Planar fit with the matches that disagree with it dropped and the fit
+// redone without them
+const fitPlanar = (matches, current) => {
+  const first = fitSimilarity(matches);
+  if (!first)
+    return { transform: fitTranslation(matches, current), inliers: matches };
+
+  const distances = matches.map(match => distanceFromFit(first, match));
+  const limit = Math.max(MIN_OUTLIER_DISTANCE, median(distances) * 3);
+  const inliers = matches.filter((_, i) => distances[i] <= limit);
+  const transform =
+    inliers.length >= 3 && inliers.length < matches.length
+      ? fitSimilarity(inliers) || first
+      : first;
+  return { transform, inliers };
+};
+
+/**
+ * Starts a track on `frame`. `region` is the tracked area in frame pixels:
+ * { x, y } its centre, { width, height } its size at scale 1, and the scale
+ * and rotation (degrees) it starts at.
+ */
+export const createTracker = (frame, { region, mode = 'planar' }) => {
+  const transform = {
+    x: region.x,
+    y: region.y,
+    scale: region.scale ?? 1,
+    rotation: region.rotation ?? 0,
+  };
+  const shape = {
+    ...transform,
+    width: region.width * transform.scale,
+    height: region.height * transform.scale,
+  };
+  const pointRadius = clamp(
+    Math.round(Math.min(shape.width, shape.height) / 2),
+    MIN_POINT_PATCH_RADIUS,
+    MAX_POINT_PATCH_RADIUS
+  );
+
+  let anchors =
+    mode === 'point'
+      ? []
+      : pickFeatures(frame, { ...shape, scale: 1 }).map(feature => ({
+          ax: feature.ax / transform.scale,
+          ay: feature.ay / transform.scale,
+        }));
+  if (!anchors.length) anchors = [{ ax: 0, ay: 0 }];
+  const radius = mode === 'point' ? pointRadius : FEATURE_PATCH_RADIUS;
+
+  const points = anchors.map(anchor => {
+    const { x, y } = project(transform, anchor.ax, anchor.ay);
+    return {
+      ...anchor,
+      x,
+      y,
+      radius,
+      template: readTemplate(frame, Math.round(x), Math.round(y), radius),
+    };
+  });
+
+  return { mode, transform, points };
+};
+
+/**
+ * Follows the tracker's points into the next frame. Returns the region's
+ * transform there ({ x, y, scale, rotation }) and how confident the match
+ * is, from 0 (lost: the last transform is kept) to 1.
+ */
+export const trackFrame = (tracker, frame) => {
+  const matches = tracker.points
+    .map(point => ({ point, ...matchPoint(frame, point) }))
+    .filter(match => match.score >= MIN_CORRELATION);
+
+  let transform = tracker.transform;
+  let inliers = matches;
+  if (matches.length && (tracker.mode === 'point' || matches.length < 3)) {
+    transform = fitTranslation(matches, tracker.transform);
+  } else if (matches.length) {
+    ({ transform, inliers } = fitPlanar(matches, tracker.transform));
+  }
+
+  // Keep the rotation continuous rather than wrapping at ±180°
+  let rotation = transform.rotation;
+  while (rotation - tracker.transform.rotation > 180) rotation -= 360;
+  while (rotation - tracker.transform.rotation < -180) rotation += 360;
+  transform = { ...transform, rotation };
+
+  // Points that matched move to where they were found; lost ones go back to
+  // where the transform says they belong. Templates are re-read from this
+  // frame so slow changes in lighting and perspective don't lose the track.
+  const found = new Map(inliers.map(match => [match.point, match]));
+  tracker.points.forEach(point => {
+    const match = found.get(point);
+    const position = match || project(transform, point.ax, point.ay);
+    point.x = position.x;
+    point.y = position.y;
+    point.template = readTemplate(
+      frame,
+      Math.round(point.x),
+      Math.round(point.y),
+      point.radius
+    );
+  });
+  tracker.transform = transform;
+
+  const confidence = inliers.length
+    ? (inliers.reduce((sum, match) => sum + match.score, 0) / inliers.length) *
+      (inliers.length / tracker.points.length)
+    : 0;
+  return { ...transform, confidence };
+};
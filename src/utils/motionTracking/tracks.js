@@ -0,0 +1,227 @@
+// Motion tracks are kept on the tracked video element as
+// `properties.motionTrack`: { mode, region: { width, height }, frames }.
+// Frames are in time order, one per tracked video frame:
+// { time, x, y, scale, rotation, confidence, edited }, with time in ms local
+// to the clip, x/y the region's centre as fractions of the source frame and
+// scale/rotation relative to the region as it was picked. `region` is its
+// size at scale 1, also as fractions of the source frame.
+import { fabric } from 'fabric';
+import { getUid } from '../index';
+
+// Frames matched less confidently than this are flagged for review
+export const LOW_CONFIDENCE = 0.5;
+
+export const DEFAULT_TRACK_REGION = {
+  x: 0.5,
+  y: 0.5,
+  width: 0.2,
+  height: 0.2,
+  scale: 1,
+  rotation: 0,
+};
+
+// What a link to a track drives on the pinned element
+export const DEFAULT_TRACK_LINK = {
+  position: true,
+  scale: false,
+  rotation: false,
+};
+
+// Keyframe tracks a pin writes
+export const PIN_KEYFRAME_PROPERTIES = [
+  'x',
+  'y',
+  'scaleX',
+  'scaleY',
+  'rotation',
+];
+
+// Track frames closer together than this are the same frame
+const FRAME_EPSILON_MS = 1;
+
+const lerp = (from, to, amount) => from + (to - from) * amount;
+
+// The track frame at exactly `time`, if there is one
+export const findTrackFrame = (track, time) =>
+  track?.frames.find(frame => Math.abs(frame.time - time) < FRAME_EPSILON_MS);
+
+// The frame nearest to `time`, within the tracked range
+export const getNearestTrackFrame = (track, time) => {
+  const frames = track?.frames || [];
+  if (!frames.length) return null;
+  return frames.reduce((nearest, frame) =>
+    Math.abs(frame.time - time) < Math.abs(nearest.time - time)
+      ? frame
+      : nearest
+  );
+};
+
+// The tracked transform at `time`, between frames interpolated; null
+// outside the tracked range
+export const getTrackFrameAt = (track, time) => {
+  const frames = track?.frames || [];
+  if (!frames.length) return null;
+  if (time < frames[0].time - FRAME_EPSILON_MS) return null;
+  if (time > frames[frames.length - 1].time + FRAME_EPSILON_MS) return null;
+
+  const nextIndex = frames.findIndex(frame => frame.time >= time);
+  const to = frames[nextIndex === -1 ? frames.length - 1 : nextIndex];
+  const from = frames[Math.max(0, nextIndex - 1)];
+  if (nextIndex <= 0 || to.time === from.time) return to;
+
+  const amount = (time - from.time) / (to.time - from.time);
+  return {
+    time,
+    x: lerp(from.x, to.x, amount),
+    y: lerp(from.y, to.y, amount),
+    scale: lerp(from.scale, to.scale, amount),
+    rotation: lerp(from.rotation, to.rotation, amount),
+    confidence: Math.min(from.confidence, to.confidence),
+  };
+};
+
+// The region a track frame puts the tracked area at
+export const getTrackRegion = (track, frame) => ({
+  x: frame.x,
+  y: frame.y,
+  width: track.region.width,
+  height: track.region.height,
+  scale: frame.scale,
+  rotation: frame.rotation,
+});
+
+// Newly tracked frames replace the ones they cover
+export const mergeTrackFrames = (frames = [], tracked = []) => {
+  if (!tracked.length) return frames;
+  const start = tracked[0].time - FRAME_EPSILON_MS;
+  const end = tracked[tracked.length - 1].time + FRAME_EPSILON_MS;
+  return [
+    ...frames.filter(frame => frame.time < start || frame.time > end),
+    ...tracked,
+  ].sort((a, b) => a.time - b.time);
+};
+
+export const getLowConfidenceFrames = track =>
+  (track?.frames || []).filter(
+    frame => !frame.edited && frame.confidence < LOW_CONFIDENCE
+  );
+
+// Part of the source a video object shows, as fractions of the source
+// frame; cover videos crop it to the object's aspect ratio
+const getVisibleSourceRect = videoObject => {
+  if (!videoObject.getCrop || videoObject.disableCrop) {
+    return { x: 0, y: 0, width: 1, height: 1 };
+  }
+  const original = videoObject.getOriginalSize();
+  const crop = videoObject.getCrop(original, {
+    width: videoObject.getScaledWidth(),
+    height: videoObject.getScaledHeight(),
+  });
+  return {
+    x: Math.max(crop.cropX, 0) / original.width,
+    y: Math.max(crop.cropY, 0) / original.height,
+    width: crop.cropWidth / original.width,
+    height: crop.cropHeight / original.height,
+  };
+};
+
+// Canvas point showing the source point { x, y } of a video object
+export const sourceToCanvasPoint = (videoObject, point) => {
+  const visible = getVisibleSourceRect(videoObject);
+  const local = new fabric.Point(
+    ((point.x - visible.x) / visible.width - 0.5) * videoObject.width,
+    ((point.y - visible.y) / visible.height - 0.5) * videoObject.height
+  );
+  return fabric.util.transformPoint(local, videoObject.calcTransformMatrix());
+};
+
+// Drops keyframes linear interpolation between their neighbours already
+// lands within `tolerance` of
+const thinKeyframes = (keyframes, tolerance) => {
+  if (keyframes.length < 3) return keyframes;
+  const kept = [keyframes[0]];
+  for (let i = 1; i < keyframes.length - 1; i++) {
+    const previous = kept[kept.length - 1];
+    const next = keyframes[i + 1];
+    const amount =
+      (keyframes[i].time - previous.time) / (next.time - previous.time);
+    const expected = lerp(previous.value, next.value, amount);
+    if (Math.abs(expected - keyframes[i].value) > tolerance) {
+      kept.push(keyframes[i]);
+    }
+  }
+  kept.push(keyframes[keyframes.length - 1]);
+  return kept;
+};
+
+const TOLERANCES = {
+  x: 0.5,
+  y: 0.5,
+  scaleX: 0.002,
+  scaleY: 0.002,
+  rotation: 0.1,
+};
+
+// Where a pinned element is when it is pinned, the pose its keyframes are
+// worked out from
+export const getPinPose = fabricObject => ({
+  left: fabricObject.left,
+  top: fabricObject.top,
+  scaleX: fabricObject.scaleX,
+  scaleY: fabricObject.scaleY,
+  angle: fabricObject.angle,
+});
+
+/**
+ * Keyframe tracks that pin `target` to the motion track of `video`. `link`
+ * is the target's properties.motionTrackLink: at timeline time `link.time`
+ * the target was at `link.pose`, and it keeps that place relative to the
+ * tracked point, following its position and, per the link, its scale and
+ * rotation. Keyframe times are local to the target; frames outside its clip
+ * are left out. Null when the track doesn't cover `link.time`.
+ */
+export const buildTrackKeyframes = ({ video, target, link }) => {
+  const track = video.properties.motionTrack;
+  const videoObject = video.fabricObject;
+  const reference = getTrackFrameAt(track, link.time - video.timeFrame.start);
+  if (!reference || !videoObject) return null;
+
+  const { pose } = link;
+  const origin = sourceToCanvasPoint(videoObject, reference);
+  const offsetX = pose.left - origin.x;
+  const offsetY = pose.top - origin.y;
+  const duration = target.timeFrame.end - target.timeFrame.start;
+  const tracks = Object.fromEntries(
+    PIN_KEYFRAME_PROPERTIES.map(property => [property, []])
+  );
+
+  track.frames.forEach(frame => {
+    const time = video.timeFrame.start + frame.time - target.timeFrame.start;
+    if (time < 0 || time > duration) return;
+
+    const scale = link.scale ? frame.scale / reference.scale : 1;
+    const rotation = link.rotation ? frame.rotation - reference.rotation : 0;
+    const cos = Math.cos(fabric.util.degreesToRadians(rotation)) * scale;
+    const sin = Math.sin(fabric.util.degreesToRadians(rotation)) * scale;
+    const add = (property, value) =>
+      tracks[property].push({ id: getUid(), time: Math.round(time), value });
+
+    if (link.position) {
+      const point = sourceToCanvasPoint(videoObject, frame);
+      add('x', point.x + offsetX * cos - offsetY * sin);
+      add('y', point.y + offsetX * sin + offsetY * cos);
+    }
+    if (link.scale) {
+      add('scaleX', pose.scaleX * scale);
+      add('scaleY', pose.scaleY * scale);
+    }
+    if (link.rotation) {
+      add('rotation', pose.angle + rotation);
+    }
+  });
+
+  Object.keys(tracks).forEach(property => {
+    tracks[property] = thinKeyframes(tracks[property], TOLERANCES[property]);
+  });
+  return tracks;
+};
@@ -182,6 +182,89 @@ const initializePIXI = async () => {
   }
 };
 
+// Application that filters whole canvases (adjustment layers). It is kept
+// apart from the one above, whose canvas filtered fabric objects draw from.
+let canvasFilterApp = null;
+let canvasFilterAppPromise = null;
+const canvasFilterLayer = { source: null, sprite: null };
+
+const initializeCanvasFilterApp = () => {
+  if (!canvasFilterAppPromise) {
+    const app = new PIXI.Application();
+    canvasFilterAppPromise = app
+      .init({
+        width: 1,
+        height: 1,
+        backgroundAlpha: 0,
+        preserveDrawingBuffer: true,
+      })
+      .then(() => {
+        canvasFilterApp = app;
+        return app;
+      })
+      .catch(error => {
+        console.error('Failed to initialize PIXI canvas filters:', error);
+        return null;
+      });
+  }
+  return canvasFilterAppPromise;
+};
+
+/**
+ * Run PIXI `filters` over everything drawn on a 2D canvas, in place. It is
+ * synchronous so it can run while fabric renders; returns false, leaving
+ * the canvas as it was, while PIXI is still starting or when the canvas
+ * can't be uploaded (cross-origin media without CORS).
+ */
+export const applyPixiFiltersToCanvas = (canvas, filters) => {
+  if (!canvasFilterApp) {
+    initializeCanvasFilterApp();
+    return false;
+  }
+
+  const { width, height } = canvas;
+  const layer = canvasFilterLayer;
+
+  try {
+    if (
+      !layer.sprite ||
+      layer.source.width !== width ||
+      layer.source.height !== height
+    ) {
+      layer.sprite?.destroy({ texture: true, textureSource: true });
+      const scratch = document.createElement('canvas');
+      scratch.width = width;
+      scratch.height = height;
+      layer.source = new PIXI.CanvasSource({ resource: scratch });
+      layer.sprite = new PIXI.Sprite(
+        new PIXI.Texture({ source: layer.source })
+      );
+      canvasFilterApp.stage.addChild(layer.sprite);
+      canvasFilterApp.renderer.resize(width, height);
+    }
+
+    const scratchCtx = layer.source.context2D;
+    scratchCtx.clearRect(0, 0, width, height);
+    scratchCtx.drawImage(canvas, 0, 0);
+    layer.source.update();
+
+    layer.sprite.filters = filters;
+    canvasFilterApp.renderer.render(canvasFilterApp.stage);
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'copy';
+    ctx.drawImage(canvasFilterApp.canvas, 0, 0, width, height);
+    ctx.restore();
+    return true;
+  } catch (error) {
+    console.warn('PIXI canvas filters failed:', error.message);
+    return false;
+  }
+};
+
 /**
  * Apply PIXI GlitchFilter to a fabric object
  */
@@ -239,6 +322,413 @@ export const applyGlitchFilter = async (fabricObject, options = {}) => {
   }
 };
 
+/**
+ * Create the PIXI filter for an effect type, `options` over its defaults.
+ * Null for effects that need a texture which `options` does not carry.
+ */
+export const createPixiFilter = (filterType, options = {}) => {
+  let filter = null;
+
+  switch (filterType) {
+    case 'adjustment':
+      filter = new AdjustmentFilter({
+        gamma: options.gamma || 1.2,
+        saturation: options.saturation || 1.5,
+        contrast: options.contrast || 1.3,
+        brightness: options.brightness || 1.1,
+        red: options.red || 1,
+        green: options.green || 1,
+        blue: options.blue || 1,
+        alpha: options.alpha || 1,
+        ...options,
+      });
+      break;
+    case 'advancedBloom':
+      filter = new AdvancedBloomFilter({
+        threshold: options.threshold || 0.3,
+        bloomScale: options.bloomScale || 2.0,
+        brightness: options.brightness || 1.5,
+        blur: options.blur || 8,
+        quality: options.quality || 4,
+        ...options,
+      });
+      break;
+    case 'ascii':
+      filter = new AsciiFilter(options.size || 8);
+      break;
+    case 'backdropBlur':
+      filter = new BackdropBlurFilter({
+        strength: options.strength || 8,
+        quality: options.quality || 4,
+        kernelSize: options.kernelSize || 5,
+        ...options,
+      });
+      break;
+    case 'bevel':
+      filter = new BevelFilter({
+        rotation: options.rotation || 45,
+        thickness: options.thickness || 2,
+        lightColor: options.lightColor || 0xffffff,
+        lightAlpha: options.lightAlpha || 0.7,
+        shadowColor: options.shadowColor || 0x000000,
+        shadowAlpha: options.shadowAlpha || 0.7,
+        ...options,
+      });
+      break;
+    case 'bloom':
+      filter = new BloomFilter({
+        blur: options.blur || 8,
+        quality: options.quality || 4,
+        threshold: options.threshold || 0.3,
+        ...options,
+      });
+      break;
+    case 'bulgePinch':
+      filter = new BulgePinchFilter({
+        center: options.center || [0.5, 0.5],
+        radius: options.radius || 100,
+        strength: options.strength || 1,
+        ...options,
+      });
+      break;
+    case 'colorGradient':
+      filter = new ColorGradientFilter({
+        type: options.type || 0,
+        stops: options.stops || [
+          { offset: 0, color: [1, 0, 0, 1] },
+          { offset: 1, color: [0, 1, 0, 1] },
+        ],
+        ...options,
+      });
+      break;
+    case 'colorMap':
+      // ColorMapFilter requires a colorMap texture
+      if (!options.colorMap) {
+        console.warn(
+          'ColorMapFilter requires a colorMap texture. Skipping filter.'
+        );
+        return null;
+      }
+      filter = new ColorMapFilter({
+        colorMap: options.colorMap,
+        nearest: options.nearest || false,
+        mix: options.mix || 1,
+        ...options,
+      });
+      break;
+    case 'colorOverlay':
+      filter = new ColorOverlayFilter(
+        options.color || 0xff0080,
+        options.alpha || 0.3
+      );
+      break;
+    case 'colorReplace':
+      filter = new ColorReplaceFilter({
+        originalColor: options.originalColor || 0xff0000,
+        newColor: options.newColor || 0x00ff00,
+        epsilon: options.epsilon || 0.4,
+        ...options,
+      });
+      break;
+    case 'convolution':
+      filter = new ConvolutionFilter({
+        matrix: options.matrix || [0, -1, 0, -1, 5, -1, 0, -1, 0],
+        width: options.width || 200,
+        height: options.height || 200,
+        ...options,
+      });
+      break;
+    case 'crossHatch':
+      filter = new CrossHatchFilter();
+      break;
+    case 'crt':
+      filter = new CRTFilter({
+        curvature: options.curvature || 1.0,
+        lineWidth: options.lineWidth || 1.0,
+        lineContrast: options.lineContrast || 0.25,
+        ...options,
+      });
+      break;
+    case 'dot':
+      filter = new DotFilter(options.scale || 1, options.angle || 5);
+      break;
+    case 'dropShadow':
+      filter = new DropShadowFilter({
+        rotation: options.rotation || 45,
+        distance: options.distance || 5,
+        color: options.color || 0x000000,
+        alpha: options.alpha || 0.5,
+        shadowOnly: options.shadowOnly || false,
+        blur: options.blur || 2,
+        quality: options.quality || 3,
+        ...options,
+      });
+      break;
+    case 'emboss':
+      filter = new EmbossFilter(options.strength || 5);
+      break;
+    case 'glitch':
+      filter = new GlitchFilter({
+        slices: options.slices || 5,
+        offset: options.offset || 100,
+        direction: options.direction || 0,
+        fillMode: options.fillMode || 0,
+        seed: options.seed || 0,
+        average: options.average || false,
+        minSize: options.minSize || 8,
+        sampleSize: options.sampleSize || 512,
+        red: options.red || { x: 0, y: 0 },
+        green: options.green || { x: 0, y: 0 },
+        blue: options.blue || { x: 0, y: 0 },
+        ...options,
+      });
+      break;
+    case 'glow':
+      filter = new GlowFilter({
+        distance: options.distance || 10,
+        outerStrength: options.outerStrength || 4,
+        innerStrength: options.innerStrength || 0,
+        color: options.color || 0xffffff,
+        quality: options.quality || 0.1,
+        ...options,
+      });
+      break;
+    case 'godray':
+      filter = new GodrayFilter({
+        angle: options.angle || 30,
+        gain: options.gain || 0.5,
+        lacunarity: options.lacunarity || 2.5,
+        parallel: options.parallel || true,
+        time: options.time || 1000,
+        ...options,
+      });
+      break;
+    case 'grayscale':
+      filter = new GrayscaleFilter();
+      break;
+    case 'hslAdjustment':
+      filter = new HslAdjustmentFilter({
+        hue: options.hue || 0,
+        saturation: options.saturation || 0,
+        lightness: options.lightness || 0,
+        colorize: options.colorize || false,
+        alpha: options.alpha || 1,
+        ...options,
+      });
+      break;
+    case 'kawaseBlur':
+      filter = new KawaseBlurFilter({
+        blur: options.blur || 4,
+        quality: options.quality || 3,
+        clamp: options.clamp || false,
+        ...options,
+      });
+      break;
+    case 'motionBlur':
+      filter = new MotionBlurFilter({
+        velocity: options.velocity || [0, 0],
+        kernelSize: options.kernelSize || 5,
+        offset: options.offset || 0,
+        ...options,
+      });
+      break;
+    case 'multiColorReplace':
+      filter = new MultiColorReplaceFilter({
+        replacements: options.replacements || [
+          [0xff0000, 0x00ff00, 0.05],
+          [0x0000ff, 0xffff00, 0.05],
+        ],
+        epsilon: options.epsilon || 0.05,
+        maxColors: options.maxColors || 0,
+        ...options,
+      });
+      break;
+    case 'oldFilm':
+      filter = new OldFilmFilter({
+        sepia: options.sepia || 0.3,
+        noise: options.noise || 0.3,
+        noiseSize: options.noiseSize || 1.0,
+        scratch: options.scratch || 0.5,
+        scratchDensity: options.scratchDensity || 0.3,
+        ...options,
+      });
+      break;
+    case 'outline':
+      filter = new OutlineFilter({
+        thickness: options.thickness || 1,
+        color: options.color || 0x000000,
+        quality: options.quality || 0.1,
+        alpha: options.alpha || 1.0,
+        knockout: options.knockout || false,
+        ...options,
+      });
+      break;
+    case 'pixelate':
+      const pixelateSize = options.size || { x: 10, y: 10 };
+      // PixelateFilter expects either a number or [x, y] array
+      const sizeParam =
+        typeof pixelateSize === 'object' && pixelateSize.x !== undefined
+          ? [pixelateSize.x, pixelateSize.y]
+          : pixelateSize;
+      filter = new PixelateFilter(sizeParam);
+      break;
+    case 'radialBlur':
+      filter = new RadialBlurFilter({
+        angle: options.angle || 0,
+        center: options.center || [0, 0],
+        kernelSize: options.kernelSize || 5,
+        radius: options.radius || -1,
+        ...options,
+      });
+      break;
+    case 'reflection':
+      filter = new ReflectionFilter({
+        mirror: options.mirror || true,
+        boundary: options.boundary || 0.5,
+        amplitude: options.amplitude || [0, 20],
+        waveLength: options.waveLength || [30, 100],
+        alpha: options.alpha || [1, 1],
+        time: options.time || 1000,
+        ...options,
+      });
+      break;
+    case 'rgbSplit':
+      filter = new RGBSplitFilter(
+        options.red || [-10, 0],
+        options.green || [0, 10],
+        options.blue || [0, 0]
+      );
+      break;
+    case 'shockwave':
+      filter = new ShockwaveFilter({
+        center: options.center || [0.5, 0.5],
+        params: options.params || [10, 0.8, 0.1],
+        time: options.time || 1000,
+        ...options,
+      });
+      break;
+    case 'simpleLightmap':
+      // SimpleLightmapFilter requires a lightMap texture
+      if (!options.lightMap) {
+        console.warn(
+          'SimpleLightmapFilter requires a lightMap texture. Skipping filter.'
+        );
+        return null;
+      }
+      filter = new SimpleLightmapFilter({
+        lightMap: options.lightMap,
+        color: options.color || [1, 1, 1],
+        alpha: options.alpha || 1,
+        ...options,
+      });
+      break;
+    case 'simplexNoise':
+      filter = new SimplexNoiseFilter({
+        scale: options.scale || 1,
+        alpha: options.alpha || 1,
+        ...options,
+      });
+      break;
+    case 'tiltShiftAxis':
+      filter = new TiltShiftAxisFilter({
+        blur: options.blur || 100,
+        gradientBlur: options.gradientBlur || 600,
+        start: options.start || { x: 0, y: 0 },
+        end: options.end || { x: 600, y: 0 },
+        ...options,
+      });
+      break;
+    case 'tiltShift':
+      filter = new TiltShiftFilter({
+        blur: options.blur || 100,
+        gradientBlur: options.gradientBlur || 600,
+        start: options.start || [0, 200],
+        end: options.end || [600, 200],
+        ...options,
+      });
+      break;
+    case 'twist':
+      filter = new TwistFilter({
+        radius: options.radius || 0.5,
+        angle: options.angle || 5,
+        padding: options.padding || 20,
+        offset: options.offset || { x: 0, y: 0 },
+        ...options,
+      });
+      break;
+    case 'zoomBlur':
+      try {
+        filter = new ZoomBlurFilter({
+          strength: options.strength || 0.1,
+          center: options.center || [0.5, 0.5],
+          innerRadius: options.innerRadius || 0,
+          radius: options.radius || 100,
+          ...options,
+        });
+      } catch (error) {
+        console.warn('ZoomBlurFilter failed to initialize:', error);
+        return null;
+      }
+      break;
+
+    // Simple PIXI filters (replacements for CSS filters)
+    case 'blackAndWhite':
+      filter = new ColorMatrixFilter();
+      filter.desaturate();
+      break;
+    case 'sepia':
+      filter = new ColorMatrixFilter();
+      filter.sepia(true);
+      break;
+    case 'invert':
+      filter = new ColorMatrixFilter();
+      filter.negative(true);
+      break;
+    case 'saturate':
+      filter = new ColorMatrixFilter();
+      filter.saturate(options.saturation || 2, true);
+      break;
+
+    // Built-in PIXI filters
+    case 'alpha':
+      filter = new AlphaFilter(options.alpha || 0.5);
+      break;
+    case 'blur':
+      filter = new BlurFilter(
+        options.strength || 8,
+        options.quality || 4,
+        options.kernelSize || 5
+      );
+      break;
+    case 'colorMatrix':
+      filter = new ColorMatrixFilter();
+      if (options.mode === 'contrast')
+        filter.contrast(options.amount || 2, true);
+      else if (options.mode === 'desaturate') filter.desaturate();
+      else if (options.mode === 'kodachrome') filter.kodachrome(true);
+      else if (options.mode === 'lsd') filter.lsd(true);
+      else if (options.mode === 'negative') filter.negative(true);
+      else if (options.mode === 'polaroid') filter.polaroid(true);
+      else if (options.mode === 'predator')
+        filter.predator(options.amount || 1, true);
+      else if (options.mode === 'saturate')
+        filter.saturate(options.amount || 2, true);
+      else if (options.mode === 'sepia') filter.sepia(true);
+      break;
+    case 'displacement':
+      filter = new DisplacementFilter(
+        options.sprite,
+        options.scale || 20
+      );
+      break;
+
+    default:
+      throw new Error(`Unknown filter type: ${filterType}`);
+  }
+
+  return filter;
+};
+
 /**
  * Apply other PIXI filters
  */
@@ -251,408 +741,8 @@ export const applyPixiFilter = async (
     const app = await initializePIXI();
     if (!app) throw new Error('PIXI application not available');
 
-    let filter = null;
-
-    switch (filterType) {
-      case 'adjustment':
-        filter = new AdjustmentFilter({
-          gamma: options.gamma || 1.2,
-          saturation: options.saturation || 1.5,
-          contrast: options.contrast || 1.3,
-          brightness: options.brightness || 1.1,
-          red: options.red || 1,
-          green: options.green || 1,
-          blue: options.blue || 1,
-          alpha: options.alpha || 1,
-          ...options,
-        });
-        break;
-      case 'advancedBloom':
-        filter = new AdvancedBloomFilter({
-          threshold: options.threshold || 0.3,
-          bloomScale: options.bloomScale || 2.0,
-          brightness: options.brightness || 1.5,
-          blur: options.blur || 8,
-          quality: options.quality || 4,
-          ...options,
-        });
-        break;
-      case 'ascii':
-        filter = new AsciiFilter(options.size || 8);
-        break;
-      case 'backdropBlur':
-        filter = new BackdropBlurFilter({
-          strength: options.strength || 8,
-          quality: options.quality || 4,
-          kernelSize: options.kernelSize || 5,
-          ...options,
-        });
-        break;
-      case 'bevel':
-        filter = new BevelFilter({
-          rotation: options.rotation || 45,
-          thickness: options.thickness || 2,
-          lightColor: options.lightColor || 0xffffff,
-          lightAlpha: options.lightAlpha || 0.7,
-          shadowColor: options.shadowColor || 0x000000,
-          shadowAlpha: options.shadowAlpha || 0.7,
-          ...options,
-        });
-        break;
-      case 'bloom':
-        filter = new BloomFilter({
-          blur: options.blur || 8,
-          quality: options.quality || 4,
-          threshold: options.threshold || 0.3,
-          ...options,
-        });
-        break;
-      case 'bulgePinch':
-        filter = new BulgePinchFilter({
-          center: options.center || [0.5, 0.5],
-          radius: options.radius || 100,
-          strength: options.strength || 1,
-          ...options,
-        });
-        break;
-      case 'colorGradient':
-        filter = new ColorGradientFilter({
-          type: options.type || 0,
-          stops: options.stops || [
-            { offset: 0, color: [1, 0, 0, 1] },
-            { offset: 1, color: [0, 1, 0, 1] },
-          ],
-          ...options,
-        });
-        break;
-      case 'colorMap':
-        // ColorMapFilter requires a colorMap texture
-        if (!options.colorMap) {
-          console.warn(
-            'ColorMapFilter requires a colorMap texture. Skipping filter.'
-          );
-          return null;
-        }
-        filter = new ColorMapFilter({
-          colorMap: options.colorMap,
-          nearest: options.nearest || false,
-          mix: options.mix || 1,
-          ...options,
-        });
-        break;
-      case 'colorOverlay':
-        filter = new ColorOverlayFilter(
-          options.color || 0xff0080,
-          options.alpha || 0.3
-        );
-        break;
-      case 'colorReplace':
-        filter = new ColorReplaceFilter({
-          originalColor: options.originalColor || 0xff0000,
-          newColor: options.newColor || 0x00ff00,
-          epsilon: options.epsilon || 0.4,
-          ...options,
-        });
-        break;
-      case 'convolution':
-        filter = new ConvolutionFilter({
-          matrix: options.matrix || [0, -1, 0, -1, 5, -1, 0, -1, 0],
-          width: options.width || 200,
-          height: options.height || 200,
-          ...options,
-        });
-        break;
-      case 'crossHatch':
-        filter = new CrossHatchFilter();
-        break;
-      case 'crt':
-        filter = new CRTFilter({
-          curvature: options.curvature || 1.0,
-          lineWidth: options.lineWidth || 1.0,
-          lineContrast: options.lineContrast || 0.25,
-          ...options,
-        });
-        break;
-      case 'dot':
-        filter = new DotFilter(options.scale || 1, options.angle || 5);
-        break;
-      case 'dropShadow':
-        filter = new DropShadowFilter({
-          rotation: options.rotation || 45,
-          distance: options.distance || 5,
-          color: options.color || 0x000000,
-          alpha: options.alpha || 0.5,
-          shadowOnly: options.shadowOnly || false,
-          blur: options.blur || 2,
-          quality: options.quality || 3,
-          ...options,
-        });
-        break;
-      case 'emboss':
-        filter = new EmbossFilter(options.strength || 5);
-        break;
-      case 'glitch':
-        filter = new GlitchFilter({
-          slices: options.slices || 5,
-          offset: options.offset || 100,
-          direction: options.direction || 0,
-          fillMode: options.fillMode || 0,
-          seed: options.seed || 0,
-          average: options.average || false,
-          minSize: options.minSize || 8,
-          sampleSize: options.sampleSize || 512,
-          red: options.red || { x: 0, y: 0 },
-          green: options.green || { x: 0, y: 0 },
-          blue: options.blue || { x: 0, y: 0 },
-          ...options,
-        });
-        break;
-      case 'glow':
-        filter = new GlowFilter({
-          distance: options.distance || 10,
-          outerStrength: options.outerStrength || 4,
-          innerStrength: options.innerStrength || 0,
-          color: options.color || 0xffffff,
-          quality: options.quality || 0.1,
-          ...options,
-        });
-        break;
-      case 'godray':
-        filter = new GodrayFilter({
-          angle: options.angle || 30,
-          gain: options.gain || 0.5,
-          lacunarity: options.lacunarity || 2.5,
-          parallel: options.parallel || true,
-          time: options.time || 1000,
-          ...options,
-        });
-        break;
-      case 'grayscale':
-        filter = new GrayscaleFilter();
-        break;
-      case 'hslAdjustment':
-        filter = new HslAdjustmentFilter({
-          hue: options.hue || 0,
-          saturation: options.saturation || 0,
-          lightness: options.lightness || 0,
-          colorize: options.colorize || false,
-          alpha: options.alpha || 1,
-          ...options,
-        });
-        break;
-      case 'kawaseBlur':
-        filter = new KawaseBlurFilter({
-          blur: options.blur || 4,
-          quality: options.quality || 3,
-          clamp: options.clamp || false,
-          ...options,
-        });
-        break;
-      case 'motionBlur':
-        filter = new MotionBlurFilter({
-          velocity: options.velocity || [0, 0],
-          kernelSize: options.kernelSize || 5,
-          offset: options.offset || 0,
-          ...options,
-        });
-        break;
-      case 'multiColorReplace':
-        filter = new MultiColorReplaceFilter({
-          replacements: options.replacements || [
-            [0xff0000, 0x00ff00, 0.05],
-            [0x0000ff, 0xffff00, 0.05],
-          ],
-          epsilon: options.epsilon || 0.05,
-          maxColors: options.maxColors || 0,
-          ...options,
-        });
-        break;
-      case 'oldFilm':
-        filter = new OldFilmFilter({
-          sepia: options.sepia || 0.3,
-          noise: options.noise || 0.3,
-          noiseSize: options.noiseSize || 1.0,
-          scratch: options.scratch || 0.5,
-          scratchDensity: options.scratchDensity || 0.3,
-          ...options,
-        });
-        break;
-      case 'outline':
-        filter = new OutlineFilter({
-          thickness: options.thickness || 1,
-          color: options.color || 0x000000,
-          quality: options.quality || 0.1,
-          alpha: options.alpha || 1.0,
-          knockout: options.knockout || false,
-          ...options,
-        });
-        break;
-      case 'pixelate':
-        const pixelateSize = options.size || { x: 10, y: 10 };
-        // PixelateFilter expects either a number or [x, y] array
-        const sizeParam =
-          typeof pixelateSize === 'object' && pixelateSize.x !== undefined
-            ? [pixelateSize.x, pixelateSize.y]
-            : pixelateSize;
-        filter = new PixelateFilter(sizeParam);
-        break;
-      case 'radialBlur':
-        filter = new RadialBlurFilter({
-          angle: options.angle || 0,
-          center: options.center || [0, 0],
-          kernelSize: options.kernelSize || 5,
-          radius: options.radius || -1,
-          ...options,
-        });
-        break;
-      case 'reflection':
-        filter = new ReflectionFilter({
-          mirror: options.mirror || true,
-          boundary: options.boundary || 0.5,
-          amplitude: options.amplitude || [0, 20],
-          waveLength: options.waveLength || [30, 100],
-          alpha: options.alpha || [1, 1],
-          time: options.time || 1000,
-          ...options,
-        });
-        break;
-      case 'rgbSplit':
-        filter = new RGBSplitFilter(
-          options.red || [-10, 0],
-          options.green || [0, 10],
-          options.blue || [0, 0]
-        );
-        break;
-      case 'shockwave':
-        filter = new ShockwaveFilter({
-          center: options.center || [0.5, 0.5],
-          params: options.params || [10, 0.8, 0.1],
-          time: options.time || 1000,
-          ...options,
-        });
-        break;
-      case 'simpleLightmap':
-        // SimpleLightmapFilter requires a lightMap texture
-        if (!options.lightMap) {
-          console.warn(
-            'SimpleLightmapFilter requires a lightMap texture. Skipping filter.'
-          );
-          return null;
-        }
-        filter = new SimpleLightmapFilter({
-          lightMap: options.lightMap,
-          color: options.color || [1, 1, 1],
-          alpha: options.alpha || 1,
-          ...options,
-        });
-        break;
-      case 'simplexNoise':
-        filter = new SimplexNoiseFilter({
-          scale: options.scale || 1,
-          alpha: options.alpha || 1,
-          ...options,
-        });
-        break;
-      case 'tiltShiftAxis':
-        filter = new TiltShiftAxisFilter({
-          blur: options.blur || 100,
-          gradientBlur: options.gradientBlur || 600,
-          start: options.start || { x: 0, y: 0 },
-          end: options.end || { x: 600, y: 0 },
-          ...options,
-        });
-        break;
-      case 'tiltShift':
-        filter = new TiltShiftFilter({
-          blur: options.blur || 100,
-          gradientBlur: options.gradientBlur || 600,
-          start: options.start || [0, 200],
-          end: options.end || [600, 200],
-          ...options,
-        });
-        break;
-      case 'twist':
-        filter = new TwistFilter({
-          radius: options.radius || 0.5,
-          angle: options.angle || 5,
-          padding: options.padding || 20,
-          offset: options.offset || { x: 0, y: 0 },
-          ...options,
-        });
-        break;
-      case 'zoomBlur':
-        try {
-          filter = new ZoomBlurFilter({
-            strength: options.strength || 0.1,
-            center: options.center || [0.5, 0.5],
-            innerRadius: options.innerRadius || 0,
-            radius: options.radius || 100,
-            ...options,
-          });
-        } catch (error) {
-          console.warn('ZoomBlurFilter failed to initialize:', error);
-          return null;
-        }
-        break;
-
-      // Simple PIXI filters (replacements for CSS filters)
-      case 'blackAndWhite':
-        filter = new ColorMatrixFilter();
-        filter.desaturate();
-        break;
-      case 'sepia':
-        filter = new ColorMatrixFilter();
-        filter.sepia(true);
-        break;
-      case 'invert':
-        filter = new ColorMatrixFilter();
-        filter.negative(true);
-        break;
-      case 'saturate':
-        filter = new ColorMatrixFilter();
-        filter.saturate(options.saturation || 2, true);
-        break;
-
-      // Built-in PIXI filters
-      case 'alpha':
-        filter = new AlphaFilter(options.alpha || 0.5);
-        break;
-      case 'blur':
-        filter = new BlurFilter(
-          options.strength || 8,
-          options.quality || 4,
-          options.kernelSize || 5
-        );
-        break;
-      case 'colorMatrix':
-        filter = new ColorMatrixFilter();
-        if (options.mode === 'contrast')
-          filter.contrast(options.amount || 2, true);
-        else if (options.mode === 'desaturate') filter.desaturate();
-        else if (options.mode === 'kodachrome') filter.kodachrome(true);
-        else if (options.mode === 'lsd') filter.lsd(true);
-        else if (options.mode === 'negative') filter.negative(true);
-        else if (options.mode === 'polaroid') filter.polaroid(true);
-        else if (options.mode === 'predator')
-          filter.predator(options.amount || 1, true);
-        else if (options.mode === 'saturate')
-          filter.saturate(options.amount || 2, true);
-        else if (options.mode === 'sepia') filter.sepia(true);
-        break;
-      case 'displacement':
-        filter = new DisplacementFilter(
-          options.sprite,
-          options.scale || 20
-        );
-        break;
-
-      default:
-        throw new Error(`Unknown filter type: ${filterType}`);
-    }
-
-    if (!filter) {
-      throw new Error(`Failed to create ${filterType} filter`);
-    }
+    const filter = createPixiFilter(filterType, options);
+    if (!filter) return null;
 
     // Store filter reference
     fabricObject._pixiFilter = filter;
@@ -915,7 +1005,7 @@ const applyPixiFilterToFabricObject = async (
 /**
  * CSS fallback filters for when PIXI is not available
  */
-const getFilterCSSFallback = (filterType, options) => {
+export const getFilterCSSFallback = (filterType, options = {}) => {
   switch (filterType) {
     case 'ascii':
       return 'contrast(200%) brightness(150%)';
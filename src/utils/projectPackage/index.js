@@ -0,0 +1,13 @@
+/**
+ * Project packages - portable .vproj zips with the timeline and its media
+ */
+
+export {
+  PROJECT_PACKAGE_FORMAT,
+  PROJECT_PACKAGE_VERSION,
+  PROJECT_PACKAGE_EXTENSION,
+  PROJECT_PACKAGE_ACCEPT,
+  createProjectPackage,
+  readProjectPackage,
+} from './projectPackage';
+export { default as restoreProjectPackage } from './restoreProjectPackage';
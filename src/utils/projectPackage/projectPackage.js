@@ -0,0 +1,198 @@
+import JSZip from 'jszip';
+
+export const PROJECT_PACKAGE_FORMAT = 'vproj';
+export const PROJECT_PACKAGE_VERSION = 1;
+export const PROJECT_PACKAGE_EXTENSION = 'vproj';
+export const PROJECT_PACKAGE_ACCEPT = '.vproj,.zip';
+
+const MANIFEST_PATH = 'project.json';
+const MEDIA_DIR = 'media';
+
+// Element fields that point at media files, or at lists of them
+const MEDIA_URL_KEYS = ['src', 'minUrl', 'thumbnail', 'thumbnails'];
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'weba',
+};
+
+// Mime types by extension, for files packaged without one
+const EXTENSION_MIMES = Object.fromEntries(
+  Object.entries(MIME_EXTENSIONS).map(([mimeType, extension]) => [
+    extension,
+    mimeType,
+  ])
+);
+
+const isMediaUrl = value =>
+  typeof value === 'string' && /^(https?:|blob:|data:|\/)/.test(value);
+
+const isPackagePath = value =>
+  typeof value === 'string' && value.startsWith(`${MEDIA_DIR}/`);
+
+// A media field's value with every reference in it matching `isMatch`
+// passed through `mapUrl`
+const mapUrlField = (value, mapUrl, isMatch) => {
+  if (Array.isArray(value)) {
+    return value.map(item => mapUrlField(item, mapUrl, isMatch));
+  }
+  return isMatch(value) ? mapUrl(value) : value;
+};
+
+// Deep copy of `value` with every media reference matching `isMatch`
+// passed through `mapUrl`
+const mapMediaUrls = (value, mapUrl, isMatch = isMediaUrl) => {
+  if (Array.isArray(value)) {
+    return value.map(item => mapMediaUrls(item, mapUrl, isMatch));
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      MEDIA_URL_KEYS.includes(key)
+        ? mapUrlField(item, mapUrl, isMatch)
+        : mapMediaUrls(item, mapUrl, isMatch),
+    ])
+  );
+};
+
+const collectMediaUrls = editorParams => {
+  const urls = new Set();
+  mapMediaUrls(editorParams, url => {
+    urls.add(url);
+    return url;
+  });
+  return [...urls];
+};
+
+const getExtension = (url, mimeType) => {
+  const baseType = mimeType?.split(';')[0].trim();
+  if (MIME_EXTENSIONS[baseType]) return MIME_EXTENSIONS[baseType];
+
+  const match =
+    !url.startsWith('data:') && url.match(/\.([a-z0-9]{2,5})(?:[?#]|$)/i);
+  return match ? match[1].toLowerCase() : 'bin';
+};
+
+/**
+ * Build a project package: a zip with the `editorParams` as a versioned
+ * manifest plus every referenced media file, remote URLs rewritten to paths
+ * inside the zip. Media that cannot be downloaded keeps its original URL
+ * and is reported in `skipped`.
+ */
+export const createProjectPackage = async (
+  editorParams,
+  { onProgress } = {}
+) => {
+  const zip = new JSZip();
+  const urls = collectMediaUrls(editorParams);
+  const paths = new Map();
+  const media = [];
+  const skipped = [];
+
+  for (const [index, url] of urls.entries()) {
+    onProgress?.({ loaded: index, total: urls.length });
+    try {
+      const response = await fetch(url, { credentials: 'omit' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const blob = await response.blob();
+      const path = `${MEDIA_DIR}/${index}.${getExtension(url, blob.type)}`;
+      zip.file(path, blob);
+      paths.set(url, path);
+      media.push({ path, type: blob.type, size: blob.size });
+    } catch (error) {
+      console.warn(`Project package: keeping remote URL ${url}:`, error);
+      skipped.push(url);
+    }
+  }
+  onProgress?.({ loaded: urls.length, total: urls.length });
+
+  const manifest = {
+    format: PROJECT_PACKAGE_FORMAT,
+    version: PROJECT_PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...mapMediaUrls(editorParams, url => paths.get(url) ?? url),
+    media,
+  };
+  zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+
+  const blob = await zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/zip',
+  });
+  return { blob, skipped };
+};
+
+/**
+ * Read a project package back into `editorParams`. Every bundled media file
+ * is handed to `uploadMedia(file)`, which resolves to the URL it should be
+ * referenced by from now on, or to nothing to leave the file out. Files
+ * packaged without a type get the one their extension stands for.
+ */
+export const readProjectPackage = async (
+  file,
+  { uploadMedia = async media => URL.createObjectURL(media) } = {}
+) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    throw new Error('The file is not a valid project package');
+  }
+
+  const manifestFile = zip.file(MANIFEST_PATH);
+  if (!manifestFile) {
+    throw new Error('The project package has no manifest');
+  }
+
+  const manifest = JSON.parse(await manifestFile.async('string'));
+  if (manifest.format !== PROJECT_PACKAGE_FORMAT) {
+    throw new Error('The file is not a project package');
+  }
+  if (
+    !Number.isInteger(manifest.version) ||
+    manifest.version > PROJECT_PACKAGE_VERSION
+  ) {
+    throw new Error(
+      'The project package was created by a newer version of the editor'
+    );
+  }
+
+  const urls = new Map();
+  for (const { path, type } of manifest.media || []) {
+    const entry = zip.file(path);
+    if (!entry) {
+      console.warn(`Project package: missing media file ${path}`);
+      continue;
+    }
+    const blob = await entry.async('blob');
+    const name = path.slice(MEDIA_DIR.length + 1);
+    const extension = name.split('.').pop().toLowerCase();
+    const url = await uploadMedia(
+      new File([blob], name, { type: type || EXTENSION_MIMES[extension] || '' })
+    );
+    if (url) urls.set(path, url);
+  }
+
+  const { format, version, exportedAt, media, ...editorParams } = manifest;
+  return mapMediaUrls(
+    editorParams,
+    path => urls.get(path) ?? path,
+    isPackagePath
+  );
+};
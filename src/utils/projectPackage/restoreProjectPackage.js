@@ -0,0 +1,73 @@
+import { runInAction } from 'mobx';
+import initializeCanvasImages from '../initializeCanvasImages';
+import { saveTimelineState } from '../../redux/timeline/timelineSlice';
+import { editorParamsSchema, migrateEditorParams } from '../projectSchema';
+
+/**
+ * Replaces the current timeline with the contents of a project package.
+ * The regular story loader does the restore (it goes through
+ * store.restoreElementsFromBackend), so packaged projects load exactly
+ * like saved ones.
+ *
+ * @param {Object} editorParams - Project data read from the package
+ * @param {Object} store - MobX store instance
+ * @param {Function} dispatch - Redux dispatch function
+ */
+const restoreProjectPackage = async (editorParams, store, dispatch) => {
+  if (!editorParams?.editorElements?.length) {
+    throw new Error('The project package is empty');
+  }
+
+  // Validate before clearing anything, so a broken package leaves the
+  // current timeline untouched
+  const { editorParams: migrated } = migrateEditorParams(editorParams);
+  const { error } = editorParamsSchema.validate(migrated);
+  if (error) {
+    throw new Error(`The project package is invalid: ${error.message}`);
+  }
+
+  store.setPlaying(false);
+
+  // Step 1: Clear the current timeline, including its canvas objects and
+  // hidden media elements
+  runInAction(() => {
+    store.editorElements.forEach(element => {
+      if (element.fabricObject && store.canvas) {
+        store.canvas.remove(element.fabricObject);
+      }
+      if (
+        (element.type === 'audio' || element.type === 'video') &&
+        element.properties?.elementId
+      ) {
+        document.getElementById(element.properties.elementId)?.remove();
+      }
+    });
+    store.editorElements = [];
+    store.videos = [];
+    store.animations = [];
+    store.markers = [];
+    store.speakers = [];
+    store.colorGrade = null;
+    store.trackStates = [];
+    store.sequenceStack = [];
+    store.glTransitionElements.clear();
+    store.setSelectedElement(null);
+  });
+  store.canvas?.requestRenderAll();
+
+  // Step 2: Load the package like a story fetched from the backend
+  await initializeCanvasImages(
+    {
+      _id: store.storyId,
+      orientation: migrated.savedOrientation || undefined,
+      editorParams: migrated,
+    },
+    store,
+    dispatch
+  );
+
+  // Step 3: The story loader does not save, so persist the imported project
+  dispatch(saveTimelineState(store));
+};
+
+export default restoreProjectPackage;
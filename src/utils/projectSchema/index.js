@@ -0,0 +1,134 @@
+/**
+ * Project schema - versioned editorParams with load-time migrations and validation
+ */
+
+import { showGlobalError } from '../errorHandler';
+import {
+  CURRENT_SCHEMA_VERSION,
+  editorElementSchema,
+  animationSchema,
+  markerSchema,
+  speakerSchema,
+  editorParamsSchema,
+} from './schema';
+import { migrateEditorParams } from './migrations';
+
+export {
+  CURRENT_SCHEMA_VERSION,
+  ELEMENT_TYPES,
+  editorElementSchema,
+  animationSchema,
+  markerSchema,
+  speakerSchema,
+  editorParamsSchema,
+} from './schema';
+export {
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateEditorParams,
+} from './migrations';
+
+const describeItem = (item, index) =>
+  item?.id ? `${item.type || 'item'} ${item.id}` : `item #${index + 1}`;
+
+// Split `items` into the ones matching `schema` and readable rejection notes
+const partitionValid = (items, schema, label) => {
+  const valid = [];
+  const rejected = [];
+  (items || []).forEach((item, index) => {
+    const { error } = schema.validate(item);
+    if (error) {
+      rejected.push(
+        `${label} ${describeItem(item, index)}: ${error.details[0].message}`
+      );
+    } else {
+      valid.push(item);
+    }
+  });
+  return { valid, rejected };
+};
+
+/**
+ * Bring saved editorParams up to the current schema before they reach the
+ * canvas. Older versions are migrated, broken elements, animations,
+ * markers and speakers are dropped, and the user is told about anything that
+ * could not be loaded.
+ *
+ * @param {Object} editorParams - editorParams as saved on the story
+ * @returns {Object|null} Loadable editorParams, or null when the story
+ *   cannot be loaded at all
+ */
+export const loadEditorParams = editorParams => {
+  if (!editorParams) return editorParams;
+
+  if (editorParams.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    showGlobalError(
+      'This project was saved by a newer version of the editor',
+      'Reload the page to update the editor before opening it.',
+      6000
+    );
+    return null;
+  }
+
+  let migrated;
+  try {
+    ({ editorParams: migrated } = migrateEditorParams(editorParams));
+  } catch (error) {
+    console.error('Project schema migration failed:', error);
+    showGlobalError('This project could not be upgraded', error.message, 6000);
+    return null;
+  }
+
+  const { error } = editorParamsSchema.validate(migrated);
+  if (error) {
+    console.error('Invalid editorParams:', error.details);
+    showGlobalError(
+      'This project could not be loaded',
+      error.details[0].message,
+      6000
+    );
+    return null;
+  }
+
+  const elements = partitionValid(
+    migrated.editorElements,
+    editorElementSchema,
+    'Element'
+  );
+  const animations = partitionValid(
+    migrated.animations,
+    animationSchema,
+    'Animation'
+  );
+  const markers = partitionValid(migrated.markers, markerSchema, 'Marker');
+  const speakers = partitionValid(
+    migrated.speakers,
+    speakerSchema,
+    'Speaker'
+  );
+  const rejected = [
+    ...elements.rejected,
+    ...animations.rejected,
+    ...markers.rejected,
+    ...speakers.rejected,
+  ];
+
+  if (rejected.length > 0) {
+    console.warn('Skipped invalid timeline items:', rejected);
+    showGlobalError(
+      `${rejected.length} timeline item${
+        rejected.length === 1 ? '' : 's'
+      } could not be loaded`,
+      rejected.slice(0, 3).join('\n'),
+      6000
+    );
+  }
+
+  return {
+    ...migrated,
+    editorElements: elements.valid,
+    animations: animations.valid,
+    markers: markers.valid,
+    speakers: speakers.valid,
+  };
+};
@@ -0,0 +1,65 @@
+// Each migration upgrades editorParams from `version - 1` to `version`.
+// Migrations receive a deep copy and may mutate it. Stories saved before
+// versioning have no `schemaVersion` and start at 0.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize legacy element and animation fields',
+    migrate: editorParams => {
+      editorParams.editorElements = (editorParams.editorElements || []).map(
+        element => {
+          const properties = element.properties || {};
+          return {
+            ...element,
+            row: typeof element.row === 'number' ? element.row : 0,
+            properties:
+              element.type === 'audio' && !properties.elementId
+                ? { ...properties, elementId: `audio-${element.id}` }
+                : properties,
+          };
+        }
+      );
+
+      // Animations used to target a single element through `targetId`, and
+      // GL transitions only through `fromElementId` / `toElementId`
+      editorParams.animations = (editorParams.animations || []).map(
+        animation => {
+          if (animation.targetIds?.length) return animation;
+
+          const targetIds =
+            animation.type === 'glTransition'
+              ? [animation.fromElementId, animation.toElementId].filter(Boolean)
+              : [animation.targetId].filter(Boolean);
+          return { ...animation, targetIds };
+        }
+      );
+
+      return editorParams;
+    },
+  },
+];
+
+export const getSchemaVersion = editorParams =>
+  Number.isInteger(editorParams?.schemaVersion)
+    ? editorParams.schemaVersion
+    : 0;
+
+/**
+ * Run every migration newer than the saved schema version, in order.
+ * Returns the upgraded copy and the versions that were applied.
+ */
+export const migrateEditorParams = editorParams => {
+  const fromVersion = getSchemaVersion(editorParams);
+  let migrated = JSON.parse(JSON.stringify(editorParams));
+  const applied = [];
+
+  MIGRATIONS.filter(({ version }) => version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(({ version, migrate }) => {
+      migrated = migrate(migrated);
+      migrated.schemaVersion = version;
+      applied.push(version);
+    });
+
+  return { editorParams: migrated, fromVersion, applied };
+};
@@ -0,0 +1,146 @@
+import Joi from 'joi';
+
+// Bump together with a new entry in migrations.js
+export const CURRENT_SCHEMA_VERSION = 1;
+
+export const ELEMENT_TYPES = [
+  'audio',
+  'imageUrl',
+  'image',
+  'video',
+  'videoImage',
+  'CoverVideo',
+  'text',
+  'animation',
+  'glTransition',
+  'transition',
+  'adjustment',
+  'shape',
+  'compound',
+];
+
+// Saved objects carry many optional, UI-only fields, so the schemas only
+// pin down what restoring needs and let everything else through
+const timeFrameSchema = Joi.object({
+  start: Joi.number().min(0).required(),
+  end: Joi.number().min(Joi.ref('start')).required(),
+}).unknown(true);
+
+const placementSchema = Joi.object({
+  x: Joi.number().allow(null),
+  y: Joi.number().allow(null),
+  width: Joi.number().allow(null),
+  height: Joi.number().allow(null),
+  rotation: Joi.number().allow(null),
+  scaleX: Joi.number().allow(null),
+  scaleY: Joi.number().allow(null),
+}).unknown(true);
+
+const mediaSrc = Joi.string().allow('');
+const idSchema = Joi.alternatives().try(Joi.string(), Joi.number());
+
+export const editorElementSchema = Joi.object({
+  id: idSchema.required(),
+  type: Joi.string()
+    .valid(...ELEMENT_TYPES)
+    .required(),
+  timeFrame: timeFrameSchema.required(),
+  row: Joi.number().min(0).required(),
+  placement: placementSchema.allow(null),
+  properties: Joi.object().unknown(true).required(),
+})
+  .unknown(true)
+  .when(Joi.object({ type: 'audio' }).unknown(), {
+    then: Joi.object({
+      properties: Joi.object({
+        src: mediaSrc.required(),
+        elementId: Joi.string().required(),
+      }).unknown(true),
+    }),
+  })
+  .when(Joi.object({ type: Joi.valid('imageUrl', 'video') }).unknown(), {
+    then: Joi.object({
+      properties: Joi.object({ src: mediaSrc }).unknown(true),
+    }),
+  })
+  .when(Joi.object({ type: 'adjustment' }).unknown(), {
+    then: Joi.object({
+      properties: Joi.object({
+        filters: Joi.array().items(Joi.object().unknown(true)).required(),
+      }).unknown(true),
+    }),
+  })
+  .when(Joi.object({ type: 'shape' }).unknown(), {
+    then: Joi.object({
+      properties: Joi.object({
+        shapeType: Joi.string().required(),
+        svg: Joi.when('shapeType', {
+          is: 'svg',
+          then: Joi.string().required(),
+        }),
+      }).unknown(true),
+    }),
+  })
+  .when(Joi.object({ type: 'compound' }).unknown(), {
+    then: Joi.object({
+      properties: Joi.object({
+        elements: Joi.array().items(Joi.object().unknown(true)).required(),
+        animations: Joi.array().items(Joi.object().unknown(true)),
+      }).unknown(true),
+    }),
+  });
+
+export const animationSchema = Joi.object({
+  id: idSchema.required(),
+  type: Joi.string().required(),
+  targetIds: Joi.array().items(idSchema.allow(null)),
+  properties: Joi.object().unknown(true).allow(null),
+}).unknown(true);
+
+export const markerSchema = Joi.object({
+  id: idSchema.required(),
+  time: Joi.number().min(0).required(),
+  label: Joi.string().allow(''),
+  color: Joi.string(),
+  isChapter: Joi.boolean(),
+}).unknown(true);
+
+export const speakerSchema = Joi.object({
+  id: idSchema.required(),
+  label: Joi.string().allow(''),
+  characterId: idSchema.allow(null),
+  voiceId: Joi.string().allow('', null),
+  voiceName: Joi.string().allow(''),
+  style: Joi.object().unknown(true).allow(null),
+  position: Joi.string().allow(null),
+}).unknown(true);
+
+const subtitlesSchema = Joi.object({
+  properties: Joi.object().unknown(true),
+  segments: Joi.array().items(
+    Joi.object({
+      timeFrame: timeFrameSchema.required(),
+      properties: Joi.object().unknown(true),
+    }).unknown(true)
+  ),
+}).unknown(true);
+
+// Top level only; items are validated one by one so a single broken
+// element does not reject the whole story
+export const editorParamsSchema = Joi.object({
+  schemaVersion: Joi.number()
+    .integer()
+    .min(0)
+    .max(CURRENT_SCHEMA_VERSION)
+    .required(),
+  editorElements: Joi.array().required(),
+  animations: Joi.array(),
+  markers: Joi.array(),
+  speakers: Joi.array(),
+  colorGrade: Joi.object().unknown(true).allow(null),
+  trackStates: Joi.array(),
+  subtitles: subtitlesSchema.allow(null),
+  maxTime: Joi.number().min(0).allow(null),
+  backgroundColor: Joi.string().allow(''),
+  fps: Joi.number().min(0),
+}).unknown(true);
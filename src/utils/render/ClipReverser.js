@@ -0,0 +1,117 @@
+import { fetchFile } from '@ffmpeg/util';
+import { createFFmpeg, safeDeleteFile } from './ffmpegLoader';
+
+// ffmpeg's reverse filters hold every decoded frame of the clip in the wasm
+// heap, so only this much source can be reversed at once
+export const MAX_REVERSE_DURATION_MS = 60000;
+
+const INPUT = 'input';
+const OUTPUT = 'reversed.mp4';
+
+const VIDEO_ARGS = [
+  '-c:v',
+  'libx264',
+  '-preset',
+  'veryfast',
+  '-crf',
+  '18',
+  '-pix_fmt',
+  'yuv420p',
+  // H.264 with yuv420p rejects odd frame sizes
+  '-vf',
+  'reverse,scale=trunc(iw/2)*2:trunc(ih/2)*2',
+];
+const AUDIO_ARGS = ['-af', 'areverse', '-c:a', 'aac', '-b:a', '192k'];
+
+/**
+ * Plays part of a video backwards: the span is decoded and re-encoded in
+ * reverse by ffmpeg.wasm in a worker of its own, audio included, into an
+ * MP4 that starts at the span's last frame.
+ */
+export class ClipReverser {
+  constructor({ src, onProgress } = {}) {
+    this.src = src;
+    this.onProgress = onProgress;
+    this.ffmpeg = null;
+    this.cancelled = false;
+  }
+
+  reportProgress(progress, message) {
+    this.onProgress?.({
+      progress: Math.min(99, Math.round(progress)),
+      message,
+    });
+  }
+
+  // Runs ffmpeg on the span; false when it fails, e.g. for want of audio
+  async encode(offsetMs, durationMs, withAudio) {
+    const exitCode = await this.ffmpeg.exec([
+      '-ss',
+      (offsetMs / 1000).toFixed(3),
+      '-t',
+      (durationMs / 1000).toFixed(3),
+      '-i',
+      INPUT,
+      '-map',
+      '0:v:0',
+      ...VIDEO_ARGS,
+      ...(withAudio ? ['-map', '0:a:0', ...AUDIO_ARGS] : ['-an']),
+      '-movflags',
+      '+faststart',
+      OUTPUT,
+    ]);
+    return exitCode === 0;
+  }
+
+  /**
+   * Reverses `durationMs` of the source from `offsetMs`. Resolves with the
+   * reversed video as a Blob, or null if it was cancelled.
+   */
+  async reverse({ offsetMs = 0, durationMs }) {
+    if (!this.src) throw new Error('The video has no source to reverse');
+    if (durationMs > MAX_REVERSE_DURATION_MS) {
+      throw new Error(
+        `Only clips up to ${MAX_REVERSE_DURATION_MS / 1000}s can be reversed`
+      );
+    }
+
+    try {
+      this.reportProgress(0, 'Loading video...');
+      this.ffmpeg = await createFFmpeg();
+      if (this.cancelled) return null;
+      this.ffmpeg.on('progress', ({ progress }) => {
+        this.reportProgress(10 + Math.max(0, Math.min(1, progress || 0)) * 90);
+      });
+
+      await this.ffmpeg.writeFile(INPUT, await fetchFile(this.src));
+      if (this.cancelled) return null;
+
+      this.reportProgress(10, 'Reversing...');
+      const encoded =
+        (await this.encode(offsetMs, durationMs, true)) ||
+        (!this.cancelled && (await this.encode(offsetMs, durationMs, false)));
+      if (this.cancelled) return null;
+      if (!encoded) throw new Error('Reversing the video failed');
+
+      const data = await this.ffmpeg.readFile(OUTPUT);
+      await safeDeleteFile(this.ffmpeg, INPUT);
+      return new Blob([data.buffer], { type: 'video/mp4' });
+    } catch (error) {
+      if (this.cancelled) return null;
+      throw error;
+    } finally {
+      this.dispose();
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+    // Terminating the worker aborts any exec() that is still running
+    this.dispose();
+  }
+
+  dispose() {
+    this.ffmpeg?.terminate();
+    this.ffmpeg = null;
+  }
+}
@@ -0,0 +1,329 @@
+import { isHtmlVideoElement } from '../index';
+import { createFFmpeg, safeDeleteFile } from './ffmpegLoader';
+import { mixTimelineAudioToWav } from './audioMixdown';
+import { getChapters, buildFFMetadataChapters } from '../timelineMarkers';
+import { getSourceElapsed } from '../clipSpeed';
+
+// Frames are flushed to an encoded segment every N frames to keep the
+// ffmpeg virtual filesystem small on long timelines
+const SEGMENT_FRAMES = 240;
+const SEEK_TIMEOUT_MS = 3000;
+const FRAME_MIME = 'image/jpeg';
+const FRAME_QUALITY = 0.92;
+
+// Share of the progress bar reserved for each phase
+const FRAMES_PROGRESS = 85;
+const AUDIO_PROGRESS = 5;
+
+const FORMATS = {
+  mp4: {
+    mimeType: 'video/mp4',
+    videoArgs: [
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '20',
+      '-pix_fmt', 'yuv420p',
+    ],
+    audioArgs: ['-c:a', 'aac', '-b:a', '192k'],
+    muxArgs: ['-movflags', '+faststart'],
+    supportsChapters: true,
+  },
+  webm: {
+    mimeType: 'video/webm',
+    videoArgs: [
+      '-c:v', 'libvpx',
+      '-b:v', '8M',
+      '-crf', '10',
+      '-deadline', 'realtime',
+      '-cpu-used', '8',
+    ],
+    audioArgs: ['-c:a', 'libopus', '-b:a', '160k'],
+    muxArgs: [],
+  },
+};
+
+// H.264 with yuv420p rejects odd frame sizes
+const EVEN_DIMENSIONS_FILTER = 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+
+const nextAnimationFrame = () =>
+  new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+const canvasToBytes = canvas =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => {
+        if (!blob) {
+          reject(new Error('Failed to capture canvas frame'));
+          return;
+        }
+        blob
+          .arrayBuffer()
+          .then(buffer => resolve(new Uint8Array(buffer)))
+          .catch(reject);
+      },
+      FRAME_MIME,
+      FRAME_QUALITY
+    );
+  });
+
+const seekVideo = (video, time) =>
+  new Promise(resolve => {
+    if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+    const timer = setTimeout(done, SEEK_TIMEOUT_MS);
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+
+const pad = (value, length = 6) => String(value).padStart(length, '0');
+
+/**
+ * Deterministic, frame-by-frame video exporter.
+ *
+ * Instead of recording the live canvas in real time, the renderer steps the
+ * store timeline one frame at a time at the project fps, waits for every
+ * visible video to finish seeking, grabs the canvas, and encodes the frames
+ * with ffmpeg.wasm. Audio is mixed offline and muxed in at the end.
+ */
+export class OfflineRenderer {
+  constructor(store, { format = 'mp4', fps, onProgress } = {}) {
+    this.store = store;
+    this.format = FORMATS[format] ? format : 'mp4';
+    this.fps = fps || store.fps || 30;
+    this.onProgress = onProgress;
+    this.ffmpeg = null;
+    // Aborted on cancel, so a load still under way stops too
+    this.loadController = new AbortController();
+    this.cancelled = false;
+    this.encodeProgressBase = 0;
+    this.encodeProgressSpan = 0;
+  }
+
+  get extension() {
+    return this.format;
+  }
+
+  get mimeType() {
+    return FORMATS[this.format].mimeType;
+  }
+
+  // Load ffmpeg.wasm; kept separate so callers can fall back if it fails
+  async load() {
+    if (this.ffmpeg) return;
+    this.ffmpeg = await createFFmpeg({ signal: this.loadController.signal });
+    this.ffmpeg.on('progress', ({ progress }) => {
+      if (!this.encodeProgressSpan) return;
+      const clamped = Math.max(0, Math.min(1, progress || 0));
+      this.reportProgress(
+        this.encodeProgressBase + clamped * this.encodeProgressSpan
+      );
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.loadController.abort();
+    // Terminating the worker aborts any exec() that is still running
+    this.ffmpeg?.terminate();
+    this.ffmpeg = null;
+  }
+
+  reportProgress(progress, message) {
+    this.onProgress?.({
+      progress: Math.min(99, Math.round(progress)),
+      message,
+    });
+  }
+
+  getCaptureCanvas() {
+    return (
+      this.store.canvas?.lowerCanvasEl || document.getElementById('canvas')
+    );
+  }
+
+  // Seek every video that is visible at `time` to its exact source frame
+  async seekVideosTo(time) {
+    const videoElements = this.store.editorElements.filter(
+      element =>
+        element.type === 'video' &&
+        time >= element.timeFrame.start &&
+        time <= element.timeFrame.end
+    );
+
+    await Promise.all(
+      videoElements.map(element => {
+        const video = document.getElementById(element.properties.elementId);
+        if (!isHtmlVideoElement(video)) return null;
+        if (!video.paused) video.pause();
+        const videoOffset = (element.properties.videoOffset || 0) / 1000;
+        const target =
+          getSourceElapsed(element, time - element.timeFrame.start) / 1000 +
+          videoOffset;
+        return seekVideo(video, Math.min(target, video.duration || target));
+      })
+    );
+  }
+
+  async renderFrame(time) {
+    this.store.updateTimeTo(time);
+    await this.seekVideosTo(time);
+    // GL transition textures update asynchronously after a seek
+    await nextAnimationFrame();
+    this.store.canvas?.renderAll();
+  }
+
+  async encodeSegment(index, frameCount) {
+    const name = `segment_${pad(index, 4)}.${this.extension}`;
+    const { videoArgs } = FORMATS[this.format];
+
+    const exitCode = await this.ffmpeg.exec([
+      '-framerate', String(this.fps),
+      '-i', `frame_${pad(index, 4)}_%06d.jpg`,
+      '-frames:v', String(frameCount),
+      '-vf', EVEN_DIMENSIONS_FILTER,
+      ...videoArgs,
+      '-r', String(this.fps),
+      name,
+    ]);
+    if (exitCode !== 0) {
+      throw new Error(`Video encoding failed for segment ${index}`);
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+      await safeDeleteFile(this.ffmpeg, `frame_${pad(index, 4)}_${pad(i)}.jpg`);
+    }
+    return name;
+  }
+
+  async muxOutput(segmentNames, hasAudio, durationMs) {
+    const { audioArgs, muxArgs } = FORMATS[this.format];
+    const output = `output.${this.extension}`;
+
+    await this.ffmpeg.writeFile(
+      'segments.txt',
+      segmentNames.map(name => `file '${name}'`).join('\n')
+    );
+
+    // Chapter markers become chapter atoms through an ffmetadata input
+    const chapters = FORMATS[this.format].supportsChapters
+      ? getChapters(this.store.markers || [], durationMs)
+      : [];
+    if (chapters.length) {
+      await this.ffmpeg.writeFile(
+        'chapters.txt',
+        buildFFMetadataChapters(chapters)
+      );
+    }
+
+    const args = ['-f', 'concat', '-safe', '0', '-i', 'segments.txt'];
+    if (hasAudio) args.push('-i', 'audio.wav');
+    if (chapters.length) args.push('-i', 'chapters.txt');
+    args.push('-map', '0:v:0');
+    if (hasAudio) args.push('-map', '1:a:0', ...audioArgs);
+    if (chapters.length) args.push('-map_chapters', hasAudio ? '2' : '1');
+    args.push(
+      '-c:v', 'copy',
+      '-t', (durationMs / 1000).toFixed(3),
+      ...muxArgs,
+      output
+    );
+
+    const exitCode = await this.ffmpeg.exec(args);
+    if (exitCode !== 0) {
+      throw new Error('Muxing the final video failed');
+    }
+
+    const data = await this.ffmpeg.readFile(output);
+    return new Blob([data.buffer], { type: this.mimeType });
+  }
+
+  /**
+   * Render the whole timeline. Resolves with the encoded Blob, or null if
+   * the render was cancelled.
+   */
+  async render() {
+    const store = this.store;
+    const durationMs = store.lastElementEnd;
+    if (!durationMs) {
+      throw new Error('Timeline is empty, nothing to render');
+    }
+
+    await this.load();
+
+    const canvas = this.getCaptureCanvas();
+    if (!canvas) {
+      throw new Error('Canvas is not available for rendering');
+    }
+    // The chroma key matte is an editing aid, export the composite
+    store.setChromaKeyMatte(null);
+
+    const totalFrames = Math.max(1, Math.ceil((durationMs / 1000) * this.fps));
+    const segmentNames = [];
+
+    try {
+      this.reportProgress(0, 'Rendering frames...');
+
+      for (
+        let segmentStart = 0, segmentIndex = 0;
+        segmentStart < totalFrames;
+        segmentStart += SEGMENT_FRAMES, segmentIndex++
+      ) {
+        const frameCount = Math.min(SEGMENT_FRAMES, totalFrames - segmentStart);
+
+        for (let i = 0; i < frameCount; i++) {
+          if (this.cancelled) return null;
+          const frameNumber = segmentStart + i;
+          await this.renderFrame((frameNumber * 1000) / this.fps);
+          const bytes = await canvasToBytes(canvas);
+          if (this.cancelled) return null;
+          await this.ffmpeg.writeFile(
+            `frame_${pad(segmentIndex, 4)}_${pad(i)}.jpg`,
+            bytes
+          );
+          this.reportProgress(
+            ((frameNumber + 1) / totalFrames) * FRAMES_PROGRESS
+          );
+        }
+
+        segmentNames.push(await this.encodeSegment(segmentIndex, frameCount));
+      }
+
+      if (this.cancelled) return null;
+      this.reportProgress(FRAMES_PROGRESS, 'Mixing audio...');
+      const wav = await mixTimelineAudioToWav({
+        editorElements: store.editorElements,
+        trackStates: store.trackStates,
+        durationMs,
+      });
+      if (this.cancelled) return null;
+      if (wav) {
+        await this.ffmpeg.writeFile(
+          'audio.wav',
+          new Uint8Array(await wav.arrayBuffer())
+        );
+      }
+
+      this.encodeProgressBase = FRAMES_PROGRESS + AUDIO_PROGRESS;
+      this.encodeProgressSpan = 100 - this.encodeProgressBase;
+      this.reportProgress(this.encodeProgressBase, 'Encoding video...');
+      return await this.muxOutput(segmentNames, Boolean(wav), durationMs);
+    } catch (error) {
+      if (this.cancelled) return null;
+      throw error;
+    } finally {
+      this.dispose();
+    }
+  }
+
+  dispose() {
+    this.ffmpeg?.terminate();
+    this.ffmpeg = null;
+  }
+}
@@ -0,0 +1,113 @@
+import audioEditor from '../audioEditor';
+import { scheduleElementGain } from '../volumeEnvelope';
+import { isRowAudible } from '../timeline/trackStates';
+import { getSourceElapsed, hasSpeedChange } from '../clipSpeed';
+import { stretchClipAudio } from './timeStretch';
+
+export const EXPORT_SAMPLE_RATE = 48000;
+
+// Elements whose sound ends up in the exported file; muted and un-soloed
+// rows are left out
+export const getAudibleElements = (editorElements, trackStates = []) =>
+  editorElements.filter(element => {
+    if (!element?.properties?.src || element.properties.isPlaceholder) {
+      return false;
+    }
+    if (!isRowAudible(trackStates, element.row)) return false;
+    if (element.type === 'audio') return true;
+    // Videos with extracted audio already have their own audio element
+    return element.type === 'video' && !element.properties.hasSeparateAudio;
+  });
+
+// Offset into the source media where the clip starts playing
+const getSourceOffsetMs = element =>
+  element.type === 'video'
+    ? element.properties.videoOffset || 0
+    : element.properties.audioOffset || 0;
+
+const getElementVolume = element =>
+  typeof element.properties.volume === 'number' ? element.properties.volume : 1;
+
+const decodeSource = async (context, src, cache) => {
+  if (!cache.has(src)) {
+    cache.set(
+      src,
+      fetch(src)
+        .then(response => response.arrayBuffer())
+        .then(arrayBuffer => context.decodeAudioData(arrayBuffer))
+    );
+  }
+  return cache.get(src);
+};
+
+/**
+ * Mixes every audible timeline element into a single AudioBuffer using an
+ * OfflineAudioContext, so the result is sample-accurate and does not depend
+ * on real-time playback. Clips with a speed change are time-stretched first,
+ * keeping their pitch as playback does. Sources that fail to decode are
+ * skipped.
+ */
+export const mixTimelineAudio = async ({
+  editorElements,
+  trackStates,
+  durationMs,
+  sampleRate = EXPORT_SAMPLE_RATE,
+  numberOfChannels = 2,
+}) => {
+  const elements = getAudibleElements(editorElements, trackStates);
+  if (!elements.length || durationMs <= 0) return null;
+
+  const length = Math.ceil((durationMs / 1000) * sampleRate);
+  const context = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+  const cache = new Map();
+  let scheduled = 0;
+
+  for (const element of elements) {
+    let buffer;
+    try {
+      buffer = await decodeSource(context, element.properties.src, cache);
+    } catch (error) {
+      console.warn(`Skipping audio for ${element.id}:`, error);
+      continue;
+    }
+
+    const startSec = element.timeFrame.start / 1000;
+    const durationSec =
+      (element.timeFrame.end - element.timeFrame.start) / 1000;
+    const offsetSec = getSourceOffsetMs(element) / 1000;
+    if (durationSec <= 0 || offsetSec >= buffer.duration) continue;
+
+    const durationMs = element.timeFrame.end - element.timeFrame.start;
+    const stretched = hasSpeedChange(element);
+    const source = context.createBufferSource();
+    source.buffer = stretched
+      ? stretchClipAudio(context, buffer, {
+          durationMs,
+          getSourceTime: localMs =>
+            getSourceOffsetMs(element) + getSourceElapsed(element, localMs),
+        })
+      : buffer;
+
+    const gain = context.createGain();
+    scheduleElementGain(gain.gain, element, {
+      startTime: startSec,
+      durationMs,
+      baseGain: getElementVolume(element),
+    });
+
+    source.connect(gain);
+    gain.connect(context.destination);
+    // A stretched buffer already starts at the clip's offset
+    source.start(startSec, stretched ? 0 : offsetSec, durationSec);
+    scheduled++;
+  }
+
+  if (!scheduled) return null;
+  return context.startRendering();
+};
+
+// Render the timeline mix straight to a WAV file
+export const mixTimelineAudioToWav = async options => {
+  const buffer = await mixTimelineAudio(options);
+  return buffer ? audioEditor.bufferToWav(buffer) : null;
+};
@@ -0,0 +1,60 @@
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { toBlobURL } from '@ffmpeg/util';
+
+// The core is copied from @ffmpeg/core into public/ before start and build
+// (see scripts/copy-ffmpeg-core.js); REACT_APP_FFMPEG_CORE_URL overrides it
+const FFMPEG_CORE_BASE_URL =
+  process.env.REACT_APP_FFMPEG_CORE_URL ||
+  `${process.env.PUBLIC_URL}/ffmpeg-core`;
+
+let coreUrlsPromise = null;
+
+// Resolve core script and wasm into blob URLs once per session
+const getCoreUrls = () => {
+  if (!coreUrlsPromise) {
+    coreUrlsPromise = Promise.all([
+      toBlobURL(`${FFMPEG_CORE_BASE_URL}/ffmpeg-core.js`, 'text/javascript'),
+      toBlobURL(`${FFMPEG_CORE_BASE_URL}/ffmpeg-core.wasm`, 'application/wasm'),
+    ])
+      .then(([coreURL, wasmURL]) => ({ coreURL, wasmURL }))
+      .catch(error => {
+        // Allow a retry on the next call instead of caching the failure
+        coreUrlsPromise = null;
+        throw error;
+      });
+  }
+  return coreUrlsPromise;
+};
+
+/**
+ * Creates and loads a fresh ffmpeg.wasm instance.
+ * Each instance runs in its own worker, so callers should terminate() it
+ * once they are done to release the memory held by the wasm heap.
+ * Aborting `signal` stops the load and rejects.
+ */
+export const createFFmpeg = async ({ onLog, signal } = {}) => {
+  const { coreURL, wasmURL } = await getCoreUrls();
+  signal?.throwIfAborted();
+
+  const ffmpeg = new FFmpeg();
+
+  if (onLog) {
+    ffmpeg.on('log', onLog);
+  }
+
+  try {
+    await ffmpeg.load({ coreURL, wasmURL }, { signal });
+  } catch (error) {
+    ffmpeg.terminate();
+    throw error;
+  }
+
+  return ffmpeg;
+};
+
+// Remove a file from the ffmpeg virtual FS, ignoring missing files
+export const safeDeleteFile = async (ffmpeg, name) => {
+  try {
+    await ffmpeg.deleteFile(name);
+  } catch (error) {}
+};
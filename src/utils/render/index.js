@@ -0,0 +1,13 @@
+/**
+ * Offline rendering - frame-accurate export through ffmpeg.wasm
+ */
+
+export { OfflineRenderer } from './OfflineRenderer';
+export { ClipReverser, MAX_REVERSE_DURATION_MS } from './ClipReverser';
+export { createFFmpeg, safeDeleteFile } from './ffmpegLoader';
+export {
+  mixTimelineAudio,
+  mixTimelineAudioToWav,
+  getAudibleElements,
+  EXPORT_SAMPLE_RATE,
+} from './audioMixdown';
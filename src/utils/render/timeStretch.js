@@ -0,0 +1,125 @@
+/**
+ * Pitch-preserving time stretch for clips played at another speed, by
+ * waveform-similarity overlap-add (WSOLA).
+ *
+ * Windowed grains of the source are read where the clip's speed puts them
+ * and added into the output at a fixed hop, so time is stretched without
+ * resampling. Each grain is nudged within a small search window to line up
+ * with the sound that followed the grain before it, which keeps the
+ * waveform continuous across grains instead of phasing. At speed 1 every
+ * grain lines up exactly and the source comes back unchanged.
+ */
+
+const GRAIN_SIZE = 2048;
+const HOP_SIZE = GRAIN_SIZE / 2;
+const SEARCH_RADIUS = 512;
+// Candidates and correlation samples are strided to keep long clips quick
+const SEARCH_STEP = 4;
+const CORRELATION_STEP = 4;
+
+// Periodic Hann window; at half-grain hops the windows sum to one
+const createWindow = size => {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return window;
+};
+
+// Mono mix used to line grains up
+const getAnalysisChannel = buffer => {
+  if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+  const mono = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) mono[i] += data[i];
+  }
+  return mono;
+};
+
+// Normalised correlation of the samples at `candidate` with those at
+// `natural`; by Cauchy-Schwarz nothing scores above `natural` itself
+const getSimilarity = (samples, natural, candidate) => {
+  let product = 0;
+  let energy = 0;
+  for (let i = 0; i < HOP_SIZE; i += CORRELATION_STEP) {
+    const sample = samples[candidate + i];
+    product += samples[natural + i] * sample;
+    energy += sample * sample;
+  }
+  return product / Math.sqrt(energy + 1e-9);
+};
+
+// Source position within `radius` of `target` that best continues the
+// previous grain, whose natural continuation starts at `natural`
+const findBestOffset = (samples, natural, target, radius) => {
+  const last = samples.length - GRAIN_SIZE;
+  if (natural < 0 || natural > last) return target;
+
+  const from = Math.max(0, target - radius);
+  const to = Math.min(last, target + radius);
+  if (from > to) return target;
+  // At speed 1 the continuation is the target, and wins any tie
+  let best = natural >= from && natural <= to ? natural : from;
+  let bestScore = getSimilarity(samples, natural, best);
+  for (let candidate = from; candidate <= to; candidate += SEARCH_STEP) {
+    const score = getSimilarity(samples, natural, candidate);
+    if (score > bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  }
+  return best;
+};
+
+/**
+ * Renders `durationMs` of a clip into a new AudioBuffer of `context`.
+ * `getSourceTime(localMs)` gives the source ms playing `localMs` into the
+ * clip, offset included; past the end of the source is silence.
+ */
+export const stretchClipAudio = (
+  context,
+  buffer,
+  { durationMs, getSourceTime }
+) => {
+  const { sampleRate, numberOfChannels } = buffer;
+  const length = Math.max(1, Math.round((durationMs / 1000) * sampleRate));
+  const output = context.createBuffer(numberOfChannels, length, sampleRate);
+  const window = createWindow(GRAIN_SIZE);
+  const analysis = getAnalysisChannel(buffer);
+  const sources = Array.from({ length: numberOfChannels }, (_, channel) =>
+    buffer.getChannelData(channel)
+  );
+  const mixed = sources.map(() => new Float32Array(length + GRAIN_SIZE));
+  const weights = new Float32Array(length + GRAIN_SIZE);
+
+  let previous = null;
+  for (let outPos = 0; outPos < length; outPos += HOP_SIZE) {
+    const target = Math.round(
+      (getSourceTime((outPos / sampleRate) * 1000) / 1000) * sampleRate
+    );
+    const inPos =
+      previous === null
+        ? target
+        : findBestOffset(analysis, previous + HOP_SIZE, target, SEARCH_RADIUS);
+
+    for (let i = 0; i < GRAIN_SIZE; i++) {
+      const sourceIndex = inPos + i;
+      weights[outPos + i] += window[i];
+      if (sourceIndex < 0 || sourceIndex >= buffer.length) continue;
+      for (let channel = 0; channel < numberOfChannels; channel++) {
+        mixed[channel][outPos + i] += sources[channel][sourceIndex] * window[i];
+      }
+    }
+    previous = inPos;
+  }
+
+  mixed.forEach((data, channel) => {
+    const target = output.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      // The first half-grain is only covered by one rising window
+      target[i] = weights[i] > 1e-3 ? data[i] / weights[i] : 0;
+    }
+  });
+  return output;
+};
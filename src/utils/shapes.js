@@ -0,0 +1,347 @@
+// Shapes are timeline elements of type 'shape': vector graphics fabric draws
+// from `properties` instead of from a media file. Geometric shapes are one
+// closed path filling the unscaled `placement.width` × `placement.height`
+// box, so fill, gradient, stroke, corner radius and shadow work the same on
+// all of them. SVG imports keep their markup on `properties.svg` and are
+// only recoloured once a fill or stroke is set on them.
+import { fabric } from 'fabric';
+
+export const SHAPE_ELEMENT_TYPE = 'shape';
+
+export const SVG_SHAPE_TYPE = 'svg';
+
+export const isShapeElement = element => element?.type === SHAPE_ELEMENT_TYPE;
+
+export const isSvgShape = element =>
+  isShapeElement(element) && element.properties?.shapeType === SVG_SHAPE_TYPE;
+
+// Geometric shape types with the size a new one is added at
+export const SHAPE_TYPES = [
+  { id: 'rect', name: 'Rectangle', width: 320, height: 200 },
+  {
+    id: 'roundedRect',
+    name: 'Rounded rectangle',
+    width: 320,
+    height: 200,
+    cornerRadius: 32,
+  },
+  { id: 'ellipse', name: 'Ellipse', width: 240, height: 240 },
+  { id: 'line', name: 'Line', width: 400, height: 8, cornerRadius: 4 },
+  { id: 'arrow', name: 'Arrow', width: 360, height: 80 },
+  { id: 'polygon', name: 'Polygon', width: 240, height: 240 },
+  { id: 'star', name: 'Star', width: 240, height: 240 },
+  {
+    id: 'speechBubble',
+    name: 'Speech bubble',
+    width: 360,
+    height: 240,
+    cornerRadius: 32,
+  },
+];
+
+// Shape types the corner radius rounds
+export const ROUNDED_SHAPE_TYPES = [
+  'rect',
+  'roundedRect',
+  'line',
+  'speechBubble',
+];
+
+export const FILL_TYPES = [
+  { id: 'solid', name: 'Solid' },
+  { id: 'linear', name: 'Linear' },
+  { id: 'radial', name: 'Radial' },
+  { id: 'none', name: 'None' },
+];
+
+export const DEFAULT_SHAPE_FILL = {
+  type: 'solid',
+  color: '#4f8cff',
+  colors: ['#4f8cff', '#a855f7'],
+  angle: 90,
+};
+
+export const DEFAULT_SHAPE_STROKE = { color: '#ffffff', width: 0 };
+
+export const DEFAULT_SHAPE_SHADOW = {
+  color: '#000000',
+  opacity: 0.5,
+  blur: 20,
+  offsetX: 0,
+  offsetY: 8,
+};
+
+export const DEFAULT_SHAPE_PROPERTIES = {
+  fill: DEFAULT_SHAPE_FILL,
+  stroke: DEFAULT_SHAPE_STROKE,
+  cornerRadius: 0,
+  shadow: null,
+  sides: 6,
+  points: 5,
+  innerRadius: 0.5,
+};
+
+export const getShapeTypeName = shapeType =>
+  shapeType === SVG_SHAPE_TYPE
+    ? 'SVG'
+    : SHAPE_TYPES.find(type => type.id === shapeType)?.name || 'Shape';
+
+export const createShapeProperties = shapeType => ({
+  ...DEFAULT_SHAPE_PROPERTIES,
+  shapeType,
+  cornerRadius:
+    SHAPE_TYPES.find(type => type.id === shapeType)?.cornerRadius || 0,
+});
+
+// SVG imports keep their own colours until a fill or stroke is picked
+export const createSvgShapeProperties = svg => ({
+  ...DEFAULT_SHAPE_PROPERTIES,
+  shapeType: SVG_SHAPE_TYPE,
+  svg,
+  fill: null,
+  stroke: null,
+});
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Clockwise corner from the current point to (x, y); square at radius 0
+const corner = (radius, x, y) =>
+  radius > 0 ? `A ${radius} ${radius} 0 0 1 ${x} ${y}` : `L ${x} ${y}`;
+
+// Rounded rectangle of `width` × `height`, optionally with a speech bubble
+// tail coming out of its bottom edge
+const roundedRectPath = (width, height, radius, tail) => {
+  const r = clamp(radius || 0, 0, Math.min(width, height) / 2);
+  return [
+    `M ${r} 0`,
+    `H ${width - r}`,
+    corner(r, width, r),
+    `V ${height - r}`,
+    corner(r, width - r, height),
+    tail
+      ? `H ${tail.right} L ${tail.tipX} ${tail.tipY} L ${tail.left} ${height}`
+      : '',
+    `H ${r}`,
+    corner(r, 0, height - r),
+    `V ${r}`,
+    corner(r, r, 0),
+    'Z',
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+const speechBubblePath = (width, height, radius) => {
+  const bodyHeight = height * 0.8;
+  const r = clamp(radius || 0, 0, Math.min(width, bodyHeight) / 2);
+  const left = clamp(width * 0.2, r, width - r);
+  const right = clamp(width * 0.38, left, width - r);
+  return roundedRectPath(width, bodyHeight, r, {
+    left,
+    right,
+    tipX: width * 0.14,
+    tipY: height,
+  });
+};
+
+const ellipsePath = (width, height) => {
+  const rx = width / 2;
+  const ry = height / 2;
+  return [
+    `M 0 ${ry}`,
+    `A ${rx} ${ry} 0 1 1 ${width} ${ry}`,
+    `A ${rx} ${ry} 0 1 1 0 ${ry}`,
+    'Z',
+  ].join(' ');
+};
+
+const pointsPath = points =>
+  `M ${points.map(point => `${point.x} ${point.y}`).join(' L ')} Z`;
+
+const arrowPoints = (width, height) => {
+  const shaft = height * 0.36;
+  const head = Math.min(width * 0.45, height * 1.1);
+  const shaftTop = (height - shaft) / 2;
+  const shaftBottom = (height + shaft) / 2;
+  return [
+    { x: 0, y: shaftTop },
+    { x: width - head, y: shaftTop },
+    { x: width - head, y: 0 },
+    { x: width, y: height / 2 },
+    { x: width - head, y: height },
+    { x: width - head, y: shaftBottom },
+    { x: 0, y: shaftBottom },
+  ];
+};
+
+// Points of a regular polygon, or of a star when `innerRadius` is set, on
+// the unit circle starting at the top
+const regularPoints = (count, innerRadius) => {
+  const total = innerRadius ? count * 2 : count;
+  return Array.from({ length: total }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / total;
+    const radius = innerRadius && i % 2 ? innerRadius : 1;
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+  });
+};
+
+// Stretches points over the whole box, so the path is exactly the
+// placement size and saving the fabric object's size changes nothing
+const fitPoints = (points, width, height) => {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  return points.map(point => ({
+    x: ((point.x - minX) / spanX) * width,
+    y: ((point.y - minY) / spanY) * height,
+  }));
+};
+
+// SVG path data of a geometric shape in a `width` × `height` box
+export const getShapePath = (properties, width, height) => {
+  const w = Math.max(1, width || 0);
+  const h = Math.max(1, height || 0);
+  const { shapeType, cornerRadius, sides, points, innerRadius } = {
+    ...DEFAULT_SHAPE_PROPERTIES,
+    ...properties,
+  };
+
+  switch (shapeType) {
+    case 'ellipse':
+      return ellipsePath(w, h);
+    case 'arrow':
+      return pointsPath(arrowPoints(w, h));
+    case 'polygon':
+      return pointsPath(fitPoints(regularPoints(clamp(sides, 3, 12)), w, h));
+    case 'star':
+      return pointsPath(
+        fitPoints(
+          regularPoints(clamp(points, 3, 12), clamp(innerRadius, 0.1, 0.9)),
+          w,
+          h
+        )
+      );
+    case 'speechBubble':
+      return speechBubblePath(w, h, cornerRadius);
+    default:
+      return roundedRectPath(w, h, cornerRadius);
+  }
+};
+
+const toRgba = (color, opacity) =>
+  new fabric.Color(color).setAlpha(opacity).toRgba();
+
+// Fabric fill for a shape fill: a colour or a gradient across the shape's
+// own box, `angle` in degrees clockwise from left to right
+export const getShapeFill = fill => {
+  if (!fill) return undefined;
+  if (fill.type === 'none') return null;
+  if (fill.type !== 'linear' && fill.type !== 'radial') return fill.color;
+
+  const [from, to] = fill.colors || DEFAULT_SHAPE_FILL.colors;
+  const colorStops = [
+    { offset: 0, color: from },
+    { offset: 1, color: to },
+  ];
+  if (fill.type === 'radial') {
+    return new fabric.Gradient({
+      type: 'radial',
+      gradientUnits: 'percentage',
+      coords: { x1: 0.5, y1: 0.5, r1: 0, x2: 0.5, y2: 0.5, r2: 0.5 },
+      colorStops,
+    });
+  }
+
+  const angle = ((fill.angle ?? DEFAULT_SHAPE_FILL.angle) * Math.PI) / 180;
+  const dx = Math.cos(angle) / 2;
+  const dy = Math.sin(angle) / 2;
+  return new fabric.Gradient({
+    type: 'linear',
+    gradientUnits: 'percentage',
+    coords: { x1: 0.5 - dx, y1: 0.5 - dy, x2: 0.5 + dx, y2: 0.5 + dy },
+    colorStops,
+  });
+};
+
+// CSS background showing a shape fill, e.g. on the shape's timeline clip
+export const getShapeSwatch = fill => {
+  switch (fill?.type) {
+    case 'solid':
+      return fill.color;
+    case 'linear':
+      return `linear-gradient(${(fill.angle ?? 0) + 90}deg, ${fill.colors.join(
+        ', '
+      )})`;
+    case 'radial':
+      return `radial-gradient(${fill.colors.join(', ')})`;
+    default:
+      return 'transparent';
+  }
+};
+
+export const getShapeShadow = shadow =>
+  shadow
+    ? new fabric.Shadow({
+        color: toRgba(shadow.color, shadow.opacity ?? 1),
+        blur: shadow.blur || 0,
+        offsetX: shadow.offsetX || 0,
+        offsetY: shadow.offsetY || 0,
+      })
+    : null;
+
+// Fabric object properties that paint a shape
+export const getShapeStyle = properties => {
+  const stroke = properties?.stroke;
+  return {
+    fill: getShapeFill(properties?.fill),
+    stroke: stroke?.width ? stroke.color : null,
+    strokeWidth: stroke?.width || 0,
+    strokeUniform: true,
+    strokeLineJoin: 'round',
+    shadow: getShapeShadow(properties?.shadow),
+  };
+};
+
+// Paints an imported SVG: the shadow goes on the whole graphic, a picked
+// fill or stroke on each of its parts
+export const applySvgShapeStyle = (fabricObject, properties) => {
+  const { fill, stroke, strokeWidth, shadow } = getShapeStyle(properties);
+  const parts = fabricObject.getObjects
+    ? fabricObject.getObjects()
+    : [fabricObject];
+
+  parts.forEach(part => {
+    // The SVG's own paint, to go back to when the fill or stroke is cleared
+    if (!part.svgStyle) {
+      part.svgStyle = {
+        fill: part.fill,
+        stroke: part.stroke,
+        strokeWidth: part.strokeWidth,
+      };
+    }
+    part.set({
+      fill: properties?.fill ? fill : part.svgStyle.fill,
+      stroke: properties?.stroke ? stroke : part.svgStyle.stroke,
+      strokeWidth: properties?.stroke ? strokeWidth : part.svgStyle.strokeWidth,
+      strokeUniform: true,
+    });
+  });
+  fabricObject.set({ shadow, dirty: true });
+};
+
+// Parses SVG markup into one fabric object; rejects markup fabric finds
+// nothing drawable in
+export const loadSvgShape = svg =>
+  new Promise((resolve, reject) => {
+    fabric.loadSVGFromString(svg, (objects, options) => {
+      const drawable = (objects || []).filter(Boolean);
+      if (!drawable.length) {
+        reject(new Error('The SVG has nothing to draw'));
+        return;
+      }
+      resolve(fabric.util.groupSVGElements(drawable, options));
+    });
+  });
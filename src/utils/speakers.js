@@ -0,0 +1,329 @@
+import { voices } from '../data/voices';
+
+/*
+ * Speakers are the voices heard in a story: the narrator plus every
+ * character with quoted dialogue ("Man says: “...”"). Each speaker keeps a
+ * subtitle colour, an on-screen position and a voice:
+ * { id, label, characterId, voiceId, voiceName, style, position }.
+ * Subtitle segments are matched to speakers by aligning their words with the
+ * story text, unless the transcript already names the speaker.
+ */
+
+export const NARRATOR_SPEAKER_ID = 'narrator';
+
+// Subtitle colours handed out to speaking characters in order. The narrator
+// keeps the project's subtitle style.
+export const SPEAKER_COLORS = [
+  '#fde047',
+  '#67e8f9',
+  '#f9a8d4',
+  '#86efac',
+  '#fdba74',
+  '#c4b5fd',
+];
+
+// Subtitle centre for each position, as a fraction of the canvas size
+export const SPEAKER_POSITIONS = {
+  center: { label: 'Center', x: 0.5, y: 0.5 },
+  bottom: { label: 'Bottom', x: 0.5, y: 0.8 },
+  top: { label: 'Top', x: 0.5, y: 0.2 },
+  left: { label: 'Bottom left', x: 0.3, y: 0.75 },
+  right: { label: 'Bottom right', x: 0.7, y: 0.75 },
+};
+
+// Positions handed out to speaking characters in order, so two characters
+// in a dialogue sit on opposite sides
+const CHARACTER_POSITIONS = ['left', 'right', 'top', 'bottom'];
+
+const DIALOGUE_VERBS = new Set([
+  'says',
+  'said',
+  'asks',
+  'asked',
+  'replies',
+  'replied',
+  'answers',
+  'answered',
+  'shouts',
+  'shouted',
+  'whispers',
+  'whispered',
+  'adds',
+  'added',
+  'calls',
+  'called',
+]);
+
+const PRONOUN_GENDERS = {
+  he: 'male',
+  him: 'male',
+  she: 'female',
+  her: 'female',
+};
+
+const NAME_STOPWORDS = new Set([
+  'a',
+  'an',
+  'the',
+  'of',
+  'on',
+  'in',
+  'with',
+  'and',
+  'at',
+]);
+
+// Words the alignment looks ahead when a transcript word is missing from the
+// story text
+const ALIGNMENT_WINDOW = 8;
+
+const OPEN_QUOTES = new Set(['“', '«', '„']);
+const CLOSE_QUOTES = new Set(['”', '»']);
+
+export const normalizeSpeakerWord = word =>
+  String(word || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}']/gu, '');
+
+export const getCharacterId = character =>
+  String(character?._id?.$oid || character?._id || character?.name || '');
+
+export const getCharacterSpeakerId = character =>
+  `character-${getCharacterId(character)}`;
+
+const getCharacterKeywords = character => {
+  const words = [
+    character.species,
+    ...String(character.name || '').split(/\s+/),
+  ]
+    .map(normalizeSpeakerWord)
+    .filter(word => word && !NAME_STOPWORDS.has(word));
+  return new Set(words);
+};
+
+/**
+ * Split story text into words, as `{ word, text, speakerId }` with `word`
+ * normalized for matching, tagged with the character saying it or the
+ * narrator. Quoted text belongs to the character
+ * named before the dialogue verb ("The woman says:") or, for "he"/"she", to
+ * the last character of that gender the narration mentioned.
+ */
+export const attributeStoryText = (text, characters = []) => {
+  const keywords = characters.map(character => ({
+    character,
+    words: getCharacterKeywords(character),
+  }));
+  const findCharacter = word =>
+    keywords.find(entry => entry.words.has(word))?.character || null;
+
+  const lastMentioned = {};
+  const resolveSpeaker = clause => {
+    let verbIndex = clause.length - 1;
+    while (verbIndex >= 0 && !DIALOGUE_VERBS.has(clause[verbIndex])) {
+      verbIndex--;
+    }
+
+    for (let i = verbIndex - 1; i >= 0; i--) {
+      const character = findCharacter(clause[i]);
+      if (character) return getCharacterSpeakerId(character);
+
+      const gender = PRONOUN_GENDERS[clause[i]];
+      if (gender && lastMentioned[gender]) {
+        return getCharacterSpeakerId(lastMentioned[gender]);
+      }
+    }
+    return NARRATOR_SPEAKER_ID;
+  };
+
+  const words = [];
+  let clause = [];
+  let quoteSpeaker = null;
+
+  (String(text || '').match(/[“”"«»„]|[^\s“”"«»„]+/g) || []).forEach(token => {
+    const isOpening =
+      OPEN_QUOTES.has(token) || (token === '"' && !quoteSpeaker);
+    const isClosing =
+      CLOSE_QUOTES.has(token) || (token === '"' && quoteSpeaker);
+
+    if (isOpening && !quoteSpeaker) {
+      quoteSpeaker = resolveSpeaker(clause);
+      return;
+    }
+    if (isClosing) {
+      quoteSpeaker = null;
+      clause = [];
+      return;
+    }
+
+    const word = normalizeSpeakerWord(token);
+    if (!word) return;
+    words.push({
+      word,
+      text: token,
+      speakerId: quoteSpeaker || NARRATOR_SPEAKER_ID,
+    });
+
+    if (!quoteSpeaker) {
+      const character = findCharacter(word);
+      const gender = String(character?.gender || '').toLowerCase();
+      if (gender) lastMentioned[gender] = character;
+      clause = /[.!?]$/.test(token) ? [] : [...clause, word];
+    }
+  });
+
+  return words;
+};
+
+/**
+ * Give every subtitle segment a `speaker`. Segments that already name one
+ * keep it; the others take the speaker of most of their words, found by
+ * aligning them with the attributed story text. Ties go to the character,
+ * since attributions like "Man says I like" end where the dialogue begins.
+ */
+export const assignSegmentSpeakers = (segments, attributedWords = []) => {
+  let cursor = 0;
+
+  const speakerOfWord = word => {
+    const normalized = normalizeSpeakerWord(word);
+    const limit = Math.min(attributedWords.length, cursor + ALIGNMENT_WINDOW);
+    for (let i = cursor; i < limit; i++) {
+      if (attributedWords[i].word === normalized) {
+        cursor = i + 1;
+        return attributedWords[i].speakerId;
+      }
+    }
+    return attributedWords[cursor]?.speakerId || NARRATOR_SPEAKER_ID;
+  };
+
+  return segments.map(segment => {
+    const words = segment.words?.length
+      ? segment.words.map(word => word.word)
+      : String(segment.text || '').split(/\s+/);
+    const counts = words.filter(Boolean).reduce((acc, word) => {
+      const speakerId = speakerOfWord(word);
+      acc[speakerId] = (acc[speakerId] || 0) + 1;
+      return acc;
+    }, {});
+
+    if (segment.speaker) return segment;
+
+    const [speaker = NARRATOR_SPEAKER_ID] = Object.entries(counts)
+      .sort(
+        ([idA, countA], [idB, countB]) =>
+          countB - countA ||
+          (idA === NARRATOR_SPEAKER_ID) - (idB === NARRATOR_SPEAKER_ID)
+      )
+      .map(([id]) => id);
+    return { ...segment, speaker };
+  });
+};
+
+const getAgeGroup = age => {
+  const years = parseInt(age, 10);
+  if (Number.isNaN(years)) return null;
+  if (years < 35) return 'young';
+  if (years < 60) return 'middle_aged';
+  return 'old';
+};
+
+const normalizeVoiceAge = age => String(age || '').replace(' ', '_');
+
+/**
+ * A voice from the voice library for `character`: same gender, preferably
+ * the same age group, and not one of `usedVoiceIds`.
+ */
+export const pickCharacterVoice = (character, usedVoiceIds = []) => {
+  const gender = String(character?.gender || '').toLowerCase();
+  const ageGroup = getAgeGroup(character?.age);
+  const candidates = voices.filter(
+    voice =>
+      !usedVoiceIds.includes(voice.voice_id) &&
+      (!gender || voice.labels?.gender === gender)
+  );
+
+  return (
+    candidates.find(
+      voice => normalizeVoiceAge(voice.labels?.age) === ageGroup
+    ) ||
+    candidates[0] ||
+    null
+  );
+};
+
+/**
+ * Speaker profiles for `speakerIds`, keeping the choices already made in
+ * `existing`. The narrator always has a profile, voiced by the story
+ * narrator. Ids that are not characters (labels from a transcript) get a
+ * profile without a character.
+ */
+export const buildSpeakerProfiles = ({
+  speakerIds = [],
+  characters = [],
+  narrator = null,
+  existing = [],
+}) => {
+  const profiles = [...existing];
+  const has = id => profiles.some(profile => profile.id === id);
+
+  if (!has(NARRATOR_SPEAKER_ID)) {
+    profiles.unshift({
+      id: NARRATOR_SPEAKER_ID,
+      label: 'Narrator',
+      characterId: null,
+      voiceId: narrator?.voiceId || null,
+      voiceName: narrator?.name || '',
+      style: null,
+      position: null,
+    });
+  }
+
+  speakerIds.forEach(id => {
+    if (!id || has(id)) return;
+
+    const characterIndex = profiles.filter(
+      profile => profile.id !== NARRATOR_SPEAKER_ID
+    ).length;
+    const character = characters.find(
+      item => getCharacterSpeakerId(item) === id
+    );
+    const voice = pickCharacterVoice(
+      character,
+      profiles.map(profile => profile.voiceId).filter(Boolean)
+    );
+
+    profiles.push({
+      id,
+      label: character?.name || id,
+      characterId: character ? getCharacterId(character) : null,
+      voiceId: voice?.voice_id || null,
+      voiceName: voice?.name || '',
+      style: { color: SPEAKER_COLORS[characterIndex % SPEAKER_COLORS.length] },
+      position:
+        CHARACTER_POSITIONS[characterIndex % CHARACTER_POSITIONS.length],
+    });
+  });
+
+  return profiles;
+};
+
+// Subtitle centre of a speaker on a canvas, or null to keep the default
+export const getSpeakerPlacement = (speaker, canvas) => {
+  const position = SPEAKER_POSITIONS[speaker?.position];
+  if (!position || !canvas) return null;
+  return { x: canvas.width * position.x, y: canvas.height * position.y };
+};
+
+/**
+ * Runs of consecutive story words said by the same speaker, as
+ * `{ speakerId, text }`, for generating one voice clip per line.
+ */
+export const getSpeakerLines = attributedWords =>
+  attributedWords.reduce((lines, { text, speakerId }) => {
+    const last = lines[lines.length - 1];
+    if (last?.speakerId === speakerId) {
+      last.text = `${last.text} ${text}`;
+    } else {
+      lines.push({ speakerId, text });
+    }
+    return lines;
+  }, []);
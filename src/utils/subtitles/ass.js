@@ -0,0 +1,255 @@
+import { formatTimestamp, parseTimestamp } from './timecode';
+import { distributeWordTimings, normalizeCues } from './cues';
+
+const ASS_TIME_OPTIONS = { separator: '.', hourDigits: 1, fractionDigits: 2 };
+const DEFAULT_EVENT_FORMAT = [
+  'Layer',
+  'Start',
+  'End',
+  'Style',
+  'Name',
+  'MarginL',
+  'MarginR',
+  'MarginV',
+  'Effect',
+  'Text',
+];
+const STYLE_FORMAT = [
+  'Name',
+  'Fontname',
+  'Fontsize',
+  'PrimaryColour',
+  'SecondaryColour',
+  'OutlineColour',
+  'BackColour',
+  'Bold',
+  'Italic',
+  'Underline',
+  'StrikeOut',
+  'ScaleX',
+  'ScaleY',
+  'Spacing',
+  'Angle',
+  'BorderStyle',
+  'Outline',
+  'Shadow',
+  'Alignment',
+  'MarginL',
+  'MarginR',
+  'MarginV',
+  'Encoding',
+];
+// Numpad-style \an alignment; text is always centered horizontally on canvas
+const ALIGNMENT_BY_VERTICAL_ALIGN = { top: 8, center: 5, bottom: 2 };
+const KARAOKE_TAG_REGEX = /\\[kK][fo]?(\d+)/;
+
+// "#RRGGBB[AA]" -> "&HAABBGGRR" (ASS alpha is inverted: 00 is opaque)
+const toAssColor = (color, opacity = 1) => {
+  const hex = String(color || '#ffffff').replace('#', '');
+  const [r, g, b] = [0, 2, 4].map(i => hex.slice(i, i + 2) || 'ff');
+  const hexAlpha = hex.length >= 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  const alpha = Math.round((1 - hexAlpha * opacity) * 255)
+    .toString(16)
+    .padStart(2, '0');
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+};
+
+// Override blocks cannot be escaped in ASS, so braces are dropped
+const escapeText = text =>
+  String(text).replace(/[{}]/g, '').replace(/\r?\n/g, '\\N');
+
+// Split "{\k50}Hel{\k30}lo {\k40}world" into timed words. Karaoke syllables
+// that do not follow whitespace are glued onto the previous word.
+const parseKaraokeWords = (text, cueStart, cueEnd) => {
+  const parts = text.split(/(\{[^}]*\})/);
+  if (!parts.some(part => KARAOKE_TAG_REGEX.test(part))) return [];
+
+  // Pair every syllable with the karaoke duration that precedes it
+  const syllables = [];
+  let syllableStart = cueStart;
+  let nextSyllableStart = cueStart;
+  parts.forEach(part => {
+    if (part.startsWith('{')) {
+      const match = KARAOKE_TAG_REGEX.exec(part);
+      if (match) {
+        syllableStart = nextSyllableStart;
+        nextSyllableStart = syllableStart + Number(match[1]) * 10;
+      }
+      return;
+    }
+    const plain = part.replace(/\\[Nn]/g, ' ').replace(/\\h/g, ' ');
+    if (plain) {
+      syllables.push({
+        text: plain,
+        start: syllableStart,
+        end: nextSyllableStart,
+      });
+    }
+  });
+
+  const words = [];
+  let endsWithSpace = true;
+  syllables.forEach(syllable => {
+    const timed = distributeWordTimings(
+      syllable.text,
+      syllable.start,
+      Math.max(syllable.start, syllable.end)
+    );
+    timed.forEach((word, index) => {
+      const isContinuation =
+        index === 0 && !endsWithSpace && !/^\s/.test(syllable.text);
+      if (isContinuation && words.length) {
+        words[words.length - 1].word += word.word;
+        return;
+      }
+      words.push(word);
+    });
+    endsWithSpace = /\s$/.test(syllable.text);
+  });
+
+  words.forEach((word, index) => {
+    word.end = words[index + 1] ? words[index + 1].start : cueEnd;
+  });
+  return words;
+};
+
+const plainText = text =>
+  text
+    .replace(/\{[^}]*\}/g, '')
+    .replace(/\\[Nn]/g, ' ')
+    .replace(/\\h/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const parseAss = content => {
+  const lines = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+
+  let section = '';
+  let format = DEFAULT_EVENT_FORMAT;
+  const cues = [];
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (/^\[.*\]$/.test(line)) {
+      section = line.toLowerCase();
+      return;
+    }
+    if (section !== '[events]') return;
+
+    if (line.startsWith('Format:')) {
+      format = line
+        .slice('Format:'.length)
+        .split(',')
+        .map(field => field.trim());
+      return;
+    }
+    if (!line.startsWith('Dialogue:')) return;
+
+    // Text is the last field and may itself contain commas
+    const values = line.slice('Dialogue:'.length).split(',');
+    const fields = values.slice(0, format.length - 1);
+    fields.push(values.slice(format.length - 1).join(','));
+    const event = {};
+    format.forEach((name, index) => {
+      event[name] = (fields[index] || '').trim();
+    });
+
+    const start = parseTimestamp(event.Start);
+    const end = parseTimestamp(event.End);
+    if (start === null || end === null) return;
+
+    cues.push({
+      start,
+      end,
+      text: plainText(event.Text || ''),
+      words: parseKaraokeWords(event.Text || '', start, end),
+    });
+  });
+
+  return normalizeCues(cues);
+};
+
+// Build the Default style from the editor's subtitle style preset
+const serializeStyle = (style = {}) => {
+  const hasBackground = Number(style.backgroundOpacity) > 0;
+  const values = {
+    Name: 'Default',
+    Fontname: style.font || 'Arial',
+    Fontsize: Math.round(style.fontSize || 72),
+    PrimaryColour: toAssColor(style.highlightColor || style.color),
+    SecondaryColour: toAssColor(style.color),
+    OutlineColour: toAssColor(style.strokeColor || '#000000'),
+    BackColour: toAssColor(
+      style.backgroundColor || '#000000',
+      hasBackground ? Number(style.backgroundOpacity) : 1
+    ),
+    Bold: Number(style.fontWeight) >= 600 ? -1 : 0,
+    Italic: style.fontStyle === 'italic' ? -1 : 0,
+    Underline: 0,
+    StrikeOut: 0,
+    ScaleX: 100,
+    ScaleY: 100,
+    Spacing: 0,
+    Angle: 0,
+    // 3 = opaque box behind the text, 1 = outline only
+    BorderStyle: hasBackground ? 3 : 1,
+    Outline: (style.stroke ?? 12) / 2,
+    Shadow: style.shadow?.blur ? 1 : 0,
+    Alignment: ALIGNMENT_BY_VERTICAL_ALIGN[style.verticalAlign] || 5,
+    MarginL: 40,
+    MarginR: 40,
+    MarginV: 40,
+    Encoding: 1,
+  };
+  return `Style: ${STYLE_FORMAT.map(name => values[name]).join(',')}`;
+};
+
+// Karaoke tags carry the word timing; durations are rounded on the absolute
+// boundaries so long cues do not drift
+const serializeCueText = cue => {
+  const position = cue.position
+    ? `{\\pos(${Math.round(cue.position.x)},${Math.round(cue.position.y)})}`
+    : '';
+  if (!cue.words?.length) return position + escapeText(cue.text);
+
+  const toCentiseconds = ms => Math.round((ms - cue.start) / 10);
+  const leadIn = toCentiseconds(cue.words[0].start);
+  const parts = cue.words.map((word, index) => {
+    const next = cue.words[index + 1];
+    const duration =
+      toCentiseconds(next ? next.start : cue.end) - toCentiseconds(word.start);
+    return `{\\k${Math.max(0, duration)}}${escapeText(word.word)}`;
+  });
+
+  return position + (leadIn > 0 ? `{\\k${leadIn}}` : '') + parts.join(' ');
+};
+
+export const serializeAss = (
+  cues,
+  { width = 1920, height = 1080, style } = {}
+) =>
+  [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${Math.round(width)}`,
+    `PlayResY: ${Math.round(height)}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    `Format: ${STYLE_FORMAT.join(', ')}`,
+    serializeStyle(style),
+    '',
+    '[Events]',
+    `Format: ${DEFAULT_EVENT_FORMAT.join(', ')}`,
+    ...cues.map(
+      cue =>
+        `Dialogue: 0,${formatTimestamp(cue.start, ASS_TIME_OPTIONS)},` +
+        `${formatTimestamp(cue.end, ASS_TIME_OPTIONS)},Default,,0,0,0,,` +
+        serializeCueText(cue)
+    ),
+    '',
+  ].join('\n');
@@ -0,0 +1,91 @@
+/*
+ * Cues are the format-neutral shape every parser returns and every
+ * serializer accepts: { start, end, text, words: [{ word, start, end }] }
+ * with all times in milliseconds. Cues built from editor elements may also
+ * carry the element's canvas `position` for formats that support placement.
+ */
+
+export const splitWords = text =>
+  String(text || '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+// Spread a cue's duration over its words proportionally to their length,
+// the same way the editor retimes words after a manual text edit
+export const distributeWordTimings = (text, start, end) => {
+  const words = splitWords(text);
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0) || 1;
+  const duration = Math.max(0, end - start);
+
+  let offset = 0;
+  return words.map(word => {
+    const wordStart = start + (duration * offset) / totalChars;
+    offset += word.length;
+    return {
+      word,
+      start: Math.round(wordStart),
+      end: Math.round(start + (duration * offset) / totalChars),
+    };
+  });
+};
+
+// Drop empty or inverted cues and keep them in timeline order
+export const normalizeCues = cues =>
+  cues
+    .filter(cue => cue.text.trim() && cue.end > cue.start)
+    .sort((a, b) => a.start - b.start);
+
+// Convert parsed cues into the segment shape store.addSubtitles() expects
+// (times in seconds, words always present)
+export const cuesToSegments = cues =>
+  cues.map(cue => {
+    const words = cue.words?.length
+      ? cue.words
+      : distributeWordTimings(cue.text, cue.start, cue.end);
+
+    return {
+      text: cue.text,
+      start: cue.start / 1000,
+      end: cue.end / 1000,
+      words: words.map(word => ({
+        word: word.word,
+        start: word.start / 1000,
+        end: word.end / 1000,
+      })),
+    };
+  });
+
+// Word timing of a subtitle element, clamped to the element's time frame.
+// Element words only reliably store their start, so each word runs until the
+// next one begins.
+const getElementWords = element => {
+  const { start, end } = element.timeFrame;
+  const words = (element.properties.words || []).filter(
+    word => word && typeof word.start === 'number' && word.word
+  );
+
+  return words.map((word, index) => {
+    const wordStart = Math.min(Math.max(word.start, start), end);
+    const next = words[index + 1];
+    const wordEnd = next ? Math.min(Math.max(next.start, wordStart), end) : end;
+    return { word: word.word, start: wordStart, end: wordEnd };
+  });
+};
+
+// Build cues from the subtitle elements on the timeline
+export const elementsToCues = editorElements =>
+  normalizeCues(
+    editorElements
+      .filter(
+        element => element.type === 'text' && element.subType === 'subtitles'
+      )
+      .map(element => ({
+        start: element.timeFrame.start,
+        end: element.timeFrame.end,
+        text: String(element.properties.text || '').trim(),
+        words: getElementWords(element),
+        position: element.placement
+          ? { x: element.placement.x, y: element.placement.y }
+          : null,
+      }))
+  );
@@ -0,0 +1,26 @@
+/**
+ * Subtitles - SRT, WebVTT and ASS files and low-confidence word review
+ */
+
+export {
+  SUBTITLE_FORMATS,
+  SUBTITLE_FILE_ACCEPT,
+  detectSubtitleFormat,
+  parseSubtitles,
+  serializeSubtitles,
+} from './subtitleFormats';
+export { cuesToSegments, elementsToCues, distributeWordTimings } from './cues';
+export { parseTimestamp, formatTimestamp } from './timecode';
+export { parseSrt, serializeSrt } from './srt';
+export { parseVtt, serializeVtt } from './vtt';
+export { parseAss, serializeAss } from './ass';
+export {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  MIN_WORD_DURATION_MS,
+  getWordSpan,
+  isLowConfidenceWord,
+  getLowConfidenceWords,
+  clampWordSpan,
+  findStoryWord,
+  joinSubtitleWords,
+} from './wordConfidence';
@@ -0,0 +1,49 @@
+import { formatTimestamp, parseTimestamp } from './timecode';
+import { normalizeCues } from './cues';
+
+const TIMING_REGEX = /^\s*(\S+)\s*-->\s*(\S+)/;
+
+// Strip HTML-ish formatting (<i>, <font ...>) and ASS-style position tags
+const stripFormatting = line =>
+  line.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '');
+
+export const parseSrt = content => {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING_REGEX.test(line));
+    if (timingIndex === -1) return;
+
+    const [, startValue, endValue] = TIMING_REGEX.exec(lines[timingIndex]);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    if (start === null || end === null) return;
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .map(stripFormatting)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join(' ');
+
+    cues.push({ start, end, text, words: [] });
+  });
+
+  return normalizeCues(cues);
+};
+
+// SRT has no notion of word timing, so only the cue text is written
+export const serializeSrt = cues =>
+  cues
+    .map(
+      (cue, index) =>
+        `${index + 1}\n` +
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n` +
+        `${cue.text}\n`
+    )
+    .join('\n');
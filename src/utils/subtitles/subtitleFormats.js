@@ -0,0 +1,58 @@
+import { parseSrt, serializeSrt } from './srt';
+import { parseVtt, serializeVtt } from './vtt';
+import { parseAss, serializeAss } from './ass';
+
+export const SUBTITLE_FORMATS = {
+  srt: {
+    label: 'SubRip',
+    extension: 'srt',
+    mimeType: 'application/x-subrip',
+    parse: parseSrt,
+    serialize: serializeSrt,
+  },
+  vtt: {
+    label: 'WebVTT',
+    extension: 'vtt',
+    mimeType: 'text/vtt',
+    parse: parseVtt,
+    serialize: serializeVtt,
+  },
+  ass: {
+    label: 'Advanced SubStation Alpha',
+    extension: 'ass',
+    mimeType: 'text/x-ssa',
+    parse: parseAss,
+    serialize: serializeAss,
+  },
+};
+
+export const SUBTITLE_FILE_ACCEPT = '.srt,.vtt,.ass,.ssa';
+
+// Guess the format from the file extension first, then from the content
+export const detectSubtitleFormat = (fileName = '', content = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'ssa') return 'ass';
+  if (SUBTITLE_FORMATS[extension]) return extension;
+
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (/^\[Script Info\]/i.test(head)) return 'ass';
+  if (/-->/.test(head)) return 'srt';
+  return null;
+};
+
+export const parseSubtitles = (content, format) => {
+  const handler = SUBTITLE_FORMATS[format];
+  if (!handler) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+  return handler.parse(content);
+};
+
+export const serializeSubtitles = (cues, format, options) => {
+  const handler = SUBTITLE_FORMATS[format];
+  if (!handler) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+  return handler.serialize(cues, options);
+};
@@ -0,0 +1,41 @@
+// Matches "h:mm:ss,ttt", "hh:mm:ss.ttt", "mm:ss.ttt" (WebVTT) and
+// "h:mm:ss.cc" (ASS centiseconds)
+const TIMESTAMP_REGEX = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d+))?$/;
+
+// Parse a subtitle timestamp into milliseconds, or null if it is malformed
+export const parseTimestamp = value => {
+  const match = TIMESTAMP_REGEX.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return (
+    Number(hours) * 3600000 +
+    Number(minutes) * 60000 +
+    Number(seconds) * 1000 +
+    Math.round(Number(`0.${fraction}`) * 1000)
+  );
+};
+
+/**
+ * Format milliseconds as a subtitle timestamp.
+ * SRT uses "00:00:01,000", WebVTT "00:00:01.000" and ASS "0:00:01.00".
+ */
+export const formatTimestamp = (
+  ms,
+  { separator = ',', hourDigits = 2, fractionDigits = 3 } = {}
+) => {
+  const fractionUnit = 10 ** (3 - fractionDigits);
+  const total = Math.round(Math.max(0, ms) / fractionUnit) * fractionUnit;
+
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const fraction = (total % 1000) / fractionUnit;
+
+  return (
+    `${String(hours).padStart(hourDigits, '0')}:` +
+    `${String(minutes).padStart(2, '0')}:` +
+    `${String(seconds).padStart(2, '0')}` +
+    `${separator}${String(fraction).padStart(fractionDigits, '0')}`
+  );
+};
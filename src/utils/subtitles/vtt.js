@@ -0,0 +1,117 @@
+import { formatTimestamp, parseTimestamp } from './timecode';
+import { distributeWordTimings, normalizeCues } from './cues';
+
+const TIMING_REGEX = /^\s*(\S+)\s*-->\s*(\S+)/;
+const INLINE_TIMESTAMP_REGEX = /<((?:\d+:)?\d{1,2}:\d{1,2}\.\d+)>/g;
+const VTT_TIME_OPTIONS = { separator: '.' };
+
+// Remove cue tags (<c>, <v Speaker>, <b>...) but keep inline timestamps
+const stripCueTags = text =>
+  text.replace(/<(?!(?:\d+:)?\d{1,2}:\d{1,2}\.\d+>)[^>]*>/g, '');
+
+const unescapeEntities = text =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+const escapeEntities = text =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Split "Hello <00:00:01.500>big <00:00:02.000>world" into timed words.
+// Text before the first inline timestamp starts with the cue itself; words
+// sharing one timestamp are spread over the time until the next one.
+const parseInlineWords = (payload, cueStart, cueEnd) => {
+  const chunks = [];
+  let chunkStart = cueStart;
+  let lastIndex = 0;
+  let match;
+
+  INLINE_TIMESTAMP_REGEX.lastIndex = 0;
+  while ((match = INLINE_TIMESTAMP_REGEX.exec(payload))) {
+    chunks.push({
+      text: payload.slice(lastIndex, match.index),
+      start: chunkStart,
+    });
+    chunkStart = parseTimestamp(match[1]) ?? chunkStart;
+    lastIndex = match.index + match[0].length;
+  }
+  chunks.push({ text: payload.slice(lastIndex), start: chunkStart });
+
+  // Without inline timestamps there is no real word timing
+  if (chunks.length === 1) return [];
+
+  return chunks.flatMap((chunk, index) =>
+    distributeWordTimings(
+      unescapeEntities(chunk.text),
+      chunk.start,
+      chunks[index + 1] ? chunks[index + 1].start : cueEnd
+    )
+  );
+};
+
+export const parseVtt = content => {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    // Skips the WEBVTT header, NOTE, STYLE and REGION blocks
+    const timingIndex = lines.findIndex(line => TIMING_REGEX.test(line));
+    if (timingIndex === -1) return;
+
+    const [, startValue, endValue] = TIMING_REGEX.exec(lines[timingIndex]);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    if (start === null || end === null) return;
+
+    const payload = stripCueTags(
+      lines
+        .slice(timingIndex + 1)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ')
+    );
+    const text = unescapeEntities(payload.replace(INLINE_TIMESTAMP_REGEX, ''))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    cues.push({
+      start,
+      end,
+      text,
+      words: parseInlineWords(payload, start, end),
+    });
+  });
+
+  return normalizeCues(cues);
+};
+
+// Word timing is written as inline cue timestamps, which players use for
+// karaoke-style highlighting
+const serializeCuePayload = cue => {
+  if (!cue.words?.length) return escapeEntities(cue.text);
+
+  return cue.words
+    .map((word, index) => {
+      const text = escapeEntities(word.word);
+      if (index === 0 || word.start <= cue.start) return text;
+      return `<${formatTimestamp(word.start, VTT_TIME_OPTIONS)}>${text}`;
+    })
+    .join(' ');
+};
+
+export const serializeVtt = cues =>
+  [
+    'WEBVTT\n',
+    ...cues.map(
+      cue =>
+        `${formatTimestamp(cue.start, VTT_TIME_OPTIONS)} --> ` +
+        `${formatTimestamp(cue.end, VTT_TIME_OPTIONS)}\n` +
+        `${serializeCuePayload(cue)}\n`
+    ),
+  ].join('\n');
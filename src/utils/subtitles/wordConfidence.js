@@ -0,0 +1,128 @@
+/*
+ * Transcribed subtitle words carry the recognizer's confidence as `score`
+ * (0-1). Words scoring under the review threshold are listed for
+ * proofreading until they are corrected or accepted, which marks them
+ * `reviewed`; reviewed words are listed again on request. Words without a
+ * score (typed or imported) are never listed.
+ */
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+
+// Shortest span a word can be trimmed to, in ms
+export const MIN_WORD_DURATION_MS = 40;
+
+const isSubtitleElement = element =>
+  element?.type === 'text' && element.subType === 'subtitles';
+
+/**
+ * Span of the word at `index` in a subtitle element, in ms. Words keep the
+ * transcribed end as `wordEnd`; older words only know their start and run
+ * until the next word begins.
+ */
+export const getWordSpan = (element, index) => {
+  const words = element.properties?.words || [];
+  const word = words[index];
+  const { start: elementStart, end: elementEnd } = element.timeFrame;
+  const limit = words[index + 1]?.start ?? elementEnd;
+
+  const start = Math.min(Math.max(word.start, elementStart), elementEnd);
+  const end =
+    typeof word.wordEnd === 'number' && word.wordEnd > start
+      ? Math.min(word.wordEnd, Math.max(limit, start))
+      : Math.max(limit, start);
+  return { start, end };
+};
+
+export const isLowConfidenceWord = (word, threshold) =>
+  typeof word?.score === 'number' && !word.reviewed && word.score < threshold;
+
+/**
+ * Unreviewed words under `threshold` across all subtitle elements, in
+ * timeline order, as
+ * `{ key, elementId, index, word, score, reviewed, start, end }`. With
+ * `includeReviewed` the words already reviewed are listed too.
+ */
+export const getLowConfidenceWords = (
+  editorElements,
+  threshold,
+  { includeReviewed = false } = {}
+) =>
+  editorElements
+    .filter(isSubtitleElement)
+    .flatMap(element =>
+      (element.properties.words || []).map((word, index) =>
+        isLowConfidenceWord(
+          includeReviewed ? { ...word, reviewed: false } : word,
+          threshold
+        )
+          ? {
+              key: `${element.id}:${index}`,
+              elementId: element.id,
+              index,
+              word: word.word,
+              score: word.score,
+              reviewed: !!word.reviewed,
+              ...getWordSpan(element, index),
+            }
+          : null
+      )
+    )
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Clamp new boundaries for the word at `index` so it stays inside the
+ * element and does not overlap its neighbours.
+ */
+export const clampWordSpan = (element, index, { start, end }) => {
+  const words = element.properties.words;
+  const minStart = index > 0 ? words[index - 1].start : element.timeFrame.start;
+  const maxEnd = words[index + 1]?.start ?? element.timeFrame.end;
+
+  const nextStart = Math.round(
+    Math.min(Math.max(start, minStart), maxEnd - MIN_WORD_DURATION_MS)
+  );
+  const nextEnd = Math.round(
+    Math.min(Math.max(end, nextStart + MIN_WORD_DURATION_MS), maxEnd)
+  );
+  return { start: nextStart, end: nextEnd };
+};
+
+// Transcribed words closer than this in time are the same word
+const STORY_WORD_EPSILON_MS = 5;
+
+/**
+ * Where the subtitle word starting at `startMs` on the timeline is in the
+ * story's transcript, `story.subtitles[].segments[].words[]`. Each entry
+ * of `storySubtitles` is a voiceover, played one after another, with word
+ * times in seconds into it. Returns
+ * `{ subtitleIndex, segmentIndex, wordIndex, offset }` with `offset` the
+ * ms its voiceover starts at, or null when no transcribed word starts
+ * there (as once the subtitle has been moved).
+ */
+export const findStoryWord = (storySubtitles, startMs) => {
+  let offset = 0;
+  for (const [subtitleIndex, subtitle] of (storySubtitles || []).entries()) {
+    const segments = subtitle.segments || [];
+    for (const [segmentIndex, segment] of segments.entries()) {
+      const wordIndex = (segment.words || []).findIndex(
+        word =>
+          Math.abs(word.start * 1000 + offset - startMs) < STORY_WORD_EPSILON_MS
+      );
+      if (wordIndex !== -1) {
+        return { subtitleIndex, segmentIndex, wordIndex, offset };
+      }
+    }
+    offset += subtitle.duration || 0;
+  }
+  return null;
+};
+
+// Subtitle text rebuilt from its words, the same way transcripts are joined
+export const joinSubtitleWords = words =>
+  words
+    .map(word => word.word)
+    .join(' ')
+    .replace(/ ([.,!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
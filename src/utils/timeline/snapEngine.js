@@ -0,0 +1,185 @@
+import TimelineManager from './TimelineManager';
+import { getElementBeatTimes } from '../audioBeats';
+
+/**
+ * Magnetic snapping for timeline drags and trims.
+ *
+ * Snap points are collected from every row (clip edges and subtitle
+ * boundaries), the playhead, the ruler markers and the beats of music clips.
+ * The tolerance is given in screen pixels, so it stays the same on screen at
+ * every zoom level. Holding Alt suspends snapping.
+ */
+
+export const SNAP_TOLERANCE_PX = 8;
+
+// Edges closer than this to a snap point count as snapped
+const SNAPPED_EPSILON_MS = 1;
+
+export const SNAP_POINT_LABELS = {
+  clip: 'clip edge',
+  subtitle: 'subtitle',
+  playhead: 'playhead',
+  marker: 'marker',
+  beat: 'beat',
+};
+
+// Alt state comes from keyboard, mouse and HTML5 drag events, since the
+// browser does not fire key events while a native drag is in progress
+let isModifierHeld = false;
+let isTrackingModifier = false;
+
+const trackModifier = () => {
+  if (isTrackingModifier || typeof window === 'undefined') return;
+  isTrackingModifier = true;
+
+  const update = event => {
+    isModifierHeld = Boolean(event.altKey);
+  };
+  window.addEventListener('keydown', update, true);
+  window.addEventListener('keyup', update, true);
+  window.addEventListener('mousemove', update, true);
+  window.addEventListener('dragover', update, true);
+  window.addEventListener('blur', () => {
+    isModifierHeld = false;
+  });
+};
+
+export const isSnapSuspended = () => {
+  trackModifier();
+  return isModifierHeld;
+};
+
+/**
+ * Milliseconds per screen pixel on the timeline. Rows are laid out at the
+ * timeline width times the TimelineManager zoom.
+ */
+export const getTimelineMsPerPx = maxTime => {
+  const timeline =
+    typeof document !== 'undefined' &&
+    document.querySelector('[data-timeline]');
+  const zoom = TimelineManager.getInstance().viewData.zoomVal || 1;
+  const width = (timeline?.clientWidth || window.innerWidth) * zoom;
+  return width > 0 ? maxTime / width : 0;
+};
+
+export const getSnapToleranceMs = (maxTime, msPerPx) =>
+  SNAP_TOLERANCE_PX * (msPerPx || getTimelineMsPerPx(maxTime));
+
+/**
+ * Every time a dragged edge can snap to, as `{ time, type }`. Elements in
+ * `excludeIds` (the ones being dragged) are left out.
+ */
+export const collectSnapPoints = (store, { excludeIds = [] } = {}) => {
+  const excluded = new Set(excludeIds);
+  const points = [];
+
+  store.editorElements.forEach(element => {
+    if (excluded.has(element.id) || !element.timeFrame) return;
+
+    const type = element.subType === 'subtitles' ? 'subtitle' : 'clip';
+    points.push(
+      { time: element.timeFrame.start, type },
+      { time: element.timeFrame.end, type }
+    );
+
+    if (element.type === 'audio') {
+      getElementBeatTimes(element).forEach(time =>
+        points.push({ time, type: 'beat' })
+      );
+    }
+  });
+
+  points.push({ time: store.currentTimeInMs, type: 'playhead' });
+  (store.markers || []).forEach(marker =>
+    points.push({ time: marker.time, type: 'marker' })
+  );
+
+  return points;
+};
+
+/**
+ * The smallest shift that puts one of `edges` on a snap point within
+ * `toleranceMs`, as `{ offset, point }`, or null when nothing is close.
+ */
+export const findSnap = (points, edges, toleranceMs) => {
+  let best = null;
+  points.forEach(point => {
+    edges.forEach(edge => {
+      const offset = point.time - edge;
+      if (
+        Math.abs(offset) <= toleranceMs &&
+        (!best || Math.abs(offset) < Math.abs(best.offset))
+      ) {
+        best = { offset, point };
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Snap a clip being moved: whichever of its start or end is closest to a
+ * snap point lands on it. Returns the new start.
+ */
+export const snapClipStart = (
+  store,
+  start,
+  duration,
+  { excludeIds = [], msPerPx } = {}
+) => {
+  if (isSnapSuspended()) return start;
+
+  const snap = findSnap(
+    collectSnapPoints(store, { excludeIds }),
+    [start, start + duration],
+    getSnapToleranceMs(store.maxTime, msPerPx)
+  );
+  return snap ? Math.max(0, start + snap.offset) : start;
+};
+
+// Snap a single edge being trimmed. Returns the new edge time.
+export const snapEdgeTime = (
+  store,
+  time,
+  { excludeIds = [], msPerPx } = {}
+) => {
+  if (isSnapSuspended()) return time;
+
+  const snap = findSnap(
+    collectSnapPoints(store, { excludeIds }),
+    [time],
+    getSnapToleranceMs(store.maxTime, msPerPx)
+  );
+  return snap ? Math.max(0, time + snap.offset) : time;
+};
+
+/**
+ * Indicator lines for the snap points `edges` currently sit on, in the
+ * shape AlignmentLines renders.
+ */
+export const getSnapIndicatorLines = (
+  store,
+  edges,
+  { excludeIds = [] } = {}
+) => {
+  const timelineWidth = store.maxTime || 60000;
+  const seen = new Set();
+
+  return collectSnapPoints(store, { excludeIds })
+    .filter(point =>
+      edges.some(edge => Math.abs(edge - point.time) < SNAPPED_EPSILON_MS)
+    )
+    .filter(point => {
+      const key = Math.round(point.time);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(point => ({
+      position: (point.time / timelineWidth) * 100,
+      type: point.type,
+      label: SNAP_POINT_LABELS[point.type],
+      snapGuide: true,
+      snapTime: point.time,
+    }));
+};
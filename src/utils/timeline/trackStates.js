@@ -0,0 +1,63 @@
+/**
+ * Per-row track state: muting, soloing, locking and hiding timeline rows.
+ *
+ * The store keeps it as `trackStates`, an array indexed by row whose
+ * entries are { muted, solo, locked, hidden }, or null for rows left as
+ * they are. Rows are only implied by their elements' `row`, so the states
+ * are remapped wherever rows are inserted, deleted, reordered or compacted.
+ */
+
+export const TRACK_STATE_FLAGS = ['muted', 'solo', 'locked', 'hidden'];
+
+export const DEFAULT_TRACK_STATE = {
+  muted: false,
+  solo: false,
+  locked: false,
+  hidden: false,
+};
+
+// Dense copy with rows left as they are set to null and none at the end
+const normalize = trackStates => {
+  const next = Array.from(trackStates || [], state => state || null);
+  while (next.length && !next[next.length - 1]) next.pop();
+  return next;
+};
+
+export const getTrackState = (trackStates, row) => ({
+  ...DEFAULT_TRACK_STATE,
+  ...(trackStates?.[row] || {}),
+});
+
+// Track states with `changes` made to `row`'s
+export const setTrackState = (trackStates, row, changes) => {
+  const state = { ...getTrackState(trackStates, row), ...changes };
+  const next = normalize(trackStates);
+  while (next.length <= row) next.push(null);
+  next[row] = TRACK_STATE_FLAGS.some(flag => state[flag]) ? state : null;
+  return normalize(next);
+};
+
+// Track states after rows move. `mapRow` gives a row's new index, or null
+// for a row that goes away.
+export const remapTrackStates = (trackStates, mapRow) => {
+  const next = [];
+  (trackStates || []).forEach((state, row) => {
+    if (!state) return;
+    const newRow = mapRow(row);
+    if (newRow != null) next[newRow] = state;
+  });
+  return normalize(next);
+};
+
+// A row is heard unless it is muted, or another row is soloed and it isn't
+export const isRowAudible = (trackStates, row) => {
+  const state = getTrackState(trackStates, row);
+  if (state.muted) return false;
+  return state.solo || !(trackStates || []).some(other => other?.solo);
+};
+
+export const isRowVisible = (trackStates, row) =>
+  !getTrackState(trackStates, row).hidden;
+
+export const isRowLocked = (trackStates, row) =>
+  getTrackState(trackStates, row).locked;
@@ -0,0 +1,411 @@
+/**
+ * Edit modes for trimming and moving timeline clips.
+ *
+ * A plain trim or move only changes the clip being dragged. A ripple trim
+ * also shifts everything after the trimmed edge on the row, and a roll edit
+ * moves the cut between two touching clips. Slip and slide change what
+ * dragging a clip's body does. Slip changes which part of its source the
+ * clip shows without moving it. Slide moves the clip between its
+ * neighbours and trims them so the cuts stay closed.
+ *
+ * The planners return the clips an edit changes, as
+ * { id, start, end, offset } with `offset` the clip's source offset,
+ * `speedRamp` when a ramped clip is trimmed, and `keyframeShift`, how far
+ * into the clip its new start is, when its start is trimmed. They
+ * also return the frames to preview while dragging, as
+ * { elementId, label, sourceTime } with `sourceTime` in ms into the
+ * clip's source.
+ *
+ * Clips with a speed change move through their source at their speed where
+ * they are trimmed (see utils/clipSpeed), so trimming a 2x clip by a second
+ * takes two seconds of source off it. A ramped clip keeps the part of its
+ * ramp that is left under it.
+ */
+
+import {
+  getLocalTimeAt,
+  getMeanSpeed,
+  getSourceElapsed,
+  trimSpeedProperties,
+} from '../clipSpeed';
+
+export const TRIM_MODES = [
+  {
+    value: 'normal',
+    label: 'Trim',
+    description: 'Trim and move clips on their own',
+  },
+  {
+    value: 'ripple',
+    label: 'Ripple',
+    description: 'Trimming a clip shifts the clips after it on the row',
+  },
+  {
+    value: 'roll',
+    label: 'Roll',
+    description: 'Trimming moves the cut between two touching clips',
+  },
+  {
+    value: 'slip',
+    label: 'Slip',
+    description: 'Dragging a clip changes the part of its source it shows',
+  },
+  {
+    value: 'slide',
+    label: 'Slide',
+    description: 'Dragging a clip moves it between its neighbours',
+  },
+];
+
+export const DEFAULT_TRIM_MODE = 'normal';
+
+// Modes that change what dragging a clip's body does
+export const MOVE_TRIM_MODES = ['slip', 'slide'];
+
+// History labels for trims and clip drags in each mode
+export const TRIM_EDIT_LABELS = {
+  normal: 'Trim clip',
+  ripple: 'Ripple trim',
+  roll: 'Roll edit',
+  slip: 'Trim clip',
+  slide: 'Trim clip',
+};
+
+export const MOVE_EDIT_LABELS = {
+  normal: 'Move clip',
+  ripple: 'Move clip',
+  roll: 'Move clip',
+  slip: 'Slip clip',
+  slide: 'Slide clip',
+};
+
+// Shortest clip a trim leaves, as the resize ghost allows
+export const MIN_CLIP_DURATION = 100;
+
+// Clips closer together than this touch
+const ADJACENT_EPSILON_MS = 1;
+
+// The out frame is the last frame a clip shows, not the one after it
+const FRAME_MS = 1000 / 30;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Transitions and animations ride on clips rather than being clips
+export const isTrimmableClip = element =>
+  !!element?.timeFrame && !['transition', 'animation'].includes(element.type);
+
+export const getSourceOffsetKey = element => {
+  if (element.type === 'video') return 'videoOffset';
+  if (element.type === 'audio') return 'audioOffset';
+  return null;
+};
+
+const getSourceOffset = element => {
+  const key = getSourceOffsetKey(element);
+  return key ? element.properties?.[key] || 0 : 0;
+};
+
+/**
+ * Length of a clip's source media. Stills, text and shapes are unlimited.
+ * So are media clips whose recorded duration cannot be the whole source,
+ * as after a split, when the duration is that of the clip.
+ */
+export const getSourceDuration = element => {
+  if (!getSourceOffsetKey(element)) return Infinity;
+  const duration = element.properties?.duration ?? element.duration;
+  const shown =
+    getSourceOffset(element) +
+    (element.timeFrame.end - element.timeFrame.start) * getMeanSpeed(element);
+  return duration >= shown ? duration : Infinity;
+};
+
+// Nearest clips before and after `element` on its row
+export const getRowNeighbours = (elements, element) => {
+  const { start, end } = element.timeFrame;
+  const row = elements.filter(
+    other =>
+      other.id !== element.id &&
+      other.row === element.row &&
+      isTrimmableClip(other)
+  );
+  const previous = row
+    .filter(other => other.timeFrame.end <= start + ADJACENT_EPSILON_MS)
+    .reduce(
+      (nearest, other) =>
+        !nearest || other.timeFrame.end > nearest.timeFrame.end
+          ? other
+          : nearest,
+      null
+    );
+  const next = row
+    .filter(other => other.timeFrame.start >= end - ADJACENT_EPSILON_MS)
+    .reduce(
+      (nearest, other) =>
+        !nearest || other.timeFrame.start < nearest.timeFrame.start
+          ? other
+          : nearest,
+      null
+    );
+  return { previous, next };
+};
+
+const touches = (before, after) =>
+  !!before &&
+  !!after &&
+  Math.abs(after.timeFrame.start - before.timeFrame.end) <= ADJACENT_EPSILON_MS;
+
+const editClip = (
+  element,
+  {
+    start = element.timeFrame.start,
+    end = element.timeFrame.end,
+    offset = getSourceOffset(element),
+  } = {}
+) => ({ id: element.id, start, end, offset });
+
+// Trims `element` to run from `start` to `end`, moving its source offset
+// and keyframes with its start
+const trimClip = (element, start, end) => {
+  const { start: oldStart, end: oldEnd } = element.timeFrame;
+  return {
+    ...editClip(element, {
+      start,
+      end,
+      offset:
+        getSourceOffset(element) + getSourceElapsed(element, start - oldStart),
+    }),
+    keyframeShift: start - oldStart,
+    ...trimSpeedProperties(
+      element.properties,
+      start - oldStart,
+      end - oldStart,
+      oldEnd - oldStart
+    ),
+  };
+};
+
+const getInFrame = edit => ({
+  elementId: edit.id,
+  label: 'In',
+  sourceTime: edit.offset,
+});
+
+const getOutFrame = (edit, element) => {
+  const duration = edit.end - edit.start;
+  const edited = edit.speedRamp
+    ? {
+        ...element,
+        properties: { ...element.properties, speedRamp: edit.speedRamp },
+      }
+    : element;
+  return {
+    elementId: edit.id,
+    label: 'Out',
+    sourceTime:
+      edit.offset +
+      getSourceElapsed(edited, Math.max(0, duration - FRAME_MS), duration),
+  };
+};
+
+// Moves one edge of `element` to `time`, keeping within its source
+const planPlainTrim = (element, edge, time) => {
+  const { start, end } = element.timeFrame;
+  const offset = getSourceOffset(element);
+  let edit;
+  if (edge === 'start') {
+    const earliest = getSourceOffsetKey(element)
+      ? start + getLocalTimeAt(element, -offset)
+      : 0;
+    const newStart = clamp(
+      time,
+      Math.max(0, earliest),
+      end - MIN_CLIP_DURATION
+    );
+    edit = trimClip(element, newStart, end);
+  } else {
+    const latest =
+      start + getLocalTimeAt(element, getSourceDuration(element) - offset);
+    edit = trimClip(
+      element,
+      start,
+      clamp(time, start + MIN_CLIP_DURATION, latest)
+    );
+  }
+  return {
+    edits: [edit],
+    frames: [getInFrame(edit), getOutFrame(edit, element)],
+  };
+};
+
+// Trims `element` and shifts everything after it on the row by as much.
+// A start trim keeps the clip where it starts and changes its in point.
+const planRippleTrim = (elements, element, edge, time) => {
+  const { start, end } = element.timeFrame;
+  const [trimmed] = planPlainTrim(element, edge, time).edits;
+  const shift = edge === 'start' ? start - trimmed.start : trimmed.end - end;
+  const edit = { ...trimmed, start, end: end + shift };
+  const shifted = elements
+    .filter(
+      other =>
+        other.id !== element.id &&
+        other.row === element.row &&
+        other.timeFrame.start >= end - ADJACENT_EPSILON_MS
+    )
+    .map(other =>
+      editClip(other, {
+        start: other.timeFrame.start + shift,
+        end: other.timeFrame.end + shift,
+      })
+    );
+  return {
+    edits: [edit, ...shifted],
+    frames: [getInFrame(edit), getOutFrame(edit, element)],
+  };
+};
+
+// Moves the cut at the dragged edge, trimming the clips either side of it.
+// Null when no clip touches that edge.
+const planRollEdit = (elements, element, edge, time) => {
+  const { previous, next } = getRowNeighbours(elements, element);
+  const [outgoing, incoming] =
+    edge === 'start' ? [previous, element] : [element, next];
+  if (!touches(outgoing, incoming)) return null;
+
+  const cut = outgoing.timeFrame.end;
+  const earliest = getSourceOffsetKey(incoming)
+    ? cut + getLocalTimeAt(incoming, -getSourceOffset(incoming))
+    : -Infinity;
+  const latest =
+    outgoing.timeFrame.start +
+    getLocalTimeAt(
+      outgoing,
+      getSourceDuration(outgoing) - getSourceOffset(outgoing)
+    );
+  const newCut = clamp(
+    time,
+    Math.max(outgoing.timeFrame.start + MIN_CLIP_DURATION, earliest),
+    Math.min(incoming.timeFrame.end - MIN_CLIP_DURATION, latest)
+  );
+
+  const outgoingEdit = trimClip(outgoing, outgoing.timeFrame.start, newCut);
+  const incomingEdit = trimClip(incoming, newCut, incoming.timeFrame.end);
+  return {
+    edits: [outgoingEdit, incomingEdit],
+    frames: [getOutFrame(outgoingEdit, outgoing), getInFrame(incomingEdit)],
+  };
+};
+
+/**
+ * Plans dragging an edge of `element` to `time` in `mode`. `edge` is
+ * 'start' or 'end'. A roll with no clip at the dragged edge is a plain trim.
+ */
+export const planTrim = (elements, element, { mode, edge, time }) => {
+  if (mode === 'ripple') {
+    return planRippleTrim(elements, element, edge, time);
+  }
+  if (mode === 'roll') {
+    const roll = planRollEdit(elements, element, edge, time);
+    if (roll) return roll;
+  }
+  return planPlainTrim(element, edge, time);
+};
+
+// Drags the clip's source under it; the clip stays where it is
+const planSlip = (element, start) => {
+  const frames = edit => [getInFrame(edit), getOutFrame(edit, element)];
+  if (!getSourceOffsetKey(element)) {
+    const edit = editClip(element);
+    return { edits: [edit], frames: frames(edit) };
+  }
+  const speed = getMeanSpeed(element);
+  const duration = element.timeFrame.end - element.timeFrame.start;
+  const delta = start - element.timeFrame.start;
+  const edit = editClip(element, {
+    offset: clamp(
+      getSourceOffset(element) - delta * speed,
+      0,
+      Math.max(0, getSourceDuration(element) - duration * speed)
+    ),
+  });
+  return { edits: [edit], frames: frames(edit) };
+};
+
+// Moves the clip, trimming the neighbours it touches so the cuts stay
+// closed; it stops at neighbours it doesn't touch
+const planSlide = (elements, element, start) => {
+  const { previous, next } = getRowNeighbours(elements, element);
+  const { start: oldStart, end: oldEnd } = element.timeFrame;
+  const pullsPrevious = touches(previous, element);
+  const pullsNext = touches(element, next);
+
+  let minDelta = -oldStart;
+  let maxDelta = Infinity;
+  if (pullsPrevious) {
+    minDelta = Math.max(
+      minDelta,
+      previous.timeFrame.start + MIN_CLIP_DURATION - oldStart
+    );
+    maxDelta = Math.min(
+      maxDelta,
+      previous.timeFrame.start +
+        getLocalTimeAt(
+          previous,
+          getSourceDuration(previous) - getSourceOffset(previous)
+        ) -
+        oldStart
+    );
+  } else if (previous) {
+    minDelta = Math.max(minDelta, previous.timeFrame.end - oldStart);
+  }
+  if (pullsNext) {
+    maxDelta = Math.min(
+      maxDelta,
+      next.timeFrame.end - MIN_CLIP_DURATION - oldEnd
+    );
+    if (getSourceOffsetKey(next)) {
+      minDelta = Math.max(
+        minDelta,
+        getLocalTimeAt(next, -getSourceOffset(next))
+      );
+    }
+  } else if (next) {
+    maxDelta = Math.min(maxDelta, next.timeFrame.start - oldEnd);
+  }
+  const delta =
+    minDelta > maxDelta ? 0 : clamp(start - oldStart, minDelta, maxDelta);
+
+  const edit = editClip(element, {
+    start: oldStart + delta,
+    end: oldEnd + delta,
+  });
+  const edits = [edit];
+  const frames = [getInFrame(edit), getOutFrame(edit, element)];
+  if (pullsPrevious) {
+    const previousEdit = trimClip(
+      previous,
+      previous.timeFrame.start,
+      previous.timeFrame.end + delta
+    );
+    edits.push(previousEdit);
+    frames[0] = getOutFrame(previousEdit, previous);
+  }
+  if (pullsNext) {
+    const nextEdit = trimClip(
+      next,
+      next.timeFrame.start + delta,
+      next.timeFrame.end
+    );
+    edits.push(nextEdit);
+    frames[1] = getInFrame(nextEdit);
+  }
+  return { edits, frames };
+};
+
+/**
+ * Plans dragging the body of `element` so that it would start at `start`,
+ * in one of the MOVE_TRIM_MODES.
+ */
+export const planMove = (elements, element, { mode, start }) =>
+  mode === 'slide'
+    ? planSlide(elements, element, start)
+    : planSlip(element, start);
@@ -0,0 +1,128 @@
+export const MARKER_COLORS = [
+  '#f59e0b',
+  '#ef4444',
+  '#22c55e',
+  '#3b82f6',
+  '#a855f7',
+  '#ec4899',
+];
+
+export const DEFAULT_MARKER_COLOR = MARKER_COLORS[0];
+
+// YouTube only turns a description into chapters when the list starts at
+// 0:00, has at least three entries and none is shorter than ten seconds
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_CHAPTER_MS = 10000;
+
+export const createMarker = ({
+  time,
+  label,
+  color = DEFAULT_MARKER_COLOR,
+  isChapter = false,
+}) => ({
+  id: `marker-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  time: Math.max(0, Math.round(time)),
+  label: label || '',
+  color,
+  isChapter,
+});
+
+export const sortMarkers = markers =>
+  [...markers].sort((a, b) => a.time - b.time);
+
+/**
+ * The closest marker strictly after (`direction` 1) or before (-1) `time`.
+ * Markers within `toleranceMs` of `time` are skipped so repeated presses
+ * keep moving.
+ */
+export const findAdjacentMarker = (
+  markers,
+  time,
+  direction,
+  toleranceMs = 1
+) => {
+  const sorted = sortMarkers(markers);
+  if (direction > 0) {
+    return sorted.find(marker => marker.time > time + toleranceMs) || null;
+  }
+  return (
+    sorted.reverse().find(marker => marker.time < time - toleranceMs) || null
+  );
+};
+
+/**
+ * Chapter ranges from the markers flagged as chapters. Each chapter runs
+ * until the next one; the last one until `durationMs`.
+ */
+export const getChapters = (markers, durationMs) => {
+  const chapterMarkers = sortMarkers(
+    markers.filter(marker => marker.isChapter && marker.time < durationMs)
+  );
+
+  return chapterMarkers.map((marker, index) => ({
+    start: marker.time,
+    end: chapterMarkers[index + 1]?.time ?? durationMs,
+    title: marker.label || `Chapter ${index + 1}`,
+  }));
+};
+
+const formatChapterTime = ms => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Chapter list in the format YouTube reads from a video description.
+ * An "Intro" chapter is added when the first chapter does not start at
+ * 0:00. Returns the text and any reasons YouTube may ignore it.
+ */
+export const formatYouTubeChapters = chapters => {
+  const list =
+    chapters.length && chapters[0].start >= 1000
+      ? [{ start: 0, end: chapters[0].start, title: 'Intro' }, ...chapters]
+      : chapters;
+
+  const warnings = [];
+  if (list.length < YOUTUBE_MIN_CHAPTERS) {
+    warnings.push(
+      `YouTube needs at least ${YOUTUBE_MIN_CHAPTERS} chapters to show them`
+    );
+  }
+  if (list.some(({ start, end }) => end - start < YOUTUBE_MIN_CHAPTER_MS)) {
+    warnings.push('YouTube ignores chapters shorter than 10 seconds');
+  }
+
+  const text = list
+    .map(
+      ({ start, title }, index) =>
+        // Keep the first timestamp at exactly 0:00
+        `${formatChapterTime(index === 0 ? 0 : start)} ${title}`
+    )
+    .join('\n');
+
+  return { text, warnings };
+};
+
+const escapeMetadataValue = value =>
+  String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+/**
+ * ffmpeg metadata file declaring `chapters`, muxed into MP4s as chapter
+ * atoms with `-map_chapters`.
+ */
+export const buildFFMetadataChapters = chapters =>
+  [
+    ';FFMETADATA1',
+    ...chapters.flatMap(({ start, end, title }) => [
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(start)}`,
+      `END=${Math.round(end)}`,
+      `title=${escapeMetadataValue(title)}`,
+    ]),
+  ].join('\n');
@@ -0,0 +1,184 @@
+// Freeze frames, reversing and ping-pong loops of video clips.
+//
+// A reversed clip plays a reversed copy of part of its source, made by
+// ClipReverser (see utils/render). `properties.reversedFrom` keeps the way
+// back: `{ src, end }`, the original source and the ms in it where the
+// copy starts, so the copy's time t shows the original at end - t. Trims of
+// either clip carry over when switching between the two.
+
+import { getMediaSourceSize } from './mediaSource';
+import { getSourceElapsed, reverseSpeedProperties } from './clipSpeed';
+
+export const FREEZE_FRAME_PRESETS = [500, 1000, 2000, 3000, 5000];
+export const DEFAULT_FREEZE_FRAME_MS = 2000;
+export const MIN_FREEZE_FRAME_MS = 100;
+export const MAX_FREEZE_FRAME_MS = 60000;
+
+// Looks of a video clip its freeze frames keep
+const FREEZE_FRAME_PROPERTIES = [
+  'effect',
+  'chromaKey',
+  'colorGrade',
+  'mask',
+  'blending',
+];
+
+const LOAD_TIMEOUT_MS = 15000;
+const SEEK_TIMEOUT_MS = 3000;
+
+export const clampFreezeFrameDuration = durationMs =>
+  Math.max(
+    MIN_FREEZE_FRAME_MS,
+    Math.min(
+      MAX_FREEZE_FRAME_MS,
+      Number.isFinite(durationMs) ? durationMs : DEFAULT_FREEZE_FRAME_MS
+    )
+  );
+
+export const isReversedClip = element => !!element?.properties?.reversedFrom;
+
+// Part of its source a clip plays: { offset, span } in source ms
+export const getClipSourceSpan = element => ({
+  offset: element.properties?.videoOffset || 0,
+  span: getSourceElapsed(
+    element,
+    element.timeFrame.end - element.timeFrame.start
+  ),
+});
+
+// Offset in the other direction's source that plays the same frames as a
+// clip, given the ms of the original where the reversed copy starts
+export const getMirroredOffset = (element, end) => {
+  const { offset, span } = getClipSourceSpan(element);
+  return Math.max(0, end - offset - span);
+};
+
+/**
+ * Properties of a video clip played the other way: through the reversed
+ * copy `reversed` ({ src, end }), or with null back through the original
+ * of a reversed clip. It plays the same frames in the opposite order.
+ * Tracked motion no longer lines up with the frames, so it is dropped.
+ */
+export const getFlippedClipProperties = (element, reversed, overrides) => {
+  const { reversedFrom, motionTrack, ...properties } = element.properties;
+  const target = reversed || reversedFrom;
+  return {
+    ...properties,
+    ...reverseSpeedProperties(properties),
+    thumbnails: [...(properties.thumbnails || [])].reverse(),
+    src: target.src,
+    videoOffset: getMirroredOffset(element, target.end),
+    ...(reversed && {
+      reversedFrom: { src: properties.src, end: reversed.end },
+    }),
+    ...overrides,
+  };
+};
+
+// Image clip holding a frame of a video clip, in the video's place on the
+// canvas. `width` and `height` are the frame's native size.
+export const createFreezeFrameElement = (
+  element,
+  { id, timeFrame, src, minUrl, width, height }
+) => {
+  const { placement } = element;
+  const scaleX = (placement.width * (placement.scaleX ?? 1)) / width;
+  const scaleY = (placement.height * (placement.scaleY ?? 1)) / height;
+  const properties = { src, minUrl, width, height, effect: { type: 'none' } };
+  FREEZE_FRAME_PROPERTIES.forEach(key => {
+    if (element.properties[key] != null) {
+      properties[key] = element.properties[key];
+    }
+  });
+
+  return {
+    id,
+    name: `${element.name || 'Video'} freeze frame`,
+    type: 'imageUrl',
+    placement: {
+      x: placement.x,
+      y: placement.y,
+      width: width * scaleX,
+      height: height * scaleY,
+      rotation: placement.rotation || 0,
+      scaleX,
+      scaleY,
+    },
+    timeFrame,
+    row: element.row,
+    from: 0,
+    isDragging: false,
+    properties,
+  };
+};
+
+const loadVideo = src =>
+  new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const done = error => {
+      clearTimeout(timer);
+      video.removeEventListener('loadeddata', onLoaded);
+      video.removeEventListener('error', onError);
+      if (error) reject(error);
+      else resolve(video);
+    };
+    const onLoaded = () => done();
+    const onError = () => done(new Error('Could not load the video'));
+    const timer = setTimeout(
+      () => done(new Error('Timed out loading the video')),
+      LOAD_TIMEOUT_MS
+    );
+
+    video.addEventListener('loadeddata', onLoaded);
+    video.addEventListener('error', onError);
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = src;
+  });
+
+const seekVideo = (video, time) =>
+  new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+    const timer = setTimeout(done, SEEK_TIMEOUT_MS);
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+
+/**
+ * Frame of a video `sourceMs` into it, at its native size, as a PNG.
+ * Decoded from a video of its own, so playback is untouched.
+ */
+export const captureVideoFrame = async (src, sourceMs) => {
+  const video = await loadVideo(src);
+  try {
+    const lastFrame = Number.isFinite(video.duration)
+      ? Math.max(0, video.duration - 0.001)
+      : Infinity;
+    await seekVideo(video, Math.max(0, Math.min(lastFrame, sourceMs / 1000)));
+
+    const { width, height } = getMediaSourceSize(video);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob(
+        result =>
+          result
+            ? resolve(result)
+            : reject(new Error('Failed to capture the frame')),
+        'image/png'
+      )
+    );
+    return { blob, width, height };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+  }
+};
@@ -0,0 +1,119 @@
+// Volume envelopes are lists of { time, gain } points, with time in ms
+// relative to the clip start and gain as a multiplier of the clip volume.
+// An element can carry several envelopes; their gains are multiplied, along
+// with the linear fades set by `properties.fadeIn` / `fadeOut` (ms).
+export const ENVELOPE_KEYS = ['volumeEnvelope', 'duckingEnvelope'];
+
+// Resolution of the gain curve handed to the offline mixdown
+const CURVE_SAMPLES_PER_SECOND = 100;
+
+// Linear interpolation of an envelope at a clip-local time
+export const getEnvelopeGain = (points, localTime) => {
+  if (!points?.length) return 1;
+  if (localTime <= points[0].time) return points[0].gain;
+
+  const last = points[points.length - 1];
+  if (localTime >= last.time) return last.gain;
+
+  const nextIndex = points.findIndex(point => point.time > localTime);
+  const from = points[nextIndex - 1];
+  const to = points[nextIndex];
+  const progress = (localTime - from.time) / (to.time - from.time);
+  return from.gain + (to.gain - from.gain) * progress;
+};
+
+// Gain of the clip-edge fades at a clip-local time
+export const getFadeGain = (
+  { fadeIn = 0, fadeOut = 0 } = {},
+  durationMs,
+  localTime
+) => {
+  let gain = 1;
+  if (fadeIn > 0 && localTime < fadeIn) {
+    gain *= Math.max(0, localTime) / fadeIn;
+  }
+  if (fadeOut > 0 && localTime > durationMs - fadeOut) {
+    gain *= Math.max(0, durationMs - localTime) / fadeOut;
+  }
+  return gain;
+};
+
+export const hasVolumeEnvelope = element =>
+  element?.properties?.fadeIn > 0 ||
+  element?.properties?.fadeOut > 0 ||
+  ENVELOPE_KEYS.some(key => element?.properties?.[key]?.length > 0);
+
+// Combined envelope gain of an element at a clip-local time
+export const getElementGainAt = (element, localTime) => {
+  if (!element?.properties) return 1;
+
+  const durationMs = element.timeFrame.end - element.timeFrame.start;
+  return ENVELOPE_KEYS.reduce(
+    (gain, key) => gain * getEnvelopeGain(element.properties[key], localTime),
+    getFadeGain(element.properties, durationMs, localTime)
+  );
+};
+
+// Part of an envelope between two clip-local times, re-based to start at 0
+export const sliceEnvelope = (points, fromMs, toMs) => {
+  if (!points?.length) return points;
+
+  const inside = points
+    .filter(point => point.time > fromMs && point.time < toMs)
+    .map(point => ({ ...point, time: point.time - fromMs }));
+  return [
+    { time: 0, gain: getEnvelopeGain(points, fromMs) },
+    ...inside,
+    { time: toMs - fromMs, gain: getEnvelopeGain(points, toMs) },
+  ];
+};
+
+// Envelope properties of the two halves of a clip split at `splitMs`
+// (clip-local); the fade-in stays with the first half, the fade-out with
+// the second
+export const splitEnvelopeProperties = (properties, splitMs, durationMs) => {
+  const first = {
+    fadeIn: Math.min(properties.fadeIn || 0, splitMs),
+    fadeOut: 0,
+  };
+  const second = {
+    fadeIn: 0,
+    fadeOut: Math.min(properties.fadeOut || 0, durationMs - splitMs),
+  };
+  ENVELOPE_KEYS.forEach(key => {
+    if (!properties[key]?.length) return;
+    first[key] = sliceEnvelope(properties[key], 0, splitMs);
+    second[key] = sliceEnvelope(properties[key], splitMs, durationMs);
+  });
+  return [first, second];
+};
+
+/**
+ * Schedule an element's envelope on an AudioParam, starting at `startTime`
+ * (context seconds) for `durationMs` of the clip. The combined curve is
+ * sampled, since the product of several envelopes is not piecewise linear.
+ */
+export const scheduleElementGain = (
+  param,
+  element,
+  { startTime, durationMs, baseGain = 1 }
+) => {
+  if (!hasVolumeEnvelope(element) || durationMs <= 0) {
+    param.value = baseGain;
+    return;
+  }
+
+  const sampleCount = Math.max(
+    2,
+    Math.ceil((durationMs / 1000) * CURVE_SAMPLES_PER_SECOND) + 1
+  );
+  const curve = new Float32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    const localTime = (durationMs * i) / (sampleCount - 1);
+    curve[i] = baseGain * getElementGainAt(element, localTime);
+  }
+
+  // Curve events may not overlap other automation, so no setValueAtTime here
+  param.value = curve[0];
+  param.setValueCurveAtTime(curve, startTime, durationMs / 1000);
+};